@@ -179,6 +179,11 @@ struct worker_instance {
 
 	int64_t shares;
 
+	/* Share counts by outcome, kept across restarts in the user logs */
+	int64_t accepted;
+	int64_t rejected; /* Rejected for any reason other than stale */
+	int64_t stale;
+
 	int64_t uadiff; /* Shares not yet accounted for in hashmeter */
 
 	double dsps1;
@@ -4128,9 +4133,10 @@ static json_t *workerinfo(const user_instance_t *user, const worker_instance_t *
 {
 	json_t *val;
 
-	JSON_CPACK(val, "{ss,ss,si,sI,sf,sf,sf,sf,si,sf,si,sb}",
+	JSON_CPACK(val, "{ss,ss,si,sI,sI,sI,sI,sf,sf,sf,sf,si,sf,si,sb}",
 		   "user", user->username, "worker", worker->workername, "id", user->id,
-	    "shares", worker->shares, "dsps1", worker->dsps1, "dsps5", worker->dsps5,
+	    "shares", worker->shares, "accepted", worker->accepted, "rejected", worker->rejected,
+	    "stale", worker->stale, "dsps1", worker->dsps1, "dsps5", worker->dsps5,
 	    "dsps60", worker->dsps60, "dsps1440", worker->dsps1440,
 	    "lastshare", worker->last_share.tv_sec, "bestdiff", worker->best_diff,
 	    "mindiff", worker->mindiff, "idle", worker->idle);
@@ -5345,6 +5351,9 @@ static void read_userstats(ckpool_t *ckp, sdata_t *sdata, int tvsec_diff)
 			if (worker->best_diff > worker->best_ever)
 				worker->best_ever = worker->best_diff;
 			json_get_int64(&worker->shares, arr_val, "shares");
+			json_get_int64(&worker->accepted, arr_val, "accepted");
+			json_get_int64(&worker->rejected, arr_val, "rejected");
+			json_get_int64(&worker->stale, arr_val, "stale");
 			LOGINFO("Successfully read worker %s stats %f %f %f %f %f %ld", worker->workername,
 				worker->dsps1, worker->dsps5, worker->dsps60, worker->dsps1440, worker->best_diff, worker->best_ever);
 			if (tvsec_diff > 60)
@@ -6339,6 +6348,12 @@ out_nowb:
 		submit_share(client, id, nonce2, ntime, nonce);
 	}
 
+	if (result)
+		client->worker_instance->accepted++;
+	else if (err == SE_STALE)
+		client->worker_instance->stale++;
+	else
+		client->worker_instance->rejected++;
 	add_submit(ckp, client, diff, result, submit);
 
 	/* Now write to the pool's sharelog. */
@@ -7038,6 +7053,7 @@ static void parse_remote_share(ckpool_t *ckp, sdata_t *sdata, json_t *val, const
 	mutex_unlock(&sdata->uastats_lock);
 
 	worker->shares += diff;
+	worker->accepted++;
 	user->shares += diff;
 	tv_time(&now_t);
 
@@ -8222,7 +8238,7 @@ static void *statsupdate(void *arg)
 
 				LOGDEBUG("Storing worker %s", worker->workername);
 
-				JSON_CPACK(wval, "{ss,ss,ss,ss,ss,ss,si,sI,sf,sI}",
+				JSON_CPACK(wval, "{ss,ss,ss,ss,ss,ss,si,sI,sI,sI,sI,sf,sI}",
 						"workername", worker->workername,
 						"hashrate1m", suffix1,
 						"hashrate5m", suffix5,
@@ -8231,6 +8247,9 @@ static void *statsupdate(void *arg)
 						"hashrate7d", suffix10080,
 					        "lastshare", worker->last_share.tv_sec,
 						"shares", worker->shares,
+						"accepted", worker->accepted,
+						"rejected", worker->rejected,
+						"stale", worker->stale,
 						"bestshare", worker->best_diff,
 						"bestever", worker->best_ever);
 				json_array_append_new(user_array, wval);
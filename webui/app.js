@@ -0,0 +1,84 @@
+const express = require('express');
+const path = require('path');
+const expressLayouts = require('express-ejs-layouts');
+
+const indexRoutes = require('./routes/index');
+const apiRoutes = require('./routes/api');
+const apiV1Routes = require('./routes/api-v1');
+const metricsRoutes = require('./routes/metrics');
+const adminRoutes = require('./routes/admin');
+const { rateLimit, protectApi, protectMetrics, injectToken } = require('./lib/api-security');
+const { injectHealth } = require('./lib/health');
+const { injectNetwork } = require('./lib/network');
+
+// Express app (routes and middleware only). server.js starts the listener and
+// background jobs, so tests can mount the app without them.
+const app = express();
+
+// Trust proxy (for correct IP in rate limiting behind nginx)
+app.set('trust proxy', 1);
+
+// View engine setup
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+// Enable view cache in production (views are in image, not bind-mounted)
+app.set('view cache', process.env.NODE_ENV === 'production');
+
+// EJS Layouts
+app.use(expressLayouts);
+app.set('layout', 'layout');
+
+// Static files — long cache for immutable assets (nginx + browser)
+app.use(express.static(path.join(__dirname, 'public'), {
+    maxAge: process.env.NODE_ENV === 'production' ? '1d' : 0,
+    etag: true,
+    lastModified: true,
+}));
+
+// JSON parsing (backup uploads are parsed by the admin router after auth, with a larger limit)
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === '/admin/restore' ? next() : parseJson(req, res, next)));
+app.use(express.urlencoded({ extended: true }));
+
+// Inject API token into all rendered pages
+app.use(injectToken);
+
+// Degraded-service banner (open circuit breakers)
+app.use(injectHealth);
+
+// Network badge on test networks
+app.use(injectNetwork);
+
+// Routes
+app.use('/', indexRoutes);
+
+// Public read-only API (operator-issued keys with their own rate limits - see lib/api-keys.js)
+app.use('/api/v1', apiV1Routes);
+
+// API routes with protection
+app.use('/api', rateLimit, protectApi, apiRoutes);
+
+// Operator console (own auth - see ADMIN_PASSWORD / ADMIN_API_KEY)
+app.use('/admin', rateLimit, adminRoutes);
+
+// Prometheus metrics (own auth - see METRICS_TOKEN)
+app.use('/metrics', rateLimit, protectMetrics, metricsRoutes);
+
+// Error handler
+app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).render('error', {
+        message: 'Something went wrong!',
+        error: process.env.NODE_ENV === 'development' ? err : {}
+    });
+});
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).render('error', {
+        message: 'Page not found',
+        error: {}
+    });
+});
+
+module.exports = app;
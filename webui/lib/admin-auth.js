@@ -0,0 +1,213 @@
+// Operator authentication for the /admin console
+// Separate from the browser API_TOKEN: that one is embedded in every public page.
+//   ADMIN_PASSWORD - enables the login form (session cookie, CSRF-protected forms)
+//   ADMIN_API_KEY  - enables "Authorization: Bearer <key>" for scripts
+// With neither set, the console is disabled and /admin returns 404.
+const crypto = require('crypto');
+const audit = require('./audit-log');
+
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+const SESSION_COOKIE = 'admin_session';
+const SESSION_TTL = 8 * 3600 * 1000;
+// The login form has no session yet: its CSRF token is an HMAC of a random
+// value kept in a short-lived cookie, so a cross-site page can't post a login
+// (and a planted cookie is useless without the server secret)
+const LOGIN_CSRF_COOKIE = 'admin_login_csrf';
+const LOGIN_CSRF_TTL = 3600;
+const LOGIN_CSRF_SECRET = crypto.randomBytes(32);
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+
+// session id -> { id, csrf, createdAt, flash }
+const sessions = new Map();
+// ip -> { failures, since }
+const loginFailures = new Map();
+
+function isEnabled() {
+    return Boolean(ADMIN_PASSWORD || ADMIN_API_KEY);
+}
+
+function safeEqual(given, expected) {
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function clientIp(req) {
+    return req.ip || req.connection.remoteAddress || 'unknown';
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+function getSession(req) {
+    const id = parseCookies(req)[SESSION_COOKIE];
+    if (!id) return null;
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (Date.now() - session.createdAt > SESSION_TTL) {
+        sessions.delete(id);
+        return null;
+    }
+    return session;
+}
+
+function cookieOptions(req, maxAge) {
+    const parts = [`Path=/admin`, 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAge}`];
+    if (req.secure) parts.push('Secure');
+    return parts.join('; ');
+}
+
+function loginCsrfToken(nonce) {
+    return crypto.createHmac('sha256', LOGIN_CSRF_SECRET).update(nonce).digest('hex');
+}
+
+// Token for the login form. Reuses the cookie's value so several open tabs keep working.
+function issueLoginCsrf(req, res) {
+    let nonce = parseCookies(req)[LOGIN_CSRF_COOKIE];
+    if (!/^[0-9a-f]{32}$/.test(nonce || '')) {
+        nonce = crypto.randomBytes(16).toString('hex');
+    }
+    res.append('Set-Cookie', `${LOGIN_CSRF_COOKIE}=${nonce}; ${cookieOptions(req, LOGIN_CSRF_TTL)}`);
+    return loginCsrfToken(nonce);
+}
+
+function checkLoginCsrf(req) {
+    const nonce = parseCookies(req)[LOGIN_CSRF_COOKIE];
+    return Boolean(nonce) && safeEqual(req.body?._csrf || '', loginCsrfToken(nonce));
+}
+
+// Drop expired sessions and lockouts (called on each login attempt)
+function pruneExpired() {
+    const now = Date.now();
+    for (const [id, session] of sessions.entries()) {
+        if (now - session.createdAt > SESSION_TTL) sessions.delete(id);
+    }
+    for (const [ip, entry] of loginFailures.entries()) {
+        if (now - entry.since > LOGIN_LOCKOUT) loginFailures.delete(ip);
+    }
+}
+
+function isLockedOut(ip) {
+    const entry = loginFailures.get(ip);
+    if (!entry) return false;
+    if (Date.now() - entry.since > LOGIN_LOCKOUT) {
+        loginFailures.delete(ip);
+        return false;
+    }
+    return entry.failures >= LOGIN_MAX_FAILURES;
+}
+
+// Check a login attempt; on success sets the session cookie.
+// Returns null on success or an error message.
+function login(req, res, password) {
+    const ip = clientIp(req);
+    if (!ADMIN_PASSWORD) return 'Password login is disabled';
+    pruneExpired();
+    if (isLockedOut(ip)) {
+        audit.record({ actor: 'password', ip, action: 'login', ok: false, detail: 'locked out' });
+        return 'Too many failed attempts. Try again later.';
+    }
+
+    if (!safeEqual(password || '', ADMIN_PASSWORD)) {
+        const entry = loginFailures.get(ip) || { failures: 0, since: Date.now() };
+        entry.failures++;
+        loginFailures.set(ip, entry);
+        audit.record({ actor: 'password', ip, action: 'login', ok: false });
+        return 'Invalid password';
+    }
+
+    loginFailures.delete(ip);
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, { id, csrf: crypto.randomBytes(16).toString('hex'), createdAt: Date.now(), flash: null });
+    res.append('Set-Cookie', `${SESSION_COOKIE}=${id}; ${cookieOptions(req, SESSION_TTL / 1000)}`);
+    res.append('Set-Cookie', `${LOGIN_CSRF_COOKIE}=; ${cookieOptions(req, 0)}`);
+    audit.record({ actor: 'password', ip, action: 'login' });
+    return null;
+}
+
+function logout(req, res) {
+    const session = getSession(req);
+    if (session) {
+        sessions.delete(session.id);
+        audit.record({ actor: 'password', ip: clientIp(req), action: 'logout' });
+    }
+    res.set('Set-Cookie', `${SESSION_COOKIE}=; ${cookieOptions(req, 0)}`);
+}
+
+// Resolve the caller: { actor: 'api-key' } or { actor: 'password', session }
+function authenticate(req) {
+    const auth = req.headers.authorization || '';
+    if (ADMIN_API_KEY && auth.startsWith('Bearer ')) {
+        return safeEqual(auth.slice(7), ADMIN_API_KEY) ? { actor: 'api-key' } : null;
+    }
+    if (ADMIN_PASSWORD) {
+        const session = getSession(req);
+        if (session) return { actor: 'password', session };
+    }
+    return null;
+}
+
+// Middleware: 404 when disabled, login redirect (pages) or 401 (API key / JSON) otherwise.
+// Session-authenticated POSTs must carry the form's CSRF token (field or X-CSRF-Token header).
+function requireAdmin(req, res, next) {
+    if (!isEnabled()) {
+        return res.status(404).render('error', { message: 'Page not found', error: {} });
+    }
+
+    const admin = authenticate(req);
+    if (!admin) {
+        // Browsers ask for text/html explicitly; scripts (curl, fetch) send */*
+        const wantsPage = (req.headers.accept || '').includes('text/html');
+        if (req.headers.authorization || !ADMIN_PASSWORD || !wantsPage) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+        return res.redirect('/admin/login');
+    }
+
+    const csrf = req.body?._csrf || req.headers['x-csrf-token'] || '';
+    if (admin.session && req.method === 'POST' && !safeEqual(csrf, admin.session.csrf)) {
+        return res.status(403).render('error', { message: 'Invalid or expired form. Reload the page and try again.', error: {} });
+    }
+
+    admin.ip = clientIp(req);
+    req.admin = admin;
+    next();
+}
+
+// One-shot message shown on the next console render
+function setFlash(session, flash) {
+    if (session) session.flash = flash;
+}
+
+function takeFlash(session) {
+    if (!session) return null;
+    const flash = session.flash;
+    session.flash = null;
+    return flash;
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    isEnabled,
+    issueLoginCsrf,
+    checkLoginCsrf,
+    login,
+    logout,
+    authenticate,
+    requireAdmin,
+    setFlash,
+    takeFlash,
+    clientIp
+};
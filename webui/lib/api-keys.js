@@ -0,0 +1,227 @@
+// Operator-issued keys for the public /api/v1 namespace (Home Assistant, scripts, widgets).
+// Keys are shown once when issued; data/api-keys.json only keeps their sha256:
+//   { "keys": [{ "id", "name", "hash", "scopes": ["pool", ...], "rateLimit": 60,
+//                "createdAt", "lastUsedAt", "revokedAt" }] }
+// Callers send "Authorization: Bearer <key>" or "X-API-Key: <key>".
+const crypto = require('crypto');
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+
+// Requests per minute for keys issued without their own limit
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 60;
+const MAX_RATE_LIMIT = 6000;
+const RATE_LIMIT_WINDOW = 60000;
+// lastUsedAt is only written back once a minute per key
+const LAST_USED_RESOLUTION = 60;
+
+const KEY_PREFIX = 'gbp_';
+
+const SCOPES = {
+    pool: 'Pool hashrate, users, workers and shares',
+    users: 'Stats for a payout address',
+    workers: 'Workers of a payout address',
+    leaderboard: 'Best difficulty leaderboard',
+    blocks: 'Blocks found by the pool'
+};
+
+let store = null;
+// hash -> key record, for lookups
+let byHash = new Map();
+// key id -> { windowStart, count }
+const usage = new Map();
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Load keys from file (once, then kept in memory)
+function loadKeys() {
+    if (store) return store;
+
+    store = { keys: [] };
+    try {
+        const data = readJSONSafe(KEYS_FILE);
+        if (data && Array.isArray(data.keys)) store = { keys: data.keys };
+    } catch (err) {
+        console.error('Failed to load API keys:', err.message);
+    }
+
+    byHash = new Map(store.keys.map(key => [key.hash, key]));
+    return store;
+}
+
+function saveKeys() {
+    if (!store) return;
+
+    try {
+        writeJSONAtomic(KEYS_FILE, store);
+    } catch (err) {
+        console.error('Failed to save API keys:', err.message);
+    }
+}
+
+// Drop the in-memory keys and re-read the file (after a restore)
+function reloadKeys() {
+    store = null;
+    usage.clear();
+    return loadKeys();
+}
+
+// Key record without its hash, for listings
+function describe(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, active: !key.revokedAt };
+}
+
+function listKeys() {
+    return loadKeys().keys.map(describe);
+}
+
+// Check and normalise issue options. Returns { name, scopes, rateLimit } or { error }.
+function parseKeyOptions(options) {
+    const name = String(options.name || '').trim();
+    if (!name || name.length > 64) {
+        return { error: 'Give the key a name (up to 64 characters)' };
+    }
+
+    const scopes = (Array.isArray(options.scopes) ? options.scopes : String(options.scopes || '').split(','))
+        .map(scope => String(scope).trim())
+        .filter(Boolean);
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+        return { error: `Unknown scope: ${unknown.join(', ')}` };
+    }
+    if (scopes.length === 0) {
+        return { error: 'Pick at least one scope' };
+    }
+
+    let rateLimit = DEFAULT_RATE_LIMIT;
+    if (options.rateLimit !== undefined && options.rateLimit !== '') {
+        rateLimit = Number(options.rateLimit);
+        if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+            return { error: `Rate limit must be between 1 and ${MAX_RATE_LIMIT} requests per minute` };
+        }
+    }
+
+    return { name, scopes: [...new Set(scopes)], rateLimit };
+}
+
+// Issue a key. Returns { key, record } - the key itself is not stored and
+// cannot be shown again - or { error }.
+function issueKey(options) {
+    const parsed = parseKeyOptions(options || {});
+    if (parsed.error) return parsed;
+
+    const id = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id,
+        name: parsed.name,
+        hash: sha256(key),
+        scopes: parsed.scopes,
+        rateLimit: parsed.rateLimit,
+        createdAt: Math.floor(Date.now() / 1000),
+        lastUsedAt: 0,
+        revokedAt: 0
+    };
+
+    loadKeys().keys.push(record);
+    byHash.set(record.hash, record);
+    saveKeys();
+    return { key, record: describe(record) };
+}
+
+// Returns false if there is no active key with this id
+function revokeKey(id) {
+    const record = loadKeys().keys.find(key => key.id === id);
+    if (!record || record.revokedAt) return false;
+
+    record.revokedAt = Math.floor(Date.now() / 1000);
+    usage.delete(id);
+    saveKeys();
+    return true;
+}
+
+// The active key record for a presented key, or null
+function findKey(key) {
+    if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+    loadKeys();
+    const record = byHash.get(sha256(String(key)));
+    return record && !record.revokedAt ? record : null;
+}
+
+function presentedKey(req) {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+    return req.headers['x-api-key'] || '';
+}
+
+// Count a request against the key's per-minute limit
+function consume(record, now = Date.now()) {
+    let data = usage.get(record.id);
+    if (!data || now - data.windowStart >= RATE_LIMIT_WINDOW) {
+        data = { windowStart: now, count: 0 };
+        usage.set(record.id, data);
+    }
+    data.count++;
+
+    return {
+        allowed: data.count <= record.rateLimit,
+        limit: record.rateLimit,
+        remaining: Math.max(0, record.rateLimit - data.count),
+        reset: Math.ceil((data.windowStart + RATE_LIMIT_WINDOW - now) / 1000)
+    };
+}
+
+function touch(record) {
+    const now = Math.floor(Date.now() / 1000);
+    if (now - (record.lastUsedAt || 0) >= LAST_USED_RESOLUTION) {
+        record.lastUsedAt = now;
+        saveKeys();
+    }
+}
+
+// Middleware: 401 without a valid key, 429 over the key's rate limit,
+// 403 when the key lacks the scope. Sets req.apiKey.
+function requireScope(scope) {
+    return (req, res, next) => {
+        const record = findKey(presentedKey(req));
+        if (!record) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ success: false, error: 'Missing or invalid API key' });
+        }
+
+        const limit = consume(record);
+        res.set('X-RateLimit-Limit', String(limit.limit));
+        res.set('X-RateLimit-Remaining', String(limit.remaining));
+        res.set('X-RateLimit-Reset', String(limit.reset));
+        if (!limit.allowed) {
+            res.set('Retry-After', String(limit.reset));
+            return res.status(429).json({ success: false, error: 'Rate limit exceeded for this API key' });
+        }
+
+        if (!record.scopes.includes(scope)) {
+            return res.status(403).json({ success: false, error: `This API key does not have the "${scope}" scope` });
+        }
+
+        touch(record);
+        req.apiKey = record;
+        next();
+    };
+}
+
+module.exports = {
+    SCOPES,
+    DEFAULT_RATE_LIMIT,
+    loadKeys,
+    reloadKeys,
+    listKeys,
+    issueKey,
+    revokeKey,
+    findKey,
+    consume,
+    requireScope
+};
@@ -4,54 +4,70 @@ const crypto = require('crypto');
 // Generate a unique token for this server instance
 const API_TOKEN = crypto.randomBytes(32).toString('hex');
 
-// Simple rate limiting store (in production, use Redis)
-const rateLimitStore = new Map();
+// Simple rate limiting stores (in production, use Redis)
+const rateLimitStores = [];
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const RATE_LIMIT_MAX = 120; // Max requests per window
+// Each privacy update verifies a signature, which is CPU heavy, so they get a far lower limit
+const PRIVACY_RATE_LIMIT_MAX = 5;
 
-// Clean up old rate limit entries periodically
+// Clean up old rate limit entries periodically (unref'd so it never keeps the process alive)
 setInterval(() => {
     const now = Date.now();
-    for (const [key, data] of rateLimitStore.entries()) {
-        if (now - data.windowStart > RATE_LIMIT_WINDOW * 2) {
-            rateLimitStore.delete(key);
+    for (const store of rateLimitStores) {
+        for (const [key, data] of store.entries()) {
+            if (now - data.windowStart > RATE_LIMIT_WINDOW * 2) {
+                store.delete(key);
+            }
         }
     }
-}, RATE_LIMIT_WINDOW);
+}, RATE_LIMIT_WINDOW).unref();
 
-// Rate limiting middleware
-function rateLimit(req, res, next) {
-    const ip = req.ip || req.connection.remoteAddress || 'unknown';
-    const now = Date.now();
+// Rate limiting middleware allowing max requests per IP per window
+function createRateLimit(max) {
+    const store = new Map();
+    rateLimitStores.push(store);
 
-    let data = rateLimitStore.get(ip);
-    if (!data || now - data.windowStart > RATE_LIMIT_WINDOW) {
-        data = { windowStart: now, count: 0 };
-    }
+    return function rateLimit(req, res, next) {
+        const ip = req.ip || req.connection.remoteAddress || 'unknown';
+        const now = Date.now();
 
-    data.count++;
-    rateLimitStore.set(ip, data);
+        let data = store.get(ip);
+        if (!data || now - data.windowStart > RATE_LIMIT_WINDOW) {
+            data = { windowStart: now, count: 0 };
+        }
 
-    if (data.count > RATE_LIMIT_MAX) {
-        return res.status(429).json({
-            success: false,
-            error: 'Too many requests. Please slow down.'
-        });
-    }
+        data.count++;
+        store.set(ip, data);
 
-    next();
+        if (data.count > max) {
+            return res.status(429).json({
+                success: false,
+                error: 'Too many requests. Please slow down.'
+            });
+        }
+
+        next();
+    };
 }
 
+const rateLimit = createRateLimit(RATE_LIMIT_MAX);
+const privacyRateLimit = createRateLimit(PRIVACY_RATE_LIMIT_MAX);
+
 // API protection middleware - ensures requests come from our WebUI
 function protectApi(req, res, next) {
-    // Allow health checks
-    if (req.path === '/health') {
+    // Allow health checks (monitoring and container probes have no page token)
+    if (req.path === '/health' || req.path.startsWith('/health/')) {
         return next();
     }
 
+    // EventSource cannot send custom headers, so the live stream passes the token
+    // as a query parameter instead (origin checks below still apply)
+    const isStream = req.path === '/stream';
+
     // Check for required custom header (prevents direct browser access)
     const poolHeader = req.headers['x-pool-request'];
-    if (poolHeader !== 'internal') {
+    if (poolHeader !== 'internal' && !isStream) {
         return res.status(403).json({
             success: false,
             error: 'Direct API access not allowed'
@@ -59,7 +75,7 @@ function protectApi(req, res, next) {
     }
 
     // Check for valid token
-    const token = req.headers['x-pool-token'];
+    const token = isStream ? req.query.token : req.headers['x-pool-token'];
     if (token !== API_TOKEN) {
         return res.status(403).json({
             success: false,
@@ -93,6 +109,45 @@ function protectApi(req, res, next) {
     next();
 }
 
+// Metrics protection - Prometheus can't send the browser token.
+// With METRICS_TOKEN set, scrapers must send "Authorization: Bearer <token>".
+// Without it, only loopback and private network addresses may scrape. That check
+// uses the socket peer, not req.ip: with trust proxy set, req.ip comes from a
+// header the client controls. Requests relayed by a reverse proxy carry the
+// proxy's (local) socket address, so any forwarding header means the token is needed.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+function isPrivateAddress(ip) {
+    const addr = String(ip || '').replace(/^::ffff:/, '');
+    return addr === '::1' ||
+        /^127\./.test(addr) ||
+        /^10\./.test(addr) ||
+        /^192\.168\./.test(addr) ||
+        /^172\.(1[6-9]|2\d|3[01])\./.test(addr) ||
+        /^f[cd][0-9a-f]{2}:/i.test(addr);
+}
+
+function protectMetrics(req, res, next) {
+    if (METRICS_TOKEN) {
+        const auth = req.headers.authorization || '';
+        const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+        const expected = Buffer.from(METRICS_TOKEN);
+        const given = Buffer.from(token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).type('text/plain').send('Unauthorized\n');
+        }
+        return next();
+    }
+
+    const proxied = req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || req.headers.forwarded;
+    if (proxied || !isPrivateAddress(req.socket.remoteAddress)) {
+        return res.status(403).type('text/plain').send('Metrics are only available from the local network. Set METRICS_TOKEN to allow remote scraping.\n');
+    }
+
+    next();
+}
+
 // Middleware to inject API token into pages
 function injectToken(req, res, next) {
     res.locals.apiToken = API_TOKEN;
@@ -106,7 +161,10 @@ function getToken() {
 
 module.exports = {
     rateLimit,
+    privacyRateLimit,
+    PRIVACY_RATE_LIMIT_MAX,
     protectApi,
+    protectMetrics,
     injectToken,
     getToken,
     API_TOKEN
@@ -0,0 +1,73 @@
+// Append-only audit log of admin console actions (one JSON object per line)
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const AUDIT_FILE = path.join(DATA_DIR, 'admin-audit.log');
+// Only the tail is read back for the console; the file itself is never truncated
+const READ_TAIL_BYTES = 256 * 1024;
+
+function ensureDataDir() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+}
+
+// entry: { actor, ip, action, target, ok, detail }
+function record(entry) {
+    const line = {
+        time: Math.floor(Date.now() / 1000),
+        actor: entry.actor || 'unknown',
+        ip: entry.ip || '',
+        action: entry.action,
+        target: entry.target !== undefined ? entry.target : null,
+        ok: entry.ok !== false,
+        detail: entry.detail || null
+    };
+    try {
+        ensureDataDir();
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(line) + '\n');
+    } catch (err) {
+        console.error('Failed to write audit log:', err.message);
+    }
+    return line;
+}
+
+// Most recent entries, newest first
+function readRecent(limit = 50) {
+    try {
+        if (!fs.existsSync(AUDIT_FILE)) return [];
+        const size = fs.statSync(AUDIT_FILE).size;
+        const start = Math.max(0, size - READ_TAIL_BYTES);
+        const fd = fs.openSync(AUDIT_FILE, 'r');
+        const buffer = Buffer.alloc(size - start);
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, start);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        const lines = buffer.toString('utf8').split('\n').filter(Boolean);
+        // Drop a partial first line when reading from the middle of the file
+        if (start > 0) lines.shift();
+
+        const entries = [];
+        for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            try {
+                entries.push(JSON.parse(lines[i]));
+            } catch (e) {
+                // skip corrupt lines
+            }
+        }
+        return entries;
+    } catch (err) {
+        console.error('Failed to read audit log:', err.message);
+        return [];
+    }
+}
+
+module.exports = {
+    AUDIT_FILE,
+    record,
+    readRecent
+};
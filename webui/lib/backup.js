@@ -0,0 +1,214 @@
+// Data dir snapshots: daily rolling backups and the /admin backup/restore bundle
+//
+// A bundle is one JSON document holding every data file, base64-encoded with its sha256:
+//   {"format":"ckpool-webui-backup","version":1,"createdAt":<unix>,"files":{"<name>":{"sha256":"..","content":".."}}}
+// Daily bundles go to DATA_DIR/backups/webui-YYYY-MM-DD.json (BACKUP_RETENTION kept).
+const fs = require('fs');
+const path = require('path');
+const { GENERATIONS, sha256, writeFileAtomic } = require('./safe-file');
+const minerCache = require('./miner-cache');
+const hashrateHistory = require('./hashrate-history');
+const shareHistory = require('./share-history');
+const effortTracker = require('./effort-tracker');
+const leaderboardPeriods = require('./leaderboard-periods');
+const bestShares = require('./best-shares');
+const blockTracker = require('./block-tracker');
+const notifier = require('./notifier');
+const minerRegistry = require('./miner-registry');
+const poolIdentifier = require('./pool-identifier');
+const firmwareInventory = require('./firmware-inventory');
+const apiKeys = require('./api-keys');
+const minerPrivacy = require('./miner-privacy');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION) || 7;
+const CHECK_INTERVAL = 3600000; // Look for a missing daily backup every hour
+
+const FORMAT = 'ckpool-webui-backup';
+const VERSION = 1;
+
+// Never overwritten or removed by a restore: it records the restore itself
+const AUDIT_LOG = 'admin-audit.log';
+
+// Temp files, older generations, quarantined copies and probes are not data
+const SKIP_RE = /(\.tmp|\.\d+|\.corrupt)$/;
+const NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const DAILY_RE = /^webui-\d{4}-\d{2}-\d{2}\.json$/;
+const PRE_RESTORE_RE = /^webui-pre-restore-\d+\.json$/;
+
+let backupTimer = null;
+
+function isDataFile(name) {
+    return NAME_RE.test(name) && !SKIP_RE.test(name);
+}
+
+// Top-level data files (the backups directory itself is not included)
+function listDataFiles() {
+    if (!fs.existsSync(DATA_DIR)) return [];
+    return fs.readdirSync(DATA_DIR, { withFileTypes: true })
+        .filter(entry => entry.isFile() && isDataFile(entry.name))
+        .map(entry => entry.name)
+        .sort();
+}
+
+// Get in-memory state onto disk so the snapshot is current
+async function persistAll() {
+    await minerCache.settle();
+    await minerPrivacy.settle();
+    hashrateHistory.saveHistory();
+    shareHistory.saveHistory();
+    bestShares.saveState();
+    blockTracker.saveState();
+}
+
+async function createSnapshot() {
+    await persistAll();
+
+    const files = {};
+    listDataFiles().forEach(name => {
+        const content = fs.readFileSync(path.join(DATA_DIR, name));
+        files[name] = { sha256: sha256(content), content: content.toString('base64') };
+    });
+    return { format: FORMAT, version: VERSION, createdAt: Math.floor(Date.now() / 1000), files };
+}
+
+function invalid(message) {
+    const err = new Error(message);
+    err.invalidBackup = true;
+    return err;
+}
+
+// Check a bundle before touching anything. Returns name -> Buffer; throws
+// (err.invalidBackup = true) on any problem.
+function verifySnapshot(bundle) {
+    if (!bundle || bundle.format !== FORMAT) {
+        throw invalid('Not a ckpool-webui backup');
+    }
+    if (bundle.version !== VERSION) {
+        throw invalid(`Unsupported backup version ${bundle.version}`);
+    }
+    if (!bundle.files || typeof bundle.files !== 'object') {
+        throw invalid('Backup has no files');
+    }
+
+    const files = new Map();
+    for (const [name, entry] of Object.entries(bundle.files)) {
+        if (!isDataFile(name)) {
+            throw invalid(`Invalid file name in backup: ${name}`);
+        }
+        if (!entry || typeof entry.content !== 'string' || typeof entry.sha256 !== 'string') {
+            throw invalid(`Malformed entry for ${name}`);
+        }
+        const content = Buffer.from(entry.content, 'base64');
+        if (sha256(content) !== entry.sha256) {
+            throw invalid(`Checksum mismatch for ${name}`);
+        }
+        files.set(name, content);
+    }
+    return files;
+}
+
+function writeBundle(name, bundle) {
+    const file = path.join(BACKUP_DIR, name);
+    writeFileAtomic(file, JSON.stringify(bundle));
+    return file;
+}
+
+// Delete all but the newest BACKUP_RETENTION files matching pattern (names sort by date)
+function pruneBackups(pattern) {
+    const names = fs.readdirSync(BACKUP_DIR).filter(name => pattern.test(name)).sort();
+    const stale = names.slice(0, Math.max(0, names.length - BACKUP_RETENTION));
+    stale.forEach(name => {
+        try {
+            fs.unlinkSync(path.join(BACKUP_DIR, name));
+        } catch (err) {
+            console.error('Failed to remove old backup:', err.message);
+        }
+    });
+    return stale.length;
+}
+
+// Write today's backup unless it already exists. Returns the file written or null.
+async function runDailyBackup() {
+    const name = `webui-${new Date().toISOString().slice(0, 10)}.json`;
+    if (fs.existsSync(path.join(BACKUP_DIR, name))) return null;
+
+    const file = writeBundle(name, await createSnapshot());
+    pruneBackups(DAILY_RE);
+    console.log(`Wrote data backup ${name}`);
+    return file;
+}
+
+// Replace the data dir with a bundle and reload every in-memory store.
+// The current state is saved to backups/webui-pre-restore-<time>.json first.
+async function restoreSnapshot(bundle) {
+    const files = verifySnapshot(bundle);
+
+    const current = await createSnapshot();
+    // Everything below is synchronous, so no queued write can land on top of the restored files
+    const preRestore = writeBundle(`webui-pre-restore-${Date.now()}.json`, current);
+    pruneBackups(PRE_RESTORE_RE);
+
+    const restored = [];
+    for (const [name, content] of files) {
+        if (name === AUDIT_LOG) continue;
+        writeFileAtomic(path.join(DATA_DIR, name), content);
+        restored.push(name);
+    }
+
+    // Drop files the bundle doesn't have, with their older generations (readers would fall back to them)
+    const removed = listDataFiles().filter(name => name !== AUDIT_LOG && !files.has(name));
+    removed.forEach(name => {
+        const file = path.join(DATA_DIR, name);
+        fs.unlinkSync(file);
+        for (let i = 1; i <= GENERATIONS; i++) {
+            fs.rmSync(`${file}.${i}`, { force: true });
+        }
+    });
+
+    minerCache.reload();
+    minerPrivacy.reload();
+    hashrateHistory.reloadHistory();
+    shareHistory.reloadHistory();
+    effortTracker.reloadState();
+    leaderboardPeriods.reloadState();
+    bestShares.reloadState();
+    blockTracker.reloadState();
+    notifier.reloadConfig();
+    minerRegistry.reloadRules();
+    poolIdentifier.reloadPools();
+    firmwareInventory.reloadConfig();
+    apiKeys.reloadKeys();
+
+    return { restored, removed, preRestoreBackup: path.basename(preRestore) };
+}
+
+function startBackups(interval = CHECK_INTERVAL) {
+    if (backupTimer) return backupTimer;
+    const run = () => runDailyBackup().catch(err => {
+        console.error('Failed to write data backup:', err.message);
+    });
+    run();
+    backupTimer = setInterval(run, interval);
+    return backupTimer;
+}
+
+function stopBackups() {
+    if (backupTimer) {
+        clearInterval(backupTimer);
+        backupTimer = null;
+    }
+}
+
+module.exports = {
+    BACKUP_DIR,
+    BACKUP_RETENTION,
+    listDataFiles,
+    createSnapshot,
+    verifySnapshot,
+    restoreSnapshot,
+    runDailyBackup,
+    startBackups,
+    stopBackups
+};
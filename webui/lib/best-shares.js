@@ -0,0 +1,224 @@
+// Best-share timeline ("near misses"): every new personal, address or pool best share,
+// with how close it came to a block. Fed by lib/miner-cache's 'bestDiff' event; the
+// recorder polls ckpool's workers itself, so records are noticed within a minute.
+// An event is { time, worker, minerType, diff, previous, networkDiff, blockPercent, records }
+// where records lists what it beat: 'personal' (the worker's own best), 'address' (the
+// best of any worker on the payout address) and/or 'pool'. blockPercent is the share
+// difficulty as a percentage of the network difficulty (100% would have been a block).
+// The first best seen for a worker, address or the pool only sets the baseline.
+const fs = require('fs');
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+const minerCache = require('./miner-cache');
+const effortTracker = require('./effort-tracker');
+const minerPrivacy = require('./miner-privacy');
+const { looksLikeAddress } = require('./bitcoin-address');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const BEST_SHARES_FILE = path.join(DATA_DIR, 'best-shares.json');
+
+const RECORDS = ['personal', 'address', 'pool'];
+// Events kept, oldest dropped first
+const MAX_EVENTS = 1000;
+const DEFAULT_LIMIT = 25;
+const SAMPLE_INTERVAL = 60000; // Poll ckpool once a minute
+const SAVE_INTERVAL = 300000; // Flush to disk every 5 minutes
+
+let state = null;
+let dirty = false;
+let listening = false;
+let saveTimer = null;
+let sampleTimer = null;
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(BEST_SHARES_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+function emptyState() {
+    return { bests: { pool: null, addresses: {} }, events: [] };
+}
+
+// Load events from file (once, then kept in memory)
+function loadState() {
+    if (state) return state;
+
+    try {
+        ensureDataDir();
+        // Falls back to the previous generation if the file is damaged
+        const data = readJSONSafe(BEST_SHARES_FILE);
+        if (data && Array.isArray(data.events)) {
+            state = { ...emptyState(), ...data };
+            return state;
+        }
+    } catch (err) {
+        console.error('Failed to load best shares:', err.message);
+    }
+
+    state = emptyState();
+    return state;
+}
+
+// Save state to file
+function saveState() {
+    if (!state) return;
+
+    try {
+        ensureDataDir();
+        writeJSONAtomic(BEST_SHARES_FILE, state);
+        dirty = false;
+    } catch (err) {
+        console.error('Failed to save best shares:', err.message);
+    }
+}
+
+// Drop the in-memory state and re-read the file (after a restore)
+function reloadState() {
+    state = null;
+    dirty = false;
+    return loadState();
+}
+
+function addressOf(worker) {
+    return worker.split('.')[0];
+}
+
+// Seed the address and pool bests from the miner cache, so the bests we already
+// know about aren't reported again as records
+function seedBests() {
+    const s = loadState();
+    if (s.bests.pool !== null) return;
+
+    for (const [worker, best] of Object.entries(minerCache.loadCache().bestDiffs || {})) {
+        const address = addressOf(worker);
+        s.bests.addresses[address] = Math.max(s.bests.addresses[address] || 0, best);
+        s.bests.pool = Math.max(s.bests.pool || 0, best);
+    }
+}
+
+// Handle a 'bestDiff' event ({ worker, best, previous }); returns the recorded event or null
+function recordBest({ worker, best, previous }, ts) {
+    const s = loadState();
+    if (!ts) ts = Math.floor(Date.now() / 1000);
+    const address = addressOf(worker);
+
+    const records = [];
+    // previous === 0 is the first share we've seen for this worker, not a new record
+    if (previous > 0) {
+        records.push('personal');
+        if (s.bests.addresses[address] !== undefined && best > s.bests.addresses[address]) records.push('address');
+        if (s.bests.pool !== null && best > s.bests.pool) records.push('pool');
+    }
+    s.bests.addresses[address] = Math.max(s.bests.addresses[address] || 0, best);
+    s.bests.pool = Math.max(s.bests.pool || 0, best);
+
+    let event = null;
+    if (records.length > 0) {
+        const networkDiff = effortTracker.getNetworkDiff() || null;
+        event = {
+            time: ts,
+            worker,
+            minerType: minerCache.getMinerType(worker),
+            diff: best,
+            previous,
+            networkDiff,
+            blockPercent: networkDiff ? best / networkDiff * 100 : null,
+            records
+        };
+        s.events.push(event);
+        if (s.events.length > MAX_EVENTS) s.events.splice(0, s.events.length - MAX_EVENTS);
+    }
+
+    dirty = true;
+    return event;
+}
+
+// Pass the workers listing to the miner cache, which emits 'bestDiff' for new bests
+async function sample(ckpool) {
+    try {
+        const workersData = await ckpool.getAllWorkers();
+        if (workersData && Array.isArray(workersData.workers)) {
+            minerCache.updateBestDiffs(workersData.workers);
+        }
+    } catch (err) {
+        console.error('Best shares sample failed:', err.message);
+    }
+}
+
+// Listen for new bests, poll ckpool for them every interval (first poll immediately)
+// and flush them to disk every SAVE_INTERVAL
+function startRecorder(ckpool, interval = SAMPLE_INTERVAL, saveInterval = SAVE_INTERVAL) {
+    if (listening) return;
+    seedBests();
+    minerCache.events.on('bestDiff', recordBest);
+    saveTimer = setInterval(() => {
+        if (dirty) saveState();
+    }, saveInterval);
+    sample(ckpool);
+    sampleTimer = setInterval(() => sample(ckpool), interval);
+    listening = true;
+}
+
+function stopRecorder() {
+    minerCache.events.removeListener('bestDiff', recordBest);
+    if (sampleTimer) {
+        clearInterval(sampleTimer);
+        sampleTimer = null;
+    }
+    if (saveTimer) {
+        clearInterval(saveTimer);
+        saveTimer = null;
+    }
+    if (dirty) saveState();
+    listening = false;
+}
+
+// Event without the payout address, under the worker name given
+function withWorkerName(event, workerName) {
+    const { worker, ...rest } = event;
+    return { ...rest, workerName };
+}
+
+function clampLimit(limit) {
+    const n = parseInt(limit, 10);
+    return n > 0 ? Math.min(n, MAX_EVENTS) : DEFAULT_LIMIT;
+}
+
+// Newest first; record (one of RECORDS) narrows to events that set that kind of record
+function getPoolEvents({ record, limit } = {}) {
+    const only = RECORDS.includes(record) ? record : null;
+    // Public names follow the owners' privacy settings; hidden addresses are left out
+    return loadState().events
+        .filter(event => !only || event.records.includes(only))
+        .map(event => withWorkerName(event, minerPrivacy.publicName(event.worker)))
+        .filter(event => event.workerName !== null)
+        .slice(-clampLimit(limit))
+        .reverse();
+}
+
+function getUserEvents(address, { limit } = {}) {
+    return loadState().events
+        .filter(event => addressOf(event.worker) === address)
+        .slice(-clampLimit(limit))
+        .reverse()
+        .map(event => {
+            // The address's own page names its workers, as the rest of the stats page does
+            const name = event.worker.split('.').slice(1).join('.');
+            return withWorkerName(event, !name || looksLikeAddress(name) ? 'anon' : name);
+        });
+}
+
+module.exports = {
+    RECORDS,
+    loadState,
+    saveState,
+    reloadState,
+    recordBest,
+    startRecorder,
+    stopRecorder,
+    getPoolEvents,
+    getUserEvents
+};
@@ -0,0 +1,237 @@
+// Bitcoin address parsing shared by every route that accepts an address.
+// Legacy addresses are checked with base58check, segwit addresses with
+// bech32 (witness v0, BIP173) or bech32m (v1+, BIP350).
+//   parseAddress('bc1q...') -> { valid: true, address, type: 'p2wpkh', network: 'mainnet' }
+//   parseAddress('bc1x...') -> { valid: false, error: 'Invalid Bitcoin address: ...' }
+// Addresses for another network than the pool's (lib/network.js) are rejected.
+const crypto = require('crypto');
+const network = require('./network');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+// Base58 version byte -> [type, network]. Test networks share version bytes,
+// so signet and regtest legacy addresses report 'testnet'.
+const BASE58_VERSIONS = {
+    0x00: ['p2pkh', 'mainnet'],
+    0x05: ['p2sh', 'mainnet'],
+    0x6f: ['p2pkh', 'testnet'],
+    0xc4: ['p2sh', 'testnet']
+};
+
+// Bech32 human-readable part -> network (signet uses tb as well)
+const BECH32_NETWORKS = {
+    bc: 'mainnet',
+    tb: 'testnet',
+    bcrt: 'regtest'
+};
+
+// Loose shape check used to decide whether a string is meant as an address at all
+const ADDRESS_LIKE = /^(1|3|m|n|2|bc1|tb1|bcrt1)[a-zA-Z0-9]{20,}$/i;
+
+function invalid(reason) {
+    return { valid: false, error: `Invalid Bitcoin address: ${reason}` };
+}
+
+function sha256d(buffer) {
+    return crypto.createHash('sha256').update(crypto.createHash('sha256').update(buffer).digest()).digest();
+}
+
+// Decode base58 to bytes; null on characters outside the alphabet
+function base58Decode(input) {
+    let value = 0n;
+    for (const char of input) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) return null;
+        value = value * 58n + BigInt(digit);
+    }
+
+    const bytes = [];
+    while (value > 0n) {
+        bytes.unshift(Number(value % 256n));
+        value /= 256n;
+    }
+    // Each leading '1' is a leading zero byte
+    for (let i = 0; i < input.length && input[i] === '1'; i++) bytes.unshift(0);
+    return Buffer.from(bytes);
+}
+
+function parseBase58(address) {
+    const bytes = base58Decode(address);
+    if (!bytes) {
+        return invalid('it contains characters that never appear in an address (0, O, I and l are not used)');
+    }
+    if (bytes.length !== 25) {
+        return invalid('it is the wrong length, check that it was copied completely');
+    }
+
+    const payload = bytes.subarray(0, 21);
+    const checksum = sha256d(payload).subarray(0, 4);
+    if (!checksum.equals(bytes.subarray(21))) {
+        return invalid('the checksum does not match, check it for typos');
+    }
+
+    const version = BASE58_VERSIONS[bytes[0]];
+    if (!version) {
+        return invalid('it is not a Bitcoin address (wrong version byte, maybe another coin)');
+    }
+    return { valid: true, address, type: version[0], network: version[1], encoding: 'base58' };
+}
+
+function bech32Polymod(values) {
+    const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let chk = 1;
+    for (const value of values) {
+        const top = chk >> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ value;
+        for (let i = 0; i < 5; i++) {
+            if ((top >> i) & 1) chk ^= GEN[i];
+        }
+    }
+    return chk >>> 0;
+}
+
+function hrpExpand(hrp) {
+    const high = [...hrp].map(c => c.charCodeAt(0) >> 5);
+    const low = [...hrp].map(c => c.charCodeAt(0) & 31);
+    return [...high, 0, ...low];
+}
+
+// Regroup 5-bit words into bytes; null if the padding is invalid
+function fromWords(words) {
+    let acc = 0;
+    let bits = 0;
+    const bytes = [];
+    for (const word of words) {
+        acc = (acc << 5) | word;
+        bits += 5;
+        while (bits >= 8) {
+            bits -= 8;
+            bytes.push((acc >> bits) & 0xff);
+        }
+    }
+    if (bits >= 5 || ((acc << (8 - bits)) & 0xff)) return null;
+    return bytes;
+}
+
+function parseBech32(address) {
+    if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+        return invalid('it mixes upper and lower case letters');
+    }
+    const lower = address.toLowerCase();
+    if (lower.length > 90) {
+        return invalid('it is too long, check that nothing was pasted after it');
+    }
+
+    const separator = lower.lastIndexOf('1');
+    const hrp = lower.slice(0, separator);
+    const addressNetwork = BECH32_NETWORKS[hrp];
+    if (!addressNetwork) {
+        return invalid('it is not a Bitcoin address');
+    }
+
+    const data = [];
+    for (const char of lower.slice(separator + 1)) {
+        const word = BECH32_ALPHABET.indexOf(char);
+        if (word === -1) {
+            return invalid(`it contains "${char}", which never appears in segwit addresses (1, b, i and o are not used)`);
+        }
+        data.push(word);
+    }
+    if (data.length < 7) {
+        return invalid('it is too short, check that it was copied completely');
+    }
+
+    const constant = bech32Polymod([...hrpExpand(hrp), ...data]);
+    const version = data[0];
+    if (constant !== (version === 0 ? BECH32_CONST : BECH32M_CONST)) {
+        return invalid('the checksum does not match, check it for typos');
+    }
+
+    const program = fromWords(data.slice(1, -6));
+    if (version > 16 || !program || program.length < 2 || program.length > 40) {
+        return invalid('it is the wrong length, check that it was copied completely');
+    }
+
+    let type = 'witness_unknown';
+    if (version === 0) {
+        if (program.length === 20) type = 'p2wpkh';
+        else if (program.length === 32) type = 'p2wsh';
+        else return invalid('it is the wrong length, check that it was copied completely');
+    } else if (version === 1 && program.length === 32) {
+        type = 'p2tr';
+    }
+
+    // ckpool keys users by the address as typed, so keep the original case
+    return { valid: true, address, type, network: addressNetwork, encoding: version === 0 ? 'bech32' : 'bech32m' };
+}
+
+// Expected prefixes, for error messages
+function prefixHint(net) {
+    return net.addresses.base58 === 'mainnet'
+        ? '1, 3 or bc1'
+        : `m, n, 2 or ${net.addresses.hrp}1`;
+}
+
+function belongsTo(result, net) {
+    if (result.encoding === 'base58') return result.network === net.addresses.base58;
+    return result.address.toLowerCase().startsWith(`${net.addresses.hrp}1`);
+}
+
+// Parse and checksum-validate an address (surrounding whitespace ignored).
+// net is an entry of network.NETWORKS (default: the pool's network); null accepts any network.
+function parseAddress(input, net = network.getNetwork()) {
+    const address = typeof input === 'string' ? input.trim() : '';
+    if (!address) {
+        return invalid('no address given');
+    }
+
+    let result;
+    if (/^(bc|tb|bcrt)1/i.test(address)) {
+        result = parseBech32(address);
+    } else if (/^[13mn2]/.test(address)) {
+        result = parseBase58(address);
+    } else {
+        return invalid(net
+            ? `addresses on ${net.label} start with ${prefixHint(net)}`
+            : 'addresses start with 1, 3 or bc1 (tb1 or bcrt1 on test networks)');
+    }
+
+    if (result.valid && net && !belongsTo(result, net)) {
+        return invalid(`this is a ${result.network} address, but the pool runs on ${net.label} (addresses start with ${prefixHint(net)})`);
+    }
+    return result;
+}
+
+// Script type and hash of a valid address: the key or script hash for base58
+// addresses, the witness program for segwit ones. null if the address is invalid.
+function decodeAddress(input, net = network.getNetwork()) {
+    const result = parseAddress(input, net);
+    if (!result.valid) return null;
+
+    if (result.encoding === 'base58') {
+        return { type: result.type, hash: base58Decode(result.address).subarray(1, 21) };
+    }
+    const lower = result.address.toLowerCase();
+    const words = [...lower.slice(lower.lastIndexOf('1') + 1)].map(c => BECH32_ALPHABET.indexOf(c));
+    return { type: result.type, hash: Buffer.from(fromWords(words.slice(1, -6))) };
+}
+
+function isValidAddress(input, net) {
+    return parseAddress(input, net).valid;
+}
+
+// True for strings shaped like an address, valid or not (e.g. worker names
+// that are just the payout address)
+function looksLikeAddress(input) {
+    return typeof input === 'string' && ADDRESS_LIKE.test(input);
+}
+
+module.exports = {
+    parseAddress,
+    decodeAddress,
+    isValidAddress,
+    looksLikeAddress
+};
@@ -0,0 +1,40 @@
+// Minimal JSON-RPC client for the local bitcoind
+const { createBreaker } = require('./circuit-breaker');
+
+const RPC_TIMEOUT_MS = 8000;
+
+// Only transport failures trip the breaker; RPC errors mean bitcoind is answering
+const breaker = createBreaker('bitcoind');
+
+function getRpcParams() {
+    const user = process.env.BITCOIN_RPC_USER || '';
+    const pass = process.env.BITCOIN_RPC_PASS || '';
+    const url  = `http://${process.env.BITCOIN_RPC_HOST || '127.0.0.1'}:${process.env.BITCOIN_RPC_PORT || 8332}`;
+    return { url, auth: Buffer.from(`${user}:${pass}`).toString('base64') };
+}
+
+async function rpcCall(method, params = []) {
+    const { url, auth } = getRpcParams();
+    const json = await breaker.call(async () => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Basic ${auth}` },
+            body: JSON.stringify({ method, params, id: 1 }),
+            signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+        });
+        // bitcoind answers RPC errors with HTTP 404/500 and a JSON body
+        if (!response.ok && !(response.headers.get('content-type') || '').includes('json')) {
+            throw new Error(`RPC HTTP ${response.status}`);
+        }
+        return response.json();
+    });
+    if (json.error) throw new Error(json.error.message);
+    return json.result;
+}
+
+module.exports = {
+    RPC_TIMEOUT_MS,
+    breaker,
+    getRpcParams,
+    rpcCall
+};
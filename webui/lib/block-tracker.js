@@ -0,0 +1,339 @@
+// Tracks blocks solved by this pool
+// Sources:
+//   1. ckpool log (CKPOOL_LOGS_DIR/ckpool.log) - "Solved and confirmed block <height> by <worker>"
+//   2. bitcoind RPC - new blocks whose coinbase carries our POOL_SIGNATURE tag
+// Found blocks are persisted to data/blocks.json
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const EventEmitter = require('events');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+const { rpcCall } = require('./bitcoin-rpc');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const BLOCKS_FILE = path.join(DATA_DIR, 'blocks.json');
+const CKPOOL_LOGS_DIR = process.env.CKPOOL_LOGS_DIR || '/var/log/ckpool';
+const CKPOOL_LOG_FILE = path.join(CKPOOL_LOGS_DIR, 'ckpool.log');
+const POOL_SIGNATURE = process.env.POOL_SIGNATURE || '';
+
+const CHECK_INTERVAL = 60000;
+// On first run, also check this many recent chain blocks for our signature
+const RPC_BACKFILL_BLOCKS = 6;
+// Most chain blocks checked per pass; after downtime the rest follow on the next checks
+const RPC_SCAN_MAX_BLOCKS = 144;
+
+// ckpool log lines: "[2024-05-01 12:34:56.789] <message>"
+const LOG_LINE_RE = /^\[(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?)\]\s+(.*)$/;
+const POSSIBLE_SOLVE_RE = /Possible (?:stale share )?block solve diff ([\d.]+)/;
+const SOLVED_RE = /Solved and confirmed block (\d+) by (\S+)/;
+
+// Emits 'block' with the block record when a new block is recorded
+const events = new EventEmitter();
+
+let state = null;
+let checkTimer = null;
+let checking = false;
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(BLOCKS_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+// Load tracker state from file (once, then kept in memory)
+function loadState() {
+    if (state) return state;
+
+    try {
+        ensureDataDir();
+        // Falls back to the previous generation if the file is damaged
+        const data = readJSONSafe(BLOCKS_FILE);
+        if (data) {
+            state = {
+                blocks: data.blocks || [],
+                logOffset: data.logOffset || 0,
+                lastScannedHeight: data.lastScannedHeight || 0
+            };
+            return state;
+        }
+    } catch (err) {
+        console.error('Failed to load block history:', err.message);
+    }
+
+    state = { blocks: [], logOffset: 0, lastScannedHeight: 0 };
+    return state;
+}
+
+// Save tracker state to file
+function saveState() {
+    if (!state) return;
+
+    try {
+        ensureDataDir();
+        writeJSONAtomic(BLOCKS_FILE, state);
+    } catch (err) {
+        console.error('Failed to save block history:', err.message);
+    }
+}
+
+// Add or merge a found block (keyed by height). Returns true if anything changed.
+function recordBlock(block) {
+    const s = loadState();
+    const existing = s.blocks.find(b => b.height === block.height);
+
+    if (existing) {
+        let changed = false;
+        for (const [key, value] of Object.entries(block)) {
+            if (value !== undefined && value !== null && value !== '' && existing[key] !== value) {
+                // Keep the earliest timestamp and the log's worker name
+                if (key === 'timestamp' && existing.timestamp) continue;
+                if (key === 'source') continue;
+                existing[key] = value;
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    const record = {
+        height: block.height,
+        hash: block.hash || null,
+        address: block.address || null,
+        worker: block.worker || null,
+        shareDiff: block.shareDiff || 0,
+        networkDiff: block.networkDiff || 0,
+        reward: block.reward || 0,
+        timestamp: block.timestamp || Math.floor(Date.now() / 1000),
+        source: block.source || 'log',
+        status: block.status || 'pending'
+    };
+    s.blocks.push(record);
+    s.blocks.sort((a, b) => b.height - a.height);
+    console.log(`Block ${block.height} found by ${block.worker || block.address || 'pool'}`);
+    events.emit('block', { ...record });
+    return true;
+}
+
+// Parse "[date time]" from a ckpool log line into a unix timestamp (ckpool logs local time)
+function parseLogTimestamp(date, time) {
+    const ms = new Date(`${date}T${time}`).getTime();
+    return isNaN(ms) ? 0 : Math.floor(ms / 1000);
+}
+
+// Extract found blocks from ckpool log lines
+function parseLogLines(lines) {
+    const found = [];
+    let pendingDiff = 0;
+
+    for (const line of lines) {
+        const m = line.match(LOG_LINE_RE);
+        const message = m ? m[3] : line;
+
+        const possible = message.match(POSSIBLE_SOLVE_RE);
+        if (possible) {
+            pendingDiff = parseFloat(possible[1]) || 0;
+            continue;
+        }
+
+        const solved = message.match(SOLVED_RE);
+        if (solved) {
+            const worker = solved[2];
+            found.push({
+                height: parseInt(solved[1], 10),
+                address: worker.split('.')[0],
+                worker,
+                shareDiff: pendingDiff,
+                timestamp: m ? parseLogTimestamp(m[1], m[2]) : 0,
+                source: 'log'
+            });
+            pendingDiff = 0;
+        }
+    }
+
+    return found;
+}
+
+// Read new lines from the ckpool log since the last offset
+async function scanLog() {
+    const s = loadState();
+    if (!fs.existsSync(CKPOOL_LOG_FILE)) return [];
+
+    const { size } = fs.statSync(CKPOOL_LOG_FILE);
+    // Log was rotated or truncated: start over
+    if (size < s.logOffset) s.logOffset = 0;
+    if (size === s.logOffset) return [];
+
+    const lines = [];
+    const stream = fs.createReadStream(CKPOOL_LOG_FILE, { start: s.logOffset, end: size - 1 });
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of rl) {
+        // Only keep lines we care about - the log can be large on first scan
+        if (line.includes('block solve diff') || line.includes('Solved and confirmed block')) {
+            lines.push(line);
+        }
+    }
+
+    s.logOffset = size;
+    return parseLogLines(lines);
+}
+
+function signatureHex() {
+    return POOL_SIGNATURE ? Buffer.from(POOL_SIGNATURE, 'utf8').toString('hex').toLowerCase() : '';
+}
+
+// Summarise a block's coinbase (from getblock verbosity 2)
+function inspectCoinbase(block) {
+    const coinbaseTx = block && block.tx && block.tx[0];
+    if (!coinbaseTx) return null;
+
+    const scriptSig = (coinbaseTx.vin?.[0]?.coinbase || '').toLowerCase();
+    const outputs = coinbaseTx.vout || [];
+    const reward = outputs.reduce((sum, out) => sum + Math.round((out.value || 0) * 1e8), 0);
+    // Solo mode pays the whole reward to the finder: take the largest output's address
+    const payout = outputs.slice().sort((a, b) => (b.value || 0) - (a.value || 0))[0];
+    const address = payout?.scriptPubKey?.address || payout?.scriptPubKey?.addresses?.[0] || null;
+    const sig = signatureHex();
+
+    return {
+        reward,
+        address,
+        hasSignature: sig ? scriptSig.includes(sig) : false
+    };
+}
+
+async function getBlockAtHeight(height) {
+    const hash = await rpcCall('getblockhash', [height]);
+    return rpcCall('getblock', [hash, 2]);
+}
+
+// Fill in hash/reward for blocks found via the log and check they are still in the chain
+async function enrichBlocks() {
+    const s = loadState();
+    let changed = false;
+
+    for (const block of s.blocks) {
+        if (block.status !== 'pending') continue;
+        try {
+            const chainBlock = await getBlockAtHeight(block.height);
+            const coinbase = inspectCoinbase(chainBlock);
+            const ours = !POOL_SIGNATURE || coinbase?.hasSignature;
+            block.hash = chainBlock.hash;
+            block.networkDiff = chainBlock.difficulty || block.networkDiff;
+            block.reward = ours ? (coinbase?.reward || 0) : block.reward;
+            block.address = block.address || coinbase?.address || null;
+            block.status = ours ? 'confirmed' : 'orphaned';
+            changed = true;
+        } catch (err) {
+            // bitcoind unavailable - retry on next check
+            break;
+        }
+    }
+
+    return changed;
+}
+
+// Check new chain blocks for our coinbase signature (at most RPC_SCAN_MAX_BLOCKS per call)
+async function scanChain() {
+    if (!POOL_SIGNATURE) return false;
+
+    const s = loadState();
+    const tip = await rpcCall('getblockcount');
+    const from = s.lastScannedHeight ? s.lastScannedHeight + 1 : Math.max(0, tip - RPC_BACKFILL_BLOCKS + 1);
+    const to = Math.min(tip, from + RPC_SCAN_MAX_BLOCKS - 1);
+    let changed = false;
+
+    for (let height = from; height <= to; height++) {
+        const chainBlock = await getBlockAtHeight(height);
+        const coinbase = inspectCoinbase(chainBlock);
+        if (coinbase && coinbase.hasSignature) {
+            changed = recordBlock({
+                height,
+                hash: chainBlock.hash,
+                address: coinbase.address,
+                networkDiff: chainBlock.difficulty || 0,
+                reward: coinbase.reward,
+                timestamp: chainBlock.time,
+                source: 'rpc',
+                status: 'confirmed'
+            }) || changed;
+        }
+        s.lastScannedHeight = height;
+    }
+
+    return changed || from <= to;
+}
+
+// Run one check of all sources and persist changes
+async function check() {
+    if (checking) return;
+    checking = true;
+    let changed = false;
+
+    try {
+        const fromLog = await scanLog();
+        fromLog.forEach(block => { changed = recordBlock(block) || changed; });
+        changed = changed || fromLog.length > 0;
+    } catch (err) {
+        console.error('Block tracker log scan failed:', err.message);
+    }
+
+    try {
+        changed = (await scanChain()) || changed;
+        changed = (await enrichBlocks()) || changed;
+    } catch (err) {
+        // bitcoind unreachable - log-based detection still works
+    }
+
+    if (changed) saveState();
+    checking = false;
+}
+
+// Start periodic block detection (first check immediately)
+function startTracker(interval = CHECK_INTERVAL) {
+    if (checkTimer) return checkTimer;
+    loadState();
+    check();
+    checkTimer = setInterval(check, interval);
+    return checkTimer;
+}
+
+function stopTracker() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+        checkTimer = null;
+    }
+}
+
+// Blocks found by the pool, newest first (orphaned blocks excluded unless requested)
+function getBlocks(includeOrphaned = false) {
+    const blocks = loadState().blocks;
+    return includeOrphaned ? blocks.slice() : blocks.filter(b => b.status !== 'orphaned');
+}
+
+function getBlockCount() {
+    return getBlocks().length;
+}
+
+// Drop the in-memory state and re-read the file (after a restore)
+function reloadState() {
+    state = null;
+    return loadState();
+}
+
+module.exports = {
+    events,
+    loadState,
+    saveState,
+    reloadState,
+    recordBlock,
+    parseLogLines,
+    inspectCoinbase,
+    RPC_SCAN_MAX_BLOCKS,
+    check,
+    startTracker,
+    stopTracker,
+    getBlocks,
+    getBlockCount
+};
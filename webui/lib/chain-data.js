@@ -0,0 +1,168 @@
+// Network data for /api/network, /api/blocks/recent and /api/efficiency.
+// Each getter asks the mempool API first and, when it has nothing (down, circuit
+// open, not configured), computes the same figures from the local bitcoind.
+// Replies keep the mempool API's shape, so callers don't care where they came from.
+// NETWORK_DATA_SOURCE picks the provider (see lib/mempool-api.js): with
+// "bitcoind" nothing is sent to the mempool API; with "mempool" there is no fallback.
+const { rpcCall } = require('./bitcoin-rpc');
+const { fetchMempool, getDataSource } = require('./mempool-api');
+const poolIdentifier = require('./pool-identifier');
+
+const RETARGET_INTERVAL = 2016;
+const TARGET_BLOCK_TIME = 600;
+// Difficulty can move at most 4x either way per retarget
+const MAX_DIFFICULTY_CHANGE = 300;
+const MIN_DIFFICULTY_CHANGE = -75;
+const RECENT_BLOCKS = 10;
+
+// Confirmation targets for the mempool API's fee levels
+const FEE_TARGETS = {
+    fastestFee: 1,
+    halfHourFee: 3,
+    hourFee: 6,
+    economyFee: 144
+};
+
+// BTC/kvB -> sat/vB (via whole sat/kvB, so 0.0002 is exactly 20)
+function toSatPerVbyte(btcPerKvb) {
+    return Math.round(btcPerKvb * 100000000) / 1000;
+}
+
+async function withFallback(apiPath, fromNode) {
+    const data = await fetchMempool(apiPath);
+    if (data !== null || getDataSource() === 'mempool') return data;
+
+    try {
+        return await fromNode();
+    } catch (err) {
+        // Don't log every fast-failed call while the circuit is open
+        if (!err.circuitOpen) console.error(`Failed to get ${apiPath} data from bitcoind:`, err.message);
+        return null;
+    }
+}
+
+async function blockHeader(height) {
+    const hash = await rpcCall('getblockhash', [height]);
+    return rpcCall('getblockheader', [hash]);
+}
+
+// Progress through the current retarget period, like /v1/difficulty-adjustment
+async function nodeDifficultyAdjustment() {
+    const height = await rpcCall('getblockcount');
+    const epochStart = height - (height % RETARGET_INTERVAL);
+    const [start, previous] = await Promise.all([
+        blockHeader(epochStart),
+        epochStart >= RETARGET_INTERVAL ? blockHeader(epochStart - RETARGET_INTERVAL) : null
+    ]);
+
+    const blocksInEpoch = height - epochStart;
+    const elapsed = Math.max(1, Math.floor(Date.now() / 1000) - start.time);
+    const timeAvg = blocksInEpoch > 0 ? elapsed / blocksInEpoch : TARGET_BLOCK_TIME;
+    const remainingBlocks = RETARGET_INTERVAL - blocksInEpoch;
+    const remainingTime = Math.round(remainingBlocks * timeAvg * 1000);
+    const difficultyChange = (TARGET_BLOCK_TIME / timeAvg - 1) * 100;
+
+    return {
+        progressPercent: (blocksInEpoch / RETARGET_INTERVAL) * 100,
+        difficultyChange: Math.min(MAX_DIFFICULTY_CHANGE, Math.max(MIN_DIFFICULTY_CHANGE, difficultyChange)),
+        estimatedRetargetDate: Date.now() + remainingTime,
+        remainingBlocks,
+        remainingTime,
+        previousRetarget: previous && previous.difficulty > 0
+            ? (start.difficulty / previous.difficulty - 1) * 100
+            : 0
+    };
+}
+
+// estimatesmartfee per confirmation target, never below the mempool minimum
+async function nodeFees() {
+    const [info, ...estimates] = await Promise.all([
+        rpcCall('getmempoolinfo'),
+        ...Object.values(FEE_TARGETS).map(target => rpcCall('estimatesmartfee', [target]))
+    ]);
+
+    const minimumFee = Math.max(1, Math.ceil(toSatPerVbyte(info.mempoolminfee || 0)));
+    const fees = { minimumFee };
+    Object.keys(FEE_TARGETS).forEach((name, index) => {
+        const feerate = estimates[index] && estimates[index].feerate;
+        fees[name] = feerate ? Math.max(minimumFee, Math.ceil(toSatPerVbyte(feerate))) : minimumFee;
+    });
+    return fees;
+}
+
+async function nodeMempool() {
+    const info = await rpcCall('getmempoolinfo');
+    return {
+        count: info.size || 0,
+        vsize: info.bytes || 0,
+        total_fee: Math.round((info.total_fee || 0) * 100000000)
+    };
+}
+
+async function nodeHashrate() {
+    const [hashrate, info] = await Promise.all([
+        rpcCall('getnetworkhashps'),
+        rpcCall('getblockchaininfo')
+    ]);
+    return { currentHashrate: hashrate, currentDifficulty: info.difficulty, currentHeight: info.blocks };
+}
+
+// Newest blocks in the /v1/blocks shape. Size, weight and reward come from
+// getblockstats, which pruned nodes can't answer for old blocks (left at 0).
+// The mining pool is filled in by getRecentBlocks.
+async function nodeRecentBlocks(count = RECENT_BLOCKS) {
+    const tip = await rpcCall('getblockcount');
+    const heights = [];
+    for (let height = tip; height >= 0 && heights.length < count; height--) heights.push(height);
+
+    return Promise.all(heights.map(async height => {
+        const header = await blockHeader(height);
+        const stats = await rpcCall('getblockstats', [height, ['total_size', 'total_weight', 'subsidy', 'totalfee']])
+            .catch(() => null);
+        return {
+            id: header.hash,
+            height: header.height,
+            timestamp: header.time,
+            tx_count: header.nTx,
+            size: stats ? stats.total_size : 0,
+            weight: stats ? stats.total_weight : 0,
+            extras: { pool: null, reward: stats ? stats.subsidy + stats.totalfee : 0 }
+        };
+    }));
+}
+
+function getDifficultyAdjustment() {
+    return withFallback('/v1/difficulty-adjustment', nodeDifficultyAdjustment);
+}
+
+function getFees() {
+    return withFallback('/v1/fees/recommended', nodeFees);
+}
+
+function getMempoolStats() {
+    return withFallback('/mempool', nodeMempool);
+}
+
+function getNetworkHashrate() {
+    return withFallback('/v1/mining/hashrate/3d', nodeHashrate);
+}
+
+// Pools the mempool API didn't name (or every pool, from bitcoind) come from the coinbase
+async function getRecentBlocks() {
+    const blocks = await withFallback('/v1/blocks', nodeRecentBlocks);
+    return blocks ? poolIdentifier.identifyBlocks(blocks) : blocks;
+}
+
+// bitcoind has no exchange rates, so prices are mempool-only
+function getPrices() {
+    return fetchMempool('/v1/prices');
+}
+
+module.exports = {
+    getDifficultyAdjustment,
+    getFees,
+    getMempoolStats,
+    getNetworkHashrate,
+    getRecentBlocks,
+    getPrices
+};
@@ -0,0 +1,95 @@
+// Circuit breaker for upstream dependencies (ckpool sockets, bitcoind, mempool API)
+//
+// closed:    calls go through; consecutive failures are counted
+// open:      after FAILURE_THRESHOLD failures, calls fail immediately for RESET_TIMEOUT
+// half-open: after RESET_TIMEOUT one trial call goes through; success closes the
+//            circuit, failure opens it again
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+const RESET_TIMEOUT = parseInt(process.env.CIRCUIT_RESET_TIMEOUT) || 15000;
+
+function createBreaker(name, options = {}) {
+    const threshold = options.threshold || FAILURE_THRESHOLD;
+    const resetTimeout = options.resetTimeout || RESET_TIMEOUT;
+
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let lastError = null;
+    let trialInFlight = false;
+
+    function currentState() {
+        if (state === 'open' && Date.now() - openedAt >= resetTimeout) {
+            state = 'half-open';
+        }
+        return state;
+    }
+
+    function onSuccess() {
+        state = 'closed';
+        failures = 0;
+        lastError = null;
+    }
+
+    function onFailure(err) {
+        failures++;
+        lastError = err.message;
+        if (state === 'half-open' || failures >= threshold) {
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    async function call(fn) {
+        const current = currentState();
+        if (current === 'open' || (current === 'half-open' && trialInFlight)) {
+            const err = new Error(`${name} unavailable (circuit open)`);
+            err.circuitOpen = true;
+            throw err;
+        }
+
+        const isTrial = current === 'half-open';
+        if (isTrial) trialInFlight = true;
+        try {
+            const result = await fn();
+            onSuccess();
+            return result;
+        } catch (err) {
+            onFailure(err);
+            throw err;
+        } finally {
+            if (isTrial) trialInFlight = false;
+        }
+    }
+
+    function status() {
+        return {
+            name,
+            state: currentState(),
+            failures,
+            openedAt: state === 'closed' ? null : openedAt,
+            lastError
+        };
+    }
+
+    function reset() {
+        state = 'closed';
+        failures = 0;
+        openedAt = 0;
+        lastError = null;
+        trialInFlight = false;
+    }
+
+    return {
+        name,
+        call,
+        status,
+        reset,
+        isOpen: () => currentState() === 'open'
+    };
+}
+
+module.exports = {
+    FAILURE_THRESHOLD,
+    RESET_TIMEOUT,
+    createBreaker
+};
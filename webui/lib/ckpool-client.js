@@ -1,21 +1,63 @@
 const net = require('net');
 const fs = require('fs');
 const path = require('path');
+const { createBreaker } = require('./circuit-breaker');
 
 const SOCKET_TIMEOUT = 3000;
+// How long a workers/clients listing is shared between callers
+const SNAPSHOT_TTL = 5000;
 
 class CKPoolClient {
-    constructor(socketDir) {
+    constructor(socketDir, timeout) {
         const dir = socketDir || process.env.CKPOOL_SOCKET_DIR || '/tmp/ckpool';
+        this.timeout = timeout || SOCKET_TIMEOUT;
         // Listener socket for stratifierstats/connectorstats
         this.listenerSocket = path.join(dir, 'listener');
         // Stratifier socket for API commands (poolstats, users, getuser, etc.)
         this.stratifierSocket = path.join(dir, 'stratifier');
+        // Connector socket for connection-level control (dropclient, stats)
+        this.connectorSocket = path.join(dir, 'connector');
+        // Concurrent identical commands share one socket round-trip
+        this.inflight = new Map();
+        // Short-lived bulk listings: { workers: {data, timestamp}, clients: {...} }
+        this.snapshots = {};
+        // Fail fast while a socket is gone instead of waiting for the timeout on every request
+        this.breakers = {
+            listener: createBreaker('ckpool listener'),
+            stratifier: createBreaker('ckpool stratifier'),
+            connector: createBreaker('ckpool connector')
+        };
     }
 
-    // CKPool protocol: 4 bytes (uint32 LE) length prefix + message
+    breakerFor(socket) {
+        if (socket === this.stratifierSocket) return this.breakers.stratifier;
+        if (socket === this.connectorSocket) return this.breakers.connector;
+        return this.breakers.listener;
+    }
+
+    // Coalesces identical commands already in flight into a single request
     sendCommand(command, socketPath = null) {
         const socket = socketPath || this.listenerSocket;
+        const key = `${socket}|${command}`;
+        const pending = this.inflight.get(key);
+        if (pending) return pending;
+
+        const request = this.breakerFor(socket).call(() => this.request(command, socket));
+        this.inflight.set(key, request);
+        const clear = () => this.inflight.delete(key);
+        request.then(clear, clear);
+        return request;
+    }
+
+    // Runtime control commands (dropclient, loglevel, ...) - never coalesced, and
+    // ckpool closing the socket without a reply counts as success (resolves null)
+    sendControl(command, socketPath = null) {
+        const socket = socketPath || this.listenerSocket;
+        return this.breakerFor(socket).call(() => this.request(command, socket, true));
+    }
+
+    // CKPool protocol: 4 bytes (uint32 LE) length prefix + message
+    request(command, socket, allowEmpty = false) {
         return new Promise((resolve, reject) => {
             if (!fs.existsSync(socket)) {
                 reject(new Error(`Socket not found: ${socket}`));
@@ -27,7 +69,7 @@ class CKPoolClient {
             let expectedLength = null;
             let resolved = false;
 
-            client.setTimeout(SOCKET_TIMEOUT);
+            client.setTimeout(this.timeout);
 
             client.on('connect', () => {
                 const msgBuffer = Buffer.from(command, 'utf8');
@@ -68,6 +110,9 @@ class CKPoolClient {
                     } catch (e) {
                         resolve(responseBuffer.toString('utf8'));
                     }
+                } else if (!resolved && allowEmpty) {
+                    resolved = true;
+                    resolve(null);
                 } else if (!resolved) {
                     reject(new Error('Connection closed without response'));
                 }
@@ -146,16 +191,47 @@ class CKPoolClient {
 
     async getAllUsers() {
         try {
-            return await this.sendCommand('users', this.stratifierSocket);
+            return await this.getSnapshot('users');
         } catch (err) {
             console.error('Failed to get users list:', err.message);
             return null;
         }
     }
 
+    // Bulk listing shared by every caller for SNAPSHOT_TTL. Treat the result as read-only.
+    async getSnapshot(command) {
+        const snapshot = this.snapshots[command];
+        if (snapshot && Date.now() - snapshot.timestamp < SNAPSHOT_TTL) {
+            return snapshot.data;
+        }
+
+        const data = await this.sendCommand(command, this.stratifierSocket);
+        // Only keep well-formed listings; error replies are retried on the next call
+        if (data && typeof data === 'object' && !data.error) {
+            this.snapshots[command] = { data, timestamp: Date.now() };
+        }
+        return data;
+    }
+
+    clearSnapshots() {
+        this.snapshots = {};
+    }
+
+    // Worker entry from the shared workers snapshot, so pages listing several
+    // workers don't need one getworker round-trip each. Falls back to getworker
+    // when the listing is unavailable.
+    async findWorker(btcAddress, workerName) {
+        const workerFullName = workerName ? `${btcAddress}.${workerName}` : btcAddress;
+        const workersData = await this.getAllWorkers();
+        if (workersData && Array.isArray(workersData.workers)) {
+            return workersData.workers.find(w => (w.worker || w.workername) === workerFullName) || null;
+        }
+        return this.getWorkerStats(btcAddress, workerName);
+    }
+
     async getAllWorkers() {
         try {
-            return await this.sendCommand('workers', this.stratifierSocket);
+            return await this.getSnapshot('workers');
         } catch (err) {
             console.error('Failed to get workers list:', err.message);
             return null;
@@ -207,7 +283,7 @@ class CKPoolClient {
     async getAllClients() {
         try {
             // Get all connected clients with their info
-            return await this.sendCommand('clients', this.stratifierSocket);
+            return await this.getSnapshot('clients');
         } catch (err) {
             console.error('Failed to get clients list:', err.message);
             return null;
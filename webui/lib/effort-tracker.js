@@ -0,0 +1,327 @@
+// Luck/effort accounting for the pool and each address
+// A round runs from the last block found (or from when tracking started) to the next.
+// Its effort is the work done so far as a share of the work expected per block:
+// every sample adds the increase in difficulty-weighted accepted shares divided by the
+// network difficulty at that time, so rounds that span retargets are weighed correctly.
+//   effort = Σ Δshares / networkDiff     (100% = one block's worth of work)
+// Luck is the inverse of the average effort over found blocks (200% = blocks took half
+// the expected work). Rounds are closed by lib/block-tracker's 'block' event.
+// Effort history is kept hourly for 30d and daily forever, plus a point at each found
+// block and each difficulty retarget.
+const fs = require('fs');
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+const { increase } = require('./stats-parser');
+const blockTracker = require('./block-tracker');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const EFFORT_FILE = path.join(DATA_DIR, 'effort.json');
+
+const SAMPLE_INTERVAL = 60000;       // Poll ckpool once a minute
+const SAVE_INTERVAL = 300000;        // Flush to disk every 5 minutes
+
+// Spacing and retention (seconds) of history points per resolution. Retention 0 = keep forever.
+const RESOLUTIONS = {
+    hour: { step: 3600, retention: 30 * 86400 },
+    day: { step: 86400, retention: 0 }
+};
+
+// Range requested by the API -> resolution that covers it
+const RANGES = {
+    '30d': 'hour',
+    'all': 'day'
+};
+
+// Found-block rounds kept for the pool and per address
+const POOL_ROUNDS = 100;
+const USER_ROUNDS = 25;
+const RETARGETS = 100;
+// Workers/addresses without shares for this long are forgotten
+const INACTIVE_AFTER = 30 * 86400;
+
+let state = null;
+let dirty = false;
+let lastSave = 0;
+let samplerTimer = null;
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(EFFORT_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+function emptyRound(ts) {
+    return { start: ts, effort: 0, shares: 0, seen: ts, rounds: [], hour: [], day: [] };
+}
+
+function emptyState() {
+    return {
+        totals: { pool: null, workers: {} },
+        networkDiff: 0,
+        retargets: [],
+        pool: emptyRound(Math.floor(Date.now() / 1000)),
+        users: {}
+    };
+}
+
+// Load tracker state from file (once, then kept in memory)
+function loadState() {
+    if (state) return state;
+
+    try {
+        ensureDataDir();
+        // Falls back to the previous generation if the file is damaged
+        const data = readJSONSafe(EFFORT_FILE);
+        if (data && data.pool) {
+            state = { ...emptyState(), ...data };
+            return state;
+        }
+    } catch (err) {
+        console.error('Failed to load effort history:', err.message);
+    }
+
+    state = emptyState();
+    return state;
+}
+
+// Save state to file
+function saveState() {
+    if (!state) return;
+
+    try {
+        ensureDataDir();
+        writeJSONAtomic(EFFORT_FILE, state);
+        dirty = false;
+        lastSave = Date.now();
+    } catch (err) {
+        console.error('Failed to save effort history:', err.message);
+    }
+}
+
+// Drop the in-memory state and re-read the file (after a restore)
+function reloadState() {
+    state = null;
+    dirty = false;
+    return loadState();
+}
+
+// Points are [time, effort]; a new one once a step has passed, or always when forced
+function recordPoint(round, ts, force = false) {
+    for (const [name, res] of Object.entries(RESOLUTIONS)) {
+        const points = round[name];
+        const last = points[points.length - 1];
+        if (force || !last || ts - last[0] >= res.step) points.push([ts, round.effort]);
+        if (res.retention) {
+            const cutoff = ts - res.retention;
+            let drop = 0;
+            while (drop < points.length && points[drop][0] < cutoff) drop++;
+            if (drop > 0) points.splice(0, drop);
+        }
+    }
+}
+
+function addWork(round, shares, networkDiff, ts) {
+    if (shares > 0 && networkDiff > 0) {
+        round.shares += shares;
+        round.effort += shares / networkDiff;
+        round.seen = ts;
+    }
+    recordPoint(round, ts);
+}
+
+// Record one sample from ckpool's poolstats + workers responses
+function recordSnapshot(poolStats, workersData, ts) {
+    const s = loadState();
+    if (!ts) ts = Math.floor(Date.now() / 1000);
+
+    const poolstats = poolStats && poolStats.poolstats;
+    if (!poolstats || poolstats.error) return;
+
+    // Retarget: mark it on every history so the change in slope lines up
+    const networkDiff = poolstats.diff || s.networkDiff;
+    if (poolstats.diff && poolstats.diff !== s.networkDiff) {
+        if (s.networkDiff) {
+            s.retargets.push([ts, poolstats.diff]);
+            if (s.retargets.length > RETARGETS) s.retargets.splice(0, s.retargets.length - RETARGETS);
+            recordPoint(s.pool, ts, true);
+            Object.values(s.users).forEach(round => recordPoint(round, ts, true));
+        }
+        s.networkDiff = poolstats.diff;
+    }
+
+    // First sight of a running total only sets the baseline
+    const accepted = poolstats.accepted || 0;
+    addWork(s.pool, s.totals.pool === null ? 0 : increase(accepted, s.totals.pool), networkDiff, ts);
+    s.totals.pool = accepted;
+
+    const workers = workersData && Array.isArray(workersData.workers) ? workersData.workers : [];
+    const userShares = {};
+    workers.forEach(worker => {
+        const fullName = worker.worker || worker.workername || '';
+        if (!fullName) return;
+        const user = worker.user || fullName.split('.')[0];
+        const shares = worker.shares || 0;
+        const previous = s.totals.workers[fullName];
+
+        userShares[user] = (userShares[user] || 0) + (previous ? increase(shares, previous[0]) : 0);
+        s.totals.workers[fullName] = [shares, ts];
+    });
+
+    for (const [user, shares] of Object.entries(userShares)) {
+        if (!s.users[user]) s.users[user] = emptyRound(ts);
+        addWork(s.users[user], shares, networkDiff, ts);
+    }
+
+    // Forget workers and addresses gone quiet (their rounds would never move again)
+    for (const [fullName, [, seen]] of Object.entries(s.totals.workers)) {
+        if (ts - seen > INACTIVE_AFTER) delete s.totals.workers[fullName];
+    }
+    for (const [user, round] of Object.entries(s.users)) {
+        if (ts - round.seen > INACTIVE_AFTER && round.rounds.length === 0) delete s.users[user];
+    }
+
+    dirty = true;
+}
+
+function closeRound(round, block, ts, limit) {
+    recordPoint(round, ts, true);
+    round.rounds.push({ height: block.height, time: ts, start: round.start, effort: round.effort, shares: round.shares });
+    if (round.rounds.length > limit) round.rounds.splice(0, round.rounds.length - limit);
+    round.start = ts;
+    round.effort = 0;
+    round.shares = 0;
+    round.seen = ts;
+    recordPoint(round, ts, true);
+}
+
+// A block was found: end the pool's round, and the finder's. Blocks from before
+// a round started (an old ckpool log read on first run) predate tracking and are skipped.
+function recordBlock(block) {
+    const s = loadState();
+    const ts = block.timestamp || Math.floor(Date.now() / 1000);
+    // Log entries only name the worker ("<address>.<worker>") until bitcoind fills in the address
+    const address = block.address || (block.worker ? block.worker.split('.')[0] : null);
+
+    if (ts < s.pool.start) return;
+
+    if (address) {
+        if (!s.users[address]) s.users[address] = emptyRound(s.pool.start);
+        if (ts >= s.users[address].start) closeRound(s.users[address], block, ts, USER_ROUNDS);
+    }
+    closeRound(s.pool, block, ts, POOL_ROUNDS);
+
+    dirty = true;
+    saveState();
+}
+
+// Take one sample from ckpool and flush to disk if due
+async function sample(ckpool) {
+    try {
+        const [poolStats, workersData] = await Promise.all([
+            ckpool.getPoolStats(),
+            ckpool.getAllWorkers()
+        ]);
+        recordSnapshot(poolStats, workersData);
+
+        if (dirty && Date.now() - lastSave >= SAVE_INTERVAL) {
+            saveState();
+        }
+    } catch (err) {
+        console.error('Effort sample failed:', err.message);
+    }
+}
+
+// Start the background sampler (first sample immediately)
+function startSampler(ckpool, interval = SAMPLE_INTERVAL) {
+    if (samplerTimer) return samplerTimer;
+    loadState();
+    lastSave = Date.now();
+    blockTracker.events.on('block', recordBlock);
+    sample(ckpool);
+    samplerTimer = setInterval(() => sample(ckpool), interval);
+    return samplerTimer;
+}
+
+function stopSampler() {
+    if (samplerTimer) {
+        clearInterval(samplerTimer);
+        samplerTimer = null;
+    }
+    blockTracker.events.removeListener('block', recordBlock);
+    if (dirty) saveState();
+}
+
+function toPercent(effort) {
+    return effort * 100;
+}
+
+// Current round and found-block luck, efforts in percent. roundStart is null until
+// the address has been seen.
+function summarize(round) {
+    if (!round) round = emptyRound(null);
+
+    const efforts = round.rounds.map(r => r.effort);
+    const averageEffort = efforts.length ? efforts.reduce((sum, e) => sum + e, 0) / efforts.length : null;
+    return {
+        roundStart: round.start,
+        effort: toPercent(round.effort),
+        shares: round.shares,
+        networkDiff: loadState().networkDiff,
+        blocks: efforts.length,
+        averageEffort: averageEffort === null ? null : toPercent(averageEffort),
+        luck: averageEffort > 0 ? 100 / averageEffort : null,
+        rounds: round.rounds.slice().reverse().map(r => ({ ...r, effort: toPercent(r.effort) }))
+    };
+}
+
+// Effort timeline for charts, with the retargets it spans
+function formatHistory(round, range) {
+    const resolution = RANGES[range] || RANGES['30d'];
+    const points = (round && round[resolution]) || [];
+    const since = points.length ? points[0][0] : Infinity;
+    return {
+        range: RANGES[range] ? range : '30d',
+        resolution,
+        points: points.map(p => ({ time: p[0], effort: toPercent(p[1]) })),
+        retargets: loadState().retargets.filter(r => r[0] >= since).map(r => ({ time: r[0], difficulty: r[1] }))
+    };
+}
+
+// Network difficulty at the last sample (0 until ckpool has reported one)
+function getNetworkDiff() {
+    return loadState().networkDiff;
+}
+
+function getPoolEffort() {
+    return summarize(loadState().pool);
+}
+
+function getUserEffort(address) {
+    return summarize(loadState().users[address]);
+}
+
+function getPoolEffortHistory(range) {
+    return formatHistory(loadState().pool, range);
+}
+
+function getUserEffortHistory(address, range) {
+    return formatHistory(loadState().users[address], range);
+}
+
+module.exports = {
+    RANGES,
+    loadState,
+    saveState,
+    reloadState,
+    recordSnapshot,
+    recordBlock,
+    startSampler,
+    stopSampler,
+    getNetworkDiff,
+    getPoolEffort,
+    getUserEffort,
+    getPoolEffortHistory,
+    getUserEffortHistory
+};
@@ -0,0 +1,92 @@
+// Multi-address "farm" view: one batched lookup for a list of payout addresses,
+// with combined totals and a per-address breakdown.
+// The list comes from the query string (?addresses=a,b,c) so it can be shared, so
+// leaderboard privacy applies: hidden addresses show no stats and worker names are
+// the public ones (lib/miner-privacy).
+const { parseUserStats, parseAddressWorkers } = require('./stats-parser');
+const { parseAddress } = require('./bitcoin-address');
+const minerPrivacy = require('./miner-privacy');
+
+const MAX_ADDRESSES = parseInt(process.env.FARM_MAX_ADDRESSES, 10) || 20;
+
+// Split "a,b c" (or a repeated query parameter) into unique addresses,
+// keeping the order given. Entries that aren't valid addresses are returned
+// separately as { input, error }.
+function parseAddressList(input) {
+    const raw = (Array.isArray(input) ? input.join(',') : String(input || ''))
+        .split(/[\s,]+/)
+        .filter(Boolean);
+
+    const addresses = [];
+    const invalid = [];
+    raw.forEach(item => {
+        const check = parseAddress(item);
+        if (!check.valid) {
+            if (!invalid.some(entry => entry.input === item)) invalid.push({ input: item, error: check.error });
+        } else if (!addresses.includes(item)) {
+            addresses.push(item);
+        }
+    });
+
+    return { addresses, invalid };
+}
+
+// Combine getuser replies with the workers listing.
+//   users   - { address: raw getuser reply }
+//   workers - ckpool workers listing ({ workers: [...] })
+function buildFarm(addresses, users, workersData, now) {
+    if (!now) now = Math.floor(Date.now() / 1000);
+
+    const breakdown = addresses.map(address => {
+        const hidden = minerPrivacy.isHidden(address);
+        const user = hidden ? null : parseUserStats(users[address]);
+        if (!user) {
+            return { address, found: false, hidden, hashrate: null, bestDiff: 0, lastShare: 0, workerCount: 0, idleWorkers: 0, workers: [] };
+        }
+
+        const workers = parseAddressWorkers(address, workersData, now)
+            .map(w => ({ ...w, name: minerPrivacy.publicName(`${address}.${w.name}`) }))
+            .sort((a, b) => b.hashrate - a.hashrate);
+
+        return {
+            address,
+            found: true,
+            hidden: false,
+            hashrate: user.hashrate,
+            bestDiff: Math.max(user.bestDiff, ...workers.map(w => w.bestDiff)),
+            lastShare: user.lastShare,
+            workerCount: workers.length || user.workerCount,
+            idleWorkers: workers.filter(w => w.isIdle).length,
+            workers
+        };
+    });
+
+    const found = breakdown.filter(entry => entry.found);
+    const sum = key => found.reduce((total, entry) => total + (entry.hashrate[key] || 0), 0);
+    const best = found.reduce((top, entry) => (!top || entry.bestDiff > top.bestDiff ? entry : top), null);
+
+    return {
+        totals: {
+            addresses: addresses.length,
+            found: found.length,
+            hashrate: {
+                current: sum('current'),
+                avg1h: sum('avg1h'),
+                avg24h: sum('avg24h'),
+                avg7d: sum('avg7d')
+            },
+            workerCount: found.reduce((total, entry) => total + entry.workerCount, 0),
+            idleWorkers: found.reduce((total, entry) => total + entry.idleWorkers, 0),
+            bestDiff: best ? best.bestDiff : 0,
+            bestDiffAddress: best && best.bestDiff > 0 ? best.address : null,
+            lastShare: Math.max(0, ...found.map(entry => entry.lastShare))
+        },
+        addresses: breakdown
+    };
+}
+
+module.exports = {
+    MAX_ADDRESSES,
+    parseAddressList,
+    buildFarm
+};
@@ -0,0 +1,123 @@
+// Firmware inventory: which firmware family and version each connected device runs,
+// and which devices are below the operator's minimum recommended version.
+// Families are the "firmware" names from lib/miner-rules.json. Minimums are set in
+// data/firmware.json (or FIRMWARE_CONFIG):
+//   { "minimumVersions": { "ESP-Miner": "2.4.0", "ESP-Miner-NerdQAxe": "1.0.30" } }
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const CONFIG_FILE = process.env.FIRMWARE_CONFIG || path.join(DATA_DIR, 'firmware.json');
+
+const VERSION_RE = /^v?(\d+(?:\.\d+)*)(.*)$/i;
+
+let config = null;
+
+// Load the minimum version table from file (once, then kept in memory)
+function loadConfig() {
+    if (config) return config;
+
+    config = { minimumVersions: {} };
+    try {
+        if (fs.existsSync(CONFIG_FILE)) {
+            const data = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+            config = { minimumVersions: data.minimumVersions || {} };
+        }
+    } catch (err) {
+        console.error('Failed to load firmware config:', err.message);
+    }
+
+    return config;
+}
+
+// Re-read the config file
+function reloadConfig() {
+    config = null;
+    return loadConfig();
+}
+
+// Compare dotted versions numerically ("2.10.0" > "2.9.1"). A pre-release suffix
+// ("2.5.0-beta1") sorts before the release. Returns null if either isn't a version.
+function compareVersions(a, b) {
+    const ma = VERSION_RE.exec(String(a || ''));
+    const mb = VERSION_RE.exec(String(b || ''));
+    if (!ma || !mb) return null;
+
+    const pa = ma[1].split('.').map(Number);
+    const pb = mb[1].split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return Math.sign(diff);
+    }
+    if (ma[2] && !mb[2]) return -1;
+    if (!ma[2] && mb[2]) return 1;
+    return 0;
+}
+
+// { minimumVersion, outdated } for a miner from lib/miner-registry.js.
+// Devices with an unknown family or version are never flagged.
+function checkFirmware(miner) {
+    const minimumVersion = (miner && miner.firmware && loadConfig().minimumVersions[miner.firmware]) || null;
+    const outdated = Boolean(minimumVersion && miner.version) && compareVersions(miner.version, minimumVersion) === -1;
+    return { minimumVersion, outdated };
+}
+
+// Summarise clients from parseClientInfo():
+//   families  - per firmware family, the devices on each version (newest first)
+//   devices   - one entry per connected client, only with options.devices. Pool-wide
+//               summaries leave it out so they don't list anyone's workers.
+function buildInventory(clients, options = {}) {
+    const devices = (clients || []).map(client => {
+        const worker = client.workername || 'default';
+        return {
+            worker,
+            address: worker.split('.')[0],
+            name: client.miner.name,
+            firmware: client.miner.firmware,
+            version: client.miner.version,
+            ...checkFirmware(client.miner)
+        };
+    });
+
+    const families = {};
+    devices.forEach(device => {
+        const familyName = device.firmware || 'Unknown';
+        const family = families[familyName] || (families[familyName] = {
+            firmware: familyName,
+            minimumVersion: device.minimumVersion,
+            count: 0,
+            versions: {}
+        });
+        const versionName = device.version || 'unknown';
+        const version = family.versions[versionName] || (family.versions[versionName] = {
+            version: versionName,
+            count: 0,
+            outdated: device.outdated
+        });
+        family.count++;
+        version.count++;
+    });
+
+    const byVersionDesc = (a, b) => {
+        const cmp = compareVersions(b.version, a.version);
+        return cmp === null ? a.version.localeCompare(b.version) : cmp;
+    };
+
+    const inventory = {
+        total: devices.length,
+        outdated: devices.filter(device => device.outdated).length,
+        families: Object.values(families)
+            .map(family => ({ ...family, versions: Object.values(family.versions).sort(byVersionDesc) }))
+            .sort((a, b) => b.count - a.count)
+    };
+    if (options.devices) inventory.devices = devices;
+    return inventory;
+}
+
+module.exports = {
+    loadConfig,
+    reloadConfig,
+    compareVersions,
+    checkFirmware,
+    buildInventory
+};
@@ -0,0 +1,249 @@
+// Persistent hashrate history for the pool, users and workers
+// Samples ckpool on an interval and keeps downsampled series:
+//   minute resolution for 24h, hourly for 30d, daily forever (a year for users and workers)
+// Users and workers without hashrate for 30 days are forgotten.
+const fs = require('fs');
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const HISTORY_FILE = path.join(DATA_DIR, 'hashrate-history.json');
+
+const NONCES_PER_SHARE = 4294967296; // 2^32
+const SAMPLE_INTERVAL = 60000;       // Poll ckpool once a minute
+const SAVE_INTERVAL = 300000;        // Flush to disk every 5 minutes
+
+// Bucket size and retention (seconds) per resolution. Retention 0 = keep forever.
+const RESOLUTIONS = {
+    minute: { bucket: 60, retention: 86400 },
+    hour:   { bucket: 3600, retention: 30 * 86400 },
+    day:    { bucket: 86400, retention: 0 }
+};
+// Daily points kept per user and worker (the pool's are kept forever)
+const ENTITY_DAY_RETENTION = 365 * 86400;
+// Users and workers are dropped once they've had no hashrate for this long
+const ENTITY_RETENTION = RESOLUTIONS.hour.retention;
+
+// Range requested by the API -> resolution that covers it
+const RANGES = {
+    '24h': 'minute',
+    '30d': 'hour',
+    'all': 'day'
+};
+
+let history = null;
+let dirty = false;
+let lastSave = 0;
+let samplerTimer = null;
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(HISTORY_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+function emptySeries() {
+    return { minute: [], hour: [], day: [] };
+}
+
+// Load history from file (once, then kept in memory)
+function loadHistory() {
+    if (history) return history;
+
+    try {
+        ensureDataDir();
+        // Falls back to the previous generation if the file is damaged
+        const data = readJSONSafe(HISTORY_FILE);
+        if (data) {
+            history = {
+                pool: data.pool || emptySeries(),
+                users: data.users || {},
+                workers: data.workers || {}
+            };
+            return history;
+        }
+    } catch (err) {
+        console.error('Failed to load hashrate history:', err.message);
+    }
+
+    history = { pool: emptySeries(), users: {}, workers: {} };
+    return history;
+}
+
+// Save history to file
+function saveHistory() {
+    if (!history) return;
+
+    try {
+        ensureDataDir();
+        writeJSONAtomic(HISTORY_FILE, history);
+        dirty = false;
+        lastSave = Date.now();
+    } catch (err) {
+        console.error('Failed to save hashrate history:', err.message);
+    }
+}
+
+// Add a value to the bucket containing ts. Points are [bucketStart, avg, samples],
+// so the current bucket keeps a running average until the next one starts.
+function addPoint(points, bucket, ts, value) {
+    const bucketStart = Math.floor(ts / bucket) * bucket;
+    const last = points[points.length - 1];
+
+    if (last && last[0] === bucketStart) {
+        last[1] = (last[1] * last[2] + value) / (last[2] + 1);
+        last[2]++;
+    } else if (!last || last[0] < bucketStart) {
+        points.push([bucketStart, value, 1]);
+    }
+}
+
+// Drop points older than the resolution's retention window
+function trimPoints(points, retention, now) {
+    if (!retention) return;
+    const cutoff = now - retention;
+    let drop = 0;
+    while (drop < points.length && points[drop][0] < cutoff) drop++;
+    if (drop > 0) points.splice(0, drop);
+}
+
+function recordSample(series, ts, hashrate, dayRetention = 0) {
+    for (const [name, res] of Object.entries(RESOLUTIONS)) {
+        if (!series[name]) series[name] = [];
+        addPoint(series[name], res.bucket, ts, hashrate);
+        trimPoints(series[name], name === 'day' ? dayRetention : res.retention, ts);
+    }
+    if (hashrate > 0 || !series.seen) series.seen = ts;
+}
+
+// Drop users/workers without hashrate within the retention window. Series saved
+// before `seen` was recorded count from their latest point.
+function forgetInactive(entities, ts) {
+    for (const [name, series] of Object.entries(entities)) {
+        const last = series.minute && series.minute.length ? series.minute[series.minute.length - 1][0] : 0;
+        if (ts - (series.seen || last) > ENTITY_RETENTION) delete entities[name];
+    }
+}
+
+// Record one sample from ckpool's poolstats + workers responses
+function recordSnapshot(poolStats, workersData, ts) {
+    const h = loadHistory();
+    if (!ts) ts = Math.floor(Date.now() / 1000);
+
+    const poolstats = poolStats && poolStats.poolstats;
+    if (poolstats && !poolstats.error) {
+        recordSample(h.pool, ts, (poolstats.dsps1 || 0) * NONCES_PER_SHARE);
+    }
+
+    const workers = workersData && Array.isArray(workersData.workers) ? workersData.workers : [];
+    const userTotals = {};
+
+    workers.forEach(worker => {
+        const fullName = worker.worker || worker.workername || '';
+        if (!fullName) return;
+
+        const hashrate = (worker.dsps1 || 0) * NONCES_PER_SHARE;
+        const user = worker.user || fullName.split('.')[0];
+
+        // Idle workers still in ckpool's listing don't start (or keep reviving) a series
+        if (h.workers[fullName] || hashrate > 0) {
+            if (!h.workers[fullName]) h.workers[fullName] = emptySeries();
+            recordSample(h.workers[fullName], ts, hashrate, ENTITY_DAY_RETENTION);
+        }
+
+        if (user) {
+            userTotals[user] = (userTotals[user] || 0) + hashrate;
+        }
+    });
+
+    for (const [user, hashrate] of Object.entries(userTotals)) {
+        if (!h.users[user] && hashrate === 0) continue;
+        if (!h.users[user]) h.users[user] = emptySeries();
+        recordSample(h.users[user], ts, hashrate, ENTITY_DAY_RETENTION);
+    }
+
+    forgetInactive(h.workers, ts);
+    forgetInactive(h.users, ts);
+
+    dirty = true;
+}
+
+// Take one sample from ckpool and flush to disk if due
+async function sample(ckpool) {
+    try {
+        const [poolStats, workersData] = await Promise.all([
+            ckpool.getPoolStats(),
+            ckpool.getAllWorkers()
+        ]);
+        recordSnapshot(poolStats, workersData);
+
+        if (dirty && Date.now() - lastSave >= SAVE_INTERVAL) {
+            saveHistory();
+        }
+    } catch (err) {
+        console.error('Hashrate history sample failed:', err.message);
+    }
+}
+
+// Start the background sampler (first sample immediately)
+function startSampler(ckpool, interval = SAMPLE_INTERVAL) {
+    if (samplerTimer) return samplerTimer;
+    loadHistory();
+    lastSave = Date.now();
+    sample(ckpool);
+    samplerTimer = setInterval(() => sample(ckpool), interval);
+    return samplerTimer;
+}
+
+function stopSampler() {
+    if (samplerTimer) {
+        clearInterval(samplerTimer);
+        samplerTimer = null;
+    }
+    if (dirty) saveHistory();
+}
+
+// Convert a stored series into API points for the requested range
+function formatSeries(series, range) {
+    const resolution = RANGES[range] || RANGES['24h'];
+    const points = (series && series[resolution]) || [];
+    return {
+        range: RANGES[range] ? range : '24h',
+        resolution,
+        points: points.map(p => ({ time: p[0], hashrate: p[1] }))
+    };
+}
+
+function getPoolHistory(range) {
+    return formatSeries(loadHistory().pool, range);
+}
+
+function getUserHistory(address, range) {
+    return formatSeries(loadHistory().users[address], range);
+}
+
+function getWorkerHistory(fullName, range) {
+    return formatSeries(loadHistory().workers[fullName], range);
+}
+
+// Drop the in-memory copy and re-read the file (after a restore)
+function reloadHistory() {
+    history = null;
+    dirty = false;
+    return loadHistory();
+}
+
+module.exports = {
+    RANGES,
+    loadHistory,
+    saveHistory,
+    reloadHistory,
+    recordSnapshot,
+    startSampler,
+    stopSampler,
+    getPoolHistory,
+    getUserHistory,
+    getWorkerHistory
+};
@@ -0,0 +1,142 @@
+// Dependency health checks for /api/health and the degraded-service banner
+const fs = require('fs');
+const path = require('path');
+const ckpool = require('./ckpool-client');
+const bitcoinRpc = require('./bitcoin-rpc');
+const mempoolApi = require('./mempool-api');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+// Short cache so health polling (Docker, load balancers) doesn't multiply upstream traffic
+const HEALTH_CACHE_TTL = 5000;
+// Dependencies the pool pages can't work without; the rest only degrade the UI
+const REQUIRED = ['ckpoolStratifier', 'dataDir'];
+
+const LABELS = {
+    ckpoolListener: 'ckpool listener',
+    ckpoolStratifier: 'ckpool stratifier',
+    bitcoind: 'Bitcoin node',
+    mempool: 'mempool API',
+    dataDir: 'data storage'
+};
+
+let healthCache = { data: null, timestamp: 0 };
+let pending = null;
+// name -> last logged error, so a dependency that stays down is logged once
+const loggedErrors = new Map();
+
+// Time a check; resolves to { status, latency (ms), error }
+async function timeCheck(name, fn, breaker) {
+    const start = Date.now();
+    const result = { status: 'up', latency: 0, error: null };
+    try {
+        await fn();
+        if (loggedErrors.delete(name)) console.log(`Health check ${name} recovered`);
+    } catch (err) {
+        result.status = 'down';
+        result.error = err.message;
+        if (loggedErrors.get(name) !== err.message) {
+            loggedErrors.set(name, err.message);
+            console.error(`Health check ${name} failed:`, err.message);
+        }
+    }
+    result.latency = Date.now() - start;
+    if (breaker) result.circuit = breaker.status().state;
+    return result;
+}
+
+async function checkDataDir() {
+    const probe = path.join(DATA_DIR, '.health-check');
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.writeFile(probe, String(Date.now()));
+    await fs.promises.unlink(probe);
+}
+
+async function checkMempool() {
+    const height = await mempoolApi.fetchMempool('/blocks/tip/height');
+    if (height === null) throw new Error(mempoolApi.breaker.status().lastError || 'No response');
+}
+
+async function runChecks() {
+    const [ckpoolListener, ckpoolStratifier, bitcoind, mempool, dataDir] = await Promise.all([
+        timeCheck('ckpoolListener', () => ckpool.sendCommand('connectorstats', ckpool.listenerSocket), ckpool.breakers.listener),
+        timeCheck('ckpoolStratifier', () => ckpool.sendCommand('poolstats', ckpool.stratifierSocket), ckpool.breakers.stratifier),
+        timeCheck('bitcoind', () => bitcoinRpc.rpcCall('getblockcount'), bitcoinRpc.breaker),
+        // Regtest has no public mempool API; only checked when one is configured
+        mempoolApi.getMempoolApi()
+            ? timeCheck('mempool', checkMempool, mempoolApi.breaker)
+            : { status: 'disabled', latency: 0, error: null },
+        timeCheck('dataDir', checkDataDir)
+    ]);
+
+    const checks = { ckpoolListener, ckpoolStratifier, bitcoind, mempool, dataDir };
+    const down = Object.keys(checks).filter(name => checks[name].status === 'down');
+    let status = 'ok';
+    if (down.some(name => REQUIRED.includes(name))) {
+        status = 'down';
+    } else if (down.length > 0) {
+        status = 'degraded';
+    }
+
+    return {
+        status,
+        ready: status !== 'down',
+        checks,
+        timestamp: Date.now()
+    };
+}
+
+async function checkHealth() {
+    if (healthCache.data && Date.now() - healthCache.timestamp < HEALTH_CACHE_TTL) {
+        return healthCache.data;
+    }
+    // Concurrent health requests share one round of checks
+    if (!pending) {
+        pending = runChecks()
+            .then(data => {
+                healthCache = { data, timestamp: Date.now() };
+                return data;
+            })
+            .finally(() => {
+                pending = null;
+            });
+    }
+    return pending;
+}
+
+// What /api/health shows to anyone: status and latency only. Upstream error
+// messages (socket paths, RPC hosts) stay in the server log.
+function publicHealth(data) {
+    const checks = {};
+    for (const [name, check] of Object.entries(data.checks)) {
+        checks[name] = { status: check.status, latency: check.latency };
+    }
+    return { status: data.status, ready: data.ready, checks, timestamp: data.timestamp };
+}
+
+// Dependencies currently failing fast, from breaker state only (no I/O) -
+// cheap enough to evaluate on every page render
+function getDegraded() {
+    const breakers = {
+        ckpoolListener: ckpool.breakers.listener,
+        ckpoolStratifier: ckpool.breakers.stratifier,
+        bitcoind: bitcoinRpc.breaker,
+        mempool: mempoolApi.breaker
+    };
+    return Object.keys(breakers)
+        .filter(name => breakers[name].status().state !== 'closed')
+        .map(name => LABELS[name]);
+}
+
+// Express middleware: exposes degradedServices to layout.ejs
+function injectHealth(req, res, next) {
+    res.locals.degradedServices = getDegraded();
+    next();
+}
+
+module.exports = {
+    REQUIRED,
+    checkHealth,
+    publicHealth,
+    getDegraded,
+    injectHealth
+};
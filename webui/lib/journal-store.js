@@ -0,0 +1,264 @@
+// Append-only journal store: in-memory maps with batched, crash-tolerant writes
+//
+// <name>.snapshot.json  full state, rewritten on compaction (lib/safe-file.js: atomic,
+//                       checksummed, previous generations kept)
+// <name>.journal        one JSON line per flushed batch: [["s", map, key, value], ["d", map, key]]
+//
+// Reads never touch the disk. Writes to the maps are recorded and appended as a
+// single line every FLUSH_INTERVAL, so one batch is applied all-or-nothing: a
+// line torn by a crash is dropped on replay. Replaying a batch twice is harmless
+// (plain sets and deletes), which keeps compaction and shutdown flushes simple.
+const fs = require('fs');
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+
+const FLUSH_INTERVAL = 5000;
+// Rewrite the snapshot once the journal holds this many operations
+const COMPACT_AFTER = 5000;
+
+function createJournalStore(name, options) {
+    const mapNames = options.maps;
+    const dataDir = options.dataDir;
+    const flushInterval = options.flushInterval || FLUSH_INTERVAL;
+    const compactAfter = options.compactAfter || COMPACT_AFTER;
+
+    const snapshotFile = path.join(dataDir, `${name}.snapshot.json`);
+    const journalFile = path.join(dataDir, `${name}.journal`);
+
+    let state = null;
+    let pending = [];
+    // Batch currently being appended (re-written by flushSync if the process exits mid-write)
+    let inflight = [];
+    let journalOps = 0;
+    let flushTimer = null;
+    // Serialises appends and compactions
+    let queue = Promise.resolve();
+
+    function ensureDataDir() {
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    // Wrap a plain object so writes are recorded as journal operations
+    function trackMap(mapName, target) {
+        return new Proxy(target, {
+            set(obj, key, value) {
+                if (obj[key] !== value) {
+                    obj[key] = value;
+                    record(['s', mapName, key, value]);
+                }
+                return true;
+            },
+            deleteProperty(obj, key) {
+                if (Object.prototype.hasOwnProperty.call(obj, key)) {
+                    delete obj[key];
+                    record(['d', mapName, key]);
+                }
+                return true;
+            }
+        });
+    }
+
+    function buildState(maps) {
+        const built = {};
+        mapNames.forEach(mapName => {
+            built[mapName] = trackMap(mapName, { ...((maps && maps[mapName]) || {}) });
+        });
+        return built;
+    }
+
+    function record(op) {
+        pending.push(op);
+        scheduleFlush();
+    }
+
+    function scheduleFlush() {
+        if (flushTimer || pending.length === 0) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush();
+        }, flushInterval);
+        flushTimer.unref();
+    }
+
+    function applyOp(maps, op) {
+        const [type, mapName, key, value] = op;
+        if (!maps[mapName]) return;
+        if (type === 's') maps[mapName][key] = value;
+        else if (type === 'd') delete maps[mapName][key];
+    }
+
+    function plainMaps() {
+        const maps = {};
+        mapNames.forEach(mapName => {
+            maps[mapName] = { ...state[mapName] };
+        });
+        return maps;
+    }
+
+    // Load snapshot + journal. Returns false when neither file exists yet.
+    function load() {
+        if (state) return true;
+
+        const maps = {};
+        mapNames.forEach(mapName => { maps[mapName] = {}; });
+        let found = false;
+
+        try {
+            ensureDataDir();
+            if (fs.existsSync(snapshotFile) || fs.existsSync(`${snapshotFile}.1`)) {
+                found = true;
+                const snapshot = readJSONSafe(snapshotFile);
+                mapNames.forEach(mapName => {
+                    maps[mapName] = (snapshot && snapshot.maps && snapshot.maps[mapName]) || {};
+                });
+            }
+        } catch (err) {
+            console.error(`Failed to load ${name} snapshot:`, err.message);
+        }
+
+        try {
+            if (fs.existsSync(journalFile)) {
+                found = true;
+                const lines = fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean);
+                for (let i = 0; i < lines.length; i++) {
+                    let batch;
+                    try {
+                        batch = JSON.parse(lines[i]);
+                    } catch (e) {
+                        console.error(`Dropping torn ${name} journal entry at line ${i + 1}`);
+                        continue;
+                    }
+                    batch.forEach(op => applyOp(maps, op));
+                    journalOps += batch.length;
+                }
+            }
+        } catch (err) {
+            console.error(`Failed to replay ${name} journal:`, err.message);
+        }
+
+        state = buildState(maps);
+        // Fold the replayed journal into a fresh snapshot
+        if (journalOps > 0) compact();
+        return found;
+    }
+
+    // Resolves once pending and queued writes are on disk, so nothing lands on
+    // top of files replaced afterwards (restore)
+    async function settle() {
+        await flush();
+        await queue;
+    }
+
+    // Forget the in-memory state and load it again from disk (after a restore)
+    function reload() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        state = null;
+        pending = [];
+        journalOps = 0;
+        return load();
+    }
+
+    function getState() {
+        if (!state) load();
+        return state;
+    }
+
+    // Replace every map (e.g. migration or a caller saving a whole new object)
+    function replace(maps) {
+        state = buildState(maps);
+        pending = [];
+        return compact();
+    }
+
+    // Same, but the snapshot is on disk before returning - for one-off migrations
+    // that delete their source file straight afterwards
+    function replaceSync(maps) {
+        state = buildState(maps);
+        pending = [];
+        ensureDataDir();
+        writeJSONAtomic(snapshotFile, { maps: plainMaps() });
+        fs.writeFileSync(journalFile, '');
+        journalOps = 0;
+    }
+
+    function enqueue(task) {
+        queue = queue.then(task).catch(err => {
+            console.error(`Failed to write ${name}:`, err.message);
+        });
+        return queue;
+    }
+
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (pending.length === 0) return queue;
+
+        return enqueue(async () => {
+            if (pending.length === 0) return;
+            inflight = pending;
+            pending = [];
+            ensureDataDir();
+            await fs.promises.appendFile(journalFile, JSON.stringify(inflight) + '\n');
+            journalOps += inflight.length;
+            inflight = [];
+            if (journalOps >= compactAfter) await writeSnapshot();
+        });
+    }
+
+    async function writeSnapshot() {
+        writeJSONAtomic(snapshotFile, { maps: plainMaps() });
+        // Ops still pending are kept in memory and land in the fresh journal
+        await fs.promises.writeFile(journalFile, '');
+        journalOps = 0;
+    }
+
+    function compact() {
+        return enqueue(writeSnapshot);
+    }
+
+    // Synchronous flush for process shutdown
+    function flushSync() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        const ops = inflight.concat(pending);
+        if (ops.length === 0) return;
+        try {
+            ensureDataDir();
+            fs.appendFileSync(journalFile, JSON.stringify(ops) + '\n');
+            pending = [];
+        } catch (err) {
+            console.error(`Failed to flush ${name}:`, err.message);
+        }
+    }
+
+    return {
+        snapshotFile,
+        journalFile,
+        load,
+        reload,
+        settle,
+        getState,
+        replace,
+        replaceSync,
+        flush,
+        flushSync,
+        compact,
+        scheduleFlush,
+        pendingCount: () => pending.length
+    };
+}
+
+module.exports = {
+    FLUSH_INTERVAL,
+    COMPACT_AFTER,
+    createJournalStore
+};
@@ -0,0 +1,212 @@
+// Per-period worker stats for the leaderboard: the best share found, the
+// difficulty-weighted shares submitted and the effort (shares / network difficulty)
+// today, this week, this month and since tracking started. Periods reset on UTC
+// calendar boundaries: midnight, Monday 00:00 and the 1st of the month.
+// ckpool only reports each worker's best share of its current session (bestdiff), so
+// a share counts toward a period when that session best rises between two samples, or
+// a new session starts with a higher-than-zero best. A period's best is therefore the
+// best share that beat the worker's session best at the time.
+const fs = require('fs');
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+const { increase } = require('./stats-parser');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const PERIODS_FILE = path.join(DATA_DIR, 'leaderboard-periods.json');
+
+const SAMPLE_INTERVAL = 60000;       // Poll ckpool once a minute
+const SAVE_INTERVAL = 300000;        // Flush to disk every 5 minutes
+
+const PERIODS = ['day', 'week', 'month', 'all'];
+// Workers without shares for this long are forgotten, and drop off the all-time leaderboard
+const INACTIVE_DAYS = parseInt(process.env.LEADERBOARD_INACTIVE_DAYS, 10) || 28;
+const INACTIVE_AFTER = INACTIVE_DAYS * 86400;
+
+let state = null;
+let dirty = false;
+let lastSave = 0;
+let samplerTimer = null;
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(PERIODS_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+// Unix time the period containing ts started (null for 'all', which never resets)
+function periodStart(period, ts) {
+    const date = new Date(ts * 1000);
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / 1000;
+    switch (period) {
+        case 'day': return midnight;
+        case 'week': return midnight - ((date.getUTCDay() + 6) % 7) * 86400;
+        case 'month': return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+        default: return null;
+    }
+}
+
+function emptyState() {
+    const now = Math.floor(Date.now() / 1000);
+    const periods = {};
+    PERIODS.forEach(period => {
+        periods[period] = { start: periodStart(period, now), workers: {} };
+    });
+    return { totals: {}, networkDiff: 0, periods };
+}
+
+// Load period stats from file (once, then kept in memory)
+function loadState() {
+    if (state) return state;
+
+    try {
+        ensureDataDir();
+        // Falls back to the previous generation if the file is damaged
+        const data = readJSONSafe(PERIODS_FILE);
+        if (data && data.periods) {
+            const empty = emptyState();
+            state = { ...empty, ...data, periods: { ...empty.periods, ...data.periods } };
+            return state;
+        }
+    } catch (err) {
+        console.error('Failed to load leaderboard periods:', err.message);
+    }
+
+    state = emptyState();
+    return state;
+}
+
+// Save state to file
+function saveState() {
+    if (!state) return;
+
+    try {
+        ensureDataDir();
+        writeJSONAtomic(PERIODS_FILE, state);
+        dirty = false;
+        lastSave = Date.now();
+    } catch (err) {
+        console.error('Failed to save leaderboard periods:', err.message);
+    }
+}
+
+// Drop the in-memory state and re-read the file (after a restore)
+function reloadState() {
+    state = null;
+    dirty = false;
+    return loadState();
+}
+
+// Start a new day/week/month once its calendar boundary has passed
+function rollPeriods(s, ts) {
+    PERIODS.forEach(period => {
+        const start = periodStart(period, ts);
+        if (start !== null && s.periods[period].start !== start) {
+            s.periods[period] = { start, workers: {} };
+        }
+    });
+}
+
+// Record one sample from ckpool's poolstats + workers responses
+function recordSnapshot(poolStats, workersData, ts) {
+    const s = loadState();
+    if (!ts) ts = Math.floor(Date.now() / 1000);
+
+    const poolstats = poolStats && poolStats.poolstats;
+    if (poolstats && poolstats.diff) s.networkDiff = poolstats.diff;
+    rollPeriods(s, ts);
+
+    const workers = workersData && Array.isArray(workersData.workers) ? workersData.workers : [];
+    workers.forEach(worker => {
+        const fullName = worker.worker || worker.workername || '';
+        if (!fullName) return;
+        const shares = worker.shares || 0;
+        const sessionBest = worker.bestdiff || 0;
+        const previous = s.totals[fullName];
+        s.totals[fullName] = [shares, sessionBest, ts];
+
+        // First sight of a worker only sets the baseline
+        if (!previous) return;
+        const work = increase(shares, previous[0]);
+        const found = sessionBest !== previous[1] ? sessionBest : 0;
+        if (work === 0 && found === 0) return;
+
+        PERIODS.forEach(period => {
+            const { start, workers: entries } = s.periods[period];
+            // The work was done since the previous sample (or the period start)
+            const entry = entries[fullName] || (entries[fullName] = { best: 0, shares: 0, effort: 0, since: Math.max(previous[2], start || 0), seen: ts });
+            entry.shares += work;
+            if (s.networkDiff > 0) entry.effort += work / s.networkDiff;
+            entry.best = Math.max(entry.best, found);
+            entry.seen = ts;
+        });
+    });
+
+    // Forget workers gone quiet
+    for (const [fullName, [, , seen]] of Object.entries(s.totals)) {
+        if (ts - seen > INACTIVE_AFTER) delete s.totals[fullName];
+    }
+    const allTime = s.periods.all.workers;
+    for (const [fullName, entry] of Object.entries(allTime)) {
+        if (ts - entry.seen > INACTIVE_AFTER) delete allTime[fullName];
+    }
+
+    dirty = true;
+}
+
+// Take one sample from ckpool and flush to disk if due
+async function sample(ckpool) {
+    try {
+        const [poolStats, workersData] = await Promise.all([
+            ckpool.getPoolStats(),
+            ckpool.getAllWorkers()
+        ]);
+        recordSnapshot(poolStats, workersData);
+
+        if (dirty && Date.now() - lastSave >= SAVE_INTERVAL) {
+            saveState();
+        }
+    } catch (err) {
+        console.error('Leaderboard period sample failed:', err.message);
+    }
+}
+
+// Start the background sampler (first sample immediately)
+function startSampler(ckpool, interval = SAMPLE_INTERVAL) {
+    if (samplerTimer) return samplerTimer;
+    loadState();
+    lastSave = Date.now();
+    sample(ckpool);
+    samplerTimer = setInterval(() => sample(ckpool), interval);
+    return samplerTimer;
+}
+
+function stopSampler() {
+    if (samplerTimer) {
+        clearInterval(samplerTimer);
+        samplerTimer = null;
+    }
+    if (dirty) saveState();
+}
+
+// { start, workers: { fullName: { best, shares, effort, since, seen } } } for a period,
+// rolled over first if its boundary has passed since the last sample
+function getPeriod(period, now = Math.floor(Date.now() / 1000)) {
+    const s = loadState();
+    rollPeriods(s, now);
+    return s.periods[period];
+}
+
+module.exports = {
+    PERIODS,
+    INACTIVE_DAYS,
+    periodStart,
+    loadState,
+    saveState,
+    reloadState,
+    recordSnapshot,
+    startSampler,
+    stopSampler,
+    getPeriod
+};
@@ -0,0 +1,177 @@
+// Leaderboard: top workers by best difficulty across every source we have
+// (ckpool's listing, the persistent miner cache and ckpool's worker files).
+// Shared by /api/leaderboard, the live stream and /api/v1/leaderboard.
+// Besides all-time, it can cover today, this week or this month (lib/leaderboard-periods)
+// and rank by average hashrate or effort instead, optionally for one miner type.
+const ckpool = require('./ckpool-client');
+const minerCache = require('./miner-cache');
+const leaderboardPeriods = require('./leaderboard-periods');
+const minerPrivacy = require('./miner-privacy');
+const { formatHashrate, formatDifficulty } = require('./stats-parser');
+
+const CACHE_TTL = 30000;
+const NONCES_PER_SHARE = 4294967296; // 2^32
+const LEADERBOARD_SIZE = parseInt(process.env.LEADERBOARD_SIZE, 10) || 99;
+
+const { PERIODS, INACTIVE_DAYS } = leaderboardPeriods;
+// Ranking -> entry field it sorts on
+const RANKINGS = {
+    best: 'bestDiff',
+    hashrate: 'avgHashrate',
+    effort: 'effort'
+};
+
+// Workers seen in ckpool's listing, refreshed at most every CACHE_TTL
+let workersCache = { data: null, ts: 0 };
+
+// Every worker in ckpool's listing with its all-time best and live hashrate
+async function fetchWorkers() {
+    if (workersCache.data && Date.now() - workersCache.ts < CACHE_TTL) {
+        return workersCache.data;
+    }
+    // Get all workers and clients from ckpool
+    const [workersData, clientsData] = await Promise.all([
+        ckpool.getAllWorkers(),
+        ckpool.getAllClients()
+    ]);
+
+    if (!workersData || !workersData.workers || !Array.isArray(workersData.workers)) {
+        return [];
+    }
+
+    // Update persistent cache with current client data (stores miner types for later)
+    let cache = minerCache.updateFromClients(clientsData?.clients || []);
+
+    // Update best difficulties cache (stores highest value ever seen)
+    cache = minerCache.updateBestDiffs(workersData.workers, cache);
+
+    // Build set of currently connected workers
+    const connectedWorkers = new Set();
+    if (clientsData && clientsData.clients) {
+        clientsData.clients.forEach(client => {
+            if (client.workername) {
+                connectedWorkers.add(client.workername);
+            }
+        });
+    }
+
+    const workers = workersData.workers
+        .map(worker => {
+            const fullName = worker.worker || worker.workername || '';
+            // Get the highest best diff from API
+            const ckpoolBest = Math.max(
+                worker.bestever || 0,
+                worker.bestshare || 0,
+                worker.bestdiff || 0
+            );
+            return {
+                fullName,
+                // Use all sources: our cache, API values, AND ckpool worker files
+                bestDiff: minerCache.getBestDiffFromAllSources(fullName, ckpoolBest, cache),
+                lastSeen: cache.lastSeenAt?.[fullName] || 0,
+                // Get miner type from persistent cache (handles historical data)
+                minerType: minerCache.getMinerType(fullName, cache),
+                isOnline: connectedWorkers.has(fullName),
+                hashrate: (worker.dsps1 || 0) * NONCES_PER_SHARE
+            };
+        })
+        .filter(worker => worker.fullName);
+
+    // Persist any bestDiff updates accumulated during getBestDiffFromAllSources calls
+    minerCache.saveCache(cache);
+
+    workersCache = { data: workers, ts: Date.now() };
+    return workers;
+}
+
+// Average hashrate over the time a worker has been submitting in the period
+function averageHashrate(stats, now) {
+    const elapsed = Math.max(now - stats.since, 60);
+    return stats.shares * NONCES_PER_SHARE / elapsed;
+}
+
+// null for workers whose owner hid their address (lib/miner-privacy)
+function formatEntry(worker, best, stats, now) {
+    const workerName = minerPrivacy.publicName(worker.fullName);
+    if (workerName === null) return null;
+    const avgHashrate = stats ? averageHashrate(stats, now) : 0;
+    return {
+        workerName,
+        minerType: worker.minerType,
+        isOnline: worker.isOnline,
+        bestDiff: best,
+        bestDiffFormatted: formatDifficulty(best),
+        hashrate: worker.hashrate,
+        hashrateFormatted: formatHashrate(worker.hashrate),
+        avgHashrate,
+        avgHashrateFormatted: formatHashrate(avgHashrate),
+        // Work submitted in the period, in percent of the work expected per block
+        effort: stats ? stats.effort * 100 : 0
+    };
+}
+
+// Rank the workers for a period. 'all' covers every active worker in ckpool's listing
+// with its all-time best; the other periods cover workers that submitted shares in them.
+function buildLeaderboard(workers, { period, rank, minerType }) {
+    const now = Math.floor(Date.now() / 1000);
+    const { workers: periodStats } = leaderboardPeriods.getPeriod(period, now);
+    const field = RANKINGS[rank];
+
+    let entries;
+    if (period === 'all') {
+        const cutoff = now - INACTIVE_DAYS * 86400;
+        entries = workers
+            // No lastSeen timestamp yet → keep (migrated entries)
+            .filter(worker => worker.lastSeen === 0 || worker.lastSeen > cutoff)
+            .map(worker => formatEntry(worker, worker.bestDiff, periodStats[worker.fullName], now));
+    } else {
+        const byName = new Map(workers.map(worker => [worker.fullName, worker]));
+        entries = Object.entries(periodStats).map(([fullName, stats]) => {
+            // Workers gone from ckpool's listing (e.g. after a restart) keep their period stats
+            const worker = byName.get(fullName) || {
+                fullName, minerType: minerCache.getMinerType(fullName), isOnline: false, hashrate: 0
+            };
+            return formatEntry(worker, stats.best, stats, now);
+        });
+    }
+
+    entries = entries.filter(Boolean);
+    if (minerType) {
+        const wanted = minerType.toLowerCase();
+        entries = entries.filter(entry => entry.minerType.toLowerCase() === wanted);
+    }
+
+    return entries
+        .filter(entry => entry[field] > 0)
+        .sort((a, b) => b[field] - a[field])
+        .slice(0, LEADERBOARD_SIZE);
+}
+
+// Unknown periods and rankings fall back to all-time best difficulty
+function normalizeOptions(options = {}) {
+    return {
+        period: PERIODS.includes(options.period) ? options.period : 'all',
+        rank: RANKINGS[options.rank] ? options.rank : 'best',
+        minerType: typeof options.minerType === 'string' && options.minerType ? options.minerType : null
+    };
+}
+
+// Top LEADERBOARD_SIZE workers. options: { period, rank, minerType }
+async function getLeaderboard(options) {
+    return buildLeaderboard(await fetchWorkers(), normalizeOptions(options));
+}
+
+// Last fetched leaderboard (served as stale data when ckpool is unreachable)
+function getCachedLeaderboard(options) {
+    return workersCache.data ? buildLeaderboard(workersCache.data, normalizeOptions(options)) : null;
+}
+
+module.exports = {
+    CACHE_TTL,
+    LEADERBOARD_SIZE,
+    INACTIVE_DAYS,
+    PERIODS,
+    RANKINGS,
+    getLeaderboard,
+    getCachedLeaderboard
+};
@@ -0,0 +1,204 @@
+// Server-Sent Events live stream
+// One server-side poller per topic feeds every connected page, so ckpool socket
+// traffic stays constant no matter how many tabs are open. Pollers only run
+// while at least one subscriber needs the topic. Address subscriptions share a
+// single poller too: each tick fetches one bulk listing for every watched address.
+const HEARTBEAT_INTERVAL = 25000;
+const ADDRESS_INTERVAL = 10000;
+
+// Every connection holds a socket open, so cap them overall and per client IP
+const MAX_CLIENTS = parseInt(process.env.LIVE_STREAM_MAX_CLIENTS, 10) || 500;
+const MAX_CLIENTS_PER_IP = parseInt(process.env.LIVE_STREAM_MAX_CLIENTS_PER_IP, 10) || 10;
+
+// name -> { producer, interval, timer, payload }
+const topics = new Map();
+// address -> last pushed payload
+const addressPayloads = new Map();
+let addressProducer = null;
+let addressInterval = ADDRESS_INTERVAL;
+let addressTimer = null;
+
+// Connected clients: { res, topics: Set, address, ip }
+const clients = new Set();
+let heartbeatTimer = null;
+
+// Register a global topic. producer() resolves to the data to push.
+function registerTopic(name, producer, interval) {
+    topics.set(name, { producer, interval, timer: null, payload: null });
+}
+
+// Register the per-address producer (addresses) => { address: data }.
+// It is called once per tick with every watched address; addresses missing
+// from the result are skipped until they show up.
+function registerAddressProducer(producer, interval = ADDRESS_INTERVAL) {
+    addressProducer = producer;
+    addressInterval = interval;
+}
+
+function getTopicNames() {
+    return Array.from(topics.keys());
+}
+
+function writeEvent(res, event, payload) {
+    res.write(`event: ${event}\ndata: ${payload}\n\n`);
+}
+
+// Push to every client subscribed to the topic (and address, for address events)
+function broadcast(event, payload, address = null) {
+    for (const client of clients) {
+        if (address ? client.address === address : client.topics.has(event)) {
+            writeEvent(client.res, event, payload);
+        }
+    }
+}
+
+async function pollTopic(name) {
+    const topic = topics.get(name);
+    if (!topic) return;
+
+    try {
+        const data = await topic.producer();
+        if (data === undefined || data === null) return;
+        const payload = JSON.stringify(data);
+        // Only push when something changed
+        if (payload !== topic.payload) {
+            topic.payload = payload;
+            broadcast(name, payload);
+        }
+    } catch (err) {
+        console.error(`Live stream ${name} poll failed:`, err.message);
+    }
+}
+
+async function pollAddresses() {
+    const addresses = Array.from(addressPayloads.keys());
+    if (addresses.length === 0 || !addressProducer) return;
+
+    try {
+        const results = await addressProducer(addresses) || {};
+        for (const address of addresses) {
+            const data = results[address];
+            // Unsubscribed while the poll was running
+            if (data === undefined || data === null || !addressPayloads.has(address)) continue;
+            const payload = JSON.stringify(data);
+            if (payload !== addressPayloads.get(address)) {
+                addressPayloads.set(address, payload);
+                broadcast('address', payload, address);
+            }
+        }
+    } catch (err) {
+        console.error('Live stream address poll failed:', err.message);
+    }
+}
+
+// Start pollers that now have subscribers and stop the ones that lost them
+function updatePollers() {
+    for (const [name, topic] of topics) {
+        const wanted = Array.from(clients).some(c => c.topics.has(name));
+        if (wanted && !topic.timer) {
+            pollTopic(name);
+            topic.timer = setInterval(() => pollTopic(name), topic.interval);
+        } else if (!wanted && topic.timer) {
+            clearInterval(topic.timer);
+            topic.timer = null;
+            topic.payload = null;
+        }
+    }
+
+    const wantedAddresses = new Set(Array.from(clients).map(c => c.address).filter(Boolean));
+    let added = false;
+    for (const address of wantedAddresses) {
+        if (!addressPayloads.has(address)) {
+            addressPayloads.set(address, null);
+            added = true;
+        }
+    }
+    for (const address of addressPayloads.keys()) {
+        if (!wantedAddresses.has(address)) addressPayloads.delete(address);
+    }
+    // New addresses get data straight away instead of waiting for the next tick
+    if (added) pollAddresses();
+    if (wantedAddresses.size > 0 && !addressTimer) {
+        addressTimer = setInterval(pollAddresses, addressInterval);
+    } else if (wantedAddresses.size === 0 && addressTimer) {
+        clearInterval(addressTimer);
+        addressTimer = null;
+    }
+
+    if (clients.size > 0 && !heartbeatTimer) {
+        // Comment lines keep proxies from closing idle connections
+        heartbeatTimer = setInterval(() => {
+            for (const client of clients) client.res.write(': ping\n\n');
+        }, HEARTBEAT_INTERVAL);
+    } else if (clients.size === 0 && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+function clientIp(req) {
+    return req.ip || req.socket.remoteAddress || 'unknown';
+}
+
+// Reason a new connection from this request would be refused, or null
+function checkCapacity(req) {
+    if (clients.size >= MAX_CLIENTS) {
+        return 'Too many live connections. Try again later.';
+    }
+    const ip = clientIp(req);
+    let count = 0;
+    for (const client of clients) {
+        if (client.ip === ip) count++;
+    }
+    if (count >= MAX_CLIENTS_PER_IP) {
+        return 'Too many live connections from this address. Close some tabs and try again.';
+    }
+    return null;
+}
+
+// Attach an SSE response. options.topics: topic names, options.address: BTC address
+function subscribe(req, res, options = {}) {
+    const requested = (options.topics || []).filter(name => topics.has(name));
+    const client = { res, topics: new Set(requested), address: options.address || null, ip: clientIp(req) };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Disable nginx response buffering so events are delivered immediately
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    // Send the latest known snapshot straight away so pages render without waiting
+    for (const name of client.topics) {
+        const payload = topics.get(name).payload;
+        if (payload) writeEvent(res, name, payload);
+    }
+    const addressPayload = client.address && addressPayloads.get(client.address);
+    if (addressPayload) writeEvent(res, 'address', addressPayload);
+
+    clients.add(client);
+    updatePollers();
+
+    req.on('close', () => {
+        clients.delete(client);
+        updatePollers();
+    });
+
+    return client;
+}
+
+function getClientCount() {
+    return clients.size;
+}
+
+module.exports = {
+    registerTopic,
+    registerAddressProducer,
+    getTopicNames,
+    checkCapacity,
+    subscribe,
+    broadcast,
+    getClientCount
+};
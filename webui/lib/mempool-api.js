@@ -0,0 +1,58 @@
+// Mempool API client (local Umbrel instance or mempool.space)
+const { createBreaker } = require('./circuit-breaker');
+const network = require('./network');
+
+const FETCH_TIMEOUT_MS = 5000;
+
+// Where network data comes from (NETWORK_DATA_SOURCE):
+//   auto     - mempool API, falling back to bitcoind (default, see lib/chain-data.js)
+//   mempool  - mempool API only
+//   bitcoind - bitcoind only; the mempool API is never contacted
+const DATA_SOURCES = ['auto', 'mempool', 'bitcoind'];
+
+// Timeouts and 5xx trip the breaker; a 4xx means the API is up
+const breaker = createBreaker('mempool');
+
+async function fetchJSON(url) {
+    try {
+        const response = await breaker.call(async () => {
+            const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+            if (res.status >= 500) throw new Error(`HTTP ${res.status}`);
+            return res;
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (err) {
+        // Don't log every fast-failed call while the circuit is open
+        if (!err.circuitOpen) console.error(`Fetch error for ${url}:`, err.message);
+        return null;
+    }
+}
+
+function getDataSource() {
+    const source = String(process.env.NETWORK_DATA_SOURCE || 'auto').trim().toLowerCase();
+    return DATA_SOURCES.includes(source) ? source : 'auto';
+}
+
+// Mempool API base URL - MEMPOOL_API_URL (local Umbrel instance) or the public
+// mempool.space API for the active network. Null on regtest without a local
+// instance, and with NETWORK_DATA_SOURCE=bitcoind.
+function getMempoolApi() {
+    if (getDataSource() === 'bitcoind') return null;
+    return process.env.MEMPOOL_API_URL || network.getNetwork().mempoolApi;
+}
+
+// GET a path (e.g. '/v1/blocks') from the mempool API; null if it's unavailable
+async function fetchMempool(apiPath) {
+    const base = getMempoolApi();
+    return base ? fetchJSON(`${base}${apiPath}`) : null;
+}
+
+module.exports = {
+    FETCH_TIMEOUT_MS,
+    breaker,
+    fetchJSON,
+    getDataSource,
+    getMempoolApi,
+    fetchMempool
+};
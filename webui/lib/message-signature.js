@@ -0,0 +1,196 @@
+// Bitcoin signed-message verification ("Sign message" in most wallets), used to let
+// an address owner prove control of a payout address without an account.
+// The signature is the 65-byte compact format, base64 encoded: a header byte carrying
+// the key recovery id (27-34 legacy, 35-42 for segwit addresses per BIP137) and r, s.
+// The public key is recovered from the signature and its hash compared with the
+// address, so P2PKH, P2SH-P2WPKH and P2WPKH addresses can be checked. Taproot and
+// P2WSH addresses would need BIP322 and are rejected.
+const crypto = require('crypto');
+const { decodeAddress } = require('./bitcoin-address');
+
+const MESSAGE_PREFIX = 'Bitcoin Signed Message:\n';
+
+// secp256k1
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+    x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+function mod(a, m = P) {
+    const r = a % m;
+    return r >= 0n ? r : r + m;
+}
+
+function modPow(base, exponent, m) {
+    let result = 1n;
+    base = mod(base, m);
+    while (exponent > 0n) {
+        if (exponent & 1n) result = result * base % m;
+        base = base * base % m;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+// m is prime, so a^(m-2) is the inverse
+function invert(a, m = P) {
+    return modPow(a, m - 2n, m);
+}
+
+// Jacobian point arithmetic (x = X/Z^2, y = Y/Z^3), so the only modular inversion
+// is the one converting the result back; null is the point at infinity
+function toJacobian(point) {
+    return { x: point.x, y: point.y, z: 1n };
+}
+
+function toAffine(point) {
+    if (!point) return null;
+    const zInverse = invert(point.z);
+    const zInverse2 = mod(zInverse * zInverse);
+    return { x: mod(point.x * zInverse2), y: mod(point.y * zInverse2 * zInverse) };
+}
+
+function pointDouble(a) {
+    if (!a || a.y === 0n) return null;
+    const xx = mod(a.x * a.x);
+    const yy = mod(a.y * a.y);
+    const yyyy = mod(yy * yy);
+    const d = mod(2n * ((a.x + yy) ** 2n - xx - yyyy));
+    const e = 3n * xx;
+    const x = mod(e * e - 2n * d);
+    return { x, y: mod(e * (d - x) - 8n * yyyy), z: mod(2n * a.y * a.z) };
+}
+
+function pointAdd(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    const az2 = mod(a.z * a.z);
+    const bz2 = mod(b.z * b.z);
+    const u1 = mod(a.x * bz2);
+    const u2 = mod(b.x * az2);
+    const s1 = mod(a.y * b.z * bz2);
+    const s2 = mod(b.y * a.z * az2);
+    if (u1 === u2) return s1 === s2 ? pointDouble(a) : null;
+
+    const h = mod(u2 - u1);
+    const r = mod(s2 - s1);
+    const h2 = mod(h * h);
+    const h3 = mod(h * h2);
+    const u1h2 = mod(u1 * h2);
+    const x = mod(r * r - h3 - 2n * u1h2);
+    return { x, y: mod(r * (u1h2 - x) - s1 * h3), z: mod(h * a.z * b.z) };
+}
+
+// a * p + b * q in one pass over the bits (Shamir's trick)
+function multiplyAdd(p, a, q, b) {
+    const pq = pointAdd(p, q);
+    let result = null;
+    for (let bit = BigInt(Math.max(a.toString(2).length, b.toString(2).length)) - 1n; bit >= 0n; bit--) {
+        result = pointDouble(result);
+        const useP = (a >> bit) & 1n;
+        const useQ = (b >> bit) & 1n;
+        if (useP && useQ) result = pointAdd(result, pq);
+        else if (useP) result = pointAdd(result, p);
+        else if (useQ) result = pointAdd(result, q);
+    }
+    return result;
+}
+
+function toBigInt(buffer) {
+    return BigInt('0x' + buffer.toString('hex'));
+}
+
+function toBuffer(value) {
+    return Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+}
+
+function varint(n) {
+    if (n < 0xfd) return Buffer.from([n]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = 0xfd;
+    buffer.writeUInt16LE(n, 1);
+    return buffer;
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function hash160(buffer) {
+    return crypto.createHash('ripemd160').update(sha256(buffer)).digest();
+}
+
+// Double SHA-256 of the prefixed message, as wallets sign it
+function messageHash(message) {
+    const prefix = Buffer.from(MESSAGE_PREFIX, 'utf8');
+    const body = Buffer.from(message, 'utf8');
+    return sha256(sha256(Buffer.concat([varint(prefix.length), prefix, varint(body.length), body])));
+}
+
+// Public key point that produced signature (r, s) over hash, or null
+function recoverPublicKey(hash, r, s, recoveryId) {
+    if (r <= 0n || r >= N || s <= 0n || s >= N) return null;
+
+    const x = recoveryId & 2 ? r + N : r;
+    if (x >= P) return null;
+    const alpha = mod(x * x * x + 7n);
+    let y = modPow(alpha, (P + 1n) / 4n, P);
+    if (y * y % P !== alpha) return null;
+    if ((y & 1n) !== BigInt(recoveryId & 1)) y = P - y;
+
+    // Q = r^-1 (sR - eG)
+    const e = mod(toBigInt(hash), N);
+    const rInverse = invert(r, N);
+    return toAffine(multiplyAdd(
+        toJacobian({ x, y }), mod(s * rInverse, N),
+        toJacobian(G), mod(-e * rInverse, N)
+    ));
+}
+
+function serializePublicKey(point, compressed) {
+    if (compressed) {
+        return Buffer.concat([Buffer.from([point.y & 1n ? 0x03 : 0x02]), toBuffer(point.x)]);
+    }
+    return Buffer.concat([Buffer.from([0x04]), toBuffer(point.x), toBuffer(point.y)]);
+}
+
+// True if signature (base64) is address's signature of message
+function verifyMessage(address, message, signature) {
+    const decoded = decodeAddress(address);
+    const bytes = Buffer.from(String(signature || ''), 'base64');
+    if (!decoded || bytes.length !== 65 || bytes[0] < 27 || bytes[0] > 42) return false;
+
+    const header = bytes[0] - 27;
+    const compressed = header >= 4;
+    const point = recoverPublicKey(
+        messageHash(String(message)),
+        toBigInt(bytes.subarray(1, 33)),
+        toBigInt(bytes.subarray(33, 65)),
+        header & 3
+    );
+    if (!point) return false;
+
+    const keyHash = hash160(serializePublicKey(point, compressed));
+    switch (decoded.type) {
+        case 'p2pkh':
+            return keyHash.equals(decoded.hash);
+        case 'p2wpkh':
+            return compressed && keyHash.equals(decoded.hash);
+        case 'p2sh':
+            // P2SH-wrapped P2WPKH: the script is OP_0 <20-byte key hash>
+            return compressed && hash160(Buffer.concat([Buffer.from([0x00, 0x14]), keyHash])).equals(decoded.hash);
+        default:
+            return false;
+    }
+}
+
+module.exports = {
+    messageHash,
+    recoverPublicKey,
+    serializePublicKey,
+    hash160,
+    verifyMessage
+};
@@ -0,0 +1,228 @@
+// Prometheus metrics exporter
+// Renders pool, user, worker and upstream health stats in the Prometheus text
+// exposition format (version 0.0.4) for scraping by Prometheus/Grafana.
+const ckpool = require('./ckpool-client');
+const { parsePoolStats, parseMinerType } = require('./stats-parser');
+const { rpcCall } = require('./bitcoin-rpc');
+const blockTracker = require('./block-tracker');
+const { getMempoolApi } = require('./mempool-api');
+
+const NONCES_PER_SHARE = 4294967296; // 2^32
+const UPSTREAM_TIMEOUT_MS = 5000;
+// Upstream probes are cached so frequent scrapes don't hammer bitcoind/mempool
+const UPSTREAM_CACHE_TTL = 30000;
+
+const POOL_WINDOWS = [
+    ['1m', 'hashrate1m'],
+    ['5m', 'hashrate5m'],
+    ['15m', 'hashrate15m'],
+    ['1h', 'hashrate1h'],
+    ['6h', 'hashrate6h'],
+    ['1d', 'hashrate1d'],
+    ['7d', 'hashrate7d']
+];
+
+const WORKER_WINDOWS = [
+    ['1m', 'dsps1'],
+    ['5m', 'dsps5'],
+    ['1h', 'dsps60'],
+    ['1d', 'dsps1440']
+];
+
+let upstreamCache = { data: null, timestamp: 0 };
+
+// Escape a label value (backslash, double quote and newline)
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    return '{' + entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+    const n = Number(value);
+    if (Number.isNaN(n)) return 'NaN';
+    if (n === Infinity) return '+Inf';
+    if (n === -Infinity) return '-Inf';
+    return String(n);
+}
+
+// Collects metric families and renders them as text
+function createRegistry() {
+    const families = new Map();
+
+    function add(name, type, help, value, labels) {
+        if (!families.has(name)) {
+            families.set(name, { type, help, samples: [] });
+        }
+        if (value !== undefined && value !== null) {
+            families.get(name).samples.push({ labels, value });
+        }
+    }
+
+    function render() {
+        const lines = [];
+        for (const [name, family] of families) {
+            lines.push(`# HELP ${name} ${family.help}`);
+            lines.push(`# TYPE ${name} ${family.type}`);
+            family.samples.forEach(s => {
+                lines.push(`${name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return {
+        gauge: (name, help, value, labels) => add(name, 'gauge', help, value, labels),
+        counter: (name, help, value, labels) => add(name, 'counter', help, value, labels),
+        render
+    };
+}
+
+// Time a probe; resolves to { up, latency }
+async function probe(fn) {
+    const start = Date.now();
+    try {
+        await fn();
+        return { up: 1, latency: (Date.now() - start) / 1000 };
+    } catch (err) {
+        return { up: 0, latency: (Date.now() - start) / 1000 };
+    }
+}
+
+async function getUpstreamHealth() {
+    if (upstreamCache.data && Date.now() - upstreamCache.timestamp < UPSTREAM_CACHE_TTL) {
+        return upstreamCache.data;
+    }
+
+    // No mempool probe on regtest unless a local instance is configured
+    const mempoolApi = getMempoolApi();
+    const [bitcoind, mempool] = await Promise.all([
+        probe(() => rpcCall('getblockcount')),
+        mempoolApi ? probe(async () => {
+            const response = await fetch(`${mempoolApi}/blocks/tip/height`, {
+                signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        }) : null
+    ]);
+
+    const data = mempool ? { bitcoind, mempool } : { bitcoind };
+    upstreamCache = { data, timestamp: Date.now() };
+    return data;
+}
+
+function addPoolMetrics(registry, stats) {
+    const poolUp = stats.poolstats && !stats.poolstats.error ? 1 : 0;
+    registry.gauge('ckpool_up', 'Whether the ckpool stratifier answered the last poolstats request', poolUp);
+
+    const pool = parsePoolStats(stats.poolstats, stats.stratifier, stats.connector);
+
+    POOL_WINDOWS.forEach(([window, key]) => {
+        registry.gauge('ckpool_pool_hashrate', 'Pool hashrate in hashes per second, by averaging window',
+            pool[key], { window });
+    });
+    registry.gauge('ckpool_pool_users', 'Users with active workers', pool.users);
+    registry.gauge('ckpool_pool_workers', 'Active workers', pool.workers);
+    registry.gauge('ckpool_pool_connections', 'Connected stratum clients (connectorstats)', pool.connections);
+    registry.counter('ckpool_pool_shares_accepted_total', 'Accepted shares since ckpool start', pool.accepted);
+    registry.counter('ckpool_pool_shares_rejected_total', 'Rejected shares since ckpool start', pool.rejected);
+    registry.gauge('ckpool_pool_shares_per_second', 'Shares per second, by averaging window', pool.sps1, { window: '1m' });
+    registry.gauge('ckpool_pool_shares_per_second', 'Shares per second, by averaging window', pool.sps5, { window: '5m' });
+    registry.gauge('ckpool_pool_best_diff', 'Best share difficulty submitted to the pool', pool.bestDiff);
+    registry.gauge('ckpool_network_difficulty', 'Network difficulty of the current workbase', pool.networkDiff);
+    registry.gauge('ckpool_block_height', 'Height of the block currently being mined', pool.blockHeight || 0);
+    registry.gauge('ckpool_uptime_seconds', 'Seconds since ckpool started', pool.uptime);
+    registry.counter('ckpool_blocks_found_total', 'Blocks found by the pool', blockTracker.getBlockCount());
+}
+
+function addWorkerMetrics(registry, workersData) {
+    const workers = workersData && Array.isArray(workersData.workers) ? workersData.workers : [];
+    const userTotals = {};
+
+    // Declare families even when no workers are connected
+    registry.gauge('ckpool_worker_hashrate', 'Worker hashrate in hashes per second, by averaging window');
+    registry.gauge('ckpool_worker_best_diff', 'Best share difficulty submitted by the worker');
+    registry.counter('ckpool_worker_shares_total', 'Shares submitted by the worker');
+    registry.gauge('ckpool_worker_last_share_timestamp_seconds', 'Unix time of the worker\'s last share');
+    registry.gauge('ckpool_worker_idle', 'Whether ckpool considers the worker idle');
+
+    workers.forEach(worker => {
+        const fullName = worker.worker || worker.workername || '';
+        if (!fullName) return;
+        const user = worker.user || fullName.split('.')[0];
+        const labels = { user, worker: fullName };
+
+        WORKER_WINDOWS.forEach(([window, key]) => {
+            registry.gauge('ckpool_worker_hashrate', '', (worker[key] || 0) * NONCES_PER_SHARE, { ...labels, window });
+        });
+        registry.gauge('ckpool_worker_best_diff', '', worker.bestever || worker.bestdiff || 0, labels);
+        registry.counter('ckpool_worker_shares_total', '', worker.shares || 0, labels);
+        registry.gauge('ckpool_worker_last_share_timestamp_seconds', '', worker.lastshare || 0, labels);
+        registry.gauge('ckpool_worker_idle', '', worker.idle ? 1 : 0, labels);
+
+        if (!userTotals[user]) userTotals[user] = { hashrate: 0, workers: 0 };
+        userTotals[user].hashrate += (worker.dsps1 || 0) * NONCES_PER_SHARE;
+        userTotals[user].workers++;
+    });
+
+    registry.gauge('ckpool_user_hashrate', 'User hashrate (sum of workers, 1m window) in hashes per second');
+    registry.gauge('ckpool_user_workers', 'Workers reported for the user');
+    Object.entries(userTotals).forEach(([user, totals]) => {
+        registry.gauge('ckpool_user_hashrate', '', totals.hashrate, { user });
+        registry.gauge('ckpool_user_workers', '', totals.workers, { user });
+    });
+}
+
+function addClientMetrics(registry, clientData) {
+    const clients = clientData && Array.isArray(clientData.clients) ? clientData.clients : [];
+    const byType = {};
+
+    clients.forEach(client => {
+        const miner = parseMinerType(client.useragent);
+        const key = `${miner.type}\u0000${miner.name}`;
+        if (!byType[key]) byType[key] = { type: miner.type, miner: miner.name, count: 0 };
+        byType[key].count++;
+    });
+
+    registry.gauge('ckpool_clients', 'Connected clients by miner type (from the stratum user agent)');
+    Object.values(byType).forEach(entry => {
+        registry.gauge('ckpool_clients', '', entry.count, { type: entry.type, miner: entry.miner });
+    });
+}
+
+function addUpstreamMetrics(registry, upstream) {
+    Object.entries(upstream).forEach(([name, health]) => {
+        registry.gauge('ckpool_upstream_up', 'Whether the upstream service answered the last probe', health.up, { upstream: name });
+        registry.gauge('ckpool_upstream_latency_seconds', 'Duration of the last upstream probe', health.latency, { upstream: name });
+    });
+}
+
+// Build the full metrics page
+async function collectMetrics() {
+    const start = Date.now();
+    const [stats, workersData, clientData, upstream] = await Promise.all([
+        ckpool.getPoolStats(),
+        ckpool.getAllWorkers(),
+        ckpool.getAllClients(),
+        getUpstreamHealth()
+    ]);
+
+    const registry = createRegistry();
+    addPoolMetrics(registry, stats);
+    addWorkerMetrics(registry, workersData);
+    addClientMetrics(registry, clientData);
+    addUpstreamMetrics(registry, upstream);
+    registry.gauge('ckpool_scrape_duration_seconds', 'Time taken to collect these metrics', (Date.now() - start) / 1000);
+
+    return registry.render();
+}
+
+module.exports = {
+    collectMetrics,
+    createRegistry,
+    escapeLabel
+};
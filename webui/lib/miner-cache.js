@@ -1,64 +1,112 @@
 // Persistent cache for worker -> miner type mappings and best difficulties
+// Kept in memory and persisted through an append-only journal (lib/journal-store.js),
+// so request handlers never read or rewrite the whole file.
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const { createJournalStore } = require('./journal-store');
+const minerRegistry = require('./miner-registry');
 
-const CACHE_FILE = path.join(__dirname, '../data/miner-types.json');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+// Pre-journal storage, migrated once on first load
+const LEGACY_CACHE_FILE = path.join(DATA_DIR, 'miner-types.json');
 const CKPOOL_LOGS_DIR = process.env.CKPOOL_LOGS_DIR || '/var/log/ckpool';
-
-// Ensure data directory exists
-function ensureDataDir() {
-    const dataDir = path.dirname(CACHE_FILE);
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+// lastSeenAt only needs to be accurate to the prune window (days), so don't
+// journal a write for every worker on every request
+const LAST_SEEN_RESOLUTION = 300;
+const CKPOOL_SYNC_INTERVAL = 60000; // Read changed ckpool worker files once a minute
+
+const store = createJournalStore('miner-cache', {
+    dataDir: DATA_DIR,
+    maps: ['workers', 'users', 'bestDiffs', 'lastSeenAt']
+});
+let loaded = false;
+let syncTimer = null;
+// ckpool worker file -> mtime when it was last read
+const fileMtimes = new Map();
+
+// Emits 'bestDiff' ({ worker, best, previous }) when a worker beats its stored best
+const events = new EventEmitter();
+
+// One-time import of miner-types.json into the journal store. The snapshot is
+// written before the old file is renamed, so a crash in between can't lose it.
+function migrateLegacyCache() {
+    try {
+        if (!fs.existsSync(LEGACY_CACHE_FILE)) return;
+        const legacy = JSON.parse(fs.readFileSync(LEGACY_CACHE_FILE, 'utf8'));
+        store.replaceSync(legacy);
+        fs.renameSync(LEGACY_CACHE_FILE, `${LEGACY_CACHE_FILE}.migrated`);
+        console.log(`Migrated ${Object.keys(legacy.workers || {}).length} workers from miner-types.json`);
+    } catch (err) {
+        console.error('Failed to migrate miner cache:', err.message);
     }
 }
 
-// Load cache from file
+// The live in-memory cache. Writes to its maps are journaled automatically.
 function loadCache() {
-    try {
-        ensureDataDir();
-        if (fs.existsSync(CACHE_FILE)) {
-            const data = fs.readFileSync(CACHE_FILE, 'utf8');
-            const cache = JSON.parse(data);
-            // Backwards compatibility: ensure required fields exist
-            if (!cache.bestDiffs) cache.bestDiffs = {};
-            if (!cache.lastSeenAt) cache.lastSeenAt = {};
-            return cache;
-        }
-    } catch (err) {
-        console.error('Failed to load miner cache:', err.message);
+    if (!loaded) {
+        loaded = true;
+        if (!store.load()) migrateLegacyCache();
     }
-    return { workers: {}, users: {}, bestDiffs: {}, lastSeenAt: {} };
+    return store.getState();
 }
 
-// Save cache to file
+// Persist changes. Writes are batched, so this only schedules a flush; passing
+// an object other than the live cache replaces the stored state with it.
 function saveCache(cache) {
-    try {
-        ensureDataDir();
-        fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
-    } catch (err) {
-        console.error('Failed to save miner cache:', err.message);
+    if (cache && cache !== loadCache()) {
+        store.replace(cache);
+        return;
+    }
+    store.scheduleFlush();
+}
+
+// Re-read the store from disk, discarding unsaved changes (after a restore)
+function reload() {
+    loaded = true;
+    store.reload();
+    // The restored bests may be lower than ckpool's files: read them all again
+    fileMtimes.clear();
+    return store.getState();
+}
+
+// Wait until every queued write has reached the disk
+function settle() {
+    return store.settle();
+}
+
+// Write pending changes now (async), or synchronously on shutdown
+function flush() {
+    return store.flush();
+}
+
+function flushSync() {
+    store.flushSync();
+}
+
+function touchLastSeen(cache, name, now) {
+    if (now - (cache.lastSeenAt[name] || 0) >= LAST_SEEN_RESOLUTION) {
+        cache.lastSeenAt[name] = now;
     }
 }
 
 // Update cache with new client data
-function updateFromClients(clients, parseMinerType) {
+function updateFromClients(clients) {
     if (!clients || !Array.isArray(clients)) return;
 
     const cache = loadCache();
-    let updated = false;
-
     const now = Math.floor(Date.now() / 1000);
+    // Collected first so a user with mixed hardware is written once, not once per client
+    const userTypes = {};
 
     clients.forEach(client => {
         if (!client.workername) return;
 
         // Track lastSeen for all connected workers regardless of useragent
-        cache.lastSeenAt[client.workername] = now;
-        updated = true;
+        touchLastSeen(cache, client.workername, now);
 
         if (client.useragent) {
-            const minerInfo = parseMinerType(client.useragent);
+            const minerInfo = minerRegistry.identify(client.useragent);
             const user = client.workername.split('.')[0];
 
             // Update worker -> miner type
@@ -68,14 +116,14 @@ function updateFromClients(clients, parseMinerType) {
 
             // Update user -> miner type (keeps latest)
             if (user) {
-                cache.users[user] = minerInfo.name;
+                userTypes[user] = minerInfo.name;
             }
         }
     });
 
-    if (updated) {
-        saveCache(cache);
-    }
+    Object.entries(userTypes).forEach(([user, name]) => {
+        cache.users[user] = name;
+    });
 
     return cache;
 }
@@ -103,7 +151,6 @@ function updateBestDiffs(workers, cache) {
     if (!workers || !Array.isArray(workers)) return cache;
     if (!cache) cache = loadCache();
 
-    let updated = false;
     const now = Math.floor(Date.now() / 1000);
 
     workers.forEach(worker => {
@@ -111,8 +158,7 @@ function updateBestDiffs(workers, cache) {
         if (!fullName) return;
 
         // Track lastSeen for every worker we see from ckpool
-        cache.lastSeenAt[fullName] = now;
-        updated = true;
+        touchLastSeen(cache, fullName, now);
 
         // Get all possible best diff values from ckpool
         const currentBest = Math.max(
@@ -128,14 +174,11 @@ function updateBestDiffs(workers, cache) {
             if (currentBest > storedBest) {
                 cache.bestDiffs[fullName] = currentBest;
                 console.log(`New best diff for ${fullName.split('.').slice(1).join('.') || 'anon'}: ${currentBest} (was ${storedBest})`);
+                events.emit('bestDiff', { worker: fullName, best: currentBest, previous: storedBest });
             }
         }
     });
 
-    if (updated) {
-        saveCache(cache);
-    }
-
     return cache;
 }
 
@@ -149,48 +192,15 @@ function getBestDiff(fullName, currentBest, cache) {
     return Math.max(storedBest, currentBest || 0);
 }
 
-// Read best difficulty from ckpool worker files (most accurate source)
-function readBestDiffFromCkpoolFile(workerName) {
-    try {
-        // Worker files are in /var/log/ckpool/users/<btc_address>/workers/<workername>
-        // or /var/log/ckpool/users/<btc_address>.<workername>
-        // The exact path depends on ckpool configuration
-
-        const usersDir = path.join(CKPOOL_LOGS_DIR, 'users');
-        if (!fs.existsSync(usersDir)) {
-            return 0;
-        }
-
-        // Parse worker name: btcAddress.workerName or just btcAddress
-        const parts = workerName.split('.');
-        const btcAddress = parts[0];
-        const workerSuffix = parts.slice(1).join('.') || '';
+// Best difficulty in a ckpool worker file (bestever or bestshare, whichever is higher)
+function parseBestDiff(content) {
+    // The file is typically JSON-like with key: value format
+    const besteverMatch = content.match(/["']?bestever["']?\s*[:=]\s*([\d.]+)/i);
+    const bestshareMatch = content.match(/["']?bestshare["']?\s*[:=]\s*([\d.]+)/i);
 
-        // Try to find the worker file
-        // Path format: /var/log/ckpool/users/<btcAddress>.<workerName>
-        const workerFile = workerSuffix
-            ? path.join(usersDir, `${btcAddress}.${workerSuffix}`)
-            : path.join(usersDir, btcAddress);
-
-        if (fs.existsSync(workerFile)) {
-            const content = fs.readFileSync(workerFile, 'utf8');
-
-            // Parse the file - it's typically JSON-like with key: value format
-            // Look for bestever or bestshare
-            const besteverMatch = content.match(/["']?bestever["']?\s*[:=]\s*([\d.]+)/i);
-            const bestshareMatch = content.match(/["']?bestshare["']?\s*[:=]\s*([\d.]+)/i);
-
-            const bestever = besteverMatch ? parseFloat(besteverMatch[1]) : 0;
-            const bestshare = bestshareMatch ? parseFloat(bestshareMatch[1]) : 0;
-
-            return Math.max(bestever, bestshare);
-        }
-
-        return 0;
-    } catch (err) {
-        console.error(`Error reading ckpool file for ${workerName}:`, err.message);
-        return 0;
-    }
+    const bestever = besteverMatch ? parseFloat(besteverMatch[1]) : 0;
+    const bestshare = bestshareMatch ? parseFloat(bestshareMatch[1]) : 0;
+    return Math.max(bestever, bestshare);
 }
 
 // Scan all ckpool worker files to get best difficulties
@@ -214,15 +224,7 @@ function scanCkpoolBestDiffs() {
             if (stat.isDirectory()) continue;
 
             try {
-                const content = fs.readFileSync(filePath, 'utf8');
-
-                // Parse bestever and bestshare from file content
-                const besteverMatch = content.match(/["']?bestever["']?\s*[:=]\s*([\d.]+)/i);
-                const bestshareMatch = content.match(/["']?bestshare["']?\s*[:=]\s*([\d.]+)/i);
-
-                const bestever = besteverMatch ? parseFloat(besteverMatch[1]) : 0;
-                const bestshare = bestshareMatch ? parseFloat(bestshareMatch[1]) : 0;
-                const best = Math.max(bestever, bestshare);
+                const best = parseBestDiff(fs.readFileSync(filePath, 'utf8'));
 
                 if (best > 0) {
                     bestDiffs[file] = best;
@@ -240,23 +242,79 @@ function scanCkpoolBestDiffs() {
     return bestDiffs;
 }
 
-// Get best difficulty using all available sources
+// Raise cached bests from ckpool's worker files (the most accurate source), in the
+// background so request handlers only read memory. Worker files are named after the
+// worker (<address>.<name>, or <address>); only workers already in the cache count,
+// and a file is only read again once its mtime changes. Returns the bests raised.
+async function syncCkpoolBestDiffs() {
+    const usersDir = path.join(CKPOOL_LOGS_DIR, 'users');
+    let entries;
+    try {
+        entries = await fs.promises.readdir(usersDir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Failed to read ckpool worker files:', err.message);
+        return 0;
+    }
+
+    const cache = loadCache();
+    let raised = 0;
+    for (const entry of entries) {
+        const name = entry.name;
+        if (!entry.isFile() || (cache.bestDiffs[name] === undefined && cache.lastSeenAt[name] === undefined)) continue;
+
+        try {
+            const filePath = path.join(usersDir, name);
+            const { mtimeMs } = await fs.promises.stat(filePath);
+            if (fileMtimes.get(name) === mtimeMs) continue;
+            fileMtimes.set(name, mtimeMs);
+
+            const best = parseBestDiff(await fs.promises.readFile(filePath, 'utf8'));
+            const previous = cache.bestDiffs[name] || 0;
+            if (best > previous) {
+                cache.bestDiffs[name] = best;
+                raised++;
+                // Same event as updateBestDiffs, whichever source sees the new best first
+                events.emit('bestDiff', { worker: name, best, previous });
+            }
+        } catch (err) {
+            // Skip files that can't be read
+        }
+    }
+
+    if (raised > 0) saveCache(cache);
+    return raised;
+}
+
+// Sync from ckpool's worker files every interval (first sync immediately)
+function startCkpoolSync(interval = CKPOOL_SYNC_INTERVAL) {
+    if (syncTimer) return syncTimer;
+    syncCkpoolBestDiffs();
+    syncTimer = setInterval(syncCkpoolBestDiffs, interval);
+    return syncTimer;
+}
+
+function stopCkpoolSync() {
+    if (syncTimer) {
+        clearInterval(syncTimer);
+        syncTimer = null;
+    }
+}
+
+// Get best difficulty using all available sources. ckpool's worker files reach the
+// cache through syncCkpoolBestDiffs(), so this never touches the disk.
 function getBestDiffFromAllSources(fullName, currentBest, cache) {
     if (!cache) cache = loadCache();
 
-    // Source 1: Our persistent cache
+    // Source 1: Our persistent cache (including synced ckpool worker files)
     const cachedBest = cache.bestDiffs[fullName] || 0;
 
     // Source 2: Current value from API (bestever/bestshare/bestdiff)
     const apiBest = currentBest || 0;
 
-    // Source 3: Read directly from ckpool worker file
-    const fileBest = readBestDiffFromCkpoolFile(fullName);
-
     // Return the maximum from all sources
-    const maxBest = Math.max(cachedBest, apiBest, fileBest);
+    const maxBest = Math.max(cachedBest, apiBest);
 
-    // Update in-memory cache if we found a higher value (caller is responsible for saving)
+    // Update the cache if we found a higher value (journaled with the next batch)
     if (maxBest > cachedBest) {
         cache.bestDiffs[fullName] = maxBest;
     }
@@ -282,7 +340,6 @@ function pruneInactiveWorkers(maxAgeDays = 28) {
     }
 
     if (pruned > 0) {
-        saveCache(cache);
         console.log(`Pruned ${pruned} workers inactive >${maxAgeDays} days from leaderboard cache`);
     }
 
@@ -290,8 +347,13 @@ function pruneInactiveWorkers(maxAgeDays = 28) {
 }
 
 module.exports = {
+    events,
     loadCache,
     saveCache,
+    flush,
+    flushSync,
+    settle,
+    reload,
     updateFromClients,
     getMinerType,
     updateBestDiffs,
@@ -299,5 +361,7 @@ module.exports = {
     getBestDiffFromAllSources,
     pruneInactiveWorkers,
     scanCkpoolBestDiffs,
-    readBestDiffFromCkpoolFile
+    syncCkpoolBestDiffs,
+    startCkpoolSync,
+    stopCkpoolSync
 };
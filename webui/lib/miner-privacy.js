@@ -0,0 +1,217 @@
+// Leaderboard privacy: how each payout address appears in public rankings, chosen by
+// its owner, plus an operator blocklist for worker names.
+//   visibility 'public' - worker names (or the address's nickname, if set)
+//              'miner'  - only the miner type; names show as "anon"
+//              'hidden' - left out of public rankings, timelines, farm views, found block
+//                         finders and miner type and firmware counts
+// Owners change their settings by signing settingsMessage() with the payout address
+// (lib/message-signature); the operator can set them in the admin console, e.g. for
+// Taproot addresses that can't sign. Settings are journaled next to the miner cache
+// (data/miner-privacy.*).
+// The blocklist is data/worker-blocklist.json (or WORKER_BLOCKLIST):
+//   { "words": ["badword", ...] }
+// Worker names and nicknames containing a listed word (ignoring case) show as "anon".
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+const { createJournalStore } = require('./journal-store');
+const { looksLikeAddress } = require('./bitcoin-address');
+const { verifyMessage } = require('./message-signature');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const BLOCKLIST_FILE = process.env.WORKER_BLOCKLIST || path.join(DATA_DIR, 'worker-blocklist.json');
+
+const VISIBILITY = ['public', 'miner', 'hidden'];
+const NICKNAME_MAX = 32;
+const NICKNAME_RE = /^[\p{L}\p{N} _.\-]+$/u;
+// Signed settings are accepted for this long (seconds), so an old signature can't be replayed later
+const MESSAGE_MAX_AGE = 3600;
+
+const store = createJournalStore('miner-privacy', {
+    dataDir: DATA_DIR,
+    maps: ['addresses']
+});
+let loaded = false;
+let blocklist = null;
+
+function loadState() {
+    if (!loaded) {
+        loaded = true;
+        store.load();
+    }
+    return store.getState();
+}
+
+// Re-read the store and the blocklist from disk (after a restore)
+function reload() {
+    loaded = true;
+    store.reload();
+    blocklist = null;
+    loadBlocklist();
+}
+
+function settle() {
+    return store.settle();
+}
+
+function flushSync() {
+    store.flushSync();
+}
+
+// Load the blocklist from file (once, then kept in memory)
+function loadBlocklist() {
+    if (blocklist) return blocklist;
+
+    blocklist = [];
+    try {
+        const data = readJSONSafe(BLOCKLIST_FILE);
+        if (data && Array.isArray(data.words)) {
+            blocklist = data.words
+                .filter(word => typeof word === 'string' && word.trim())
+                .map(word => word.trim().toLowerCase());
+        }
+    } catch (err) {
+        console.error('Failed to load worker blocklist:', err.message);
+    }
+    return blocklist;
+}
+
+// Replace the blocklist (admin console); returns the saved words
+function saveBlocklist(words) {
+    const list = [...new Set((words || [])
+        .filter(word => typeof word === 'string' && word.trim())
+        .map(word => word.trim().toLowerCase()))];
+    writeJSONAtomic(BLOCKLIST_FILE, { words: list });
+    blocklist = list;
+    return list;
+}
+
+function isBlocked(name) {
+    const lower = String(name || '').toLowerCase();
+    return loadBlocklist().some(word => lower.includes(word));
+}
+
+function getSettings(address) {
+    const settings = loadState().addresses[address];
+    return { nickname: null, visibility: 'public', updatedAt: 0, ...settings };
+}
+
+// All addresses with non-default settings (admin console)
+function listSettings() {
+    return Object.entries(loadState().addresses)
+        .map(([address, settings]) => ({ address, ...settings }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// The exact text the owner signs to apply these settings
+function settingsMessage(address, { nickname, visibility, timestamp }) {
+    return `Go Brrr Pool leaderboard settings for ${address}: nickname="${nickname || ''}" visibility=${visibility} time=${timestamp}`;
+}
+
+// Normalised { nickname, visibility } or { error }
+function validateSettings(input) {
+    const nickname = typeof input.nickname === 'string' ? input.nickname.trim() : '';
+    const visibility = input.visibility || 'public';
+
+    if (!VISIBILITY.includes(visibility)) {
+        return { error: `visibility must be one of ${VISIBILITY.join(', ')}` };
+    }
+    if (nickname) {
+        if (nickname.length > NICKNAME_MAX || !NICKNAME_RE.test(nickname)) {
+            return { error: `Nicknames are up to ${NICKNAME_MAX} letters, digits, spaces, dots, dashes or underscores` };
+        }
+        if (looksLikeAddress(nickname) || isBlocked(nickname)) {
+            return { error: 'That nickname is not allowed' };
+        }
+    }
+    return { nickname: nickname || null, visibility };
+}
+
+function storeSettings(address, settings, now) {
+    const state = loadState();
+    if (settings.nickname === null && settings.visibility === 'public') {
+        delete state.addresses[address];
+    } else {
+        state.addresses[address] = { nickname: settings.nickname, visibility: settings.visibility, updatedAt: now };
+    }
+    return getSettings(address);
+}
+
+// Owner update: input { nickname, visibility, timestamp, signature }, signed with the address.
+// Returns { settings } or { error, status }.
+function updateSettings(address, input, now = Math.floor(Date.now() / 1000)) {
+    const settings = validateSettings(input);
+    if (settings.error) return { error: settings.error, status: 400 };
+
+    const timestamp = parseInt(input.timestamp, 10);
+    if (!timestamp || Math.abs(now - timestamp) > MESSAGE_MAX_AGE) {
+        return { error: 'The signed message has expired, sign a new one', status: 400 };
+    }
+    if (timestamp <= getSettings(address).updatedAt) {
+        return { error: 'Newer settings have already been saved', status: 409 };
+    }
+    const message = settingsMessage(address, { ...settings, timestamp });
+    if (!verifyMessage(address, message, input.signature)) {
+        return { error: 'The signature does not match this address and message', status: 403 };
+    }
+    return { settings: storeSettings(address, settings, timestamp) };
+}
+
+// Operator update (admin console), no signature needed
+function setSettings(address, input, now = Math.floor(Date.now() / 1000)) {
+    const settings = validateSettings(input);
+    if (settings.error) return settings;
+    return { settings: storeSettings(address, settings, now) };
+}
+
+// Name a worker ("<address>.<name>") is shown under publicly, or null if its address
+// is hidden. Empty names, names that are an address and blocked names show as "anon".
+function publicName(fullName) {
+    const settings = loadState().addresses[fullName.split('.')[0]];
+    if (settings && settings.visibility === 'hidden') return null;
+
+    let name = fullName.includes('.') ? fullName.split('.').slice(1).join('.') : null;
+    if (settings && settings.visibility === 'miner') name = null;
+    else if (settings && settings.nickname) name = settings.nickname;
+
+    return !name || looksLikeAddress(name) || isBlocked(name) ? 'anon' : name;
+}
+
+function isHidden(address) {
+    return getSettings(address).visibility === 'hidden';
+}
+
+// ckpool clients listing without the clients of hidden addresses (miner type and
+// firmware counts)
+function visibleClients(clientData) {
+    if (!clientData || !Array.isArray(clientData.clients)) return clientData;
+    const clients = clientData.clients.filter(client => !isHidden(String(client.workername || '').split('.')[0]));
+    return { ...clientData, clients };
+}
+
+// A found block as listed publicly: the finder's worker under its public name, and
+// no finder at all if the address is hidden
+function publicBlock(block) {
+    const address = block.address || (block.worker ? block.worker.split('.')[0] : null);
+    if (address && isHidden(address)) return { ...block, address: null, worker: null };
+    return { ...block, worker: block.worker ? publicName(block.worker) : null };
+}
+
+module.exports = {
+    VISIBILITY,
+    MESSAGE_MAX_AGE,
+    BLOCKLIST_FILE,
+    reload,
+    settle,
+    flushSync,
+    loadBlocklist,
+    saveBlocklist,
+    getSettings,
+    listSettings,
+    settingsMessage,
+    updateSettings,
+    setSettings,
+    publicName,
+    isHidden,
+    visibleClients,
+    publicBlock
+};
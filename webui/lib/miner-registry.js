@@ -0,0 +1,126 @@
+// Miner fingerprint registry: identifies hardware and firmware from the stratum user agent
+//
+// Rules are ordered; the first whose pattern matches (case-insensitive) wins.
+//   { "pattern": "^bitaxe/bm1370/v?(?<version>[\\w.-]+)", "type": "Bitaxe", "name": "Bitaxe Gamma",
+//     "vendor": "Bitaxe", "model": "Gamma", "firmware": "ESP-Miner" }
+// Fields may reference named groups as "{group}". A field that is left out takes the
+// named group of the same name (e.g. "version"), or null.
+//
+// Built-in rules live in lib/miner-rules.json. Rules in data/miner-rules.json (or
+// MINER_RULES) are checked first, so operators can add devices or override matches;
+// set "replaceDefaults": true there to drop the built-in list entirely.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const DEFAULT_RULES_FILE = path.join(__dirname, 'miner-rules.json');
+const USER_RULES_FILE = process.env.MINER_RULES || path.join(DATA_DIR, 'miner-rules.json');
+
+const FIELDS = ['vendor', 'model', 'firmware', 'version'];
+// Distinct user agents remembered (a pool sees a handful; this only bounds bad input)
+const CACHE_LIMIT = 1000;
+// Unrecognised agents are shown as their first few characters
+const OTHER_NAME_LENGTH = 20;
+
+let rules = null;
+const cache = new Map();
+
+function readRulesFile(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { rules: Array.isArray(data.rules) ? data.rules : [], replaceDefaults: data.replaceDefaults === true };
+}
+
+// Compile rules, skipping (and logging) any that are malformed
+function compileRules(list, source) {
+    const compiled = [];
+    list.forEach((rule, index) => {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.type) {
+            console.error(`Skipping miner rule ${index} in ${source}: needs "pattern" and "type"`);
+            return;
+        }
+        try {
+            compiled.push({ ...rule, regex: new RegExp(rule.pattern, 'i') });
+        } catch (err) {
+            console.error(`Skipping miner rule ${index} in ${source}:`, err.message);
+        }
+    });
+    return compiled;
+}
+
+// Load the rule list (once, then kept in memory)
+function loadRules() {
+    if (rules) return rules;
+
+    let userRules = [];
+    let replaceDefaults = false;
+    try {
+        if (fs.existsSync(USER_RULES_FILE)) {
+            const data = readRulesFile(USER_RULES_FILE);
+            userRules = compileRules(data.rules, path.basename(USER_RULES_FILE));
+            replaceDefaults = data.replaceDefaults;
+        }
+    } catch (err) {
+        console.error('Failed to load miner rules:', err.message);
+    }
+
+    const defaults = replaceDefaults ? [] : compileRules(readRulesFile(DEFAULT_RULES_FILE).rules, 'miner-rules.json');
+    rules = userRules.concat(defaults);
+    return rules;
+}
+
+// Re-read the rule files (e.g. after editing data/miner-rules.json or a restore)
+function reloadRules() {
+    rules = null;
+    cache.clear();
+    return loadRules();
+}
+
+// Replace "{group}" references; collapse the gaps left by empty groups
+function fill(template, groups) {
+    return String(template)
+        .replace(/\{(\w+)\}/g, (m, name) => groups[name] || '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function applyRule(rule, match) {
+    const groups = match.groups || {};
+    const miner = { type: rule.type, name: fill(rule.name || rule.type, groups) || rule.type };
+    FIELDS.forEach(field => {
+        const value = rule[field] !== undefined ? fill(rule[field], groups) : groups[field];
+        miner[field] = value || null;
+    });
+    return miner;
+}
+
+function classify(useragent) {
+    if (!useragent || useragent === '') {
+        return { type: 'Unknown', name: 'Unknown Miner', vendor: null, model: null, firmware: null, version: null };
+    }
+
+    for (const rule of loadRules()) {
+        const match = rule.regex.exec(useragent);
+        if (match) return applyRule(rule, match);
+    }
+
+    // Show the raw useragent if unknown
+    return { type: 'Other', name: useragent.slice(0, OTHER_NAME_LENGTH), vendor: null, model: null, firmware: null, version: null };
+}
+
+// Identify a miner: { type, name, vendor, model, firmware, version }
+function identify(useragent) {
+    let miner = cache.get(useragent);
+    if (!miner) {
+        miner = classify(useragent);
+        if (cache.size >= CACHE_LIMIT) cache.clear();
+        cache.set(useragent, miner);
+    }
+    return { ...miner };
+}
+
+module.exports = {
+    USER_RULES_FILE,
+    loadRules,
+    reloadRules,
+    identify
+};
@@ -0,0 +1,153 @@
+// Which Bitcoin network the pool mines on: mainnet, testnet4, testnet3, signet or regtest.
+// Set BITCOIN_NETWORK, or leave it unset to ask bitcoind (getblockchaininfo) at
+// startup. Until detection finishes the webui assumes mainnet.
+// The network decides accepted address prefixes, the halving interval, the
+// public mempool API / explorer and the network hashrate fallback.
+const { rpcCall } = require('./bitcoin-rpc');
+
+const NETWORKS = {
+    mainnet: {
+        name: 'mainnet',
+        label: 'Mainnet',
+        chain: 'main',
+        halvingInterval: 210000,
+        // Accepted addresses: bech32 prefix and base58 version family
+        addresses: { hrp: 'bc', base58: 'mainnet' },
+        mempoolApi: 'https://mempool.space/api',
+        explorer: 'https://mempool.space',
+        // ~700 EH/s, only used when neither ckpool nor the mempool API has a figure
+        fallbackHashrate: 700e18
+    },
+    testnet4: {
+        name: 'testnet4',
+        label: 'Testnet4',
+        chain: 'testnet4',
+        halvingInterval: 210000,
+        addresses: { hrp: 'tb', base58: 'testnet' },
+        mempoolApi: 'https://mempool.space/testnet4/api',
+        explorer: 'https://mempool.space/testnet4',
+        fallbackHashrate: 0
+    },
+    testnet: {
+        name: 'testnet',
+        label: 'Testnet3',
+        chain: 'test',
+        halvingInterval: 210000,
+        addresses: { hrp: 'tb', base58: 'testnet' },
+        mempoolApi: 'https://mempool.space/testnet/api',
+        explorer: 'https://mempool.space/testnet',
+        fallbackHashrate: 0
+    },
+    signet: {
+        name: 'signet',
+        label: 'Signet',
+        chain: 'signet',
+        halvingInterval: 210000,
+        addresses: { hrp: 'tb', base58: 'testnet' },
+        mempoolApi: 'https://mempool.space/signet/api',
+        explorer: 'https://mempool.space/signet',
+        fallbackHashrate: 0
+    },
+    regtest: {
+        name: 'regtest',
+        label: 'Regtest',
+        chain: 'regtest',
+        halvingInterval: 150,
+        addresses: { hrp: 'bcrt', base58: 'testnet' },
+        // No public instance; set MEMPOOL_API_URL to a local one if there is one
+        mempoolApi: null,
+        explorer: null,
+        fallbackHashrate: 0
+    }
+};
+
+// Accepted spellings -> network name (bitcoind's getblockchaininfo "chain" values included)
+const ALIASES = {
+    main: 'mainnet',
+    bitcoin: 'mainnet',
+    test: 'testnet',
+    testnet3: 'testnet'
+};
+
+let current = null;
+
+function resolveName(name) {
+    const key = String(name || '').trim().toLowerCase();
+    const resolved = ALIASES[key] || key;
+    return NETWORKS[resolved] ? resolved : null;
+}
+
+function getNetwork() {
+    if (current) return current;
+
+    const configured = process.env.BITCOIN_NETWORK;
+    if (configured) {
+        const name = resolveName(configured);
+        if (!name) {
+            console.error(`Unknown BITCOIN_NETWORK "${configured}", using mainnet`);
+        }
+        current = NETWORKS[name || 'mainnet'];
+        return current;
+    }
+    return NETWORKS.mainnet;
+}
+
+function setNetwork(name) {
+    const resolved = resolveName(name);
+    if (!resolved) throw new Error(`Unknown Bitcoin network: ${name}`);
+    current = NETWORKS[resolved];
+    return current;
+}
+
+// Pick the network from bitcoind unless BITCOIN_NETWORK is set.
+// Failures keep the mainnet default.
+async function detectNetwork() {
+    if (process.env.BITCOIN_NETWORK) return getNetwork();
+
+    try {
+        const info = await rpcCall('getblockchaininfo');
+        const name = resolveName(info && info.chain);
+        if (!name) {
+            console.error(`Unknown chain "${info && info.chain}" from bitcoind, using mainnet`);
+            return getNetwork();
+        }
+        if (name !== 'mainnet') console.log(`Detected Bitcoin network: ${NETWORKS[name].label}`);
+        return setNetwork(name);
+    } catch (err) {
+        console.error('Failed to detect Bitcoin network:', err.message);
+        return getNetwork();
+    }
+}
+
+function isMainnet() {
+    return getNetwork().name === 'mainnet';
+}
+
+// Block subsidy in BTC at a height (zero after 64 halvings)
+function blockSubsidy(height) {
+    const halvings = Math.floor((height || 0) / getNetwork().halvingInterval);
+    return halvings >= 64 ? 0 : 50 / Math.pow(2, halvings);
+}
+
+// Explorer link for a block, tx or address; null when the network has no explorer
+function explorerUrl(kind, id) {
+    const explorer = getNetwork().explorer;
+    return explorer ? `${explorer}/${kind}/${id}` : null;
+}
+
+// Expose the network to views (badge in layout.ejs)
+function injectNetwork(req, res, next) {
+    res.locals.bitcoinNetwork = getNetwork();
+    next();
+}
+
+module.exports = {
+    NETWORKS,
+    getNetwork,
+    setNetwork,
+    detectNetwork,
+    isMainnet,
+    blockSubsidy,
+    explorerUrl,
+    injectNetwork
+};
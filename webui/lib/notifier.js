@@ -0,0 +1,319 @@
+// Rules-based notifications
+// A background check watches ckpool and bitcoind and raises events:
+//   worker_offline, worker_online, personal_best, pool_best, block_found,
+//   ckpool_down, ckpool_up, bitcoind_down, bitcoind_up
+// Rules in data/notifications.json (or NOTIFY_CONFIG) route events to channels,
+// optionally limited to one or more addresses, with a per-rule cooldown.
+const fs = require('fs');
+const path = require('path');
+const channels = require('./notify-channels');
+const minerCache = require('./miner-cache');
+const blockTracker = require('./block-tracker');
+const { rpcCall } = require('./bitcoin-rpc');
+const { formatDifficulty } = require('./stats-parser');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const CONFIG_FILE = process.env.NOTIFY_CONFIG || path.join(DATA_DIR, 'notifications.json');
+
+const CHECK_INTERVAL = 60000;
+const DEFAULT_OFFLINE_AFTER = 900; // Seconds without a share before a worker counts as offline
+const DEFAULT_COOLDOWN = 1800;     // Seconds between repeats of the same event for the same subject
+// Blocks older than this are history (e.g. first scan of an old log), not news
+const BLOCK_MAX_AGE = 3600;
+
+const EVENTS = [
+    'worker_offline',
+    'worker_online',
+    'personal_best',
+    'pool_best',
+    'block_found',
+    'ckpool_down',
+    'ckpool_up',
+    'bitcoind_down',
+    'bitcoind_up'
+];
+
+let config = null;
+let checkTimer = null;
+let checking = false;
+// `${ruleIndex}|${event}|${subject}` -> unix time last sent
+const cooldowns = new Map();
+// worker -> 'online' | 'offline'
+const workerStates = new Map();
+const serviceStates = { ckpool: null, bitcoind: null };
+let poolBest = null;
+
+// Load notification config from file (once, then kept in memory)
+function loadConfig() {
+    if (config) return config;
+
+    config = { offlineAfter: DEFAULT_OFFLINE_AFTER, cooldown: DEFAULT_COOLDOWN, channels: {}, rules: [] };
+    try {
+        if (fs.existsSync(CONFIG_FILE)) {
+            const data = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+            config = {
+                offlineAfter: data.offlineAfter || DEFAULT_OFFLINE_AFTER,
+                cooldown: data.cooldown !== undefined ? data.cooldown : DEFAULT_COOLDOWN,
+                channels: data.channels || {},
+                rules: Array.isArray(data.rules) ? data.rules : []
+            };
+        }
+    } catch (err) {
+        console.error('Failed to load notification config:', err.message);
+    }
+
+    return config;
+}
+
+// Re-read the config file (cooldowns are kept)
+function reloadConfig() {
+    config = null;
+    return loadConfig();
+}
+
+function shortWorkerName(worker) {
+    return (worker || '').split('.').slice(1).join('.') || worker || 'anon';
+}
+
+// Title and message text for each event
+function describe(event, fields) {
+    const name = shortWorkerName(fields.worker);
+    switch (event) {
+        case 'worker_offline':
+            return {
+                title: `Worker offline: ${name}`,
+                message: `${fields.worker} has not submitted a share for ${Math.round((fields.idleFor || 0) / 60)} minutes.`
+            };
+        case 'worker_online':
+            return { title: `Worker back online: ${name}`, message: `${fields.worker} is submitting shares again.` };
+        case 'personal_best':
+            return {
+                title: `New best share: ${name}`,
+                message: `${fields.worker} found a share of difficulty ${formatDifficulty(fields.best)} (previous best ${formatDifficulty(fields.previous)}).`
+            };
+        case 'pool_best':
+            return {
+                title: 'New pool best share',
+                message: `${fields.worker} set a new pool record: difficulty ${formatDifficulty(fields.best)} (previous ${formatDifficulty(fields.previous)}).`
+            };
+        case 'block_found':
+            return {
+                title: `Block ${fields.height} found!`,
+                message: `Block ${fields.height} was solved by ${fields.worker || fields.address || 'the pool'}` +
+                    (fields.reward ? ` for ${(fields.reward / 1e8).toFixed(8)} BTC.` : '.')
+            };
+        case 'ckpool_down':
+            return { title: 'ckpool unreachable', message: 'The WebUI cannot get stats from the ckpool sockets.' };
+        case 'ckpool_up':
+            return { title: 'ckpool reachable again', message: 'ckpool is answering stats requests again.' };
+        case 'bitcoind_down':
+            return { title: 'bitcoind unreachable', message: `bitcoind RPC is not responding${fields.error ? `: ${fields.error}` : '.'}` };
+        case 'bitcoind_up':
+            return { title: 'bitcoind reachable again', message: 'bitcoind RPC is responding again.' };
+        default:
+            return { title: event, message: '' };
+    }
+}
+
+function ruleMatches(rule, notification) {
+    const events = rule.events || EVENTS;
+    if (!events.includes('*') && !events.includes(notification.event)) return false;
+
+    if (!rule.address || rule.address === '*') return true;
+    const addresses = Array.isArray(rule.address) ? rule.address : [rule.address];
+    return addresses.includes(notification.address);
+}
+
+// Route an event through matching rules. Resolves to the number of channels notified.
+async function notify(event, fields = {}) {
+    const cfg = loadConfig();
+    const now = Math.floor(Date.now() / 1000);
+    const address = fields.address || (fields.worker ? fields.worker.split('.')[0] : null);
+    const notification = {
+        event,
+        ...describe(event, fields),
+        address,
+        worker: fields.worker || null,
+        timestamp: now,
+        data: fields
+    };
+
+    const subject = notification.worker || notification.address || 'pool';
+    const targets = new Set();
+
+    cfg.rules.forEach((rule, index) => {
+        if (!ruleMatches(rule, notification)) return;
+
+        const key = `${index}|${event}|${subject}`;
+        const cooldown = rule.cooldown !== undefined ? rule.cooldown : cfg.cooldown;
+        if (cooldowns.has(key) && now - cooldowns.get(key) < cooldown) return;
+        cooldowns.set(key, now);
+
+        (rule.channels || []).forEach(name => targets.add(name));
+    });
+
+    const deliveries = Array.from(targets).map(name => {
+        const channel = cfg.channels[name];
+        if (!channel) {
+            console.error(`Notification rule references unknown channel: ${name}`);
+            return Promise.resolve(false);
+        }
+        return channels.send(channel, notification)
+            .then(() => true)
+            .catch(err => {
+                console.error(`Failed to send ${event} notification via ${name}:`, err.message);
+                return false;
+            });
+    });
+
+    const results = await Promise.all(deliveries);
+    return results.filter(Boolean).length;
+}
+
+// Send a test message through one channel, bypassing rules and cooldowns
+async function sendTest(channelName) {
+    const channel = loadConfig().channels[channelName];
+    if (!channel) throw new Error(`Unknown channel: ${channelName}`);
+    await channels.send(channel, {
+        event: 'test',
+        title: 'Go Brrr Pool test notification',
+        message: `Channel "${channelName}" is working.`,
+        address: null,
+        worker: null,
+        timestamp: Math.floor(Date.now() / 1000),
+        data: {}
+    });
+}
+
+function onBestDiff({ worker, best, previous }) {
+    // previous === 0 is the first share we've seen for this worker, not a new record
+    if (previous > 0) {
+        notify('personal_best', { worker, best, previous });
+    }
+    if (poolBest !== null && best > poolBest) {
+        notify('pool_best', { worker, best, previous: poolBest });
+    }
+    if (poolBest === null || best > poolBest) {
+        poolBest = best;
+    }
+}
+
+function onBlock(block) {
+    const age = Math.floor(Date.now() / 1000) - (block.timestamp || 0);
+    if (age > BLOCK_MAX_AGE) return;
+    notify('block_found', block);
+}
+
+// Track online/offline transitions (the first sighting only sets the baseline)
+function checkWorkers(workers, offlineAfter) {
+    const now = Math.floor(Date.now() / 1000);
+    const seen = new Set();
+
+    workers.forEach(worker => {
+        const fullName = worker.worker || worker.workername || '';
+        if (!fullName) return;
+        seen.add(fullName);
+
+        const lastShare = worker.lastshare || 0;
+        const idleFor = lastShare ? now - lastShare : Infinity;
+        const state = idleFor > offlineAfter ? 'offline' : 'online';
+        const previous = workerStates.get(fullName);
+        workerStates.set(fullName, state);
+
+        if (previous && previous !== state) {
+            notify(`worker_${state}`, { worker: fullName, lastShare, idleFor: state === 'offline' ? idleFor : 0 });
+        }
+    });
+
+    // Workers ckpool stopped reporting while online have gone offline too
+    for (const [fullName, state] of workerStates) {
+        if (!seen.has(fullName) && state === 'online') {
+            workerStates.set(fullName, 'offline');
+            notify('worker_offline', { worker: fullName, idleFor: offlineAfter });
+        }
+    }
+}
+
+function setServiceState(service, up, fields = {}) {
+    const state = up ? 'up' : 'down';
+    const previous = serviceStates[service];
+    serviceStates[service] = state;
+    if (previous && previous !== state) {
+        notify(`${service}_${state}`, fields);
+    }
+}
+
+// One pass over ckpool and bitcoind
+async function check(ckpool) {
+    if (checking) return;
+    checking = true;
+
+    try {
+        const cfg = loadConfig();
+        if (cfg.rules.length === 0) return;
+
+        const [poolStats, workersData] = await Promise.all([
+            ckpool.getPoolStats(),
+            ckpool.getAllWorkers()
+        ]);
+        const ckpoolUp = !!(poolStats.poolstats && !poolStats.poolstats.error) || !!workersData;
+        setServiceState('ckpool', ckpoolUp);
+
+        if (workersData && Array.isArray(workersData.workers)) {
+            checkWorkers(workersData.workers, cfg.offlineAfter);
+            // Emits 'bestDiff' for new personal bests
+            minerCache.updateBestDiffs(workersData.workers);
+        }
+
+        try {
+            await rpcCall('getblockcount');
+            setServiceState('bitcoind', true);
+        } catch (err) {
+            setServiceState('bitcoind', false, { error: err.message });
+        }
+    } catch (err) {
+        console.error('Notification check failed:', err.message);
+    } finally {
+        checking = false;
+    }
+}
+
+// Start watching for events (first check immediately)
+function startNotifier(ckpool, interval = CHECK_INTERVAL) {
+    if (checkTimer) return checkTimer;
+
+    const cfg = loadConfig();
+    const bests = Object.values(minerCache.loadCache().bestDiffs || {});
+    poolBest = bests.length > 0 ? Math.max(...bests) : null;
+
+    minerCache.events.on('bestDiff', onBestDiff);
+    blockTracker.events.on('block', onBlock);
+
+    if (cfg.rules.length > 0) {
+        console.log(`Notifications enabled: ${cfg.rules.length} rule(s), ${Object.keys(cfg.channels).length} channel(s)`);
+    }
+
+    check(ckpool);
+    checkTimer = setInterval(() => check(ckpool), interval);
+    return checkTimer;
+}
+
+function stopNotifier() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+        checkTimer = null;
+    }
+    minerCache.events.removeListener('bestDiff', onBestDiff);
+    blockTracker.events.removeListener('block', onBlock);
+}
+
+module.exports = {
+    EVENTS,
+    loadConfig,
+    reloadConfig,
+    notify,
+    sendTest,
+    check,
+    startNotifier,
+    stopNotifier
+};
@@ -0,0 +1,252 @@
+// Notification channels
+// Each sender takes (channelConfig, notification) and resolves once delivered.
+// notification: { event, title, message, address, worker, timestamp, data }
+// Every endpoint is configurable so channels can be pointed at a local stand-in.
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const SEND_TIMEOUT_MS = 10000;
+
+async function postJSON(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response;
+}
+
+// Generic webhook: POSTs the notification as JSON
+async function sendWebhook(config, notification) {
+    if (!config.url) throw new Error('webhook channel requires url');
+    await postJSON(config.url, notification, config.headers || {});
+}
+
+// ntfy (https://ntfy.sh or self-hosted). Uses the JSON publish API: the title
+// can hold any worker name, and HTTP headers only carry Latin-1.
+async function sendNtfy(config, notification) {
+    if (!config.topic) throw new Error('ntfy channel requires topic');
+    const base = (config.url || 'https://ntfy.sh').replace(/\/+$/, '');
+    const headers = config.token ? { 'Authorization': `Bearer ${config.token}` } : {};
+
+    await postJSON(base, {
+        topic: config.topic,
+        title: notification.title,
+        message: notification.message,
+        tags: [notification.event],
+        priority: Number(config.priority) || (notification.event === 'block_found' ? 5 : 3)
+    }, headers);
+}
+
+// Telegram Bot API sendMessage
+async function sendTelegram(config, notification) {
+    if (!config.botToken || !config.chatId) throw new Error('telegram channel requires botToken and chatId');
+    const base = (config.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    await postJSON(`${base}/bot${config.botToken}/sendMessage`, {
+        chat_id: config.chatId,
+        text: `${notification.title}\n${notification.message}`,
+        disable_web_page_preview: true
+    });
+}
+
+// Discord webhook (embed colour by event kind)
+const DISCORD_COLORS = {
+    block_found: 0xf7931a,
+    pool_best: 0xf7931a,
+    personal_best: 0x2ecc71,
+    worker_online: 0x2ecc71,
+    ckpool_up: 0x2ecc71,
+    bitcoind_up: 0x2ecc71
+};
+
+async function sendDiscord(config, notification) {
+    if (!config.webhookUrl) throw new Error('discord channel requires webhookUrl');
+    await postJSON(config.webhookUrl, {
+        username: config.username || 'Go Brrr Pool',
+        embeds: [{
+            title: notification.title,
+            description: notification.message,
+            color: DISCORD_COLORS[notification.event] || 0xe74c3c,
+            timestamp: new Date(notification.timestamp * 1000).toISOString()
+        }]
+    });
+}
+
+// Minimal SMTP client: EHLO, optional STARTTLS/implicit TLS, AUTH PLAIN, one message
+function smtpConnect(config) {
+    const port = config.port || (config.secure ? 465 : 587);
+    const options = { host: config.host, port, rejectUnauthorized: config.rejectUnauthorized !== false };
+    return config.secure ? tls.connect(options) : net.createConnection(options);
+}
+
+function createSmtpSession(socket) {
+    let buffer = '';
+    let lines = [];
+    let pending = null;
+    let failure = null;
+
+    function settle() {
+        if (!pending) return;
+        if (failure) {
+            pending.reject(failure);
+            pending = null;
+            return;
+        }
+        // Multi-line replies use "250-"; the last line uses "250 "
+        const endIndex = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (endIndex === -1) return;
+        const reply = lines.slice(0, endIndex + 1);
+        lines = lines.slice(endIndex + 1);
+        const code = parseInt(reply[reply.length - 1].slice(0, 3), 10);
+        const { resolve } = pending;
+        pending = null;
+        resolve({ code, lines: reply });
+    }
+
+    function attach(sock) {
+        sock.setEncoding('utf8');
+        sock.on('data', chunk => {
+            buffer += chunk;
+            let idx;
+            while ((idx = buffer.indexOf('\n')) !== -1) {
+                lines.push(buffer.slice(0, idx).replace(/\r$/, ''));
+                buffer = buffer.slice(idx + 1);
+            }
+            settle();
+        });
+        sock.on('error', err => { failure = err; settle(); });
+        sock.on('close', () => { failure = failure || new Error('SMTP connection closed'); settle(); });
+    }
+
+    let current = socket;
+    attach(current);
+
+    function read() {
+        return new Promise((resolve, reject) => {
+            pending = { resolve, reject };
+            settle();
+        });
+    }
+
+    async function command(line, expect) {
+        if (line !== null) current.write(line + '\r\n');
+        const reply = await read();
+        if (reply.code !== expect) {
+            throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    // Upgrade the plain connection after STARTTLS
+    function upgrade(options) {
+        return new Promise((resolve, reject) => {
+            current.removeAllListeners('data');
+            current.removeAllListeners('error');
+            current.removeAllListeners('close');
+            const secure = tls.connect({ ...options, socket: current }, () => resolve());
+            secure.once('error', reject);
+            current = secure;
+            buffer = '';
+            lines = [];
+            attach(current);
+        });
+    }
+
+    return { command, upgrade, end: () => current.end() };
+}
+
+// Header value safe to put on one line: control characters (CR/LF could inject
+// headers) become spaces, and non-ASCII text is RFC 2047 encoded in
+// UTF-8 base64 words of at most 45 bytes (75 characters encoded).
+function encodeHeaderValue(text) {
+    const clean = String(text || '').replace(/[\u0000-\u001f\u007f]+/g, ' ').trim();
+    if (/^[\x20-\x7e]*$/.test(clean)) return clean;
+
+    const words = [];
+    let chunk = '';
+    for (const char of clean) {
+        if (Buffer.byteLength(chunk + char) > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    if (chunk) words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+// Dot-stuff the body and normalise line endings
+function formatSmtpBody(text) {
+    return text.replace(/\r?\n/g, '\r\n').split('\r\n').map(l => (l.startsWith('.') ? '.' + l : l)).join('\r\n');
+}
+
+async function sendSmtp(config, notification) {
+    if (!config.host || !config.from || !config.to) throw new Error('smtp channel requires host, from and to');
+    const recipients = Array.isArray(config.to) ? config.to : [config.to];
+    const socket = smtpConnect(config);
+    socket.setTimeout(SEND_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    const session = createSmtpSession(socket);
+    const hostname = config.clientName || os.hostname();
+
+    try {
+        await session.command(null, 220);
+        const ehlo = await session.command(`EHLO ${hostname}`, 250);
+
+        const canStartTls = ehlo.lines.some(l => /STARTTLS/i.test(l));
+        if (!config.secure && canStartTls && config.starttls !== false) {
+            await session.command('STARTTLS', 220);
+            await session.upgrade({ servername: config.host, rejectUnauthorized: config.rejectUnauthorized !== false });
+            await session.command(`EHLO ${hostname}`, 250);
+        }
+
+        if (config.user) {
+            const token = Buffer.from(`\u0000${config.user}\u0000${config.pass || ''}`).toString('base64');
+            await session.command(`AUTH PLAIN ${token}`, 235);
+        }
+
+        await session.command(`MAIL FROM:<${config.from}>`, 250);
+        for (const rcpt of recipients) {
+            await session.command(`RCPT TO:<${rcpt}>`, 250);
+        }
+        await session.command('DATA', 354);
+
+        const message = [
+            `From: ${config.from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${encodeHeaderValue(notification.title)}`,
+            `Date: ${new Date(notification.timestamp * 1000).toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            formatSmtpBody(notification.message)
+        ].join('\r\n');
+        await session.command(`${message}\r\n.`, 250);
+        await session.command('QUIT', 221).catch(() => {});
+    } finally {
+        session.end();
+    }
+}
+
+const SENDERS = {
+    webhook: sendWebhook,
+    ntfy: sendNtfy,
+    telegram: sendTelegram,
+    discord: sendDiscord,
+    smtp: sendSmtp
+};
+
+// Deliver a notification through one configured channel
+async function send(channel, notification) {
+    const sender = SENDERS[channel.type];
+    if (!sender) throw new Error(`Unknown notification channel type: ${channel.type}`);
+    await sender(channel, notification);
+}
+
+module.exports = {
+    SENDERS,
+    send,
+    encodeHeaderValue
+};
@@ -0,0 +1,180 @@
+// Mining pool identification for chain blocks, from the coinbase transaction
+// (getblock verbosity 2): the scriptSig text is matched against known coinbase tags,
+// then the payout addresses against known pool addresses. Blocks carrying our
+// POOL_SIGNATURE, or recorded by lib/block-tracker, are ours.
+//
+// Built-in pools live in lib/pool-tags.json:
+//   { "name": "Foundry USA", "slug": "foundryusa", "link": "https://...", "tags": ["Foundry USA Pool"], "addresses": [] }
+// Tags match anywhere in the coinbase text, ignoring case; the first matching pool wins.
+// Pools in data/pool-tags.json (or POOL_TAGS) are checked first, so operators can add or
+// fix pools; "replaceDefaults": true drops the built-in list. That file may also use the
+// { "coinbase_tags": {...}, "payout_addresses": {...} } layout of the public known-pools
+// lists, so a newer list can be dropped in as is.
+const fs = require('fs');
+const path = require('path');
+const { rpcCall } = require('./bitcoin-rpc');
+const blockTracker = require('./block-tracker');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const DEFAULT_POOLS_FILE = path.join(__dirname, 'pool-tags.json');
+const USER_POOLS_FILE = process.env.POOL_TAGS || path.join(DATA_DIR, 'pool-tags.json');
+const POOL_SIGNATURE = process.env.POOL_SIGNATURE || '';
+
+const OUR_POOL = { name: 'Go Brrr Pool', slug: 'gobrrr', link: null, ours: true };
+// Identified block hashes remembered (recent blocks only; this bounds memory)
+const CACHE_LIMIT = 500;
+
+let pools = null;
+const cache = new Map();
+
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// { coinbase_tags: { tag: { name, link } }, payout_addresses: { address: { name, link } } }
+function fromKnownPoolsList(data) {
+    const byName = new Map();
+    const entry = info => {
+        if (!byName.has(info.name)) byName.set(info.name, { name: info.name, link: info.link || null, tags: [], addresses: [] });
+        return byName.get(info.name);
+    };
+    Object.entries(data.coinbase_tags || {}).forEach(([tag, info]) => info && info.name && entry(info).tags.push(tag));
+    Object.entries(data.payout_addresses || {}).forEach(([address, info]) => info && info.name && entry(info).addresses.push(address));
+    return [...byName.values()];
+}
+
+function readPoolsFile(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const list = Array.isArray(data.pools) ? data.pools : fromKnownPoolsList(data);
+    return { pools: list, replaceDefaults: data.replaceDefaults === true };
+}
+
+// Normalise pools, skipping (and logging) any that can't match anything
+function compilePools(list, source) {
+    const compiled = [];
+    list.forEach((pool, index) => {
+        const tags = Array.isArray(pool?.tags) ? pool.tags.filter(t => typeof t === 'string' && t) : [];
+        const addresses = Array.isArray(pool?.addresses) ? pool.addresses.filter(a => typeof a === 'string' && a) : [];
+        if (!pool || !pool.name || (!tags.length && !addresses.length)) {
+            console.error(`Skipping pool ${index} in ${source}: needs "name" and "tags" or "addresses"`);
+            return;
+        }
+        compiled.push({
+            name: String(pool.name),
+            slug: pool.slug || slugify(pool.name),
+            link: pool.link || null,
+            tags: tags.map(t => t.toLowerCase()),
+            addresses: new Set(addresses)
+        });
+    });
+    return compiled;
+}
+
+// Load the pool list (once, then kept in memory)
+function loadPools() {
+    if (pools) return pools;
+
+    let userPools = [];
+    let replaceDefaults = false;
+    try {
+        if (fs.existsSync(USER_POOLS_FILE)) {
+            const data = readPoolsFile(USER_POOLS_FILE);
+            userPools = compilePools(data.pools, path.basename(USER_POOLS_FILE));
+            replaceDefaults = data.replaceDefaults;
+        }
+    } catch (err) {
+        console.error('Failed to load pool tags:', err.message);
+    }
+
+    const defaults = replaceDefaults ? [] : compilePools(readPoolsFile(DEFAULT_POOLS_FILE).pools, 'pool-tags.json');
+    pools = userPools.concat(defaults);
+    return pools;
+}
+
+// Re-read the pool files (e.g. after editing data/pool-tags.json or a restore)
+function reloadPools() {
+    pools = null;
+    cache.clear();
+    return loadPools();
+}
+
+// Printable text of a coinbase scriptSig (hex); the BIP34 height and extranonce
+// bytes become spaces
+function coinbaseText(scriptSigHex) {
+    return Buffer.from(scriptSigHex || '', 'hex').toString('utf8')
+        .replace(/[\u0000-\u001f\u007f\ufffd]+/g, ' ')
+        .trim();
+}
+
+function publicPool(pool) {
+    return { name: pool.name, slug: pool.slug, link: pool.link, ours: false };
+}
+
+// Identify the pool behind a block (getblock verbosity 2): { name, slug, link, ours } or null
+function identifyBlock(block) {
+    const coinbaseTx = block && block.tx && block.tx[0];
+    if (!coinbaseTx || typeof coinbaseTx !== 'object') return null;
+
+    const scriptSig = coinbaseTx.vin?.[0]?.coinbase || '';
+    const text = coinbaseText(scriptSig).toLowerCase();
+    if (POOL_SIGNATURE && text.includes(POOL_SIGNATURE.toLowerCase())) return { ...OUR_POOL };
+
+    const list = loadPools();
+    const byTag = list.find(pool => pool.tags.some(tag => text.includes(tag)));
+    if (byTag) return publicPool(byTag);
+
+    const addresses = (coinbaseTx.vout || [])
+        .map(out => out.scriptPubKey?.address || out.scriptPubKey?.addresses?.[0])
+        .filter(Boolean);
+    const byAddress = list.find(pool => addresses.some(address => pool.addresses.has(address)));
+    return byAddress ? publicPool(byAddress) : null;
+}
+
+function isOurBlock(hash) {
+    return blockTracker.getBlocks().some(block => block.hash === hash);
+}
+
+// Pool for a block hash, fetching the block from bitcoind once. Throws if bitcoind fails.
+async function lookupPool(hash) {
+    if (cache.has(hash)) return cache.get(hash);
+
+    const pool = identifyBlock(await rpcCall('getblock', [hash, 2]));
+    if (cache.size >= CACHE_LIMIT) cache.clear();
+    cache.set(hash, pool);
+    return pool;
+}
+
+// Fill in extras.pool on blocks in the mempool API's /v1/blocks shape: blocks the
+// mempool API couldn't name are looked up via bitcoind, and our own blocks are marked
+// as ours. Blocks are checked one at a time to go easy on bitcoind.
+async function identifyBlocks(blocks) {
+    for (const block of blocks) {
+        if (!block || !block.id) continue;
+        block.extras = block.extras || {};
+        if (isOurBlock(block.id)) {
+            block.extras.pool = { ...OUR_POOL };
+            continue;
+        }
+        // A local mempool instance without pool data names everything "Unknown"
+        if (block.extras.pool && block.extras.pool.name && block.extras.pool.slug !== 'unknown') continue;
+
+        try {
+            block.extras.pool = await lookupPool(block.id);
+        } catch (err) {
+            // bitcoind unavailable - the rest stay unnamed until the next refresh
+            if (!err.circuitOpen) console.error('Failed to identify block pool:', err.message);
+            break;
+        }
+    }
+    return blocks;
+}
+
+module.exports = {
+    USER_POOLS_FILE,
+    OUR_POOL,
+    loadPools,
+    reloadPools,
+    coinbaseText,
+    identifyBlock,
+    identifyBlocks
+};
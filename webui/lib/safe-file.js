@@ -0,0 +1,126 @@
+// Crash-safe file writes for the data dir
+//
+// writeJSONAtomic() writes to a temp file, fsyncs it and renames it into place,
+// so a power cut leaves either the old or the new file - never a truncated one.
+// The previous GENERATIONS versions are kept as <file>.1, <file>.2, ... and the
+// JSON is wrapped with a sha256 of its contents:
+//   {"version":1,"savedAt":<ms>,"sha256":"<hex>","data":<payload>}
+// readJSONSafe() verifies the checksum and falls back to the newest good
+// generation. Plain JSON files from before this format are still accepted.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GENERATIONS = 2;
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function fsyncDir(dir) {
+    // Makes the rename durable; not supported on every platform, so best-effort
+    try {
+        const fd = fs.openSync(dir, 'r');
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (e) {
+        // ignore
+    }
+}
+
+// Write <file>.tmp and flush it to disk; returns the temp path
+function writeTemp(file, contents) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmp = `${file}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return tmp;
+}
+
+// Write raw contents atomically (no generations, no checksum)
+function writeFileAtomic(file, contents) {
+    const tmp = writeTemp(file, contents);
+    fs.renameSync(tmp, file);
+    fsyncDir(path.dirname(file));
+}
+
+// Shift <file> -> <file>.1 -> <file>.2 ..., dropping the oldest
+function rotateGenerations(file) {
+    for (let i = GENERATIONS; i >= 1; i--) {
+        const from = i === 1 ? file : `${file}.${i - 1}`;
+        if (fs.existsSync(from)) {
+            fs.renameSync(from, `${file}.${i}`);
+        }
+    }
+}
+
+function writeJSONAtomic(file, data) {
+    const body = JSON.stringify(data);
+    const envelope = `{"version":1,"savedAt":${Date.now()},"sha256":"${sha256(body)}","data":${body}}`;
+    const tmp = writeTemp(file, envelope);
+    // If we crash between these renames, readers fall back to <file>.1
+    rotateGenerations(file);
+    fs.renameSync(tmp, file);
+    fsyncDir(path.dirname(file));
+}
+
+// Parse and verify one file. Throws on corruption.
+function parseVerified(text) {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && typeof parsed.sha256 === 'string' && 'data' in parsed) {
+        // JSON.stringify output round-trips exactly, so re-serialising reproduces the hashed text
+        if (sha256(JSON.stringify(parsed.data)) !== parsed.sha256) {
+            throw new Error('checksum mismatch');
+        }
+        return parsed.data;
+    }
+    // Legacy plain JSON (written before checksums)
+    return parsed;
+}
+
+// Read the newest intact generation. Returns null when no file exists or none is intact.
+function readJSONSafe(file) {
+    const candidates = [file];
+    for (let i = 1; i <= GENERATIONS; i++) candidates.push(`${file}.${i}`);
+
+    for (const candidate of candidates) {
+        if (!fs.existsSync(candidate)) continue;
+        try {
+            const data = parseVerified(fs.readFileSync(candidate, 'utf8'));
+            if (candidate !== file) {
+                console.error(`Recovered ${path.basename(file)} from previous generation ${path.basename(candidate)}`);
+            }
+            return data;
+        } catch (err) {
+            console.error(`Corrupt ${path.basename(candidate)}: ${err.message}`);
+            if (candidate === file) {
+                // Keep the damaged file for inspection; the next save replaces it
+                try {
+                    fs.copyFileSync(file, `${file}.corrupt`);
+                } catch (e) {
+                    // ignore
+                }
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    GENERATIONS,
+    sha256,
+    writeFileAtomic,
+    writeJSONAtomic,
+    readJSONSafe
+};
@@ -0,0 +1,262 @@
+// Per-worker accepted/rejected/stale share history
+// The bundled ckpool counts shares per worker by outcome ("accepted", "rejected",
+// "stale" in the workers listing; share counts, not difficulty). These are running
+// totals, so the sampler stores the increase since the previous sample in buckets:
+//   5-minute resolution for 24h, hourly for 7d
+// Workers without the counters (a ckpool build without them) are not tracked.
+// Reject rates count stale shares as rejected: (rejected + stale) / all shares.
+const fs = require('fs');
+const path = require('path');
+const { readJSONSafe, writeJSONAtomic } = require('./safe-file');
+const { increase } = require('./stats-parser');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const HISTORY_FILE = path.join(DATA_DIR, 'share-history.json');
+
+const SAMPLE_INTERVAL = 60000;       // Poll ckpool once a minute
+const SAVE_INTERVAL = 300000;        // Flush to disk every 5 minutes
+
+// Bucket size and retention (seconds) per resolution
+const RESOLUTIONS = {
+    fine: { bucket: 300, retention: 86400 },
+    hour: { bucket: 3600, retention: 7 * 86400 }
+};
+
+// Reject-rate windows -> [resolution, length in seconds]
+const WINDOWS = {
+    '1h': ['fine', 3600],
+    '24h': ['fine', 86400],
+    '7d': ['hour', 7 * 86400]
+};
+
+// A worker is flagged when its 1h reject rate is at least SPIKE_FACTOR times its
+// 7d rate and above SPIKE_MIN_RATE, over at least SPIKE_MIN_SHARES shares
+const SPIKE_FACTOR = 3;
+const SPIKE_MIN_RATE = 0.02;
+const SPIKE_MIN_SHARES = 20;
+
+let history = null;
+let dirty = false;
+let lastSave = 0;
+let samplerTimer = null;
+
+// Ensure data directory exists
+function ensureDataDir() {
+    const dataDir = path.dirname(HISTORY_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+}
+
+// Load history from file (once, then kept in memory)
+function loadHistory() {
+    if (history) return history;
+
+    try {
+        ensureDataDir();
+        // Falls back to the previous generation if the file is damaged
+        const data = readJSONSafe(HISTORY_FILE);
+        if (data) {
+            history = { workers: data.workers || {} };
+            return history;
+        }
+    } catch (err) {
+        console.error('Failed to load share history:', err.message);
+    }
+
+    history = { workers: {} };
+    return history;
+}
+
+// Save history to file
+function saveHistory() {
+    if (!history) return;
+
+    try {
+        ensureDataDir();
+        writeJSONAtomic(HISTORY_FILE, history);
+        dirty = false;
+        lastSave = Date.now();
+    } catch (err) {
+        console.error('Failed to save share history:', err.message);
+    }
+}
+
+// Drop the in-memory copy and re-read the file (after a restore)
+function reloadHistory() {
+    history = null;
+    dirty = false;
+    return loadHistory();
+}
+
+// Points are [bucketStart, accepted, rejected, stale]
+function addDelta(points, bucket, ts, delta) {
+    const bucketStart = Math.floor(ts / bucket) * bucket;
+    const last = points[points.length - 1];
+
+    if (last && last[0] === bucketStart) {
+        last[1] += delta.accepted;
+        last[2] += delta.rejected;
+        last[3] += delta.stale;
+    } else if (!last || last[0] < bucketStart) {
+        points.push([bucketStart, delta.accepted, delta.rejected, delta.stale]);
+    }
+}
+
+function trimPoints(points, retention, now) {
+    const cutoff = now - retention;
+    let drop = 0;
+    while (drop < points.length && points[drop][0] < cutoff) drop++;
+    if (drop > 0) points.splice(0, drop);
+}
+
+// Running share counts per worker from the workers listing
+function collectTotals(workersData) {
+    const totals = {};
+    const workers = workersData && Array.isArray(workersData.workers) ? workersData.workers : [];
+
+    workers.forEach(worker => {
+        const fullName = worker.worker || worker.workername || '';
+        if (!fullName || worker.accepted === undefined) return;
+        totals[fullName] = {
+            accepted: worker.accepted || 0,
+            rejected: worker.rejected || 0,
+            stale: worker.stale || 0
+        };
+    });
+
+    return totals;
+}
+
+// Record one sample from ckpool's workers response
+function recordSnapshot(workersData, ts) {
+    const h = loadHistory();
+    if (!ts) ts = Math.floor(Date.now() / 1000);
+
+    const totals = collectTotals(workersData);
+    for (const [fullName, current] of Object.entries(totals)) {
+        let entry = h.workers[fullName];
+        if (!entry) {
+            // First sight only sets the baseline: the totals may span days
+            h.workers[fullName] = { last: { accepted: current.accepted, rejected: current.rejected, stale: current.stale }, seen: ts, fine: [], hour: [] };
+            continue;
+        }
+
+        const delta = {
+            accepted: increase(current.accepted, entry.last.accepted),
+            rejected: increase(current.rejected, entry.last.rejected),
+            stale: increase(current.stale, entry.last.stale)
+        };
+        entry.last = { accepted: current.accepted, rejected: current.rejected, stale: current.stale };
+        entry.seen = ts;
+
+        for (const [name, res] of Object.entries(RESOLUTIONS)) {
+            addDelta(entry[name], res.bucket, ts, delta);
+            trimPoints(entry[name], res.retention, ts);
+        }
+    }
+
+    // Forget workers gone for longer than the longest window
+    for (const [fullName, entry] of Object.entries(h.workers)) {
+        if (ts - entry.seen > RESOLUTIONS.hour.retention) delete h.workers[fullName];
+    }
+
+    dirty = true;
+}
+
+// Take one sample from ckpool and flush to disk if due
+async function sample(ckpool) {
+    try {
+        recordSnapshot(await ckpool.getAllWorkers());
+
+        if (dirty && Date.now() - lastSave >= SAVE_INTERVAL) {
+            saveHistory();
+        }
+    } catch (err) {
+        console.error('Share history sample failed:', err.message);
+    }
+}
+
+// Start the background sampler (first sample immediately)
+function startSampler(ckpool, interval = SAMPLE_INTERVAL) {
+    if (samplerTimer) return samplerTimer;
+    loadHistory();
+    lastSave = Date.now();
+    sample(ckpool);
+    samplerTimer = setInterval(() => sample(ckpool), interval);
+    return samplerTimer;
+}
+
+function stopSampler() {
+    if (samplerTimer) {
+        clearInterval(samplerTimer);
+        samplerTimer = null;
+    }
+    if (dirty) saveHistory();
+}
+
+function rejectRate(accepted, rejected, stale) {
+    const total = accepted + rejected + stale;
+    return total > 0 ? (rejected + stale) / total : 0;
+}
+
+function sumWindow(points, since) {
+    const sum = { accepted: 0, rejected: 0, stale: 0 };
+    (points || []).forEach(p => {
+        if (p[0] >= since) {
+            sum.accepted += p[1];
+            sum.rejected += p[2];
+            sum.stale += p[3];
+        }
+    });
+    return { ...sum, rejectRate: rejectRate(sum.accepted, sum.rejected, sum.stale) };
+}
+
+// Totals and reject rate per window, and whether the 1h rate has jumped.
+// Returns null for workers without history yet.
+function getWorkerShares(fullName, now) {
+    const entry = loadHistory().workers[fullName];
+    if (!entry) return null;
+    if (!now) now = Math.floor(Date.now() / 1000);
+
+    const windows = {};
+    for (const [name, [resolution, length]] of Object.entries(WINDOWS)) {
+        windows[name] = sumWindow(entry[resolution], now - length);
+    }
+
+    const recent = windows['1h'];
+    const recentShares = recent.accepted + recent.rejected + recent.stale;
+    const spiking = recentShares >= SPIKE_MIN_SHARES &&
+        recent.rejectRate >= SPIKE_MIN_RATE &&
+        recent.rejectRate >= windows['7d'].rejectRate * SPIKE_FACTOR;
+
+    return { windows, spiking };
+}
+
+// Hourly trend for charts
+function getWorkerShareHistory(fullName) {
+    const entry = loadHistory().workers[fullName];
+    const points = (entry && entry.hour) || [];
+    return {
+        resolution: 'hour',
+        points: points.map(p => ({
+            time: p[0],
+            accepted: p[1],
+            rejected: p[2],
+            stale: p[3],
+            rejectRate: rejectRate(p[1], p[2], p[3])
+        }))
+    };
+}
+
+module.exports = {
+    WINDOWS,
+    loadHistory,
+    saveHistory,
+    reloadHistory,
+    recordSnapshot,
+    startSampler,
+    stopSampler,
+    getWorkerShares,
+    getWorkerShareHistory
+};
@@ -1,4 +1,5 @@
 // Utility functions for parsing and formatting mining stats
+const minerRegistry = require('./miner-registry');
 
 function formatHashrate(hashesPerSecond) {
     if (!hashesPerSecond || hashesPerSecond === 0) return '0 H/s';
@@ -27,6 +28,15 @@ function formatDifficulty(diff) {
     return diff.toFixed(2);
 }
 
+// Effort or luck in percent; solo rounds sit far below 1%, so keep 2 significant digits there
+function formatEffort(percent) {
+    if (percent === null || percent === undefined) return '-';
+    if (percent >= 1) return percent.toFixed(1) + '%';
+    if (percent <= 0) return '0%';
+    if (percent < 0.0001) return '<0.0001%';
+    return Number(percent.toPrecision(2)) + '%';
+}
+
 function formatTimestamp(timestamp) {
     if (!timestamp) return 'Never';
 
@@ -64,6 +74,17 @@ function getNestedValue(obj, path, defaultValue = 0) {
 
 // Hashrate calculation: dsps (diff shares per second) * 2^32
 const NONCES_PER_SHARE = 4294967296; // 2^32
+// Users and workers without a share for this long (seconds) count as idle
+const IDLE_AFTER = 300;
+
+// Increase of a running ckpool total since the last sample; a drop means ckpool restarted
+function increase(current, previous) {
+    return current >= previous ? current - previous : current;
+}
+
+function isIdleSince(lastShare, now = Date.now() / 1000) {
+    return lastShare > 0 && now - lastShare > IDLE_AFTER;
+}
 
 function parsePoolStats(poolstats, stratifier, connector) {
     const pool = {
@@ -168,7 +189,7 @@ function parseUserStats(raw) {
     const hashrate7d = (raw.dsps10080 || 0) * NONCES_PER_SHARE;
 
     const lastShare = raw.lastshare || 0;
-    const isIdle = lastShare > 0 && (Date.now() / 1000 - lastShare > 300);
+    const isIdle = isIdleSince(lastShare);
 
     return {
         address: raw.user || raw.username || 'Unknown',
@@ -223,99 +244,32 @@ function parseWorkerStats(raw) {
     };
 }
 
-// Parse user-agent string to identify miner type
-function parseMinerType(useragent) {
-    if (!useragent || useragent === '') {
-        return { type: 'Unknown', name: 'Unknown Miner' };
-    }
-
-    const ua = useragent.toLowerCase();
-
-    // NerdQaxe/NerdMiner variants
-    if (ua.includes('nerdqaxe') || ua.includes('nerdaxe') || ua.includes('nerdminer')) {
-        if (ua.includes('nerdqaxe++') || ua.includes('qaxe++')) return { type: 'NerdQaxe', name: 'NerdQaxe++' };
-        if (ua.includes('nerdqaxe+') || ua.includes('qaxe+')) return { type: 'NerdQaxe', name: 'NerdQaxe+' };
-        if (ua.includes('nerdqaxe')) return { type: 'NerdQaxe', name: 'NerdQaxe' };
-        if (ua.includes('nerdaxe')) return { type: 'NerdAxe', name: 'NerdAxe' };
-        return { type: 'NerdMiner', name: 'NerdMiner' };
-    }
-
-    // Bitaxe variants
-    if (ua.includes('bitaxe') || ua.includes('esp-miner')) {
-        if (ua.includes('ultra')) return { type: 'Bitaxe', name: 'Bitaxe Ultra' };
-        if (ua.includes('max')) return { type: 'Bitaxe', name: 'Bitaxe Max' };
-        if (ua.includes('hex')) return { type: 'Bitaxe', name: 'Bitaxe Hex' };
-        if (ua.includes('supra')) return { type: 'Bitaxe', name: 'Bitaxe Supra' };
-        if (ua.includes('gamma')) return { type: 'Bitaxe', name: 'Bitaxe Gamma' };
-        return { type: 'Bitaxe', name: 'Bitaxe' };
-    }
-
-    // Bitmain Antminers
-    if (ua.includes('antminer') || ua.includes('bitmain')) {
-        if (ua.includes('s21')) return { type: 'Antminer', name: 'Antminer S21' };
-        if (ua.includes('s19')) return { type: 'Antminer', name: 'Antminer S19' };
-        if (ua.includes('t21')) return { type: 'Antminer', name: 'Antminer T21' };
-        if (ua.includes('t19')) return { type: 'Antminer', name: 'Antminer T19' };
-        if (ua.includes('s17')) return { type: 'Antminer', name: 'Antminer S17' };
-        if (ua.includes('s15')) return { type: 'Antminer', name: 'Antminer S15' };
-        if (ua.includes('s9')) return { type: 'Antminer', name: 'Antminer S9' };
-        return { type: 'Antminer', name: 'Antminer' };
-    }
-
-    // MicroBT Whatsminer
-    if (ua.includes('whatsminer') || ua.includes('microbt')) {
-        if (ua.includes('m50')) return { type: 'Whatsminer', name: 'Whatsminer M50' };
-        if (ua.includes('m30')) return { type: 'Whatsminer', name: 'Whatsminer M30' };
-        if (ua.includes('m20')) return { type: 'Whatsminer', name: 'Whatsminer M20' };
-        return { type: 'Whatsminer', name: 'Whatsminer' };
-    }
-
-    // Canaan Avalon
-    if (ua.includes('avalon') || ua.includes('canaan')) {
-        return { type: 'Avalon', name: 'Avalon' };
-    }
-
-    // Innosilicon
-    if (ua.includes('innosilicon') || ua.includes('t2t') || ua.includes('t3')) {
-        return { type: 'Innosilicon', name: 'Innosilicon' };
-    }
-
-    // Braiins/BOSminer
-    if (ua.includes('braiins') || ua.includes('bosminer') || ua.includes('bos')) {
-        return { type: 'Braiins', name: 'Braiins OS+' };
-    }
-
-    // CGMiner/BFGMiner (generic)
-    if (ua.includes('cgminer')) {
-        return { type: 'CGMiner', name: 'CGMiner' };
-    }
-    if (ua.includes('bfgminer')) {
-        return { type: 'BFGMiner', name: 'BFGMiner' };
-    }
-
-    // NiceHash
-    if (ua.includes('nicehash')) {
-        return { type: 'NiceHash', name: 'NiceHash' };
-    }
+// Worker name without the address ("bc1q...rig1" -> "rig1"); "default" for the bare address
+function shortWorkerName(fullName) {
+    return fullName.includes('.') ? fullName.split('.').slice(1).join('.') : 'default';
+}
 
-    // Firmware identifiers
-    if (ua.includes('vnish')) {
-        return { type: 'Vnish', name: 'Vnish Firmware' };
-    }
-    if (ua.includes('hiveon')) {
-        return { type: 'Hiveon', name: 'Hiveon ASIC' };
-    }
-    if (ua.includes('luxos')) {
-        return { type: 'LuxOS', name: 'LuxOS' };
-    }
+// Raw entries of one address from ckpool's workers listing
+function filterAddressWorkers(address, workersData) {
+    const listing = workersData && Array.isArray(workersData.workers) ? workersData.workers : [];
+    return listing.filter(w => (w.worker || w.workername || '').split('.')[0] === address);
+}
 
-    // AxeOS (Bitaxe firmware)
-    if (ua.includes('axeos')) {
-        return { type: 'Bitaxe', name: 'AxeOS' };
-    }
+// Same, as parseWorkerStats entries with the short name and the idle check applied
+function parseAddressWorkers(address, workersData, now = Date.now() / 1000) {
+    return filterAddressWorkers(address, workersData)
+        .map(parseWorkerStats)
+        .map(w => ({
+            ...w,
+            name: shortWorkerName(w.name),
+            isIdle: w.isIdle || isIdleSince(w.lastShare, now)
+        }));
+}
 
-    // Return the raw useragent if unknown
-    return { type: 'Other', name: useragent.slice(0, 20) };
+// Parse user-agent string to identify miner type
+// Returns { type, name, vendor, model, firmware, version } - see lib/miner-registry.js
+function parseMinerType(useragent) {
+    return minerRegistry.identify(useragent);
 }
 
 // Parse client info to extract useful data
@@ -329,7 +283,7 @@ function parseClientInfo(clientData) {
         workername: client.workername || 'default',
         useragent: client.useragent || '',
         miner: (!client.useragent && client.workername && !client.workername.includes('.'))
-            ? { type: 'Proxy', name: 'Mining Proxy' }
+            ? { type: 'Proxy', name: 'Mining Proxy', vendor: null, model: null, firmware: null, version: null }
             : parseMinerType(client.useragent),
         diff: client.diff || 0,
         startdiff: client.startdiff || 0,
@@ -340,7 +294,8 @@ function parseClientInfo(clientData) {
         rejected: client.rejected || 0,
         stale: client.stale || 0,
         idle: client.idle || false,
-        ip: client.ip || ''
+        // ckpool reports the peer IP as "address"
+        ip: client.ip || client.address || ''
     }));
 }
 
@@ -378,8 +333,15 @@ function aggregateMinerTypes(clientData) {
 }
 
 module.exports = {
+    IDLE_AFTER,
+    increase,
+    isIdleSince,
+    shortWorkerName,
+    filterAddressWorkers,
+    parseAddressWorkers,
     formatHashrate,
     formatDifficulty,
+    formatEffort,
     formatTimestamp,
     timeAgo,
     parseUserStats,
@@ -35,41 +35,11 @@ async function loadBitcoinHeroData() {
         const priceData = await priceRes.json();
 
         if (networkData.success && networkData.data) {
-            const data = networkData.data;
-
-            // Hero stats - show last mined block (ckpool reports next block, so subtract 1)
-            updateElement('hero-block-height', data.blockHeight ? data.blockHeight - 1 : '-');
-            updateElement('hero-network-hashrate', formatHashrate(data.networkHashrate));
-            updateElement('hero-difficulty', formatDifficulty(data.difficulty));
-
-            // Last block info
-            updateElement('hero-last-miner', data.lastBlockMiner || 'Unknown');
-            updateElement('hero-block-time', data.lastBlockTime ? timeAgo(data.lastBlockTime) : '-');
-
-            // Mempool & fees
-            updateElement('hero-mempool', formatBytes(data.mempool?.size || 0));
-            updateElement('hero-mempool-txs', (data.mempool?.count || 0).toLocaleString());
-            updateElement('hero-avg-fee', (data.fees?.hour || 0) + ' sat/vB');
-
-            // Difficulty adjustment
-            if (data.difficultyAdjustment) {
-                const adj = data.difficultyAdjustment;
-                const sign = adj.difficultyChange >= 0 ? '+' : '';
-                updateElement('hero-next-diff', `${sign}${adj.difficultyChange?.toFixed(2)}% (${adj.remainingBlocks} blocks)`);
-            }
-
-            // Fee rates
-            updateElement('fee-no-priority', data.fees?.minimum || '-');
-            updateElement('fee-low', data.fees?.economy || '-');
-            updateElement('fee-medium', data.fees?.hour || '-');
-            updateElement('fee-high', data.fees?.fastest || '-');
-
-            // Recent blocks
-            renderRecentBlocks(data.recentBlocks || []);
+            renderNetworkData(networkData.data);
         }
 
         if (priceData.success && priceData.data) {
-            updateElement('hero-btc-price', '$' + (priceData.data.USD?.toLocaleString() || '-'));
+            renderPriceData(priceData.data);
         }
 
     } catch (err) {
@@ -77,16 +47,56 @@ async function loadBitcoinHeroData() {
     }
 }
 
+// Render /api/network data into the hero card and fee rates
+function renderNetworkData(data) {
+    // Hero stats - show last mined block (ckpool reports next block, so subtract 1)
+    updateElement('hero-block-height', data.blockHeight ? data.blockHeight - 1 : '-');
+    updateElement('hero-network-hashrate', formatHashrate(data.networkHashrate));
+    updateElement('hero-difficulty', formatDifficulty(data.difficulty));
+
+    // Last block info
+    updateElement('hero-last-miner', data.lastBlockMiner || 'Unknown');
+    updateElement('hero-block-time', data.lastBlockTime ? timeAgo(data.lastBlockTime) : '-');
+
+    // Mempool & fees
+    updateElement('hero-mempool', formatBytes(data.mempool?.size || 0));
+    updateElement('hero-mempool-txs', (data.mempool?.count || 0).toLocaleString());
+    updateElement('hero-avg-fee', (data.fees?.hour || 0) + ' sat/vB');
+
+    // Difficulty adjustment
+    if (data.difficultyAdjustment) {
+        const adj = data.difficultyAdjustment;
+        const sign = adj.difficultyChange >= 0 ? '+' : '';
+        updateElement('hero-next-diff', `${sign}${adj.difficultyChange?.toFixed(2)}% (${adj.remainingBlocks} blocks)`);
+    }
+
+    // Fee rates
+    updateElement('fee-no-priority', data.fees?.minimum || '-');
+    updateElement('fee-low', data.fees?.economy || '-');
+    updateElement('fee-medium', data.fees?.hour || '-');
+    updateElement('fee-high', data.fees?.fastest || '-');
+
+    // Recent blocks
+    renderRecentBlocks(data.recentBlocks || []);
+}
+
+// Render /api/price data
+function renderPriceData(data) {
+    updateElement('hero-btc-price', '$' + (data.USD?.toLocaleString() || '-'));
+}
+
 // Render recent blocks list
 function renderRecentBlocks(blocks) {
     const container = document.getElementById('recent-blocks-list');
     if (!container || !blocks.length) return;
 
     container.innerHTML = blocks.map(block => `
-        <div class="block-item">
+        <div class="block-item${block.ours ? ' ours' : ''}">
             <span class="block-height">#${block.height}</span>
             <span class="block-miner">${block.miner}</span>
-            <span class="block-hash">${truncateHash(block.hash)}</span>
+            <span class="block-hash">${block.url
+                ? `<a href="${block.url}" target="_blank" rel="noopener noreferrer">${truncateHash(block.hash)}</a>`
+                : truncateHash(block.hash)}</span>
             <span class="block-txs">${block.txCount} txs</span>
             <span class="block-time">${timeAgo(block.time)}</span>
         </div>
@@ -104,6 +114,97 @@ async function loadNetworkData() {
     return loadBitcoinHeroData();
 }
 
+// ===========================================
+// LIVE STREAM (Server-Sent Events)
+// ===========================================
+
+// One EventSource per page. Scripts register handlers with onLiveEvent() during
+// DOMContentLoaded; the connection opens once with every requested topic.
+const liveHandlers = {};
+let liveSource = null;
+let liveAddress = null;
+let liveConnectTimer = null;
+const LIVE_FALLBACK_INTERVAL = 30000;
+
+function onLiveEvent(topic, handler) {
+    if (!liveHandlers[topic]) liveHandlers[topic] = [];
+    liveHandlers[topic].push(handler);
+    scheduleLiveConnect();
+}
+
+// Receive 'address' events with stats for one BTC address
+function onLiveAddress(address, handler) {
+    liveAddress = address;
+    onLiveEvent('address', handler);
+}
+
+function scheduleLiveConnect() {
+    if (liveConnectTimer) return;
+    liveConnectTimer = setTimeout(() => {
+        liveConnectTimer = null;
+        connectLiveStream();
+    }, 0);
+}
+
+function dispatchLiveEvent(topic, data) {
+    (liveHandlers[topic] || []).forEach(handler => {
+        try {
+            handler(data);
+        } catch (err) {
+            console.error(`Live ${topic} handler failed:`, err);
+        }
+    });
+}
+
+function connectLiveStream() {
+    // Handlers registered after connecting need a fresh connection with the new topic list
+    if (liveSource) {
+        liveSource.close();
+        liveSource = null;
+    }
+
+    if (typeof EventSource === 'undefined') {
+        startLivePolling();
+        return;
+    }
+
+    const topics = Object.keys(liveHandlers).filter(t => t !== 'address');
+    const params = new URLSearchParams({ token: window.POOL_API_TOKEN });
+    if (topics.length > 0) params.set('topics', topics.join(','));
+    if (liveAddress) params.set('address', liveAddress);
+
+    liveSource = new EventSource('/api/stream?' + params.toString());
+    Object.keys(liveHandlers).forEach(topic => {
+        liveSource.addEventListener(topic, (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.data);
+            } catch {
+                return;
+            }
+            dispatchLiveEvent(topic, data);
+        });
+    });
+}
+
+// Fallback for browsers without EventSource: poll the matching REST endpoints
+function startLivePolling() {
+    const poll = () => {
+        Object.keys(liveHandlers).forEach(async topic => {
+            const url = topic === 'address' ? `/api/stats/${liveAddress}` : `/api/${topic}`;
+            try {
+                const res = await window.secureFetch(url);
+                const data = await res.json();
+                if (data.success && data.data) dispatchLiveEvent(topic, data.data);
+            } catch (err) {
+                console.error(`Failed to load ${topic}:`, err);
+            }
+        });
+    };
+    poll();
+    setInterval(poll, LIVE_FALLBACK_INTERVAL);
+}
+
 // Update DOM element
 function updateElement(id, value) {
     const el = document.getElementById(id);
@@ -141,6 +242,15 @@ function formatDifficulty(diff) {
     return diff.toFixed(2);
 }
 
+// Format effort/luck percent (2 significant digits below 1%)
+function formatEffort(percent) {
+    if (percent === null || percent === undefined) return '-';
+    if (percent >= 1) return percent.toFixed(1) + '%';
+    if (percent <= 0) return '0%';
+    if (percent < 0.0001) return '<0.0001%';
+    return Number(percent.toPrecision(2)) + '%';
+}
+
 // Format bytes
 function formatBytes(bytes) {
     if (!bytes || bytes === 0) return '0 vB';
@@ -291,16 +401,208 @@ function initHashrateChart(data, chartId = 'hashrate-chart') {
     });
 }
 
+// Hashrate History (real timeline from /api/history)
+const historyCharts = {};
+
+function formatHistoryLabel(time, resolution) {
+    const date = new Date(time * 1000);
+    if (resolution === 'minute') {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    if (resolution === 'hour') {
+        return date.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' +
+            date.toLocaleTimeString([], { hour: '2-digit' });
+    }
+    return date.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Load history from url and plot it. Falls back to the rolling averages
+// (fallbackData) when no samples have been recorded yet.
+async function loadHashrateHistory(url, chartId = 'hashrate-chart', range = '24h', fallbackData = null) {
+    let history = null;
+    try {
+        const res = await window.secureFetch(`${url}?range=${encodeURIComponent(range)}`);
+        const data = await res.json();
+        if (data.success && data.data) history = data.data;
+    } catch (err) {
+        console.error('Failed to load hashrate history:', err);
+    }
+
+    if (historyCharts[chartId]) {
+        historyCharts[chartId].destroy();
+        historyCharts[chartId] = null;
+    }
+
+    // Need at least two samples to draw a line; without them (or averages to fall back on)
+    // show the placeholder
+    const hasHistory = history && history.points.length >= 2;
+    const empty = document.getElementById(chartId + '-empty');
+    const canvas = document.getElementById(chartId);
+    if (empty) empty.style.display = hasHistory || fallbackData ? 'none' : '';
+    if (canvas) canvas.style.display = hasHistory || fallbackData ? '' : 'none';
+    if (!hasHistory) {
+        if (fallbackData) historyCharts[chartId] = initHashrateChart(fallbackData, chartId);
+        return historyCharts[chartId];
+    }
+
+    const chartData = history.points.map(p => ({
+        label: formatHistoryLabel(p.time, history.resolution),
+        value: p.hashrate
+    }));
+    const chart = initHashrateChart(chartData, chartId);
+    if (chart) {
+        // Dense timelines: hide point markers and limit x-axis labels
+        chart.data.datasets[0].pointRadius = 0;
+        chart.data.datasets[0].tension = 0.2;
+        chart.options.scales.x.ticks.maxTicksLimit = 8;
+        chart.options.scales.x.ticks.maxRotation = 0;
+        chart.update('none');
+    }
+    historyCharts[chartId] = chart;
+    return chart;
+}
+
+// Wire up 24h / 30d / All buttons inside container to reload the chart
+function initHistoryRangeButtons(containerId, url, chartId = 'hashrate-chart', fallbackData = null, loader = loadHashrateHistory) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    container.querySelectorAll('.history-range-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            container.querySelectorAll('.history-range-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            loader(url, chartId, btn.dataset.range, fallbackData);
+        });
+    });
+}
+
+// Luck chart: round effort over time from /api/effort. Effort climbs while the round
+// runs and drops back to 0 at each found block; the dashed line is 100% (one block's
+// expected work, left out while effort is far below it) and retargets are marked.
+async function loadEffortHistory(url, chartId = 'effort-chart', range = '30d') {
+    let effort = null;
+    try {
+        const res = await window.secureFetch(`${url}?range=${encodeURIComponent(range)}`);
+        const data = await res.json();
+        if (data.success && data.data) effort = data.data;
+    } catch (err) {
+        console.error('Failed to load effort history:', err);
+    }
+
+    if (historyCharts[chartId]) {
+        historyCharts[chartId].destroy();
+        historyCharts[chartId] = null;
+    }
+
+    const ctx = document.getElementById(chartId);
+    const points = effort ? effort.history.points : [];
+    // Need at least two samples to draw a line; until then show the placeholder
+    const empty = document.getElementById(chartId + '-empty');
+    if (empty) empty.style.display = points.length < 2 ? '' : 'none';
+    if (!ctx) return null;
+    ctx.style.display = points.length < 2 ? 'none' : '';
+    if (points.length < 2) return null;
+
+    const retargets = new Set(effort.history.retargets.map(r => r.time));
+    const showExpected = Math.max(...points.map(p => p.effort)) >= 25;
+    historyCharts[chartId] = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: points.map(p => formatHistoryLabel(p.time, effort.history.resolution)),
+            datasets: [{
+                label: 'Round effort',
+                data: points.map(p => p.effort),
+                borderColor: '#ff931c',
+                backgroundColor: 'rgba(255, 147, 28, 0.1)',
+                fill: true,
+                tension: 0,
+                pointRadius: points.map(p => retargets.has(p.time) ? 4 : 0),
+                pointBackgroundColor: '#00d26a'
+            }, {
+                label: 'Expected',
+                data: points.map(() => 100),
+                borderColor: 'rgba(196, 196, 196, 0.4)',
+                borderDash: [6, 4],
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false,
+                hidden: !showExpected
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    backgroundColor: '#212121',
+                    titleColor: '#c4c4c4',
+                    bodyColor: '#ff931c',
+                    borderColor: '#000000',
+                    borderWidth: 2,
+                    filter: item => item.datasetIndex === 0,
+                    callbacks: {
+                        label: function(context) {
+                            const retarget = retargets.has(points[context.dataIndex].time) ? ' (retarget)' : '';
+                            return 'Effort ' + formatEffort(context.raw) + retarget;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    grid: { color: 'rgba(196, 196, 196, 0.1)' },
+                    ticks: {
+                        color: '#b0b0b0',
+                        callback: function(value) {
+                            return formatEffort(value);
+                        }
+                    }
+                },
+                x: {
+                    grid: { color: 'rgba(196, 196, 196, 0.1)' },
+                    ticks: { color: '#b0b0b0', maxTicksLimit: 8, maxRotation: 0 }
+                }
+            }
+        }
+    });
+    return historyCharts[chartId];
+}
+
+// Checksum-validate an address with the server (lib/bitcoin-address.js).
+// Resolves { valid, error }; if the check itself fails the address is let through
+// and the stats page reports the problem.
+async function checkAddress(address) {
+    try {
+        const res = await secureFetch('/api/address/' + encodeURIComponent(address));
+        const json = await res.json();
+        return json.success ? json.data : { valid: true };
+    } catch (err) {
+        console.error('Address check failed:', err);
+        return { valid: true };
+    }
+}
+
 // Address form handling
 document.addEventListener('DOMContentLoaded', function() {
     const form = document.getElementById('address-form');
     if (form) {
-        form.addEventListener('submit', function(e) {
+        form.addEventListener('submit', async function(e) {
             e.preventDefault();
             const address = document.getElementById('btc-address').value.trim();
-            if (address) {
-                window.location.href = `/stats/${address}`;
+            const errorEl = document.getElementById('lookup-error');
+            if (!address) return;
+
+            const check = await checkAddress(address);
+            if (!check.valid) {
+                if (errorEl) {
+                    errorEl.textContent = check.error;
+                    errorEl.hidden = false;
+                }
+                return;
             }
+            window.location.href = `/stats/${encodeURIComponent(address)}`;
         });
     }
 
@@ -0,0 +1,283 @@
+// Operator console: runtime ckpool commands (what `ckpmsg` does from a shell)
+// Auth is separate from the public API token - see lib/admin-auth.js
+const express = require('express');
+const router = express.Router();
+const ckpool = require('../lib/ckpool-client');
+const adminAuth = require('../lib/admin-auth');
+const audit = require('../lib/audit-log');
+const backup = require('../lib/backup');
+const apiKeys = require('../lib/api-keys');
+const minerPrivacy = require('../lib/miner-privacy');
+const { parseAddress } = require('../lib/bitcoin-address');
+const { parseClientInfo, formatHashrate, formatDifficulty, timeAgo } = require('../lib/stats-parser');
+
+// ckpool uses syslog priorities for its log level (-l flag)
+const LOG_LEVELS = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+// Stats dumps: name -> command and the socket that answers it
+const STATS_DUMPS = {
+    poolstats: { command: 'poolstats', socket: 'stratifier', label: 'Pool stats' },
+    stratifierstats: { command: 'stratifierstats', socket: 'listener', label: 'Stratifier stats' },
+    connectorstats: { command: 'connectorstats', socket: 'listener', label: 'Connector stats' }
+};
+
+const AUDIT_VIEW_LIMIT = 50;
+// Largest backup bundle accepted by /admin/restore
+const RESTORE_MAX_SIZE = process.env.RESTORE_MAX_SIZE || '200mb';
+
+function socketPath(name) {
+    if (name === 'stratifier') return ckpool.stratifierSocket;
+    if (name === 'connector') return ckpool.connectorSocket;
+    return ckpool.listenerSocket;
+}
+
+// Send a control command and record it in the audit log.
+// Resolves to { ok, data, error } - never rejects.
+async function runCommand(req, action, target, command, socket) {
+    const entry = { actor: req.admin.actor, ip: req.admin.ip, action, target };
+    try {
+        const reply = await ckpool.sendControl(command, socketPath(socket));
+        const error = reply && typeof reply === 'object' && reply.error ? String(reply.error) : null;
+        audit.record({ ...entry, ok: !error, detail: error });
+        return { ok: !error, data: reply, error };
+    } catch (err) {
+        audit.record({ ...entry, ok: false, detail: err.message });
+        return { ok: false, data: null, error: err.message };
+    }
+}
+
+// Session users get redirected back to the console with a flash message;
+// API-key callers get JSON
+function respond(req, res, result, message) {
+    if (req.admin.session) {
+        adminAuth.setFlash(req.admin.session, { ...result, message });
+        return res.redirect('/admin');
+    }
+    res.status(result.ok ? 200 : 502).json({
+        success: result.ok,
+        data: result.data,
+        ...(result.error ? { error: result.error } : {})
+    });
+}
+
+function badRequest(req, res, error) {
+    if (req.admin.session) {
+        adminAuth.setFlash(req.admin.session, { ok: false, error });
+        return res.redirect('/admin');
+    }
+    res.status(400).json({ success: false, error });
+}
+
+async function listClients(req) {
+    const result = await runCommand(req, 'list_clients', null, 'clients', 'stratifier');
+    return { ...result, data: result.ok ? parseClientInfo(result.data) : [] };
+}
+
+// Admin pages and replies must never be cached or indexed
+router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    next();
+});
+
+router.get('/login', (req, res) => {
+    if (!adminAuth.isEnabled()) {
+        return res.status(404).render('error', { message: 'Page not found', error: {} });
+    }
+    if (adminAuth.authenticate(req)) return res.redirect('/admin');
+    res.render('admin-login', { title: 'Admin Login', error: null, csrf: adminAuth.issueLoginCsrf(req, res) });
+});
+
+router.post('/login', (req, res) => {
+    if (!adminAuth.isEnabled()) {
+        return res.status(404).render('error', { message: 'Page not found', error: {} });
+    }
+    if (!adminAuth.checkLoginCsrf(req)) {
+        return res.status(403).render('admin-login', {
+            title: 'Admin Login',
+            error: 'Invalid or expired form. Reload the page and try again.',
+            csrf: adminAuth.issueLoginCsrf(req, res)
+        });
+    }
+    const error = adminAuth.login(req, res, req.body.password);
+    if (error) {
+        return res.status(401).render('admin-login', { title: 'Admin Login', error, csrf: adminAuth.issueLoginCsrf(req, res) });
+    }
+    res.redirect('/admin');
+});
+
+router.use(adminAuth.requireAdmin);
+
+router.post('/logout', (req, res) => {
+    adminAuth.logout(req, res);
+    res.redirect('/admin/login');
+});
+
+router.get('/', async (req, res) => {
+    const clients = await listClients(req);
+    const recent = audit.readRecent(AUDIT_VIEW_LIMIT);
+
+    if (!req.admin.session) {
+        return res.json({ success: true, data: { clients: clients.data, audit: recent } });
+    }
+
+    res.render('admin', {
+        title: 'Admin',
+        csrf: req.admin.session.csrf,
+        flash: adminAuth.takeFlash(req.admin.session),
+        clients: clients.data,
+        clientsError: clients.error,
+        audit: recent,
+        logLevels: LOG_LEVELS,
+        statsDumps: STATS_DUMPS,
+        apiKeys: apiKeys.listKeys(),
+        apiScopes: apiKeys.SCOPES,
+        defaultRateLimit: apiKeys.DEFAULT_RATE_LIMIT,
+        privacySettings: minerPrivacy.listSettings(),
+        privacyVisibility: minerPrivacy.VISIBILITY,
+        blocklist: minerPrivacy.loadBlocklist(),
+        formatHashrate,
+        formatDifficulty,
+        timeAgo
+    });
+});
+
+router.get('/clients', async (req, res) => {
+    const result = await listClients(req);
+    res.status(result.ok ? 200 : 502).json({
+        success: result.ok,
+        data: result.data,
+        ...(result.error ? { error: result.error } : {})
+    });
+});
+
+router.get('/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || AUDIT_VIEW_LIMIT, 1000);
+    res.json({ success: true, data: audit.readRecent(limit) });
+});
+
+// Disconnect a stratum client (connector owns the TCP connection)
+router.post('/clients/:id/drop', async (req, res) => {
+    const id = req.params.id;
+    if (!/^\d+$/.test(id)) {
+        return badRequest(req, res, 'Invalid client id');
+    }
+    const result = await runCommand(req, 'drop_client', id, `dropclient=${id}`, 'connector');
+    respond(req, res, result, `Dropped client ${id}`);
+});
+
+router.post('/loglevel', async (req, res) => {
+    const level = parseInt(req.body.level);
+    if (!Number.isInteger(level) || level < 0 || level >= LOG_LEVELS.length) {
+        return badRequest(req, res, `Log level must be 0-${LOG_LEVELS.length - 1}`);
+    }
+    const result = await runCommand(req, 'set_loglevel', level, `loglevel=${level}`, 'listener');
+    respond(req, res, result, `Log level set to ${level} (${LOG_LEVELS[level]})`);
+});
+
+router.post('/stats/:name', async (req, res) => {
+    const dump = STATS_DUMPS[req.params.name];
+    if (!dump) {
+        return badRequest(req, res, 'Unknown stats dump');
+    }
+    const result = await runCommand(req, 'stats_dump', req.params.name, dump.command, dump.socket);
+    respond(req, res, result, dump.label);
+});
+
+// Keys for the public /api/v1 namespace
+router.get('/api-keys', (req, res) => {
+    res.json({ success: true, data: apiKeys.listKeys() });
+});
+
+// The key itself is only in this reply (and the session's one-shot flash); the audit log gets its id
+router.post('/api-keys', (req, res) => {
+    const entry = { actor: req.admin.actor, ip: req.admin.ip, action: 'api_key_issue' };
+    const issued = apiKeys.issueKey({ name: req.body.name, scopes: req.body.scopes, rateLimit: req.body.rateLimit });
+    if (issued.error) {
+        audit.record({ ...entry, ok: false, detail: issued.error });
+        return badRequest(req, res, issued.error);
+    }
+
+    const { record, key } = issued;
+    audit.record({ ...entry, target: record.id, detail: `${record.name} (${record.scopes.join(', ')})` });
+    if (req.admin.session) {
+        adminAuth.setFlash(req.admin.session, {
+            ok: true,
+            message: `Issued API key "${record.name}". Copy it now, it will not be shown again.`,
+            data: key
+        });
+        return res.redirect('/admin');
+    }
+    res.status(201).json({ success: true, data: { ...record, key } });
+});
+
+router.post('/api-keys/:id/revoke', (req, res) => {
+    const id = req.params.id;
+    const revoked = apiKeys.revokeKey(id);
+    audit.record({ actor: req.admin.actor, ip: req.admin.ip, action: 'api_key_revoke', target: id, ok: revoked, detail: revoked ? null : 'no active key' });
+    if (!revoked) {
+        return badRequest(req, res, 'Unknown or already revoked API key');
+    }
+    respond(req, res, { ok: true, data: null, error: null }, `Revoked API key ${id}`);
+});
+
+// Leaderboard privacy for an address, without the owner's signature (e.g. Taproot
+// addresses, or a name that has to go now)
+router.post('/privacy', (req, res) => {
+    const address = String(req.body.address || '').trim();
+    const entry = { actor: req.admin.actor, ip: req.admin.ip, action: 'privacy_set', target: address };
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return badRequest(req, res, addressCheck.error);
+    }
+
+    const result = minerPrivacy.setSettings(address, { nickname: req.body.nickname, visibility: req.body.visibility });
+    if (result.error) {
+        audit.record({ ...entry, ok: false, detail: result.error });
+        return badRequest(req, res, result.error);
+    }
+    const { nickname, visibility } = result.settings;
+    audit.record({ ...entry, detail: `${visibility}${nickname ? ` as "${nickname}"` : ''}` });
+    respond(req, res, { ok: true, data: result.settings, error: null }, `Privacy for ${address} set to ${visibility}`);
+});
+
+// Replace the worker name blocklist: words separated by newlines or commas
+router.post('/privacy/blocklist', (req, res) => {
+    const input = Array.isArray(req.body.words) ? req.body.words.join('\n') : String(req.body.words || '');
+    const words = minerPrivacy.saveBlocklist(input.split(/[\n,]/));
+    audit.record({ actor: req.admin.actor, ip: req.admin.ip, action: 'blocklist_update', target: words.length });
+    respond(req, res, { ok: true, data: words, error: null }, `Blocklist saved (${words.length} words)`);
+});
+
+// Full data dir snapshot (see lib/backup.js for the format)
+router.get('/backup', async (req, res) => {
+    const entry = { actor: req.admin.actor, ip: req.admin.ip, action: 'backup' };
+    try {
+        const snapshot = await backup.createSnapshot();
+        audit.record({ ...entry, target: Object.keys(snapshot.files).length });
+        const stamp = new Date(snapshot.createdAt * 1000).toISOString().replace(/[:.]/g, '-');
+        res.set('Content-Disposition', `attachment; filename="ckpool-webui-backup-${stamp}.json"`);
+        res.type('application/json').send(JSON.stringify(snapshot));
+    } catch (err) {
+        audit.record({ ...entry, ok: false, detail: err.message });
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Upload a bundle from /admin/backup. Always answers JSON (the console posts it with fetch);
+// session users also get a flash message on the next page load.
+router.post('/restore', express.json({ limit: RESTORE_MAX_SIZE }), async (req, res) => {
+    const entry = { actor: req.admin.actor, ip: req.admin.ip, action: 'restore' };
+    try {
+        const result = await backup.restoreSnapshot(req.body);
+        audit.record({ ...entry, target: result.restored.length, detail: `saved ${result.preRestoreBackup}` });
+        adminAuth.setFlash(req.admin.session, { ok: true, message: `Restored ${result.restored.length} files`, data: result });
+        res.json({ success: true, data: result });
+    } catch (err) {
+        audit.record({ ...entry, ok: false, detail: err.message });
+        adminAuth.setFlash(req.admin.session, { ok: false, message: 'Restore', error: err.message });
+        res.status(err.invalidBackup ? 400 : 500).json({ success: false, error: err.message });
+    }
+});
+
+module.exports = router;
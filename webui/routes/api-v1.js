@@ -0,0 +1,367 @@
+// Public read-only API, versioned under /api/v1 and authenticated with
+// operator-issued keys (lib/api-keys.js) instead of the page token.
+// The response shapes below are a contract: fields may be added, never renamed
+// or removed - breaking changes go to /api/v2. Every route is declared with
+// route(), which also feeds the generated /api/v1/openapi.json.
+const express = require('express');
+const router = express.Router();
+const ckpool = require('../lib/ckpool-client');
+const { parsePoolStats, parseUserStats, IDLE_AFTER, isIdleSince, shortWorkerName, filterAddressWorkers } = require('../lib/stats-parser');
+const blockTracker = require('../lib/block-tracker');
+const leaderboard = require('../lib/leaderboard');
+const minerPrivacy = require('../lib/miner-privacy');
+const apiKeys = require('../lib/api-keys');
+const network = require('../lib/network');
+const { parseAddress } = require('../lib/bitcoin-address');
+const { version } = require('../package.json');
+
+const NONCES_PER_SHARE = 4294967296; // 2^32
+const BLOCKS_DEFAULT_LIMIT = 50;
+const BLOCKS_MAX_LIMIT = 500;
+
+// JSON Schema (OpenAPI 3.0 dialect) for every response body
+const number = description => ({ type: 'number', description });
+const integer = description => ({ type: 'integer', description });
+const string = description => ({ type: 'string', description });
+const nullable = schema => ({ ...schema, nullable: true });
+const object = properties => ({ type: 'object', required: Object.keys(properties), properties });
+
+const SCHEMAS = {
+    Hashrate: object({
+        current: number('1 minute average, hashes per second'),
+        avg5m: number('5 minute average, H/s'),
+        avg1h: number('1 hour average, H/s'),
+        avg24h: number('24 hour average, H/s'),
+        avg7d: number('7 day average, H/s')
+    }),
+    Pool: object({
+        network: string('Bitcoin network (mainnet, testnet4, testnet, signet or regtest)'),
+        blockHeight: integer('Height of the block being mined'),
+        networkDifficulty: number('Current network difficulty'),
+        hashrate: { $ref: '#/components/schemas/Hashrate' },
+        users: integer('Payout addresses with active workers'),
+        workers: integer('Active workers'),
+        shares: object({ accepted: integer('Accepted shares'), rejected: integer('Rejected shares') }),
+        bestDiff: number('Best share difficulty this round'),
+        blocksFound: integer('Blocks found by the pool'),
+        uptime: integer('Seconds since ckpool started')
+    }),
+    User: object({
+        address: string('Payout address'),
+        hashrate: { $ref: '#/components/schemas/Hashrate' },
+        shares: object({
+            accepted: integer('Accepted shares'),
+            rejected: integer('Rejected shares'),
+            stale: integer('Stale shares')
+        }),
+        bestDiff: number('Best share difficulty ever'),
+        lastShare: integer('Unix time of the last share (0 if none)'),
+        workerCount: integer('Workers reporting under this address'),
+        idle: { type: 'boolean', description: `No share for ${IDLE_AFTER} seconds` }
+    }),
+    Worker: object({
+        name: string('Worker name (the part after the address, "default" if none)'),
+        hashrate: { $ref: '#/components/schemas/Hashrate' },
+        shares: integer('Accepted shares'),
+        bestDiff: number('Best share difficulty'),
+        lastShare: integer('Unix time of the last share (0 if none)'),
+        idle: { type: 'boolean', description: `No share for ${IDLE_AFTER} seconds` }
+    }),
+    LeaderboardEntry: object({
+        rank: integer('1-based position'),
+        workerName: string('Worker name ("anon" when it is empty or an address)'),
+        minerType: string('Detected miner model'),
+        online: { type: 'boolean', description: 'Currently connected' },
+        bestDiff: number('Best share difficulty in the period'),
+        hashrate: number('1 minute average, H/s'),
+        avgHashrate: number('Average hashrate over the period while submitting, H/s'),
+        effort: number('Work submitted in the period, in percent of the work expected per block')
+    }),
+    Block: object({
+        height: integer('Block height'),
+        hash: nullable(string('Block hash')),
+        address: nullable(string('Payout address of the finder')),
+        worker: nullable(string('Public name of the worker that found the block (see leaderboard privacy)')),
+        shareDiff: number('Difficulty of the winning share'),
+        networkDiff: number('Network difficulty at the time'),
+        reward: integer('Coinbase reward in satoshis'),
+        timestamp: integer('Unix time the block was found'),
+        status: { type: 'string', enum: ['pending', 'confirmed', 'orphaned'] },
+        url: nullable(string('Block explorer link'))
+    }),
+    Error: object({
+        success: { type: 'boolean', enum: [false] },
+        error: string('What went wrong')
+    })
+};
+
+const operations = [];
+
+function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// Register GET <path> for a scope. The handler returns the response data;
+// thrown errors with err.status become { success: false, error } replies.
+//   spec: { scope, summary, params, query, schema }
+function route(routePath, spec, handler) {
+    operations.push({ path: routePath, ...spec });
+    router.get(routePath, apiKeys.requireScope(spec.scope), async (req, res) => {
+        try {
+            res.json({ success: true, data: await handler(req) });
+        } catch (err) {
+            if (!err.status) console.error(`API v1 ${routePath} error:`, err.message);
+            res.status(err.status || 500).json({ success: false, error: err.message });
+        }
+    });
+}
+
+function hashrates(raw) {
+    return {
+        current: (raw.dsps1 || 0) * NONCES_PER_SHARE,
+        avg5m: (raw.dsps5 || 0) * NONCES_PER_SHARE,
+        avg1h: (raw.dsps60 || 0) * NONCES_PER_SHARE,
+        avg24h: (raw.dsps1440 || 0) * NONCES_PER_SHARE,
+        avg7d: (raw.dsps10080 || 0) * NONCES_PER_SHARE
+    };
+}
+
+function checkAddress(address) {
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) throw httpError(400, addressCheck.error);
+}
+
+function formatWorker(raw) {
+    const lastShare = raw.lastshare || 0;
+    return {
+        name: shortWorkerName(raw.worker || raw.workername || ''),
+        hashrate: hashrates(raw),
+        shares: raw.shares || 0,
+        bestDiff: raw.bestever || raw.bestshare || raw.bestdiff || 0,
+        lastShare,
+        idle: Boolean(raw.idle) || isIdleSince(lastShare)
+    };
+}
+
+// Browser widgets call this from other origins; keys travel in headers, never cookies
+router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', 'Authorization, X-API-Key');
+    res.set('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+    res.set('Cache-Control', 'no-store');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+});
+
+route('/pool', {
+    scope: 'pool',
+    summary: 'Pool hashrate, workers, shares and blocks found',
+    schema: { $ref: '#/components/schemas/Pool' }
+}, async () => {
+    const stats = await ckpool.getPoolStats();
+    const pool = parsePoolStats(stats.poolstats, stats.stratifier, stats.connector);
+    return {
+        network: network.getNetwork().name,
+        blockHeight: pool.blockHeight || 0,
+        networkDifficulty: pool.networkDiff,
+        hashrate: {
+            current: pool.hashrate1m,
+            avg5m: pool.hashrate5m,
+            avg1h: pool.hashrate1h,
+            avg24h: pool.hashrate1d,
+            avg7d: pool.hashrate7d
+        },
+        users: pool.users,
+        workers: pool.workers,
+        shares: { accepted: pool.accepted, rejected: pool.rejected },
+        bestDiff: pool.bestDiff,
+        blocksFound: blockTracker.getBlockCount(),
+        uptime: pool.uptime
+    };
+});
+
+route('/users/:address', {
+    scope: 'users',
+    summary: 'Hashrate, shares and best difficulty for a payout address',
+    params: { address: 'Bitcoin payout address' },
+    schema: { $ref: '#/components/schemas/User' }
+}, async req => {
+    const { address } = req.params;
+    checkAddress(address);
+
+    const raw = await ckpool.getUserStats(address);
+    const user = parseUserStats(raw);
+    if (!user) throw httpError(404, 'No stats for this address on this pool');
+
+    return {
+        address,
+        hashrate: hashrates(raw),
+        shares: user.shares,
+        bestDiff: user.bestDiff,
+        lastShare: user.lastShare,
+        workerCount: user.workerCount,
+        idle: user.isIdle
+    };
+});
+
+route('/users/:address/workers', {
+    scope: 'workers',
+    summary: 'Workers of a payout address, highest hashrate first',
+    params: { address: 'Bitcoin payout address' },
+    schema: { type: 'array', items: { $ref: '#/components/schemas/Worker' } }
+}, async req => {
+    const { address } = req.params;
+    checkAddress(address);
+
+    const workersData = await ckpool.getAllWorkers();
+    if (!workersData || !Array.isArray(workersData.workers)) {
+        throw httpError(503, 'Worker list unavailable');
+    }
+    return filterAddressWorkers(address, workersData)
+        .map(formatWorker)
+        .sort((a, b) => b.hashrate.current - a.hashrate.current);
+});
+
+route('/users/:address/workers/:worker', {
+    scope: 'workers',
+    summary: 'One worker of a payout address',
+    params: { address: 'Bitcoin payout address', worker: 'Worker name (the part after the address)' },
+    schema: { $ref: '#/components/schemas/Worker' }
+}, async req => {
+    const { address, worker } = req.params;
+    checkAddress(address);
+
+    const raw = await ckpool.findWorker(address, worker);
+    if (!raw || raw.error) throw httpError(404, 'No such worker on this pool');
+    return formatWorker(raw);
+});
+
+route('/leaderboard', {
+    scope: 'leaderboard',
+    summary: `Top ${leaderboard.LEADERBOARD_SIZE} workers by best difficulty, average hashrate or effort`,
+    query: {
+        period: { schema: { type: 'string', enum: leaderboard.PERIODS, default: 'all' }, description: 'Today, this week or this month (UTC calendar), or all-time' },
+        rank: { schema: { type: 'string', enum: Object.keys(leaderboard.RANKINGS), default: 'best' }, description: 'Ranking' },
+        miner: { schema: { type: 'string' }, description: 'Only workers of this miner type' }
+    },
+    schema: { type: 'array', items: { $ref: '#/components/schemas/LeaderboardEntry' } }
+}, async req => {
+    const options = { period: req.query.period, rank: req.query.rank, minerType: req.query.miner };
+    let entries;
+    try {
+        entries = await leaderboard.getLeaderboard(options);
+    } catch (err) {
+        entries = leaderboard.getCachedLeaderboard(options);
+        if (!entries) throw err;
+    }
+    return entries.map((entry, index) => ({
+        rank: index + 1,
+        workerName: entry.workerName,
+        minerType: entry.minerType,
+        online: entry.isOnline,
+        bestDiff: entry.bestDiff,
+        hashrate: entry.hashrate,
+        avgHashrate: entry.avgHashrate,
+        effort: entry.effort
+    }));
+});
+
+route('/blocks', {
+    scope: 'blocks',
+    summary: 'Blocks found by the pool, newest first',
+    query: {
+        limit: { schema: { type: 'integer', minimum: 1, maximum: BLOCKS_MAX_LIMIT, default: BLOCKS_DEFAULT_LIMIT }, description: 'Number of blocks' },
+        orphaned: { schema: { type: 'integer', enum: [0, 1], default: 0 }, description: '1 to include orphaned blocks' }
+    },
+    schema: { type: 'array', items: { $ref: '#/components/schemas/Block' } }
+}, async req => {
+    const limit = Math.min(parseInt(req.query.limit) || BLOCKS_DEFAULT_LIMIT, BLOCKS_MAX_LIMIT);
+    return blockTracker.getBlocks(req.query.orphaned === '1').slice(0, limit).map(minerPrivacy.publicBlock).map(block => ({
+        height: block.height,
+        hash: block.hash,
+        address: block.address,
+        worker: block.worker,
+        shareDiff: block.shareDiff,
+        networkDiff: block.networkDiff,
+        reward: block.reward,
+        timestamp: block.timestamp,
+        status: block.status,
+        url: block.hash ? network.explorerUrl('block', block.hash) : null
+    }));
+});
+
+function errorResponse(description) {
+    return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+// OpenAPI 3.0 document built from the route() table
+function buildOpenApi() {
+    const paths = {};
+    operations.forEach(op => {
+        const parameters = [
+            ...Object.entries(op.params || {}).map(([name, description]) => ({
+                name, in: 'path', required: true, description, schema: { type: 'string' }
+            })),
+            ...Object.entries(op.query || {}).map(([name, param]) => ({
+                name, in: 'query', required: false, ...param
+            }))
+        ];
+        const openApiPath = op.path.replace(/:(\w+)/g, '{$1}');
+        paths[openApiPath] = {
+            get: {
+                summary: op.summary,
+                description: `Requires the \`${op.scope}\` scope.`,
+                tags: [op.scope],
+                ...(parameters.length > 0 ? { parameters } : {}),
+                responses: {
+                    200: {
+                        description: 'OK',
+                        content: {
+                            'application/json': {
+                                schema: object({ success: { type: 'boolean', enum: [true] }, data: op.schema })
+                            }
+                        }
+                    },
+                    ...(op.params ? { 400: errorResponse('Invalid address') } : {}),
+                    401: errorResponse('Missing or invalid API key'),
+                    403: errorResponse('The key lacks this scope'),
+                    ...(op.params ? { 404: errorResponse('Not found') } : {}),
+                    429: errorResponse('Rate limit exceeded (see Retry-After)')
+                }
+            }
+        };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Go Brrr Pool API',
+            version,
+            description: 'Read-only pool, user, worker, leaderboard and block data. Keys are issued by the pool operator in the admin console.'
+        },
+        servers: [{ url: '/api/v1' }],
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        tags: Object.entries(apiKeys.SCOPES).map(([name, description]) => ({ name, description })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            schemas: SCHEMAS
+        }
+    };
+}
+
+// The spec itself needs no key
+router.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApi());
+});
+
+router.use((req, res) => {
+    res.status(404).json({ success: false, error: 'Unknown API v1 endpoint' });
+});
+
+module.exports = router;
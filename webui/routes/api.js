@@ -1,99 +1,114 @@
 const express = require('express');
 const router = express.Router();
 const ckpool = require('../lib/ckpool-client');
-const { parseUserStats, parsePoolStats, aggregateMinerTypes, parseMinerType, formatHashrate, formatDifficulty } = require('../lib/stats-parser');
-const minerCache = require('../lib/miner-cache');
-
-// Mempool API base URL - can be local (Umbrel) or public
-const MEMPOOL_API = process.env.MEMPOOL_API_URL || 'https://mempool.space/api';
+const { parseUserStats, parsePoolStats, parseClientInfo, aggregateMinerTypes, formatHashrate, formatDifficulty } = require('../lib/stats-parser');
+const hashrateHistory = require('../lib/hashrate-history');
+const blockTracker = require('../lib/block-tracker');
+const { rpcCall } = require('../lib/bitcoin-rpc');
+const chainData = require('../lib/chain-data');
+const liveStream = require('../lib/live-stream');
+const health = require('../lib/health');
+const firmwareInventory = require('../lib/firmware-inventory');
+const shareHistory = require('../lib/share-history');
+const effortTracker = require('../lib/effort-tracker');
+const bestShares = require('../lib/best-shares');
+const farm = require('../lib/farm');
+const leaderboard = require('../lib/leaderboard');
+const minerPrivacy = require('../lib/miner-privacy');
+const { parseAddress } = require('../lib/bitcoin-address');
+const network = require('../lib/network');
+const { privacyRateLimit } = require('../lib/api-security');
 
 // Cache for API responses
 let networkCache     = { data: null, timestamp: 0 };
 let priceCache       = { data: null, timestamp: 0 };
 let blocksCache      = { data: null, timestamp: 0 };
 let poolCache        = { data: null, timestamp: 0 };
-let leaderboardCache = { data: null, ts: 0 };
 let efficiencyCache  = { data: null, ts: 0 };
 let minerTypesCache  = { data: null, ts: 0 };
 const CACHE_TTL             = 30000;
 const PRICE_CACHE_TTL       = 60000;
 const POOL_CACHE_TTL        = 10000;
-const LEADERBOARD_CACHE_TTL = 30000;
 const EFFICIENCY_CACHE_TTL  = 30000;
 const MINER_TYPES_CACHE_TTL = 30000;
 
-const RPC_TIMEOUT_MS = 8000;
-
 // Bitcoin network stats (comprehensive)
-router.get('/network', async (req, res) => {
-    try {
-        // Check cache
-        if (networkCache.data && Date.now() - networkCache.timestamp < CACHE_TTL) {
-            return res.json({ success: true, data: networkCache.data });
-        }
-
-        // Fetch data in parallel - use ckpool for what we have, mempool for the rest
-        // allSettled ensures a single failing source doesn't bring down the whole endpoint
-        const results = await Promise.allSettled([
-            ckpool.getPoolStats(),
-            fetchJSON(`${MEMPOOL_API}/v1/difficulty-adjustment`),
-            fetchJSON(`${MEMPOOL_API}/v1/fees/recommended`),
-            fetchJSON(`${MEMPOOL_API}/mempool`),
-            fetchJSON(`${MEMPOOL_API}/v1/mining/hashrate/3d`),
-            fetchJSON(`${MEMPOOL_API}/v1/blocks`)
-        ]);
-        const [poolStats, diffData, feeData, mempoolData, hashrateData, recentBlocks]
-            = results.map(r => r.status === 'fulfilled' ? r.value : null);
-
-        // Get block height and network diff from ckpool (local source)
-        const ckpoolParsed = parsePoolStats(poolStats.poolstats, poolStats.stratifier, poolStats.connector);
-        const blockHeight = ckpoolParsed.blockHeight || hashrateData?.currentHeight || 0;
-        const currentDifficulty = ckpoolParsed.networkDiff || hashrateData?.currentDifficulty || 0;
-
-        // Parse recent blocks for miner info
-        const parsedBlocks = (recentBlocks || []).slice(0, 6).map(block => ({
-            height: block.height,
-            hash: block.id,
-            time: block.timestamp,
-            miner: block.extras?.pool?.name || 'Unknown',
-            txCount: block.tx_count,
-            size: block.size,
-            weight: block.weight
-        }));
-
-        const data = {
-            blockHeight: blockHeight,
-            networkHashrate: hashrateData?.currentHashrate || 0,
-            difficulty: currentDifficulty,
-            difficultyAdjustment: diffData ? {
-                estimatedRetargetDate: diffData.estimatedRetargetDate,
-                remainingBlocks: diffData.remainingBlocks,
-                remainingTime: diffData.remainingTime,
-                progressPercent: diffData.progressPercent,
-                difficultyChange: diffData.difficultyChange,
-                previousRetarget: diffData.previousRetarget
-            } : null,
-            mempool: {
-                size: mempoolData?.vsize || 0,
-                count: mempoolData?.count || 0,
-                totalFee: mempoolData?.total_fee || 0
-            },
-            fees: {
-                fastest: feeData?.fastestFee || 0,
-                halfHour: feeData?.halfHourFee || 0,
-                hour: feeData?.hourFee || 0,
-                economy: feeData?.economyFee || 0,
-                minimum: feeData?.minimumFee || 0
-            },
-            recentBlocks: parsedBlocks,
-            lastBlockMiner: parsedBlocks[0]?.miner || 'Unknown',
-            lastBlockTime: parsedBlocks[0]?.time || 0,
-            timestamp: Date.now()
-        };
+async function getNetworkData() {
+    // Check cache
+    if (networkCache.data && Date.now() - networkCache.timestamp < CACHE_TTL) {
+        return networkCache.data;
+    }
 
-        // Update cache
-        networkCache = { data, timestamp: Date.now() };
+    // Fetch data in parallel - use ckpool for what we have, mempool (or bitcoind) for the rest
+    // allSettled ensures a single failing source doesn't bring down the whole endpoint
+    const results = await Promise.allSettled([
+        ckpool.getPoolStats(),
+        chainData.getDifficultyAdjustment(),
+        chainData.getFees(),
+        chainData.getMempoolStats(),
+        chainData.getNetworkHashrate(),
+        chainData.getRecentBlocks()
+    ]);
+    const [poolStats, diffData, feeData, mempoolData, hashrateData, recentBlocks]
+        = results.map(r => r.status === 'fulfilled' ? r.value : null);
+
+    // Get block height and network diff from ckpool (local source)
+    const ckpoolParsed = parsePoolStats(poolStats.poolstats, poolStats.stratifier, poolStats.connector);
+    const blockHeight = ckpoolParsed.blockHeight || hashrateData?.currentHeight || 0;
+    const currentDifficulty = ckpoolParsed.networkDiff || hashrateData?.currentDifficulty || 0;
+
+    // Parse recent blocks for miner info
+    const parsedBlocks = (recentBlocks || []).slice(0, 6).map(block => ({
+        height: block.height,
+        hash: block.id,
+        time: block.timestamp,
+        miner: block.extras?.pool?.name || 'Unknown',
+        ours: Boolean(block.extras?.pool?.ours),
+        url: network.explorerUrl('block', block.id),
+        txCount: block.tx_count,
+        size: block.size,
+        weight: block.weight
+    }));
+
+    const data = {
+        blockHeight: blockHeight,
+        networkHashrate: hashrateData?.currentHashrate || 0,
+        difficulty: currentDifficulty,
+        difficultyAdjustment: diffData ? {
+            estimatedRetargetDate: diffData.estimatedRetargetDate,
+            remainingBlocks: diffData.remainingBlocks,
+            remainingTime: diffData.remainingTime,
+            progressPercent: diffData.progressPercent,
+            difficultyChange: diffData.difficultyChange,
+            previousRetarget: diffData.previousRetarget
+        } : null,
+        mempool: {
+            size: mempoolData?.vsize || 0,
+            count: mempoolData?.count || 0,
+            totalFee: mempoolData?.total_fee || 0
+        },
+        fees: {
+            fastest: feeData?.fastestFee || 0,
+            halfHour: feeData?.halfHourFee || 0,
+            hour: feeData?.hourFee || 0,
+            economy: feeData?.economyFee || 0,
+            minimum: feeData?.minimumFee || 0
+        },
+        recentBlocks: parsedBlocks,
+        lastBlockMiner: parsedBlocks[0]?.miner || 'Unknown',
+        lastBlockTime: parsedBlocks[0]?.time || 0,
+        timestamp: Date.now()
+    };
+
+    // Update cache
+    networkCache = { data, timestamp: Date.now() };
+
+    return data;
+}
 
+router.get('/network', async (req, res) => {
+    try {
+        const data = await getNetworkData();
         res.json({ success: true, data });
     } catch (err) {
         console.error('Network stats error:', err);
@@ -106,25 +121,30 @@ router.get('/network', async (req, res) => {
 });
 
 // BTC price
-router.get('/price', async (req, res) => {
-    try {
-        if (priceCache.data && Date.now() - priceCache.timestamp < PRICE_CACHE_TTL) {
-            return res.json({ success: true, data: priceCache.data });
-        }
+async function getPriceData() {
+    if (priceCache.data && Date.now() - priceCache.timestamp < PRICE_CACHE_TTL) {
+        return priceCache.data;
+    }
 
-        const data = await fetchJSON(`${MEMPOOL_API}/v1/prices`);
+    const data = await chainData.getPrices();
 
-        priceCache = {
-            data: {
-                USD: data?.USD || 0,
-                EUR: data?.EUR || 0,
-                GBP: data?.GBP || 0,
-                timestamp: Date.now()
-            },
+    priceCache = {
+        data: {
+            USD: data?.USD || 0,
+            EUR: data?.EUR || 0,
+            GBP: data?.GBP || 0,
             timestamp: Date.now()
-        };
+        },
+        timestamp: Date.now()
+    };
 
-        res.json({ success: true, data: priceCache.data });
+    return priceCache.data;
+}
+
+router.get('/price', async (req, res) => {
+    try {
+        const data = await getPriceData();
+        res.json({ success: true, data });
     } catch (err) {
         console.error('Price fetch error:', err);
         if (priceCache.data) {
@@ -141,7 +161,7 @@ router.get('/blocks/recent', async (req, res) => {
             return res.json({ success: true, data: blocksCache.data });
         }
 
-        const blocks = await fetchJSON(`${MEMPOOL_API}/v1/blocks`);
+        const blocks = await chainData.getRecentBlocks();
 
         const data = (blocks || []).slice(0, 10).map(block => ({
             height: block.height,
@@ -150,6 +170,8 @@ router.get('/blocks/recent', async (req, res) => {
             timeAgo: timeAgo(block.timestamp),
             miner: block.extras?.pool?.name || 'Unknown',
             minerSlug: block.extras?.pool?.slug || '',
+            ours: Boolean(block.extras?.pool?.ours),
+            url: network.explorerUrl('block', block.id),
             txCount: block.tx_count,
             size: block.size,
             weight: block.weight,
@@ -169,30 +191,36 @@ router.get('/blocks/recent', async (req, res) => {
 });
 
 // Pool statistics (with caching)
-router.get('/pool', async (req, res) => {
-    try {
-        // Check cache first
-        if (poolCache.data && Date.now() - poolCache.timestamp < POOL_CACHE_TTL) {
-            return res.json({ success: true, data: poolCache.data, cached: true });
-        }
+async function getPoolData() {
+    // Check cache first
+    if (poolCache.data && Date.now() - poolCache.timestamp < POOL_CACHE_TTL) {
+        return poolCache.data;
+    }
 
-        const poolStats = await ckpool.getPoolStats();
+    const poolStats = await ckpool.getPoolStats();
 
-        if (process.env.NODE_ENV !== 'production') {
-            console.log('Raw stratifierstats:', JSON.stringify(poolStats.stratifier, null, 2));
-        }
+    if (process.env.NODE_ENV !== 'production') {
+        console.log('Raw stratifierstats:', JSON.stringify(poolStats.stratifier, null, 2));
+    }
 
-        const parsed = parsePoolStats(poolStats.poolstats, poolStats.stratifier, poolStats.connector);
+    const parsed = parsePoolStats(poolStats.poolstats, poolStats.stratifier, poolStats.connector);
 
-        const data = {
-            ...parsed,
-            raw: poolStats,
-            timestamp: Date.now()
-        };
+    const data = {
+        ...parsed,
+        blocksFound: blockTracker.getBlockCount(),
+        raw: poolStats,
+        timestamp: Date.now()
+    };
+
+    // Update cache
+    poolCache = { data, timestamp: Date.now() };
 
-        // Update cache
-        poolCache = { data, timestamp: Date.now() };
+    return data;
+}
 
+router.get('/pool', async (req, res) => {
+    try {
+        const data = await getPoolData();
         res.json({ success: true, data });
     } catch (err) {
         console.error('Pool stats error:', err);
@@ -205,136 +233,112 @@ router.get('/pool', async (req, res) => {
 });
 
 // User/Worker statistics by BTC address
+async function getAddressData(address) {
+    const userStats = await ckpool.getUserStats(address);
+    const parsed = parseUserStats(userStats);
+
+    return {
+        ...parsed,
+        raw: userStats,
+        timestamp: Date.now()
+    };
+}
+
+// Live stream producer for every watched address at once. Reads the shared
+// users listing instead of one getuser per address; addresses that haven't
+// submitted shares yet aren't in it and are skipped.
+async function getAddressesData(addresses) {
+    const listing = await ckpool.getAllUsers();
+    if (!listing || !Array.isArray(listing.users)) return {};
+
+    const wanted = new Set(addresses);
+    const results = {};
+    for (const user of listing.users) {
+        if (!wanted.has(user.user)) continue;
+        const parsed = parseUserStats(user);
+        if (parsed) results[user.user] = { ...parsed, raw: user, timestamp: Date.now() };
+    }
+    return results;
+}
+
 router.get('/stats/:address', async (req, res) => {
     const { address } = req.params;
 
-    // Basic BTC address validation
-    if (!address || !/^(1|3|bc1)[a-zA-HJ-NP-Z0-9]{25,62}$/.test(address)) {
-        return res.status(400).json({
-            success: false,
-            error: 'Invalid Bitcoin address'
-        });
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
     }
 
     try {
-        const userStats = await ckpool.getUserStats(address);
-        const parsed = parseUserStats(userStats);
-
-        res.json({
-            success: true,
-            data: {
-                ...parsed,
-                raw: userStats,
-                timestamp: Date.now()
-            }
-        });
+        const data = await getAddressData(address);
+        res.json({ success: true, data });
     } catch (err) {
         console.error(`Stats error for ${address}:`, err);
         res.status(500).json({ success: false, error: err.message });
     }
 });
 
-// Leaderboard - top miners by best difficulty
-router.get('/leaderboard', async (req, res) => {
+// Address check for the lookup forms: checksum, script type and network
+router.get('/address/:address', (req, res) => {
+    res.json({ success: true, data: parseAddress(req.params.address) });
+});
+
+// Farm view - several addresses in one call (?addresses=a,b,c)
+// One getuser per address; workers come from the shared listing
+router.get('/farm', async (req, res) => {
+    const { addresses, invalid } = farm.parseAddressList(req.query.addresses);
+
+    if (invalid.length > 0) {
+        const error = invalid.length === 1 ? invalid[0].error : `${invalid.length} invalid Bitcoin addresses`;
+        return res.status(400).json({ success: false, error, invalid });
+    }
+    if (addresses.length === 0) {
+        return res.status(400).json({ success: false, error: 'No addresses given' });
+    }
+    if (addresses.length > farm.MAX_ADDRESSES) {
+        return res.status(400).json({ success: false, error: `At most ${farm.MAX_ADDRESSES} addresses per farm` });
+    }
+
     try {
-        if (leaderboardCache.data && Date.now() - leaderboardCache.ts < LEADERBOARD_CACHE_TTL) {
-            return res.json({ success: true, data: leaderboardCache.data });
-        }
-        // Get all workers and clients from ckpool
-        const [workersData, clientsData] = await Promise.all([
-            ckpool.getAllWorkers(),
-            ckpool.getAllClients()
+        const [userStats, workersData] = await Promise.all([
+            Promise.all(addresses.map(address => ckpool.getUserStats(address))),
+            ckpool.getAllWorkers()
         ]);
+        const users = {};
+        addresses.forEach((address, index) => { users[address] = userStats[index]; });
 
-        if (!workersData || !workersData.workers || !Array.isArray(workersData.workers)) {
-            return res.json({ success: true, data: [] });
-        }
-
-        // Update persistent cache with current client data (stores miner types for later)
-        let cache = minerCache.updateFromClients(
-            clientsData?.clients || [],
-            parseMinerType
-        );
-
-        // Update best difficulties cache (stores highest value ever seen)
-        cache = minerCache.updateBestDiffs(workersData.workers, cache);
-
-        // Build set of currently connected workers
-        const connectedWorkers = new Set();
-        if (clientsData && clientsData.clients) {
-            clientsData.clients.forEach(client => {
-                if (client.workername) {
-                    connectedWorkers.add(client.workername);
-                }
-            });
-        }
+        res.json({ success: true, data: { ...farm.buildFarm(addresses, users, workersData), timestamp: Date.now() } });
+    } catch (err) {
+        console.error('Farm stats error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-        // Get stats for each worker and sort by best difficulty
-        const leaderboard = workersData.workers
-            .map(worker => {
-                const fullName = worker.worker || worker.workername || '';
-                // Get the highest best diff from API
-                const ckpoolBest = Math.max(
-                    worker.bestever || 0,
-                    worker.bestshare || 0,
-                    worker.bestdiff || 0
-                );
-                // Use all sources: our cache, API values, AND ckpool worker files
-                const bestDiff = minerCache.getBestDiffFromAllSources(fullName, ckpoolBest, cache);
-                return { fullName, bestDiff, worker };
-            })
-            .filter(item => item.bestDiff > 0)
-            .filter(item => {
-                // Hide workers inactive for more than 28 days
-                const lastSeen = cache.lastSeenAt?.[item.fullName] || 0;
-                if (lastSeen === 0) return true; // No timestamp yet → keep (migrated entries)
-                return lastSeen > Math.floor(Date.now() / 1000) - (28 * 86400);
-            })
-            .map(item => {
-                const { fullName, bestDiff, worker } = item;
-                // Extract worker name (part after the dot), show "anon" if no worker name
-                let workerName = null;
-                if (fullName.includes('.')) {
-                    workerName = fullName.split('.').slice(1).join('.');
-                }
-                // If workerName is empty, null, or looks like a BTC address, show "anon"
-                if (!workerName || workerName.match(/^(1|3|bc1)[a-zA-HJ-NP-Z0-9]{20,}/)) {
-                    workerName = 'anon';
-                }
-                // Get miner type from persistent cache (handles historical data)
-                const minerType = minerCache.getMinerType(fullName, cache);
-                // Check if worker is currently connected
-                const isOnline = connectedWorkers.has(fullName);
-                return {
-                    workerName: workerName || 'anon',
-                    minerType: minerType,
-                    isOnline: isOnline,
-                    bestDiff: bestDiff,
-                    bestDiffFormatted: formatDifficulty(bestDiff),
-                    hashrate: (worker.dsps1 || 0) * 4294967296,
-                    hashrateFormatted: formatHashrate((worker.dsps1 || 0) * 4294967296)
-                };
-            })
-            .sort((a, b) => b.bestDiff - a.bestDiff)
-            .slice(0, 99); // Top 99
-
-        // Persist any bestDiff updates accumulated during getBestDiffFromAllSources calls
-        minerCache.saveCache(cache);
-
-        leaderboardCache = { data: leaderboard, ts: Date.now() };
-        res.json({ success: true, data: leaderboard });
+// Top workers (period: day|week|month|all, rank: best|hashrate|effort, miner: miner type)
+router.get('/leaderboard', async (req, res) => {
+    const options = { period: req.query.period, rank: req.query.rank, minerType: req.query.miner };
+    try {
+        const data = await leaderboard.getLeaderboard(options);
+        res.json({ success: true, data });
     } catch (err) {
         console.error('Leaderboard error:', err);
-        if (leaderboardCache.data) return res.json({ success: true, data: leaderboardCache.data, stale: true });
+        const cached = leaderboard.getCachedLeaderboard(options);
+        if (cached) return res.json({ success: true, data: cached, stale: true });
         res.json({ success: true, data: [] });
     }
 });
 
+// Miner type counts without hidden addresses. The clients listing is what's cached,
+// so privacy changes apply at once.
+function visibleMinerTypes(clientData) {
+    return aggregateMinerTypes(minerPrivacy.visibleClients(clientData));
+}
+
 // Connected miner types
 router.get('/miner-types', async (req, res) => {
     try {
         if (minerTypesCache.data && Date.now() - minerTypesCache.ts < MINER_TYPES_CACHE_TTL) {
-            return res.json({ success: true, data: minerTypesCache.data, cached: true });
+            return res.json({ success: true, data: visibleMinerTypes(minerTypesCache.data), cached: true });
         }
         const clientData = await ckpool.getAllClients();
 
@@ -342,24 +346,83 @@ router.get('/miner-types', async (req, res) => {
             return res.json({ success: true, data: [] });
         }
 
-        const minerTypes = aggregateMinerTypes(clientData);
-        minerTypesCache = { data: minerTypes, ts: Date.now() };
-        res.json({ success: true, data: minerTypes });
+        minerTypesCache = { data: clientData, ts: Date.now() };
+        res.json({ success: true, data: visibleMinerTypes(clientData) });
     } catch (err) {
         console.error('Miner types error:', err);
-        if (minerTypesCache.data) return res.json({ success: true, data: minerTypesCache.data, stale: true });
+        if (minerTypesCache.data) return res.json({ success: true, data: visibleMinerTypes(minerTypesCache.data), stale: true });
         res.json({ success: true, data: [] });
     }
 });
 
+// Accepted/rejected/stale per window (1h, 24h, 7d) plus the hourly trend for one worker
+router.get('/shares/:address/:worker', (req, res) => {
+    const { address, worker } = req.params;
+
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
+
+    try {
+        const fullName = `${address}.${worker}`;
+        const shares = shareHistory.getWorkerShares(fullName);
+        res.json({
+            success: true,
+            data: {
+                windows: shares ? shares.windows : null,
+                spiking: shares ? shares.spiking : false,
+                history: shareHistory.getWorkerShareHistory(fullName)
+            }
+        });
+    } catch (err) {
+        console.error(`Share history error for ${address}.${worker}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Firmware families and versions across the pool (counts only)
+router.get('/firmware', async (req, res) => {
+    try {
+        const clients = parseClientInfo(minerPrivacy.visibleClients(await ckpool.getAllClients()));
+        res.json({ success: true, data: firmwareInventory.buildInventory(clients) });
+    } catch (err) {
+        console.error('Firmware inventory error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/firmware/:address', async (req, res) => {
+    const { address } = req.params;
+
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
+
+    try {
+        const clients = parseClientInfo(await ckpool.getUserClients(address));
+        res.json({ success: true, data: firmwareInventory.buildInventory(clients, { devices: true }) });
+    } catch (err) {
+        console.error(`Firmware inventory error for ${address}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 // Found blocks by pool
 router.get('/blocks', async (req, res) => {
     try {
-        // This would need to be implemented based on ckpool's block tracking
+        const blocks = blockTracker.getBlocks(req.query.orphaned === '1');
         res.json({
             success: true,
             data: {
-                blocks: [],
+                blocks: blocks.map(minerPrivacy.publicBlock).map(block => ({
+                    ...block,
+                    timeAgo: timeAgo(block.timestamp),
+                    shareDiffFormatted: formatDifficulty(block.shareDiff),
+                    rewardBTC: block.reward / 100000000
+                })),
+                count: blockTracker.getBlockCount(),
                 timestamp: Date.now()
             }
         });
@@ -369,111 +432,261 @@ router.get('/blocks', async (req, res) => {
     }
 });
 
-// Efficiency Dashboard - Real-time mining efficiency metrics
-router.get('/efficiency', async (req, res) => {
+// Hashrate history (range: 24h = per-minute, 30d = hourly, all = daily)
+router.get('/history/pool', (req, res) => {
     try {
-        if (efficiencyCache.data && Date.now() - efficiencyCache.ts < EFFICIENCY_CACHE_TTL) {
-            return res.json({ success: true, data: efficiencyCache.data });
-        }
-        // Fetch pool stats and network data in parallel
-        const [poolStats, networkData, feeData] = await Promise.all([
-            ckpool.getPoolStats(),
-            fetchJSON(`${MEMPOOL_API}/v1/mining/hashrate/3d`),
-            fetchJSON(`${MEMPOOL_API}/v1/fees/recommended`)
-        ]);
+        res.json({ success: true, data: hashrateHistory.getPoolHistory(req.query.range) });
+    } catch (err) {
+        console.error('Pool history error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-        const parsed = parsePoolStats(poolStats.poolstats, poolStats.stratifier, poolStats.connector);
+router.get('/history/:address', (req, res) => {
+    const { address } = req.params;
 
-        // Network stats - prefer ckpool data (local), fallback to mempool API
-        const networkHashrate = networkData?.currentHashrate || 700e18; // ~700 EH/s fallback
-        const networkDifficulty = parsed.networkDiff || networkData?.currentDifficulty || 100e12;
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
 
-        // Pool's share of network
-        const poolHashrate = parsed.hashrate || 0;
-        const networkShare = poolHashrate > 0 ? (poolHashrate / networkHashrate) * 100 : 0;
+    try {
+        res.json({ success: true, data: hashrateHistory.getUserHistory(address, req.query.range) });
+    } catch (err) {
+        console.error(`History error for ${address}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-        // Expected time to find a block (in seconds)
-        // Time = Difficulty * 2^32 / Hashrate
-        const expectedBlockTime = poolHashrate > 0
-            ? (networkDifficulty * Math.pow(2, 32)) / poolHashrate
-            : Infinity;
+router.get('/history/:address/:worker', (req, res) => {
+    const { address, worker } = req.params;
 
-        // Daily expected blocks
-        const dailyExpectedBlocks = poolHashrate > 0
-            ? (86400 / expectedBlockTime)
-            : 0;
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
 
-        // Probability of finding at least one block in 24h
-        // P = 1 - e^(-λ) where λ = expected blocks per day
-        const dailyBlockProbability = 1 - Math.exp(-dailyExpectedBlocks);
+    try {
+        const fullName = `${address}.${worker}`;
+        res.json({ success: true, data: hashrateHistory.getWorkerHistory(fullName, req.query.range) });
+    } catch (err) {
+        console.error(`History error for ${address}.${worker}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-        // Transaction fee potential from mempool
-        const currentFees = {
-            fastest: feeData?.fastestFee || 0,
-            halfHour: feeData?.halfHourFee || 0,
-            hour: feeData?.hourFee || 0,
-            economy: feeData?.economyFee || 0
-        };
-
-        // Estimated fees in next block (avg tx size 250 vB, ~3000 txs per block)
-        const estimatedBlockFees = (currentFees.hour * 250 * 3000) / 100000000; // in BTC
-
-        // Block reward estimation (subsidy + estimated fees)
-        // Subsidy halves every 210000 blocks; calculate from current height
-        const blockSubsidy = 50 / Math.pow(2, Math.floor((parsed.blockHeight || 0) / 210000));
-        const blockReward = blockSubsidy + estimatedBlockFees;
-
-        // Expected daily revenue (purely statistical)
-        const expectedDailyRevenue = dailyExpectedBlocks * blockReward;
-
-        // Efficiency metrics
-        const efficiency = {
-            // Pool stats
-            poolHashrate: poolHashrate,
-            poolHashrateFormatted: formatHashrate(poolHashrate),
-            activeWorkers: parsed.workers,
-            activeUsers: parsed.users,
-
-            // Network comparison
-            networkHashrate: networkHashrate,
-            networkHashrateFormatted: formatHashrate(networkHashrate),
-            networkShare: networkShare,
-            networkShareFormatted: formatSmallPercent(networkShare),
-
-            // Block finding estimates
-            expectedBlockTime: expectedBlockTime,
-            expectedBlockTimeFormatted: formatTime(expectedBlockTime),
-            dailyExpectedBlocks: dailyExpectedBlocks,
-            dailyBlockProbability: dailyBlockProbability,
-            dailyBlockProbabilityFormatted: formatSmallPercent(dailyBlockProbability * 100),
-
-            // Revenue estimates (statistical expectation)
-            blockReward: blockReward,
-            expectedDailyRevenue: expectedDailyRevenue,
-            expectedDailyRevenueFormatted: formatSmallBTC(expectedDailyRevenue),
-
-            // Fee market
-            currentFees: currentFees,
-            estimatedBlockFees: estimatedBlockFees,
-            estimatedBlockFeesFormatted: estimatedBlockFees.toFixed(4) + ' BTC',
-
-            // Share efficiency
-            sharesPerSecond: parsed.sps1,
-            diffSharesAccepted: parsed.accepted,
-            diffSharesRejected: parsed.rejected,
-            rejectRate: parsed.accepted > 0
-                ? ((parsed.rejected / (parsed.accepted + parsed.rejected)) * 100).toFixed(2) + '%'
-                : '0%',
-
-            // Best performance
-            bestDifficulty: parsed.bestDiff,
-            bestDifficultyFormatted: formatDifficulty(parsed.bestDiff),
+// Round effort and luck with effort history (range: 30d = hourly, all = daily)
+router.get('/effort', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { ...effortTracker.getPoolEffort(), history: effortTracker.getPoolEffortHistory(req.query.range) }
+        });
+    } catch (err) {
+        console.error('Effort error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-            timestamp: Date.now()
-        };
+router.get('/effort/:address', (req, res) => {
+    const { address } = req.params;
+
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
+
+    try {
+        res.json({
+            success: true,
+            data: { ...effortTracker.getUserEffort(address), history: effortTracker.getUserEffortHistory(address, req.query.range) }
+        });
+    } catch (err) {
+        console.error(`Effort error for ${address}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
 
-        efficiencyCache = { data: efficiency, ts: Date.now() };
-        res.json({ success: true, data: efficiency });
+// Best-share timeline, newest first (record: personal, address or pool; limit: default 25)
+router.get('/best-shares', (req, res) => {
+    try {
+        res.json({ success: true, data: bestShares.getPoolEvents({ record: req.query.record, limit: req.query.limit }) });
+    } catch (err) {
+        console.error('Best shares error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/best-shares/:address', (req, res) => {
+    const { address } = req.params;
+
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
+
+    try {
+        res.json({ success: true, data: bestShares.getUserEvents(address, { limit: req.query.limit }) });
+    } catch (err) {
+        console.error(`Best shares error for ${address}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Leaderboard privacy settings for an address
+router.get('/privacy/:address', (req, res) => {
+    const { address } = req.params;
+
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
+
+    res.json({ success: true, data: minerPrivacy.getSettings(address) });
+});
+
+// Change them: { nickname, visibility, timestamp, signature }, where signature is the
+// address's signature of the settings message (see lib/miner-privacy.js)
+router.post('/privacy/:address', privacyRateLimit, (req, res) => {
+    const { address } = req.params;
+
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
+    }
+
+    try {
+        const result = minerPrivacy.updateSettings(address, req.body || {});
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, data: result.settings });
+    } catch (err) {
+        console.error(`Privacy update error for ${address}:`, err);
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// Efficiency Dashboard - Real-time mining efficiency metrics
+async function getEfficiencyData() {
+    if (efficiencyCache.data && Date.now() - efficiencyCache.ts < EFFICIENCY_CACHE_TTL) {
+        return efficiencyCache.data;
+    }
+    // Fetch pool stats and network data in parallel
+    const [poolStats, networkData, feeData] = await Promise.all([
+        ckpool.getPoolStats(),
+        chainData.getNetworkHashrate(),
+        chainData.getFees()
+    ]);
+
+    const parsed = parsePoolStats(poolStats.poolstats, poolStats.stratifier, poolStats.connector);
+
+    // Network stats - prefer ckpool data (local), fallback to mempool API
+    const networkDifficulty = parsed.networkDiff || networkData?.currentDifficulty || 100e12;
+    // Without a mempool figure, estimate from difficulty (one block per 600s) when
+    // ckpool knows it, else the network's rough default
+    const networkHashrate = networkData?.currentHashrate ||
+        (parsed.networkDiff ? (parsed.networkDiff * Math.pow(2, 32)) / 600 : network.getNetwork().fallbackHashrate);
+
+    // Pool's share of network
+    const poolHashrate = parsed.hashrate || 0;
+    const networkShare = poolHashrate > 0 && networkHashrate > 0 ? (poolHashrate / networkHashrate) * 100 : 0;
+
+    // Expected time to find a block (in seconds)
+    // Time = Difficulty * 2^32 / Hashrate
+    const expectedBlockTime = poolHashrate > 0
+        ? (networkDifficulty * Math.pow(2, 32)) / poolHashrate
+        : Infinity;
+
+    // Daily expected blocks
+    const dailyExpectedBlocks = poolHashrate > 0
+        ? (86400 / expectedBlockTime)
+        : 0;
+
+    // Probability of finding at least one block in 24h
+    // P = 1 - e^(-λ) where λ = expected blocks per day
+    const dailyBlockProbability = 1 - Math.exp(-dailyExpectedBlocks);
+
+    // Transaction fee potential from mempool
+    const currentFees = {
+        fastest: feeData?.fastestFee || 0,
+        halfHour: feeData?.halfHourFee || 0,
+        hour: feeData?.hourFee || 0,
+        economy: feeData?.economyFee || 0
+    };
+
+    // Estimated fees in next block (avg tx size 250 vB, ~3000 txs per block)
+    const estimatedBlockFees = (currentFees.hour * 250 * 3000) / 100000000; // in BTC
+
+    // Block reward estimation (subsidy + estimated fees)
+    // Subsidy halves every 210000 blocks (150 on regtest); calculate from current height
+    const blockSubsidy = network.blockSubsidy(parsed.blockHeight);
+    const blockReward = blockSubsidy + estimatedBlockFees;
+
+    // Expected daily revenue (purely statistical)
+    const expectedDailyRevenue = dailyExpectedBlocks * blockReward;
+
+    const poolEffort = effortTracker.getPoolEffort();
+
+    // Efficiency metrics
+    const efficiency = {
+        // Pool stats
+        poolHashrate: poolHashrate,
+        poolHashrateFormatted: formatHashrate(poolHashrate),
+        activeWorkers: parsed.workers,
+        activeUsers: parsed.users,
+
+        // Network comparison
+        networkHashrate: networkHashrate,
+        networkHashrateFormatted: formatHashrate(networkHashrate),
+        networkShare: networkShare,
+        networkShareFormatted: formatSmallPercent(networkShare),
+
+        // Block finding estimates
+        expectedBlockTime: expectedBlockTime,
+        expectedBlockTimeFormatted: formatTime(expectedBlockTime),
+        dailyExpectedBlocks: dailyExpectedBlocks,
+        dailyBlockProbability: dailyBlockProbability,
+        dailyBlockProbabilityFormatted: formatSmallPercent(dailyBlockProbability * 100),
+
+        // Revenue estimates (statistical expectation)
+        blockReward: blockReward,
+        expectedDailyRevenue: expectedDailyRevenue,
+        expectedDailyRevenueFormatted: formatSmallBTC(expectedDailyRevenue),
+
+        // Fee market
+        currentFees: currentFees,
+        estimatedBlockFees: estimatedBlockFees,
+        estimatedBlockFeesFormatted: estimatedBlockFees.toFixed(4) + ' BTC',
+
+        // Share efficiency
+        sharesPerSecond: parsed.sps1,
+        diffSharesAccepted: parsed.accepted,
+        diffSharesRejected: parsed.rejected,
+        rejectRate: parsed.accepted > 0
+            ? ((parsed.rejected / (parsed.accepted + parsed.rejected)) * 100).toFixed(2) + '%'
+            : '0%',
+
+        // Luck (lib/effort-tracker): current round effort, average effort per found block
+        roundEffort: poolEffort.effort,
+        averageEffort: poolEffort.averageEffort,
+        luck: poolEffort.luck,
+
+        // Best performance
+        bestDifficulty: parsed.bestDiff,
+        bestDifficultyFormatted: formatDifficulty(parsed.bestDiff),
+
+        timestamp: Date.now()
+    };
+
+    efficiencyCache = { data: efficiency, ts: Date.now() };
+    return efficiency;
+}
+
+router.get('/efficiency', async (req, res) => {
+    try {
+        const data = await getEfficiencyData();
+        res.json({ success: true, data });
     } catch (err) {
         console.error('Efficiency stats error:', err);
         if (efficiencyCache.data) return res.json({ success: true, data: efficiencyCache.data, stale: true });
@@ -528,60 +741,44 @@ function formatSmallBTC(btc) {
     return '< 0.00000001 sats';
 }
 
-function getRpcParams() {
-    const user = process.env.BITCOIN_RPC_USER || '';
-    const pass = process.env.BITCOIN_RPC_PASS || '';
-    const url  = `http://${process.env.BITCOIN_RPC_HOST || '127.0.0.1'}:${process.env.BITCOIN_RPC_PORT || 8332}`;
-    return { url, auth: Buffer.from(`${user}:${pass}`).toString('base64') };
-}
-
 let nodeinfoCache = { data: null, timestamp: 0 };
 const NODEINFO_CACHE_TTL = 60000; // 1 minute
 
-async function rpcCall(method, params = []) {
-    const { url, auth } = getRpcParams();
-    const signal = AbortSignal.timeout(RPC_TIMEOUT_MS);
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Basic ${auth}` },
-        body: JSON.stringify({ method, params, id: 1 }),
-        signal
-    });
-    if (!response.ok) throw new Error(`RPC HTTP ${response.status}`);
-    const json = await response.json();
-    if (json.error) throw new Error(json.error.message);
-    return json.result;
+async function getNodeInfo() {
+    if (nodeinfoCache.data && Date.now() - nodeinfoCache.timestamp < NODEINFO_CACHE_TTL) {
+        return nodeinfoCache.data;
+    }
+
+    const [netinfo, mininginfo] = await Promise.all([
+        rpcCall('getnetworkinfo'),
+        rpcCall('getmininginfo')
+    ]);
+
+    // Format version: 290200 → "29.2.0"
+    const v = netinfo.version;
+    const versionStr = `${Math.floor(v / 10000)}.${Math.floor((v % 10000) / 100)}.${v % 100}`;
+
+    const data = {
+        version: versionStr,
+        subversion: netinfo.subversion.replace(/\//g, '').replace('Satoshi:', ''),
+        connections: netinfo.connections,
+        connections_in: netinfo.connections_in,
+        connections_out: netinfo.connections_out,
+        networkactive: netinfo.networkactive,
+        relayfee: netinfo.relayfee,
+        currentblockweight: mininginfo.currentblockweight,
+        currentblocktx: mininginfo.currentblocktx,
+        pooledtx: mininginfo.pooledtx,
+        network: network.getNetwork().name
+    };
+
+    nodeinfoCache = { data, timestamp: Date.now() };
+    return data;
 }
 
 router.get('/nodeinfo', async (req, res) => {
     try {
-        if (nodeinfoCache.data && Date.now() - nodeinfoCache.timestamp < NODEINFO_CACHE_TTL) {
-            return res.json({ success: true, data: nodeinfoCache.data });
-        }
-
-        const [netinfo, mininginfo] = await Promise.all([
-            rpcCall('getnetworkinfo'),
-            rpcCall('getmininginfo')
-        ]);
-
-        // Format version: 290200 → "29.2.0"
-        const v = netinfo.version;
-        const versionStr = `${Math.floor(v / 10000)}.${Math.floor((v % 10000) / 100)}.${v % 100}`;
-
-        const data = {
-            version: versionStr,
-            subversion: netinfo.subversion.replace(/\//g, '').replace('Satoshi:', ''),
-            connections: netinfo.connections,
-            connections_in: netinfo.connections_in,
-            connections_out: netinfo.connections_out,
-            networkactive: netinfo.networkactive,
-            relayfee: netinfo.relayfee,
-            currentblockweight: mininginfo.currentblockweight,
-            currentblocktx: mininginfo.currentblocktx,
-            pooledtx: mininginfo.pooledtx
-        };
-
-        nodeinfoCache = { data, timestamp: Date.now() };
+        const data = await getNodeInfo();
         res.json({ success: true, data });
     } catch (err) {
         console.error('nodeinfo error:', err.message);
@@ -589,17 +786,51 @@ router.get('/nodeinfo', async (req, res) => {
     }
 });
 
-// Helper function to fetch JSON
-async function fetchJSON(url) {
-    try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        return await response.json();
-    } catch (err) {
-        console.error(`Fetch error for ${url}:`, err.message);
-        return null;
+// Dependency status. Always 200 so monitoring can read each check; use /health/ready
+// for a status-code check (503 while ckpool or the data dir is unavailable).
+// Failure details are logged, not returned.
+router.get('/health', async (req, res) => {
+    const data = health.publicHealth(await health.checkHealth());
+    res.json({ success: true, data });
+});
+
+router.get('/health/ready', async (req, res) => {
+    const data = health.publicHealth(await health.checkHealth());
+    res.status(data.ready ? 200 : 503).json({ success: data.ready, data });
+});
+
+// Live updates over Server-Sent Events - one shared poller per topic
+liveStream.registerTopic('pool', getPoolData, POOL_CACHE_TTL);
+liveStream.registerTopic('network', getNetworkData, CACHE_TTL);
+liveStream.registerTopic('price', getPriceData, PRICE_CACHE_TTL);
+liveStream.registerTopic('leaderboard', leaderboard.getLeaderboard, leaderboard.CACHE_TTL);
+liveStream.registerTopic('efficiency', getEfficiencyData, EFFICIENCY_CACHE_TTL);
+liveStream.registerTopic('nodeinfo', getNodeInfo, NODEINFO_CACHE_TTL);
+liveStream.registerAddressProducer(getAddressesData);
+
+// Usage: /api/stream?topics=pool,network&address=bc1...
+router.get('/stream', (req, res) => {
+    const topics = String(req.query.topics || '').split(',').map(t => t.trim()).filter(Boolean);
+    const address = req.query.address || null;
+
+    const addressCheck = address ? parseAddress(address) : null;
+    if (addressCheck && !addressCheck.valid) {
+        return res.status(400).json({ success: false, error: addressCheck.error });
     }
-}
+    if (topics.length === 0 && !address) {
+        return res.status(400).json({
+            success: false,
+            error: `No topics requested (available: ${liveStream.getTopicNames().join(', ')})`
+        });
+    }
+
+    const refused = liveStream.checkCapacity(req);
+    if (refused) {
+        return res.status(429).json({ success: false, error: refused });
+    }
+
+    liveStream.subscribe(req, res, { topics, address });
+});
 
 // Helper function for time ago
 function timeAgo(timestamp) {
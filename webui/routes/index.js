@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const ckpool = require('../lib/ckpool-client');
-const { parseUserStats, parsePoolStats, parseClientInfo, aggregateMinerTypes, formatHashrate, formatDifficulty, timeAgo } = require('../lib/stats-parser');
+const { parseUserStats, parsePoolStats, parseClientInfo, aggregateMinerTypes, formatHashrate, formatDifficulty, formatEffort, timeAgo } = require('../lib/stats-parser');
 const minerCache = require('../lib/miner-cache');
+const firmwareInventory = require('../lib/firmware-inventory');
+const shareHistory = require('../lib/share-history');
+const effortTracker = require('../lib/effort-tracker');
+const bestShares = require('../lib/best-shares');
+const minerPrivacy = require('../lib/miner-privacy');
+const farm = require('../lib/farm');
+const { parseAddress } = require('../lib/bitcoin-address');
 
 // Home page with tabs (General Info + Worker Lookup)
 router.get('/', async (req, res) => {
@@ -31,15 +38,20 @@ router.get('/', async (req, res) => {
 router.get('/stats/:address', async (req, res) => {
     const { address } = req.params;
 
-    // Basic BTC address validation
-    if (!address || !/^(1|3|bc1)[a-zA-HJ-NP-Z0-9]{25,62}$/.test(address)) {
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
         return res.render('stats', {
-            error: 'Invalid Bitcoin address',
+            error: addressCheck.error,
             address,
             user: null,
             clients: [],
+            inventory: null,
+            effort: null,
+            nearMisses: [],
+            privacy: null,
             formatHashrate,
             formatDifficulty,
+            formatEffort,
             timeAgo
         });
     }
@@ -60,15 +72,16 @@ router.get('/stats/:address', async (req, res) => {
         const parsed = parseUserStats(userStats);
         const clients = parseClientInfo(clientData);
 
-        // Fetch worker stats for each client to get accurate hashrate
-        // (ucinfo doesn't always return correct dsps1 for all miner types like nmminer)
+        // Look up worker stats for each client to get accurate hashrate
+        // (ucinfo doesn't always return correct dsps1 for all miner types like nmminer).
+        // findWorker answers from the shared workers listing, not one getworker per client.
         if (clients.length > 0) {
             const workerStatsPromises = clients.map(client => {
                 const parts = client.workername?.split('.') || [];
-                // Only call getworker if there's an actual suffix (workername != address)
+                // Only look up a worker if there's an actual suffix (workername != address)
                 const workerSuffix = parts.length > 1 ? parts.pop() : null;
                 if (!workerSuffix) return Promise.resolve(null);
-                return ckpool.getWorkerStats(address, workerSuffix).catch(() => null);
+                return ckpool.findWorker(address, workerSuffix).catch(() => null);
             });
             const workerStatsResults = await Promise.all(workerStatsPromises);
 
@@ -89,14 +102,18 @@ router.get('/stats/:address', async (req, res) => {
                 address,
                 user: null, // Will show "Address Not Found" message
                 clients: [],
+                inventory: null,
+                effort: null,
+                nearMisses: [],
+                privacy: null,
                 formatHashrate,
                 formatDifficulty,
+                formatEffort,
                 timeAgo
             });
         }
 
         // Enhance bestDiff with historical data from ckpool files
-        // Load cache once for efficiency
         const cache = minerCache.loadCache();
 
         // Update each client's bestdiff with historical data
@@ -107,7 +124,7 @@ router.get('/stats/:address', async (req, res) => {
             const fullWorkerName = workerSuffix ? `${address}.${workerSuffix}` : address;
             client.bestdiff = minerCache.getBestDiffFromAllSources(fullWorkerName, client.bestdiff, cache);
         });
-        // Save cache once after the loop (getBestDiffFromAllSources only updates in-memory)
+        // Schedule a journal flush for any bestDiff updates (batched, non-blocking)
         minerCache.saveCache(cache);
 
         // Update user's bestDiff - use the highest from all their workers
@@ -119,13 +136,25 @@ router.get('/stats/:address', async (req, res) => {
         });
         parsed.bestDiff = userBestDiff;
 
+        // Firmware family/version per device, flagged against the minimum version table,
+        // and the recorded reject rates (spiking = 1h rate well above the 7d baseline)
+        clients.forEach(client => {
+            client.firmware = firmwareInventory.checkFirmware(client.miner);
+            client.shareHistory = shareHistory.getWorkerShares(client.workername);
+        });
+
         res.render('stats', {
             error: null,
             address,
             user: parsed,
             clients: clients,
+            inventory: firmwareInventory.buildInventory(clients),
+            effort: effortTracker.getUserEffort(address),
+            nearMisses: bestShares.getUserEvents(address),
+            privacy: minerPrivacy.getSettings(address),
             formatHashrate,
             formatDifficulty,
+            formatEffort,
             timeAgo
         });
     } catch (err) {
@@ -135,8 +164,13 @@ router.get('/stats/:address', async (req, res) => {
             address,
             user: null,
             clients: [],
+            inventory: null,
+            effort: null,
+            nearMisses: [],
+            privacy: null,
             formatHashrate,
             formatDifficulty,
+            formatEffort,
             timeAgo
         });
     }
@@ -146,10 +180,10 @@ router.get('/stats/:address', async (req, res) => {
 router.get('/stats/:address/:worker', async (req, res) => {
     const { address, worker } = req.params;
 
-    // Basic BTC address validation
-    if (!address || !/^(1|3|bc1)[a-zA-HJ-NP-Z0-9]{25,62}$/.test(address)) {
+    const addressCheck = parseAddress(address);
+    if (!addressCheck.valid) {
         return res.render('worker-stats', {
-            error: 'Invalid Bitcoin address',
+            error: addressCheck.error,
             address,
             worker,
             workerData: null,
@@ -200,7 +234,7 @@ router.get('/stats/:address/:worker', async (req, res) => {
             workerStats.bestdiff || 0
         );
         const bestDiff = minerCache.getBestDiffFromAllSources(fullWorkerName, apiBestDiff, cache);
-        // Save cache once after lookup (getBestDiffFromAllSources only updates in-memory)
+        // Schedule a journal flush for any bestDiff update (batched, non-blocking)
         minerCache.saveCache(cache);
 
         // Parse client info for miner type
@@ -228,7 +262,11 @@ router.get('/stats/:address/:worker', async (req, res) => {
                 avg24h: hashrate1d,
                 avg7d: hashrate7d
             },
-            shares: workerStats.shares || workerStats.accepted || 0,
+            // Share counts when ckpool reports them; otherwise accepted difficulty
+            shares: workerStats.accepted !== undefined ? workerStats.accepted : (workerStats.shares || 0),
+            rejected: workerStats.rejected !== undefined ? workerStats.rejected : null,
+            stale: workerStats.stale !== undefined ? workerStats.stale : null,
+            shareHistory: shareHistory.getWorkerShares(fullWorkerName),
             bestDiff: bestDiff,
             lastShare: workerStats.lastshare || 0,
             isIdle: clientInfo?.idle || (workerStats.lastshare > 0 && (Date.now() / 1000 - workerStats.lastshare > 300)),
@@ -284,7 +322,7 @@ router.get('/pool', async (req, res) => {
             : Infinity;
 
         // Aggregate miner types
-        const minerTypes = aggregateMinerTypes(allClients);
+        const minerTypes = aggregateMinerTypes(minerPrivacy.visibleClients(allClients));
 
         res.render('pool', {
             pool: parsed,
@@ -293,8 +331,11 @@ router.get('/pool', async (req, res) => {
             networkShare,
             expectedBlockTime,
             minerTypes,
+            effort: effortTracker.getPoolEffort(),
+            nearMisses: bestShares.getPoolEvents(),
             formatHashrate,
             formatDifficulty,
+            formatEffort,
             timeAgo
         });
     } catch (err) {
@@ -306,13 +347,44 @@ router.get('/pool', async (req, res) => {
             networkShare: 0,
             expectedBlockTime: Infinity,
             minerTypes: [],
+            effort: null,
+            nearMisses: [],
             formatHashrate,
             formatDifficulty,
+            formatEffort,
             timeAgo
         });
     }
 });
 
+// Firmware inventory for all connected devices
+router.get('/firmware', async (req, res) => {
+    try {
+        const clients = parseClientInfo(minerPrivacy.visibleClients(await ckpool.getAllClients()));
+        res.render('firmware', {
+            title: 'Firmware',
+            inventory: firmwareInventory.buildInventory(clients),
+            error: null
+        });
+    } catch (err) {
+        console.error('Error loading firmware inventory:', err);
+        res.render('firmware', { title: 'Firmware', inventory: null, error: 'Failed to load firmware inventory' });
+    }
+});
+
+// Farm dashboard - combined view of several addresses (?addresses=a,b,c).
+// Stats are loaded client-side from /api/farm; without addresses in the URL the
+// page falls back to the list pinned in localStorage.
+router.get('/farm', (req, res) => {
+    const { addresses, invalid } = farm.parseAddressList(req.query.addresses);
+    res.render('farm', {
+        title: 'Farm',
+        addresses: addresses.slice(0, farm.MAX_ADDRESSES),
+        invalid,
+        maxAddresses: farm.MAX_ADDRESSES
+    });
+});
+
 // Profitability Calculator page
 router.get('/calculator', (req, res) => {
     res.render('calculator', { title: 'Mining Calculator' });
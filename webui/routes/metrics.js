@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { collectMetrics } = require('../lib/metrics');
+
+// Prometheus scrape endpoint
+router.get('/', async (req, res) => {
+    try {
+        const body = await collectMetrics();
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        res.send(body);
+    } catch (err) {
+        console.error('Metrics error:', err.message);
+        res.status(500).type('text/plain').send(`# metrics collection failed: ${err.message}\n`);
+    }
+});
+
+module.exports = router;
@@ -1,72 +1,81 @@
-const express = require('express');
-const path = require('path');
-const expressLayouts = require('express-ejs-layouts');
-
-const indexRoutes = require('./routes/index');
-const apiRoutes = require('./routes/api');
-const { rateLimit, protectApi, injectToken } = require('./lib/api-security');
+const app = require('./app');
 const minerCache = require('./lib/miner-cache');
+const hashrateHistory = require('./lib/hashrate-history');
+const shareHistory = require('./lib/share-history');
+const effortTracker = require('./lib/effort-tracker');
+const leaderboardPeriods = require('./lib/leaderboard-periods');
+const leaderboard = require('./lib/leaderboard');
+const bestShares = require('./lib/best-shares');
+const minerPrivacy = require('./lib/miner-privacy');
+const blockTracker = require('./lib/block-tracker');
+const notifier = require('./lib/notifier');
+const backup = require('./lib/backup');
+const ckpool = require('./lib/ckpool-client');
+const network = require('./lib/network');
+const mqtt = require('./lib/mqtt');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Trust proxy (for correct IP in rate limiting behind nginx)
-app.set('trust proxy', 1);
+app.listen(PORT, '0.0.0.0', () => {
+    console.log(`CKPool WebUI running on http://0.0.0.0:${PORT}`);
+});
 
-// View engine setup
-app.set('view engine', 'ejs');
-app.set('views', path.join(__dirname, 'views'));
-// Enable view cache in production (views are in image, not bind-mounted)
-app.set('view cache', process.env.NODE_ENV === 'production');
+// Mainnet, testnet4, signet or regtest: BITCOIN_NETWORK, else ask bitcoind
+network.detectNetwork();
 
-// EJS Layouts
-app.use(expressLayouts);
-app.set('layout', 'layout');
+// Prune inactive leaderboard entries daily
+// First run 1h after startup to avoid noise during initial cache warm-up
+setTimeout(() => {
+    minerCache.pruneInactiveWorkers(leaderboard.INACTIVE_DAYS);
+    setInterval(() => minerCache.pruneInactiveWorkers(leaderboard.INACTIVE_DAYS), 86400000);
+}, 3600000);
 
-// Static files — long cache for immutable assets (nginx + browser)
-app.use(express.static(path.join(__dirname, 'public'), {
-    maxAge: process.env.NODE_ENV === 'production' ? '1d' : 0,
-    etag: true,
-    lastModified: true,
-}));
+// Best difficulties from ckpool's worker files, so pages only read the miner cache
+minerCache.startCkpoolSync();
 
-// JSON parsing
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Sample hashrate history in the background (independent of page views)
+hashrateHistory.startSampler(ckpool);
 
-// Inject API token into all rendered pages
-app.use(injectToken);
+// Per-worker accepted/rejected/stale counts for reject-rate trends
+shareHistory.startSampler(ckpool);
 
-// Routes
-app.use('/', indexRoutes);
+// Round effort and luck for the pool and each address
+effortTracker.startSampler(ckpool);
 
-// API routes with protection
-app.use('/api', rateLimit, protectApi, apiRoutes);
+// Daily, weekly and monthly leaderboard stats per worker
+leaderboardPeriods.startSampler(ckpool);
 
-// Error handler
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).render('error', {
-        message: 'Something went wrong!',
-        error: process.env.NODE_ENV === 'development' ? err : {}
-    });
-});
+// Detect blocks found by the pool (ckpool log + bitcoind coinbase signature)
+blockTracker.startTracker();
 
-// 404 handler
-app.use((req, res) => {
-    res.status(404).render('error', {
-        message: 'Page not found',
-        error: {}
-    });
-});
+// Timeline of new personal/address/pool best shares (before the notifier's first poll)
+bestShares.startRecorder(ckpool);
 
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`CKPool WebUI running on http://0.0.0.0:${PORT}`);
-});
+// Worker offline/online, best share, block found and upstream alerts
+notifier.startNotifier(ckpool);
 
-// Prune inactive leaderboard entries daily
-// First run 1h after startup to avoid noise during initial cache warm-up
-setTimeout(() => {
-    minerCache.pruneInactiveWorkers();
-    setInterval(() => minerCache.pruneInactiveWorkers(), 86400000);
-}, 3600000);
+// Daily data dir backups (BACKUP_RETENTION kept in data/backups)
+backup.startBackups();
+
+// Pool/address/worker stats to MQTT with Home Assistant discovery (MQTT_URL)
+mqtt.startPublisher(ckpool);
+
+// Flush history and the miner cache and privacy journals to disk on shutdown (docker stop sends SIGTERM)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, () => {
+        minerCache.stopCkpoolSync();
+        minerCache.flushSync();
+        minerPrivacy.flushSync();
+        hashrateHistory.stopSampler();
+        shareHistory.stopSampler();
+        effortTracker.stopSampler();
+        leaderboardPeriods.stopSampler();
+        bestShares.stopRecorder();
+        blockTracker.stopTracker();
+        notifier.stopNotifier();
+        backup.stopBackups();
+        // Not awaited: if the disconnect doesn't get out, the broker publishes the "offline" will
+        mqtt.stopPublisher();
+        process.exit(0);
+    });
+});
@@ -0,0 +1,357 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// admin-auth reads its credentials at require time
+process.env.ADMIN_PASSWORD = 'correct horse';
+process.env.ADMIN_API_KEY = 'admin-key-123';
+
+const { readJSONSafe } = require('../lib/safe-file');
+const { startTestServer } = require('./helpers/test-server');
+const { MockCkpool } = require('./helpers/mock-ckpool');
+const fixtures = require('./fixtures/ckpool');
+
+let ctx;
+let cookie;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.stop();
+});
+
+function admin(route, options = {}) {
+    return fetch(`${ctx.url}/admin${route}`, { redirect: 'manual', ...options });
+}
+
+function withKey(route, options = {}) {
+    return admin(route, {
+        ...options,
+        headers: { Authorization: 'Bearer admin-key-123', 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+}
+
+function form(route, fields) {
+    return admin(route, {
+        method: 'POST',
+        headers: { Cookie: cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields).toString()
+    });
+}
+
+async function csrfToken() {
+    const html = await (await admin('/', { headers: { Cookie: cookie } })).text();
+    return html.match(/name="_csrf" value="([0-9a-f]+)"/)[1];
+}
+
+// Login form cookie and its CSRF token
+async function loginForm() {
+    const res = await admin('/login');
+    const html = await res.text();
+    return {
+        cookie: res.headers.get('set-cookie').split(';')[0],
+        token: html.match(/name="_csrf" value="([0-9a-f]+)"/)[1]
+    };
+}
+
+async function postLogin(password) {
+    const { cookie: loginCookie, token } = await loginForm();
+    return admin('/login', {
+        method: 'POST',
+        headers: { Cookie: loginCookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ _csrf: token, password }).toString()
+    });
+}
+
+function auditEntries() {
+    return fs.readFileSync(path.join(ctx.dataDir, 'admin-audit.log'), 'utf8')
+        .trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('admin login', () => {
+    test('redirects anonymous page requests to the login form', async () => {
+        const res = await admin('/', { headers: { Accept: 'text/html' } });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), '/admin/login');
+        assert.equal((await admin('/login')).status, 200);
+    });
+
+    test('rejects a wrong password and audits it', async () => {
+        const res = await postLogin('nope');
+        assert.equal(res.status, 401);
+        assert.ok((await res.text()).includes('Invalid password'));
+        const last = auditEntries().pop();
+        assert.deepEqual([last.action, last.ok], ['login', false]);
+    });
+
+    test('rejects logins without the form\'s CSRF token', async () => {
+        const before = auditEntries().length;
+        const { cookie: loginCookie, token } = await loginForm();
+        const attempts = [
+            { headers: {}, body: 'password=correct+horse' },
+            { headers: { Cookie: loginCookie }, body: 'password=correct+horse' },
+            { headers: { Cookie: 'admin_login_csrf=00000000000000000000000000000000' }, body: `_csrf=${token}&password=correct+horse` }
+        ];
+        for (const attempt of attempts) {
+            const res = await admin('/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...attempt.headers },
+                body: attempt.body
+            });
+            assert.equal(res.status, 403);
+            assert.equal(res.headers.get('set-cookie').includes('admin_session'), false);
+        }
+        // Not counted as password failures
+        assert.equal(auditEntries().length, before);
+    });
+
+    test('sets an HttpOnly session cookie on success', async () => {
+        const res = await postLogin('correct horse');
+        assert.equal(res.status, 302);
+        const setCookie = res.headers.get('set-cookie');
+        assert.match(setCookie, /admin_session=[0-9a-f]{64}/);
+        assert.match(setCookie, /HttpOnly/);
+        assert.match(setCookie, /SameSite=Strict/);
+        cookie = setCookie.split(';')[0];
+    });
+});
+
+describe('admin console (session)', () => {
+    test('lists connected clients with their IPs', async () => {
+        const res = await admin('/', { headers: { Cookie: cookie } });
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+        const html = await res.text();
+        assert.ok(html.includes('192.168.1.20'));
+        assert.ok(html.includes('/admin/clients/11/drop'));
+    });
+
+    test('rejects forms without the CSRF token', async () => {
+        const res = await form('/loglevel', { level: '5' });
+        assert.equal(res.status, 403);
+        assert.equal(ctx.ckpool.received('loglevel').length, 0);
+    });
+
+    test('accepts the CSRF token in a header for JSON uploads', async () => {
+        const post = headers => admin('/restore', {
+            method: 'POST',
+            headers: { Cookie: cookie, 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ format: 'something-else' })
+        });
+        assert.equal((await post({})).status, 403);
+        const res = await post({ 'X-CSRF-Token': await csrfToken() });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Not a ckpool-webui backup');
+    });
+
+    test('drops a client through the connector socket', async () => {
+        ctx.ckpool.reply('dropclient', MockCkpool.close());
+        const res = await form('/clients/11/drop', { _csrf: await csrfToken() });
+        assert.equal(res.status, 302);
+        assert.deepEqual(ctx.ckpool.received('dropclient').map(r => [r.socket, r.args]), [['connector', '11']]);
+
+        const html = await (await admin('/', { headers: { Cookie: cookie } })).text();
+        assert.ok(html.includes('Dropped client 11'));
+        assert.ok(html.includes('drop_client'));
+    });
+
+    test('issues an API key from the form and shows it once', async () => {
+        const csrf = await csrfToken();
+        const res = await form('/api-keys', { _csrf: csrf, name: 'Home Assistant', scopes: 'pool', rateLimit: '30' });
+        assert.equal(res.status, 302);
+
+        const html = await (await admin('/', { headers: { Cookie: cookie } })).text();
+        assert.match(html, /gbp_[0-9a-f]{8}_[0-9a-f]{48}/);
+        assert.ok(html.includes('Home Assistant'));
+        const again = await (await admin('/', { headers: { Cookie: cookie } })).text();
+        assert.doesNotMatch(again, /gbp_[0-9a-f]{8}_[0-9a-f]{48}/);
+    });
+
+    test('logout ends the session', async () => {
+        const res = await form('/logout', { _csrf: await csrfToken() });
+        assert.equal(res.status, 302);
+        const after = await admin('/', { headers: { Cookie: cookie, Accept: 'text/html' } });
+        assert.equal(after.headers.get('location'), '/admin/login');
+    });
+});
+
+describe('admin API key', () => {
+    test('rejects missing or wrong keys', async () => {
+        assert.equal((await admin('/clients')).status, 401);
+        assert.equal((await admin('/clients', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    });
+
+    test('lists clients as JSON', async () => {
+        const res = await withKey('/clients');
+        const body = await res.json();
+        assert.equal(body.success, true);
+        assert.deepEqual(body.data.map(c => [c.id, c.ip]), [[11, '192.168.1.20'], [12, '192.168.1.21']]);
+    });
+
+    test('changes the log level on the listener socket', async () => {
+        ctx.ckpool.reply('loglevel', 'success');
+        const res = await withKey('/loglevel', { method: 'POST', body: JSON.stringify({ level: 7 }) });
+        assert.equal(res.status, 200);
+        assert.deepEqual(ctx.ckpool.received('loglevel').map(r => [r.socket, r.args]), [['listener', '7']]);
+
+        const bad = await withKey('/loglevel', { method: 'POST', body: JSON.stringify({ level: 9 }) });
+        assert.equal(bad.status, 400);
+    });
+
+    test('returns stats dumps', async () => {
+        const res = await withKey('/stats/connectorstats', { method: 'POST' });
+        const body = await res.json();
+        assert.deepEqual(body.data, fixtures.connectorstats());
+        assert.equal((await withKey('/stats/nope', { method: 'POST' })).status, 400);
+    });
+
+    test('reports ckpool errors as a failed action', async () => {
+        ctx.ckpool.reply('dropclient', { error: 'Invalid client' });
+        const res = await withKey('/clients/99/drop', { method: 'POST' });
+        assert.equal(res.status, 502);
+        assert.equal((await res.json()).error, 'Invalid client');
+    });
+
+    test('records every action in the audit log', async () => {
+        const entries = auditEntries();
+        const byKey = entries.filter(e => e.actor === 'api-key');
+        assert.ok(byKey.some(e => e.action === 'set_loglevel' && e.target === 7 && e.ok));
+        assert.ok(byKey.some(e => e.action === 'stats_dump' && e.target === 'connectorstats'));
+        assert.ok(byKey.some(e => e.action === 'drop_client' && e.target === '99' && !e.ok && e.detail === 'Invalid client'));
+        assert.ok(entries.every(e => e.time > 0 && e.ip));
+
+        const res = await withKey('/audit?limit=2');
+        const body = await res.json();
+        assert.equal(body.data.length, 2);
+        assert.equal(body.data[0].action, 'drop_client');
+    });
+});
+
+describe('admin API keys for /api/v1', () => {
+    test('issues, lists and revokes keys', async () => {
+        const res = await withKey('/api-keys', {
+            method: 'POST',
+            body: JSON.stringify({ name: 'script', scopes: ['pool', 'blocks'], rateLimit: 10 })
+        });
+        assert.equal(res.status, 201);
+        const { data } = await res.json();
+        assert.deepEqual(data.scopes, ['pool', 'blocks']);
+        const v1 = () => fetch(`${ctx.url}/api/v1/pool`, { headers: { Authorization: `Bearer ${data.key}` } });
+        assert.equal((await v1()).status, 200);
+
+        const listed = (await (await withKey('/api-keys')).json()).data.find(k => k.id === data.id);
+        assert.equal(listed.active, true);
+        assert.equal(listed.hash, undefined);
+        assert.equal(listed.key, undefined);
+
+        assert.equal((await withKey(`/api-keys/${data.id}/revoke`, { method: 'POST' })).status, 200);
+        assert.equal((await v1()).status, 401);
+        assert.equal((await withKey(`/api-keys/${data.id}/revoke`, { method: 'POST' })).status, 400);
+
+        const entries = auditEntries().filter(e => e.target === data.id);
+        assert.deepEqual(entries.map(e => [e.action, e.ok]), [['api_key_issue', true], ['api_key_revoke', true], ['api_key_revoke', false]]);
+        assert.ok(!JSON.stringify(entries).includes(data.key));
+    });
+
+    test('rejects unknown scopes', async () => {
+        const res = await withKey('/api-keys', { method: 'POST', body: JSON.stringify({ name: 'bad', scopes: ['admin'] }) });
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, 'Unknown scope: admin');
+    });
+});
+
+describe('admin leaderboard privacy', () => {
+    async function leaderboardNames() {
+        const res = await ctx.api('/leaderboard');
+        return (await res.json()).data.map(m => m.workerName);
+    }
+
+    test('sets an address\'s privacy without a signature', async () => {
+        const res = await withKey('/privacy', {
+            method: 'POST',
+            body: JSON.stringify({ address: fixtures.ADDRESS, nickname: 'Farm One', visibility: 'public' })
+        });
+        assert.equal(res.status, 200);
+        assert.deepEqual(await leaderboardNames(), ['Farm One', 'Farm One']);
+
+        assert.equal((await withKey('/privacy', { method: 'POST', body: JSON.stringify({ address: 'nope' }) })).status, 400);
+        const bad = await withKey('/privacy', { method: 'POST', body: JSON.stringify({ address: fixtures.ADDRESS, visibility: 'secret' }) });
+        assert.equal(bad.status, 400);
+
+        await withKey('/privacy', { method: 'POST', body: JSON.stringify({ address: fixtures.ADDRESS }) });
+        assert.deepEqual(await leaderboardNames(), ['bitaxe1', 's19']);
+    });
+
+    test('saves the worker name blocklist', async () => {
+        const res = await withKey('/privacy/blocklist', { method: 'POST', body: JSON.stringify({ words: 'S19\nfoo, bar' }) });
+        assert.deepEqual((await res.json()).data, ['s19', 'foo', 'bar']);
+        assert.deepEqual(readJSONSafe(path.join(ctx.dataDir, 'worker-blocklist.json')).words, ['s19', 'foo', 'bar']);
+        assert.deepEqual(await leaderboardNames(), ['bitaxe1', 'anon']);
+
+        await withKey('/privacy/blocklist', { method: 'POST', body: JSON.stringify({ words: '' }) });
+        assert.deepEqual(await leaderboardNames(), ['bitaxe1', 's19']);
+
+        const actions = auditEntries().filter(e => e.action === 'privacy_set' || e.action === 'blocklist_update');
+        assert.deepEqual(actions.map(e => [e.action, e.ok !== false]), [
+            ['privacy_set', true], ['privacy_set', false], ['privacy_set', true], ['blocklist_update', true], ['blocklist_update', true]
+        ]);
+    });
+});
+
+describe('admin backup and restore', () => {
+    // Required lazily: the module reads DATA_DIR when first loaded (after startTestServer)
+    const minerCache = () => require('../lib/miner-cache').loadCache();
+
+    async function download() {
+        const res = await withKey('/backup');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="ckpool-webui-backup-.+\.json"/);
+        return res.json();
+    }
+
+    function restore(bundle) {
+        return withKey('/restore', { method: 'POST', body: JSON.stringify(bundle) });
+    }
+
+    test('downloads every data file with its checksum', async () => {
+        fs.writeFileSync(path.join(ctx.dataDir, 'notifications.json'), JSON.stringify({ rules: [] }));
+        minerCache().bestDiffs['bc1qtest.rig'] = 5000;
+
+        const bundle = await download();
+        assert.equal(bundle.format, 'ckpool-webui-backup');
+        assert.ok(bundle.files['notifications.json']);
+        assert.ok(bundle.files['miner-cache.snapshot.json'] || bundle.files['miner-cache.journal']);
+        assert.ok(Object.keys(bundle.files).every(name => !name.endsWith('.tmp')));
+    });
+
+    test('restores a snapshot and reloads the miner cache', async () => {
+        const bundle = await download();
+
+        minerCache().bestDiffs['bc1qtest.rig'] = 9000;
+        fs.writeFileSync(path.join(ctx.dataDir, 'stray.json'), '{}');
+
+        const res = await restore(bundle);
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.ok(body.data.removed.includes('stray.json'));
+        assert.ok(fs.existsSync(path.join(ctx.dataDir, 'backups', body.data.preRestoreBackup)));
+
+        assert.equal(minerCache().bestDiffs['bc1qtest.rig'], 5000);
+        assert.equal(fs.existsSync(path.join(ctx.dataDir, 'stray.json')), false);
+        assert.ok(auditEntries().some(e => e.action === 'restore' && e.ok));
+    });
+
+    test('rejects a tampered snapshot without touching the data', async () => {
+        const bundle = await download();
+        const name = 'notifications.json';
+        bundle.files[name].content = Buffer.from('{"rules":[1]}').toString('base64');
+
+        const res = await restore(bundle);
+        assert.equal(res.status, 400);
+        assert.equal((await res.json()).error, `Checksum mismatch for ${name}`);
+        assert.equal(fs.readFileSync(path.join(ctx.dataDir, name), 'utf8'), JSON.stringify({ rules: [] }));
+    });
+});
@@ -0,0 +1,454 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const mempoolFixtures = require('./fixtures/mempool');
+const { ADDRESS, UNKNOWN_ADDRESS } = require('./fixtures/ckpool');
+const { createKey } = require('./helpers/bitcoin-keys');
+
+const NONCES_PER_SHARE = 4294967296;
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.stop();
+});
+
+async function getJSON(route) {
+    const res = await ctx.api(route);
+    return { status: res.status, body: await res.json() };
+}
+
+describe('API protection', () => {
+    test('rejects requests without the WebUI header', async () => {
+        const res = await fetch(`${ctx.url}/api/pool`);
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).error, 'Direct API access not allowed');
+    });
+
+    test('rejects requests with a wrong token', async () => {
+        const res = await ctx.api('/pool', { headers: { 'X-Pool-Token': 'nope' } });
+        assert.equal(res.status, 403);
+    });
+
+    test('rejects cross-origin requests', async () => {
+        const res = await ctx.api('/pool', {
+            headers: { Origin: 'https://evil.example', Referer: 'https://evil.example/page' }
+        });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('GET /api/network', () => {
+    test('combines ckpool and mempool data', async () => {
+        const { status, body } = await getJSON('/network');
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.data.blockHeight, 840001);
+        assert.equal(body.data.networkHashrate, 6.2e20);
+        assert.equal(body.data.fees.fastest, 20);
+        assert.equal(body.data.mempool.count, 45000);
+        assert.equal(body.data.difficultyAdjustment.remainingBlocks, 1158);
+        assert.equal(body.data.recentBlocks.length, 6);
+        assert.equal(body.data.lastBlockMiner, 'AntPool');
+    });
+});
+
+describe('GET /api/price', () => {
+    test('returns prices from the mempool API', async () => {
+        const { body } = await getJSON('/price');
+        assert.equal(body.data.USD, 65000);
+        assert.equal(body.data.EUR, 60000);
+    });
+});
+
+describe('GET /api/blocks/recent', () => {
+    test('returns the ten latest network blocks', async () => {
+        const { body } = await getJSON('/blocks/recent');
+        assert.equal(body.data.length, 10);
+        assert.equal(body.data[0].height, mempoolFixtures.blocks()[0].height);
+        assert.equal(body.data[1].miner, 'Foundry USA');
+        assert.equal(body.data[0].url, `https://mempool.space/block/${mempoolFixtures.blocks()[0].id}`);
+    });
+});
+
+describe('GET /api/pool', () => {
+    test('returns parsed pool stats and the found block count', async () => {
+        const { body } = await getJSON('/pool');
+        assert.equal(body.success, true);
+        assert.equal(body.data.hashrate, 250 * NONCES_PER_SHARE);
+        assert.equal(body.data.workers, 2);
+        assert.equal(body.data.blocksFound, 0);
+    });
+});
+
+describe('GET /api/stats/:address', () => {
+    test('returns user stats', async () => {
+        const { status, body } = await getJSON(`/stats/${ADDRESS}`);
+        assert.equal(status, 200);
+        assert.equal(body.data.address, ADDRESS);
+        assert.equal(body.data.workerCount, 2);
+    });
+
+    test('returns no user fields for unknown addresses', async () => {
+        const { status, body } = await getJSON(`/stats/${UNKNOWN_ADDRESS}`);
+        assert.equal(status, 200);
+        assert.equal(body.data.address, undefined);
+        assert.deepEqual(body.data.raw, { error: 'user not found' });
+    });
+
+    test('rejects invalid addresses', async () => {
+        const { status, body } = await getJSON('/stats/not-an-address');
+        assert.equal(status, 400);
+        assert.match(body.error, /^Invalid Bitcoin address/);
+    });
+
+    test('rejects addresses with a bad checksum', async () => {
+        const typo = ADDRESS.slice(0, -1) + (ADDRESS.endsWith('h') ? 'g' : 'h');
+        const { status, body } = await getJSON(`/stats/${typo}`);
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid Bitcoin address: the checksum does not match, check it for typos');
+    });
+});
+
+describe('GET /api/address/:address', () => {
+    test('reports script type and network', async () => {
+        const { body } = await getJSON(`/address/${ADDRESS}`);
+        assert.deepEqual(body.data, { valid: true, address: ADDRESS, type: 'p2wpkh', network: 'mainnet', encoding: 'bech32' });
+        assert.equal((await getJSON('/address/bc1qnope')).body.data.valid, false);
+    });
+});
+
+describe('GET /api/farm', () => {
+    test('combines several addresses in one call', async () => {
+        const { status, body } = await getJSON(`/farm?addresses=${ADDRESS},${UNKNOWN_ADDRESS},${ADDRESS}`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.addresses.map(a => [a.address, a.found]), [[ADDRESS, true], [UNKNOWN_ADDRESS, false]]);
+        assert.equal(body.data.totals.hashrate.current, 250 * NONCES_PER_SHARE);
+        assert.equal(body.data.totals.workerCount, 2);
+        assert.equal(body.data.totals.idleWorkers, 0);
+        assert.equal(body.data.totals.bestDiff, 1500000);
+        assert.deepEqual(body.data.addresses[0].workers.map(w => w.name), ['bitaxe1', 's19']);
+    });
+
+    test('rejects empty lists and invalid addresses', async () => {
+        assert.equal((await getJSON('/farm')).status, 400);
+        const { status, body } = await getJSON(`/farm?addresses=${ADDRESS},nope`);
+        assert.equal(status, 400);
+        assert.deepEqual(body.invalid.map(entry => entry.input), ['nope']);
+    });
+});
+
+describe('GET /api/leaderboard', () => {
+    test('ranks workers by best difficulty', async () => {
+        const { body } = await getJSON('/leaderboard');
+        assert.deepEqual(body.data.map(m => m.workerName), ['bitaxe1', 's19']);
+        assert.equal(body.data[0].minerType, 'Bitaxe Gamma');
+        assert.equal(body.data[0].isOnline, true);
+        assert.equal(body.data[0].bestDiffFormatted, '1.50 M');
+    });
+
+    test('ranks this week by average hashrate, filtered by miner type', async () => {
+        const periods = require('../lib/leaderboard-periods');
+        const ckpoolFixtures = require('./fixtures/ckpool');
+        const now = Math.floor(Date.now() / 1000);
+        const later = ckpoolFixtures.workers();
+        later.workers[0].shares += 60;
+        later.workers[1].shares += 600;
+        periods.recordSnapshot(null, ckpoolFixtures.workers(), now - 60);
+        periods.recordSnapshot(null, later, now);
+
+        const { body } = await getJSON('/leaderboard?period=week&rank=hashrate');
+        assert.deepEqual(body.data.map(m => m.workerName), ['s19', 'bitaxe1']);
+        assert.equal(body.data[0].avgHashrate, 10 * NONCES_PER_SHARE);
+        // No session best rose this week
+        assert.equal(body.data[0].bestDiff, 0);
+
+        const bitaxes = await getJSON('/leaderboard?period=week&rank=hashrate&miner=bitaxe%20gamma');
+        assert.deepEqual(bitaxes.body.data.map(m => m.workerName), ['bitaxe1']);
+        assert.deepEqual((await getJSON('/leaderboard?period=week&rank=best')).body.data, []);
+    });
+});
+
+describe('GET /api/miner-types', () => {
+    test('aggregates connected miner types', async () => {
+        const { body } = await getJSON('/miner-types');
+        assert.deepEqual(body.data.map(t => t.name).sort(), ['Antminer S19', 'Bitaxe Gamma']);
+    });
+});
+
+describe('GET /api/firmware', () => {
+    test('returns the pool-wide inventory', async () => {
+        const { body } = await getJSON('/firmware');
+        assert.equal(body.data.total, 2);
+        assert.deepEqual(body.data.families.map(f => f.firmware).sort(), ['Bitmain', 'ESP-Miner']);
+        assert.equal(body.data.devices, undefined);
+        assert.ok(!JSON.stringify(body.data).includes(ADDRESS));
+    });
+
+    test('returns one address and rejects invalid ones', async () => {
+        const { body } = await getJSON(`/firmware/${ADDRESS}`);
+        assert.deepEqual(body.data.devices.map(d => d.worker), [`${ADDRESS}.bitaxe1`, `${ADDRESS}.s19`]);
+        assert.equal((await getJSON('/firmware/nope')).status, 400);
+    });
+});
+
+describe('GET /api/shares', () => {
+    test('returns windows and trend for a worker', async () => {
+        const { body } = await getJSON(`/shares/${ADDRESS}/ghost`);
+        assert.deepEqual(body.data, { windows: null, spiking: false, history: { resolution: 'hour', points: [] } });
+        assert.equal((await getJSON('/shares/nope/rig')).status, 400);
+    });
+});
+
+describe('GET /api/blocks', () => {
+    test('returns an empty list before any block is found', async () => {
+        const { body } = await getJSON('/blocks');
+        assert.deepEqual(body.data.blocks, []);
+        assert.equal(body.data.count, 0);
+    });
+});
+
+describe('GET /api/history', () => {
+    test('pool history defaults to the 24h range', async () => {
+        const { body } = await getJSON('/history/pool');
+        assert.equal(body.data.range, '24h');
+        assert.equal(body.data.resolution, 'minute');
+        assert.deepEqual(body.data.points, []);
+    });
+
+    test('address and worker history accept a range', async () => {
+        let res = await getJSON(`/history/${ADDRESS}?range=30d`);
+        assert.equal(res.body.data.resolution, 'hour');
+        res = await getJSON(`/history/${ADDRESS}/bitaxe1?range=all`);
+        assert.equal(res.body.data.resolution, 'day');
+    });
+
+    test('rejects invalid addresses', async () => {
+        assert.equal((await getJSON('/history/nope')).status, 400);
+        assert.equal((await getJSON('/history/nope/rig')).status, 400);
+    });
+});
+
+describe('GET /api/effort', () => {
+    test('returns the pool round with its history', async () => {
+        const { body } = await getJSON('/effort?range=all');
+        assert.equal(body.data.effort, 0);
+        assert.equal(body.data.blocks, 0);
+        assert.equal(body.data.luck, null);
+        assert.equal(body.data.history.resolution, 'day');
+    });
+
+    test('returns an empty round for addresses not tracked yet', async () => {
+        const { body } = await getJSON(`/effort/${ADDRESS}`);
+        assert.equal(body.data.roundStart, null);
+        assert.equal(body.data.history.range, '30d');
+        assert.deepEqual(body.data.rounds, []);
+    });
+
+    test('rejects invalid addresses', async () => {
+        assert.equal((await getJSON('/effort/nope')).status, 400);
+    });
+});
+
+describe('GET /api/best-shares', () => {
+    test('lists new best shares, newest first', async () => {
+        require('../lib/best-shares').recordBest({ worker: `${ADDRESS}.bitaxe1`, best: 2e6, previous: 1e6 });
+
+        const { body } = await getJSON('/best-shares?limit=10');
+        assert.equal(body.data[0].workerName, 'bitaxe1');
+        assert.equal(body.data[0].diff, 2e6);
+        assert.deepEqual(body.data[0].records, ['personal']);
+
+        assert.equal((await getJSON(`/best-shares/${ADDRESS}`)).body.data.length, 1);
+        assert.deepEqual((await getJSON(`/best-shares/${UNKNOWN_ADDRESS}`)).body.data, []);
+    });
+
+    test('rejects invalid addresses', async () => {
+        assert.equal((await getJSON('/best-shares/nope')).status, 400);
+    });
+});
+
+describe('/api/privacy', () => {
+    const minerPrivacy = require('../lib/miner-privacy');
+
+    function post(address, body) {
+        return ctx.api(`/privacy/${address}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    test('saves settings signed by the address', async () => {
+        const key = createKey();
+        const address = key.addresses.p2pkh;
+        const timestamp = Math.floor(Date.now() / 1000);
+        const settings = { nickname: 'Garage', visibility: 'miner', timestamp };
+        const signature = key.sign(minerPrivacy.settingsMessage(address, settings));
+
+        assert.equal((await post(address, { ...settings, signature: createKey().sign('x') })).status, 403);
+        const res = await post(address, { ...settings, signature });
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).data.visibility, 'miner');
+        assert.equal((await getJSON(`/privacy/${address}`)).body.data.nickname, 'Garage');
+        // The same signed message can't be sent twice
+        assert.equal((await post(address, { ...settings, signature })).status, 409);
+    });
+
+    test('rejects invalid addresses', async () => {
+        assert.equal((await getJSON('/privacy/nope')).status, 400);
+        assert.equal((await post('nope', {})).status, 400);
+    });
+
+    test('limits updates per IP far below the general API limit', async () => {
+        const { PRIVACY_RATE_LIMIT_MAX } = require('../lib/api-security');
+        const statuses = [];
+        for (let i = 0; i <= PRIVACY_RATE_LIMIT_MAX; i++) {
+            statuses.push((await post('nope', {})).status);
+        }
+        assert.equal(statuses[statuses.length - 1], 429);
+        // Reads aren't affected
+        assert.equal((await getJSON(`/privacy/${ADDRESS}`)).status, 200);
+    });
+
+    test('nicknames and hidden addresses apply to every public listing', async () => {
+        try {
+            minerPrivacy.setSettings(ADDRESS, { nickname: 'Home Lab' });
+            const named = await getJSON('/leaderboard');
+            assert.deepEqual(named.body.data.map(m => m.workerName), ['Home Lab', 'Home Lab']);
+            const farmNames = (await getJSON(`/farm?addresses=${ADDRESS}`)).body.data.addresses[0].workers.map(w => w.name);
+            assert.deepEqual(farmNames, ['Home Lab', 'Home Lab']);
+
+            minerPrivacy.setSettings(ADDRESS, { visibility: 'hidden' });
+            assert.deepEqual((await getJSON('/leaderboard')).body.data, []);
+            assert.deepEqual((await getJSON('/best-shares')).body.data, []);
+            assert.deepEqual((await getJSON('/miner-types')).body.data, []);
+            assert.equal((await getJSON('/firmware')).body.data.total, 0);
+            const farm = (await getJSON(`/farm?addresses=${ADDRESS}`)).body.data;
+            assert.deepEqual(farm.addresses.map(a => [a.found, a.hidden, a.workers.length]), [[false, true, 0]]);
+            assert.equal(farm.totals.hashrate.current, 0);
+            // The address's own timeline still lists its shares
+            assert.equal((await getJSON(`/best-shares/${ADDRESS}`)).body.data.length, 1);
+        } finally {
+            minerPrivacy.setSettings(ADDRESS, {});
+        }
+        assert.equal((await getJSON('/miner-types')).body.data.length, 2);
+    });
+});
+
+describe('GET /api/efficiency', () => {
+    test('estimates block odds from pool and network hashrate', async () => {
+        const { body } = await getJSON('/efficiency');
+        assert.equal(body.data.roundEffort, 0);
+        assert.equal(body.data.poolHashrate, 250 * NONCES_PER_SHARE);
+        assert.equal(body.data.networkHashrate, 6.2e20);
+        assert.equal(body.data.currentFees.hour, 10);
+        assert.ok(body.data.expectedBlockTime > 0);
+        assert.ok(body.data.dailyBlockProbability > 0 && body.data.dailyBlockProbability < 1);
+        assert.equal(body.data.blockReward, 3.125 + body.data.estimatedBlockFees);
+    });
+});
+
+describe('GET /api/nodeinfo', () => {
+    test('reports an error when bitcoind RPC fails', async () => {
+        const original = mempoolFixtures.rpc().getnetworkinfo;
+        ctx.upstream.rpcMethods.delete('getnetworkinfo');
+        try {
+            const { body } = await getJSON('/nodeinfo');
+            assert.equal(body.success, false);
+        } finally {
+            ctx.upstream.rpc('getnetworkinfo', original);
+        }
+    });
+
+    test('returns node details from bitcoind RPC', async () => {
+        const { body } = await getJSON('/nodeinfo');
+        assert.equal(body.data.version, '29.2.0');
+        assert.equal(body.data.subversion, '29.2.0');
+        assert.equal(body.data.connections, 10);
+        assert.equal(body.data.pooledtx, 45000);
+    });
+});
+
+describe('GET /api/health', () => {
+    test('is public and reports every dependency as up', async () => {
+        const res = await fetch(`${ctx.url}/api/health`);
+        assert.equal(res.status, 200);
+        const { data } = await res.json();
+        assert.equal(data.status, 'ok');
+        assert.deepEqual(Object.keys(data.checks).sort(),
+            ['bitcoind', 'ckpoolListener', 'ckpoolStratifier', 'dataDir', 'mempool']);
+        assert.ok(Object.values(data.checks).every(c => c.status === 'up'));
+        assert.deepEqual(Object.keys(data.checks.ckpoolStratifier).sort(), ['latency', 'status']);
+    });
+
+    test('readiness returns 200 when healthy', async () => {
+        const res = await fetch(`${ctx.url}/api/health/ready`);
+        assert.equal(res.status, 200);
+    });
+});
+
+describe('GET /api/stream', () => {
+    test('requires topics or an address', async () => {
+        const res = await fetch(`${ctx.url}/api/stream?token=${ctx.token}`);
+        assert.equal(res.status, 400);
+    });
+
+    test('rejects invalid addresses', async () => {
+        const res = await fetch(`${ctx.url}/api/stream?token=${ctx.token}&address=nope`);
+        assert.equal(res.status, 400);
+    });
+
+    test('rejects a missing token', async () => {
+        const res = await fetch(`${ctx.url}/api/stream?topics=pool`);
+        assert.equal(res.status, 403);
+    });
+
+    test('pushes topic and address events', async () => {
+        const controller = new AbortController();
+        const res = await fetch(`${ctx.url}/api/stream?token=${ctx.token}&topics=pool&address=${ADDRESS}`, {
+            signal: controller.signal
+        });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+        const decoder = new TextDecoder();
+        let text = '';
+        for await (const chunk of res.body) {
+            text += decoder.decode(chunk);
+            if (text.includes('event: pool') && text.includes('event: address')) break;
+        }
+        controller.abort();
+
+        const poolEvent = text.split('\n\n').find(block => block.startsWith('event: pool'));
+        const payload = JSON.parse(poolEvent.split('data: ')[1]);
+        assert.equal(payload.workers, 2);
+
+        // Address events come from the shared users listing
+        const addressEvent = text.split('\n\n').find(block => block.startsWith('event: address'));
+        const stats = JSON.parse(addressEvent.split('data: ')[1]);
+        assert.equal(stats.address, ADDRESS);
+        assert.ok(ctx.ckpool.received('users').length > 0);
+    });
+});
+
+describe('GET /metrics', () => {
+    test('serves Prometheus text to local scrapers', async () => {
+        const res = await fetch(`${ctx.url}/metrics`);
+        assert.equal(res.status, 200);
+        const text = await res.text();
+        assert.match(text, /^ckpool_up 1$/m);
+        assert.match(text, new RegExp(`^ckpool_worker_best_diff\\{user="${ADDRESS}",worker="${ADDRESS}.bitaxe1"\\} 1500000$`, 'm'));
+        assert.match(text, /^ckpool_clients\{type="Bitaxe",miner="Bitaxe Gamma"\} 1$/m);
+        assert.match(text, /^ckpool_upstream_up\{upstream="bitcoind"\} 1$/m);
+    });
+
+    test('ignores forwarded addresses', async () => {
+        const res = await fetch(`${ctx.url}/metrics`, { headers: { 'X-Forwarded-For': '192.168.1.5' } });
+        assert.equal(res.status, 403);
+    });
+});
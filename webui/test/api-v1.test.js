@@ -0,0 +1,191 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const { ADDRESS, UNKNOWN_ADDRESS } = require('./fixtures/ckpool');
+
+const NONCES_PER_SHARE = 4294967296;
+
+let ctx;
+let apiKeys;
+let spec;
+let fullKey;
+
+before(async () => {
+    ctx = await startTestServer();
+    // Required after startTestServer so the key store uses the test data dir
+    apiKeys = require('../lib/api-keys');
+    fullKey = apiKeys.issueKey({ name: 'all scopes', scopes: Object.keys(apiKeys.SCOPES) }).key;
+    spec = await (await fetch(`${ctx.url}/api/v1/openapi.json`)).json();
+});
+
+after(async () => {
+    await ctx.stop();
+});
+
+async function v1(route, key = fullKey, headers = {}) {
+    const res = await fetch(`${ctx.url}/api/v1${route}`, {
+        headers: { ...(key ? { Authorization: `Bearer ${key}` } : {}), ...headers }
+    });
+    return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+// Check a value against a schema from the served spec: every required
+// property present with the declared type, and nothing undocumented
+function assertMatches(value, schema, where = 'data') {
+    if (schema.$ref) schema = spec.components.schemas[schema.$ref.split('/').pop()];
+    if (value === null) {
+        assert.ok(schema.nullable, `${where} is null`);
+        return;
+    }
+    if (schema.type === 'array') {
+        assert.ok(Array.isArray(value), `${where} is not an array`);
+        value.forEach((item, i) => assertMatches(item, schema.items, `${where}[${i}]`));
+    } else if (schema.type === 'object') {
+        assert.deepEqual(Object.keys(value).sort(), Object.keys(schema.properties).sort(), `${where} fields`);
+        Object.entries(schema.properties).forEach(([key, prop]) => assertMatches(value[key], prop, `${where}.${key}`));
+    } else if (schema.type === 'integer') {
+        assert.ok(Number.isInteger(value), `${where} is not an integer`);
+    } else {
+        assert.equal(typeof value, schema.type, `${where} type`);
+    }
+}
+
+function responseSchema(path) {
+    return spec.paths[path].get.responses[200].content['application/json'].schema.properties.data;
+}
+
+describe('GET /api/v1/openapi.json', () => {
+    test('is served without a key and documents every route', () => {
+        assert.equal(spec.openapi, '3.0.3');
+        assert.deepEqual(Object.keys(spec.paths).sort(), [
+            '/blocks',
+            '/leaderboard',
+            '/pool',
+            '/users/{address}',
+            '/users/{address}/workers',
+            '/users/{address}/workers/{worker}'
+        ]);
+        assert.equal(spec.paths['/pool'].get.description, 'Requires the `pool` scope.');
+        const params = spec.paths['/users/{address}/workers/{worker}'].get.parameters.map(p => p.name);
+        assert.deepEqual(params, ['address', 'worker']);
+        assert.ok(spec.components.securitySchemes.bearerAuth);
+    });
+});
+
+describe('API key checks', () => {
+    test('rejects requests without a key or with an unknown key', async () => {
+        assert.equal((await v1('/pool', null)).status, 401);
+        const { status, body } = await v1('/pool', 'gbp_00000000_nope');
+        assert.equal(status, 401);
+        assert.equal(body.error, 'Missing or invalid API key');
+    });
+
+    test('accepts the key in X-API-Key', async () => {
+        const { status } = await v1('/pool', null, { 'X-API-Key': fullKey });
+        assert.equal(status, 200);
+    });
+
+    test('rejects a key without the route scope', async () => {
+        const { key } = apiKeys.issueKey({ name: 'pool only', scopes: ['pool'] });
+        assert.equal((await v1('/pool', key)).status, 200);
+        const { status, body } = await v1(`/users/${ADDRESS}`, key);
+        assert.equal(status, 403);
+        assert.match(body.error, /"users" scope/);
+    });
+
+    test('enforces the per-key rate limit', async () => {
+        const { key } = apiKeys.issueKey({ name: 'slow', scopes: ['pool'], rateLimit: 2 });
+        const first = await v1('/pool', key);
+        assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+        assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+        assert.equal((await v1('/pool', key)).status, 200);
+
+        const limited = await v1('/pool', key);
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        // Other keys are unaffected
+        assert.equal((await v1('/pool')).status, 200);
+    });
+
+    test('rejects a revoked key', async () => {
+        const { key, record } = apiKeys.issueKey({ name: 'revoked', scopes: ['pool'] });
+        assert.equal(apiKeys.revokeKey(record.id), true);
+        assert.equal((await v1('/pool', key)).status, 401);
+    });
+
+    test('answers CORS preflights and leaves /api protected', async () => {
+        const res = await fetch(`${ctx.url}/api/v1/pool`, { method: 'OPTIONS' });
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('access-control-allow-origin'), '*');
+
+        const internal = await fetch(`${ctx.url}/api/pool`, { headers: { Authorization: `Bearer ${fullKey}` } });
+        assert.equal(internal.status, 403);
+    });
+});
+
+describe('GET /api/v1/pool', () => {
+    test('matches the documented schema', async () => {
+        const { status, body } = await v1('/pool');
+        assert.equal(status, 200);
+        assertMatches(body.data, responseSchema('/pool'));
+        assert.equal(body.data.network, 'mainnet');
+        assert.equal(body.data.blockHeight, 840001);
+    });
+});
+
+describe('GET /api/v1/users/:address', () => {
+    test('returns the address stats', async () => {
+        const { status, body } = await v1(`/users/${ADDRESS}`);
+        assert.equal(status, 200);
+        assertMatches(body.data, responseSchema('/users/{address}'));
+        assert.equal(body.data.hashrate.current, 250 * NONCES_PER_SHARE);
+        assert.equal(body.data.bestDiff, 1500000);
+    });
+
+    test('404s for an address with no stats and 400s for an invalid one', async () => {
+        assert.equal((await v1(`/users/${UNKNOWN_ADDRESS}`)).status, 404);
+        const { status, body } = await v1('/users/bc1qnotanaddress');
+        assert.equal(status, 400);
+        assert.match(body.error, /^Invalid Bitcoin address/);
+    });
+
+    test('lists workers by hashrate', async () => {
+        const { status, body } = await v1(`/users/${ADDRESS}/workers`);
+        assert.equal(status, 200);
+        assertMatches(body.data, responseSchema('/users/{address}/workers'));
+        assert.deepEqual(body.data.map(w => w.name), ['bitaxe1', 's19']);
+    });
+
+    test('returns a single worker', async () => {
+        const { status, body } = await v1(`/users/${ADDRESS}/workers/s19`);
+        assert.equal(status, 200);
+        assertMatches(body.data, responseSchema('/users/{address}/workers/{worker}'));
+        assert.equal(body.data.hashrate.current, 100 * NONCES_PER_SHARE);
+        assert.equal((await v1(`/users/${ADDRESS}/workers/nope`)).status, 404);
+    });
+});
+
+describe('GET /api/v1/leaderboard and /api/v1/blocks', () => {
+    test('leaderboard entries are ranked', async () => {
+        const { status, body } = await v1('/leaderboard');
+        assert.equal(status, 200);
+        assertMatches(body.data, responseSchema('/leaderboard'));
+        assert.deepEqual(body.data.map(e => [e.rank, e.workerName]), [[1, 'bitaxe1'], [2, 's19']]);
+    });
+
+    test('blocks carry an explorer link', async () => {
+        const blockTracker = require('../lib/block-tracker');
+        blockTracker.recordBlock({ height: 840000, hash: '00000000000000000001', address: ADDRESS, reward: 312500000, status: 'confirmed' });
+
+        const { status, body } = await v1('/blocks?limit=5');
+        assert.equal(status, 200);
+        assertMatches(body.data, responseSchema('/blocks'));
+        assert.equal(body.data[0].url, 'https://mempool.space/block/00000000000000000001');
+    });
+
+    test('unknown routes answer JSON', async () => {
+        const { status, body } = await v1('/nope');
+        assert.equal(status, 404);
+        assert.equal(body.success, false);
+    });
+});
@@ -0,0 +1,101 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The data dir is resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'best-shares-'));
+process.env.DATA_DIR = dataDir;
+
+const bestShares = require('../lib/best-shares');
+const minerCache = require('../lib/miner-cache');
+const effort = require('../lib/effort-tracker');
+
+const ADDRESS = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const OTHER = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+const DIFF = 1000000;
+
+function workers(bests) {
+    return Object.entries(bests).map(([worker, bestdiff]) => ({ worker, bestdiff }));
+}
+
+// Stands in for lib/ckpool-client: the recorder polls its workers listing
+let polled = [];
+const ckpool = { getAllWorkers: async () => ({ workers: polled }) };
+
+describe('best shares', () => {
+    before(() => {
+        // Known before the recorder starts: these set the baseline
+        minerCache.updateBestDiffs(workers({ [`${ADDRESS}.a`]: 1000, [`${OTHER}.b`]: 5000 }));
+        effort.recordSnapshot({ poolstats: { accepted: 0, diff: DIFF } }, { workers: [] });
+        bestShares.startRecorder(ckpool);
+    });
+
+    after(async () => {
+        bestShares.stopRecorder();
+        await minerCache.settle();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('records a personal best with the network difficulty at the time', () => {
+        minerCache.updateBestDiffs(workers({ [`${ADDRESS}.a`]: 2000 }));
+
+        const [event] = bestShares.getUserEvents(ADDRESS);
+        assert.equal(event.workerName, 'a');
+        assert.equal(event.minerType, 'Unknown');
+        assert.equal(event.diff, 2000);
+        assert.equal(event.previous, 1000);
+        assert.equal(event.networkDiff, DIFF);
+        assert.equal(event.blockPercent, 0.2);
+        assert.deepEqual(event.records, ['personal', 'address']);
+        // The public shape leaves out the payout address
+        assert.equal(event.worker, undefined);
+    });
+
+    test('a worker\'s first share only sets the baseline', () => {
+        minerCache.updateBestDiffs(workers({ [`${ADDRESS}.c`]: 9000 }));
+        assert.equal(bestShares.getUserEvents(ADDRESS).length, 1);
+
+        // ...but it still counts toward the address and pool bests
+        minerCache.updateBestDiffs(workers({ [`${ADDRESS}.a`]: 8000 }));
+        assert.deepEqual(bestShares.getUserEvents(ADDRESS)[0].records, ['personal']);
+    });
+
+    test('flags new pool bests', () => {
+        minerCache.updateBestDiffs(workers({ [`${OTHER}.b`]: 10000 }));
+
+        const [event] = bestShares.getPoolEvents();
+        assert.equal(event.workerName, 'b');
+        assert.deepEqual(event.records, ['personal', 'address', 'pool']);
+        assert.deepEqual(bestShares.getPoolEvents({ record: 'pool' }).map(e => e.diff), [10000]);
+        assert.equal(bestShares.getPoolEvents().length, 3);
+        assert.equal(bestShares.getPoolEvents({ record: 'bogus' }).length, 3);
+        assert.equal(bestShares.getPoolEvents({ limit: 1 }).length, 1);
+    });
+
+    test('writes to disk when saved, not on every event', () => {
+        assert.equal(fs.existsSync(path.join(dataDir, 'best-shares.json')), false);
+        bestShares.saveState();
+        bestShares.reloadState();
+        assert.deepEqual(bestShares.getPoolEvents().map(e => e.diff), [10000, 8000, 2000]);
+        assert.deepEqual(bestShares.getUserEvents(OTHER).map(e => e.diff), [10000]);
+    });
+
+    test('flushes pending events when the recorder stops', () => {
+        minerCache.updateBestDiffs(workers({ [`${OTHER}.b`]: 20000 }));
+        bestShares.stopRecorder();
+        bestShares.reloadState();
+        assert.deepEqual(bestShares.getUserEvents(OTHER).map(e => e.diff), [20000, 10000]);
+    });
+
+    test('polls ckpool itself, so bests are recorded without notifier rules', async () => {
+        // The notifier isn't running (no notifications.json), nor is the leaderboard
+        bestShares.startRecorder(ckpool, 10);
+        polled = workers({ [`${OTHER}.b`]: 30000 });
+        for (let i = 0; i < 100 && bestShares.getUserEvents(OTHER)[0].diff !== 30000; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        assert.deepEqual(bestShares.getUserEvents(OTHER).map(e => e.diff), [30000, 20000, 10000]);
+    });
+});
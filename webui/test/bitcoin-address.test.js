@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddress, decodeAddress, isValidAddress, looksLikeAddress } = require('../lib/bitcoin-address');
+const network = require('../lib/network');
+
+// Any network unless one is given
+function typeAndNetwork(address, net = null) {
+    const result = parseAddress(address, net);
+    return result.valid ? [result.type, result.network] : result.error;
+}
+
+describe('bitcoin address', () => {
+    test('accepts every script type with a valid checksum', () => {
+        assert.deepEqual(typeAndNetwork('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'), ['p2pkh', 'mainnet']);
+        assert.deepEqual(typeAndNetwork('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'), ['p2sh', 'mainnet']);
+        assert.deepEqual(typeAndNetwork('bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh'), ['p2wpkh', 'mainnet']);
+        assert.deepEqual(typeAndNetwork('bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3'), ['p2wsh', 'mainnet']);
+        assert.deepEqual(typeAndNetwork('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'), ['p2tr', 'mainnet']);
+        // BIP350: future witness versions are valid with bech32m
+        assert.deepEqual(typeAndNetwork('bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs'), ['witness_unknown', 'mainnet']);
+        // Upper case bech32 is allowed as long as it isn't mixed
+        assert.deepEqual(typeAndNetwork('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4'), ['p2wpkh', 'mainnet']);
+    });
+
+    test('detects test networks', () => {
+        assert.deepEqual(typeAndNetwork('mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn'), ['p2pkh', 'testnet']);
+        assert.deepEqual(typeAndNetwork('2MzQwSSnBHWHqSAqtTVQ6v47XtaisrJa1Vc'), ['p2sh', 'testnet']);
+        assert.deepEqual(typeAndNetwork('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7'), ['p2wsh', 'testnet']);
+        assert.deepEqual(typeAndNetwork('bcrt1qs758ursh4q9z627kt3pp5yysm78ddny6txaqgw'), ['p2wpkh', 'regtest']);
+    });
+
+    test('explains why an address is rejected', () => {
+        assert.match(typeAndNetwork('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3'), /checksum does not match/);
+        assert.match(typeAndNetwork('bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlj'), /checksum does not match/);
+        // v1 program with a bech32 (not bech32m) checksum
+        assert.match(typeAndNetwork('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd'), /checksum does not match/);
+        assert.match(typeAndNetwork('bc1QW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'), /mixes upper and lower case/);
+        assert.match(typeAndNetwork('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN0'), /0, O, I and l are not used/);
+        assert.match(typeAndNetwork('bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlb'), /"b", which never appears in segwit addresses/);
+        assert.match(typeAndNetwork('1BvBMSEYstWetqTFn5Au4m4GFg'), /wrong length/);
+        assert.match(typeAndNetwork('LVg2kJoFNg45Nbpy53h7Fe1wKyeXVRhMH9'), /start with 1, 3 or bc1/);
+        assert.match(typeAndNetwork(''), /no address given/);
+        assert.equal(isValidAddress(undefined), false);
+    });
+
+    test('only accepts addresses for the pool network', () => {
+        const { mainnet, signet, regtest } = network.NETWORKS;
+        assert.match(typeAndNetwork('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', mainnet),
+            /testnet address, but the pool runs on Mainnet \(addresses start with 1, 3 or bc1\)/);
+        assert.deepEqual(typeAndNetwork('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', signet), ['p2wsh', 'testnet']);
+        assert.deepEqual(typeAndNetwork('mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn', regtest), ['p2pkh', 'testnet']);
+        assert.match(typeAndNetwork('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', regtest), /start with m, n, 2 or bcrt1/);
+        assert.match(typeAndNetwork('bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh', regtest), /mainnet address/);
+        // Defaults to the pool network (mainnet unless configured)
+        assert.equal(isValidAddress('bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh'), true);
+        assert.equal(isValidAddress('bcrt1qs758ursh4q9z627kt3pp5yysm78ddny6txaqgw'), false);
+    });
+
+    test('decodes the key or script hash an address pays to', () => {
+        const segwit = decodeAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4');
+        assert.deepEqual([segwit.type, segwit.hash.toString('hex')], ['p2wpkh', '751e76e8199196d454941c45d1b3a323f1433bd6']);
+        const legacy = decodeAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2');
+        assert.deepEqual([legacy.type, legacy.hash.length], ['p2pkh', 20]);
+        assert.equal(decodeAddress('bc1qnope'), null);
+    });
+
+    test('looksLikeAddress matches address-shaped strings without validating them', () => {
+        assert.equal(looksLikeAddress('bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlj'), true);
+        assert.equal(looksLikeAddress('bitaxe1'), false);
+    });
+});
@@ -0,0 +1,78 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockHttp } = require('./helpers/mock-http');
+
+// Read at require time by lib/block-tracker
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'block-tracker-'));
+process.env.DATA_DIR = dataDir;
+process.env.CKPOOL_LOGS_DIR = dataDir;
+process.env.POOL_SIGNATURE = 'GoBrrrPool_Test';
+
+const blockTracker = require('../lib/block-tracker');
+
+const OURS = 840100;
+let bitcoind;
+let tip = 840000;
+
+// Every block untagged except OURS
+function coinbaseBlock(height) {
+    const tag = height === OURS ? '/GoBrrrPool_Test/' : '';
+    return {
+        hash: String(height).padStart(64, '0'),
+        height,
+        time: 1715817600 + height,
+        difficulty: 86388558925171,
+        tx: [{
+            vin: [{ coinbase: Buffer.from(tag).toString('hex') }],
+            vout: [{ value: 3.2, scriptPubKey: { address: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh' } }]
+        }]
+    };
+}
+
+function scannedHeights() {
+    return bitcoind.received('/')
+        .map(r => JSON.parse(r.body))
+        .filter(call => call.method === 'getblockhash')
+        .map(call => call.params[0]);
+}
+
+describe('block tracker chain scan', () => {
+    before(async () => {
+        bitcoind = await new MockHttp().start();
+        process.env.BITCOIN_RPC_HOST = '127.0.0.1';
+        process.env.BITCOIN_RPC_PORT = String(bitcoind.port);
+        bitcoind.rpc('getblockcount', () => tip);
+        bitcoind.rpc('getblockhash', ([height]) => String(height).padStart(64, '0'));
+        bitcoind.rpc('getblock', ([hash]) => coinbaseBlock(parseInt(hash, 10)));
+    });
+
+    after(async () => {
+        await bitcoind.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('starts with the most recent blocks', async () => {
+        await blockTracker.check();
+        assert.deepEqual(scannedHeights(), [839995, 839996, 839997, 839998, 839999, 840000]);
+    });
+
+    test('catches up after downtime a limited number of blocks per check', async () => {
+        tip = 840000 + blockTracker.RPC_SCAN_MAX_BLOCKS + 50;
+        bitcoind.requests.length = 0;
+
+        await blockTracker.check();
+        const first = scannedHeights();
+        assert.equal(first.length, blockTracker.RPC_SCAN_MAX_BLOCKS);
+        assert.equal(first[0], 840001);
+        assert.equal(blockTracker.loadState().lastScannedHeight, 840000 + blockTracker.RPC_SCAN_MAX_BLOCKS);
+        assert.deepEqual(blockTracker.getBlocks().map(b => b.height), [OURS]);
+
+        bitcoind.requests.length = 0;
+        await blockTracker.check();
+        assert.equal(scannedHeights().length, 50);
+        assert.equal(blockTracker.loadState().lastScannedHeight, tip);
+    });
+});
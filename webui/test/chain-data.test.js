@@ -0,0 +1,165 @@
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/test-server');
+const mempoolFixtures = require('./fixtures/mempool');
+
+// Read at require time by lib/pool-identifier
+process.env.POOL_SIGNATURE = 'GoBrrrPool_Test';
+
+const TIP = 840000;
+// Blocks in this fixture chain come every 540s, so difficulty is heading up ~11%
+const BLOCK_INTERVAL = 540;
+
+let ctx;
+let chainData;
+
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// A small bitcoind chain: hashes and headers derived from the height
+function chainRpc(upstream) {
+    const hashOf = height => String(height).padStart(64, '0');
+    upstream.rpc('getblockhash', ([height]) => hashOf(height));
+    upstream.rpc('getblockheader', ([hash]) => {
+        const height = parseInt(hash, 10);
+        return {
+            hash,
+            height,
+            time: now() - (TIP - height) * BLOCK_INTERVAL,
+            nTx: 3000 + (TIP - height),
+            difficulty: height >= 838656 ? 86388558925171 : 80000000000000
+        };
+    });
+    upstream.rpc('getblockstats', ([height]) => ({
+        total_size: 1500000,
+        total_weight: 3990000,
+        subsidy: 312500000,
+        totalfee: 10000000 + height % 10
+    }));
+    // Coinbase: BIP34 height push, then the tip is ours, the next is Foundry's and the rest untagged
+    upstream.rpc('getblock', ([hash]) => {
+        const height = parseInt(hash, 10);
+        const heightPush = Buffer.alloc(4);
+        heightPush.writeUIntLE(height, 1, 3);
+        heightPush[0] = 3;
+        const tag = { [TIP]: '/GoBrrrPool_Test/', [TIP - 1]: 'Foundry USA Pool #dropgold/' }[height] || '';
+        return {
+            hash,
+            height,
+            tx: [{
+                vin: [{ coinbase: Buffer.concat([heightPush, Buffer.from(tag), Buffer.from('00ff11ee', 'hex')]).toString('hex') }],
+                vout: [{ value: 3.2, scriptPubKey: { address: 'bc1qnotapool0000000000000000000000000000000' } }]
+            }]
+        };
+    });
+    upstream.rpc('getmempoolinfo', { size: 45000, bytes: 120000000, total_fee: 1.5, mempoolminfee: 0.00001 });
+    upstream.rpc('estimatesmartfee', ([target]) => ({
+        1: { feerate: 0.0002, blocks: 2 },
+        3: { feerate: 0.00015, blocks: 3 },
+        6: { feerate: 0.0001, blocks: 6 },
+        144: { errors: ['Insufficient data or no feerate found'], blocks: 0 }
+    }[target]));
+    upstream.rpc('getnetworkhashps', 6.1e20);
+    upstream.rpc('getblockchaininfo', { chain: 'main', blocks: TIP, difficulty: 86388558925171 });
+}
+
+function failMempool() {
+    Object.keys(mempoolFixtures.routes()).forEach(route => ctx.upstream.fail(route, 503));
+}
+
+before(async () => {
+    ctx = await startTestServer();
+    chainRpc(ctx.upstream);
+    chainData = require('../lib/chain-data');
+});
+
+after(async () => {
+    await ctx.stop();
+});
+
+afterEach(() => {
+    delete process.env.NETWORK_DATA_SOURCE;
+});
+
+describe('chain data with the mempool API up', () => {
+    test('uses the mempool API', async () => {
+        assert.deepEqual(await chainData.getFees(), mempoolFixtures.routes()['/api/v1/fees/recommended']);
+        assert.equal((await chainData.getRecentBlocks())[0].extras.pool.name, 'AntPool');
+    });
+
+    test('NETWORK_DATA_SOURCE=bitcoind never contacts the mempool API', async () => {
+        process.env.NETWORK_DATA_SOURCE = 'bitcoind';
+        const before = ctx.upstream.received().filter(r => r.path.startsWith('/api/')).length;
+
+        const fees = await chainData.getFees();
+        assert.equal(fees.fastestFee, 20);
+        assert.equal(await chainData.getPrices(), null);
+
+        assert.equal(ctx.upstream.received().filter(r => r.path.startsWith('/api/')).length, before);
+    });
+});
+
+describe('chain data with the mempool API down', () => {
+    before(() => failMempool());
+
+    test('estimates fees with estimatesmartfee', async () => {
+        assert.deepEqual(await chainData.getFees(), {
+            minimumFee: 1,
+            fastestFee: 20,
+            halfHourFee: 15,
+            hourFee: 10,
+            // No estimate for 144 blocks: the mempool minimum
+            economyFee: 1
+        });
+    });
+
+    test('reads mempool size and network hashrate', async () => {
+        assert.deepEqual(await chainData.getMempoolStats(), { count: 45000, vsize: 120000000, total_fee: 150000000 });
+        assert.deepEqual(await chainData.getNetworkHashrate(), {
+            currentHashrate: 6.1e20,
+            currentDifficulty: 86388558925171,
+            currentHeight: TIP
+        });
+    });
+
+    test('computes the difficulty adjustment from block times', async () => {
+        const adjustment = await chainData.getDifficultyAdjustment();
+        // 840000 is 1344 blocks into the period starting at 838656
+        assert.equal(adjustment.remainingBlocks, 672);
+        assert.equal(adjustment.progressPercent, (1344 / 2016) * 100);
+        assert.ok(Math.abs(adjustment.difficultyChange - 11.11) < 0.1);
+        assert.ok(Math.abs(adjustment.remainingTime - 672 * BLOCK_INTERVAL * 1000) < 5000);
+        assert.ok(Math.abs(adjustment.previousRetarget - 7.99) < 0.01);
+    });
+
+    test('lists recent blocks newest first', async () => {
+        const blocks = await chainData.getRecentBlocks();
+        assert.equal(blocks.length, 10);
+        assert.deepEqual(blocks.map(b => b.height).slice(0, 3), [TIP, TIP - 1, TIP - 2]);
+        assert.equal(blocks[0].id, String(TIP).padStart(64, '0'));
+        assert.equal(blocks[0].extras.reward, 322500000);
+    });
+
+    test('NETWORK_DATA_SOURCE=mempool does not fall back', async () => {
+        process.env.NETWORK_DATA_SOURCE = 'mempool';
+        assert.equal(await chainData.getFees(), null);
+    });
+
+    test('/api/network and /api/blocks/recent fill in from bitcoind', async () => {
+        const network = await (await ctx.api('/network')).json();
+        assert.equal(network.data.fees.fastest, 20);
+        assert.equal(network.data.mempool.count, 45000);
+        assert.equal(network.data.networkHashrate, 6.1e20);
+        assert.equal(network.data.difficultyAdjustment.remainingBlocks, 672);
+        // Pools come from the coinbase
+        assert.deepEqual(network.data.recentBlocks.slice(0, 3).map(b => [b.miner, b.ours]),
+            [['Go Brrr Pool', true], ['Foundry USA', false], ['Unknown', false]]);
+        assert.equal(network.data.lastBlockMiner, 'Go Brrr Pool');
+
+        const recent = await (await ctx.api('/blocks/recent')).json();
+        assert.equal(recent.data.length, 10);
+        assert.equal(recent.data[0].height, TIP);
+        assert.equal(recent.data[1].minerSlug, 'foundryusa');
+    });
+});
@@ -0,0 +1,59 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBreaker } = require('../lib/circuit-breaker');
+
+const fail = () => Promise.reject(new Error('boom'));
+const ok = () => Promise.resolve('ok');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('circuit breaker', () => {
+    test('opens after consecutive failures and fails fast', async () => {
+        const breaker = createBreaker('dep', { threshold: 2, resetTimeout: 1000 });
+        await assert.rejects(breaker.call(fail), /boom/);
+        assert.equal(breaker.status().state, 'closed');
+        await assert.rejects(breaker.call(fail), /boom/);
+        assert.equal(breaker.status().state, 'open');
+        assert.equal(breaker.status().lastError, 'boom');
+
+        let called = false;
+        await assert.rejects(breaker.call(() => { called = true; return ok(); }), err => err.circuitOpen === true);
+        assert.equal(called, false);
+    });
+
+    test('a success resets the failure count', async () => {
+        const breaker = createBreaker('dep', { threshold: 2 });
+        await assert.rejects(breaker.call(fail));
+        assert.equal(await breaker.call(ok), 'ok');
+        await assert.rejects(breaker.call(fail));
+        assert.equal(breaker.status().state, 'closed');
+    });
+
+    test('lets one trial through after the reset timeout', async () => {
+        const breaker = createBreaker('dep', { threshold: 1, resetTimeout: 20 });
+        await assert.rejects(breaker.call(fail));
+        await sleep(30);
+        assert.equal(breaker.status().state, 'half-open');
+
+        // A failed trial reopens the circuit immediately
+        await assert.rejects(breaker.call(fail), /boom/);
+        assert.equal(breaker.status().state, 'open');
+
+        await sleep(30);
+        let release;
+        const trial = breaker.call(() => new Promise(resolve => { release = resolve; }));
+        await assert.rejects(breaker.call(ok), err => err.circuitOpen === true);
+        release('ok');
+        assert.equal(await trial, 'ok');
+        assert.equal(breaker.status().state, 'closed');
+        assert.equal(breaker.status().failures, 0);
+    });
+
+    test('reset closes the circuit', async () => {
+        const breaker = createBreaker('dep', { threshold: 1 });
+        await assert.rejects(breaker.call(fail));
+        assert.equal(breaker.isOpen(), true);
+        breaker.reset();
+        assert.equal(breaker.isOpen(), false);
+        assert.equal(await breaker.call(ok), 'ok');
+    });
+});
@@ -0,0 +1,170 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CKPoolClient } = require('../lib/ckpool-client');
+const { MockCkpool } = require('./helpers/mock-ckpool');
+const fixtures = require('./fixtures/ckpool');
+
+describe('CKPoolClient', () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        mock = await new MockCkpool().start();
+        client = new CKPoolClient(mock.dir, 300);
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    beforeEach(() => {
+        mock.reset(fixtures.replies());
+        client.clearSnapshots();
+        Object.values(client.breakers).forEach(breaker => breaker.reset());
+    });
+
+    test('sends length-prefixed commands and parses JSON replies', async () => {
+        const reply = await client.sendCommand('workers', client.stratifierSocket);
+        assert.equal(reply.workers.length, 2);
+        assert.deepEqual(mock.received('workers').map(r => r.socket), ['stratifier']);
+    });
+
+    test('getPoolStats queries poolstats, stratifierstats and connectorstats', async () => {
+        const stats = await client.getPoolStats();
+        assert.equal(stats.poolstats.users, 1);
+        assert.equal(stats.connector.clients.count, 2);
+        assert.equal(mock.received('poolstats')[0].socket, 'stratifier');
+        assert.equal(mock.received('stratifierstats')[0].socket, 'listener');
+        assert.equal(mock.received('connectorstats')[0].socket, 'listener');
+    });
+
+    test('user and worker lookups send JSON arguments', async () => {
+        const user = await client.getUserStats(fixtures.ADDRESS);
+        assert.equal(user.user, fixtures.ADDRESS);
+        assert.deepEqual(mock.received('getuser')[0].args, { user: fixtures.ADDRESS });
+
+        const worker = await client.getWorkerStats(fixtures.ADDRESS, 'bitaxe1');
+        assert.equal(worker.worker, `${fixtures.ADDRESS}.bitaxe1`);
+
+        const ucinfo = await client.getUserClients(fixtures.ADDRESS);
+        assert.equal(ucinfo.clients.length, 2);
+
+        const wcinfo = await client.getWorkerClients(`${fixtures.ADDRESS}.s19`);
+        assert.equal(wcinfo.clients.length, 1);
+        assert.deepEqual(mock.received('wcinfo')[0].args, { worker: `${fixtures.ADDRESS}.s19` });
+    });
+
+    test('list commands return the fixture payloads', async () => {
+        assert.equal((await client.getAllUsers()).users.length, 1);
+        assert.equal((await client.getAllWorkers()).workers.length, 2);
+        assert.equal((await client.getAllClients()).clients.length, 2);
+        assert.ok(await client.getStratifierStats());
+        assert.ok(await client.getConnectorStats());
+    });
+
+    test('reassembles a frame delivered in small chunks', async () => {
+        mock.reply('workers', MockCkpool.chunked(fixtures.workers(), 3, 1));
+        const reply = await client.sendCommand('workers', client.stratifierSocket);
+        assert.equal(reply.workers.length, 2);
+    });
+
+    test('rejects with a timeout when ckpool never answers', async () => {
+        mock.reply('workers', MockCkpool.timeout());
+        await assert.rejects(client.sendCommand('workers', client.stratifierSocket), /Socket timeout/);
+    });
+
+    test('returns the raw text when the connection closes mid-frame', async () => {
+        mock.reply('workers', MockCkpool.partial(fixtures.workers(), 12));
+        const reply = await client.sendCommand('workers', client.stratifierSocket);
+        assert.equal(typeof reply, 'string');
+        assert.equal(reply.length, 12);
+    });
+
+    test('returns non-JSON replies as strings', async () => {
+        mock.reply('users', MockCkpool.garbage('garbage}{'));
+        assert.equal(await client.sendCommand('users', client.stratifierSocket), 'garbage}{');
+    });
+
+    test('wrapper methods swallow errors and return null', async () => {
+        mock.reply('workers', MockCkpool.timeout());
+        assert.equal(await client.getAllWorkers(), null);
+    });
+
+    test('getPoolStats degrades to nulls when the listener is unavailable', async () => {
+        mock.reply('stratifierstats', MockCkpool.timeout());
+        const stats = await client.getPoolStats();
+        assert.equal(stats.poolstats, null);
+        assert.equal(stats.stratifier, null);
+        assert.equal(stats.connector, null);
+    });
+
+    test('coalesces concurrent identical commands into one request', async () => {
+        mock.reply('poolstats', MockCkpool.chunked(fixtures.poolstats(), 16, 5));
+        const replies = await Promise.all([1, 2, 3].map(() => client.sendCommand('poolstats', client.stratifierSocket)));
+        assert.equal(mock.received('poolstats').length, 1);
+        assert.ok(replies.every(r => r === replies[0]));
+
+        await client.sendCommand('poolstats', client.stratifierSocket);
+        assert.equal(mock.received('poolstats').length, 2);
+    });
+
+    test('shares workers and clients snapshots between callers', async () => {
+        await Promise.all([client.getAllWorkers(), client.getAllWorkers()]);
+        await client.getAllWorkers();
+        await client.getAllClients();
+        await client.getAllClients();
+        assert.equal(mock.received('workers').length, 1);
+        assert.equal(mock.received('clients').length, 1);
+
+        client.clearSnapshots();
+        await client.getAllWorkers();
+        assert.equal(mock.received('workers').length, 2);
+    });
+
+    test('does not cache failed listings', async () => {
+        mock.reply('workers', { error: 'busy' });
+        assert.deepEqual(await client.getAllWorkers(), { error: 'busy' });
+        mock.reply('workers', fixtures.workers());
+        assert.equal((await client.getAllWorkers()).workers.length, 2);
+    });
+
+    test('findWorker answers from the workers snapshot', async () => {
+        const [bitaxe, s19, missing] = await Promise.all([
+            client.findWorker(fixtures.ADDRESS, 'bitaxe1'),
+            client.findWorker(fixtures.ADDRESS, 's19'),
+            client.findWorker(fixtures.ADDRESS, 'ghost')
+        ]);
+        assert.equal(bitaxe.worker, `${fixtures.ADDRESS}.bitaxe1`);
+        assert.equal(s19.worker, `${fixtures.ADDRESS}.s19`);
+        assert.equal(missing, null);
+        assert.equal(mock.received('workers').length, 1);
+        assert.equal(mock.received('getworker').length, 0);
+    });
+
+    test('findWorker falls back to getworker without a listing', async () => {
+        mock.reply('workers', MockCkpool.timeout());
+        const worker = await client.findWorker(fixtures.ADDRESS, 's19');
+        assert.equal(worker.worker, `${fixtures.ADDRESS}.s19`);
+        assert.equal(mock.received('getworker').length, 1);
+    });
+
+    test('fails fast once the stratifier circuit opens', async () => {
+        mock.reply('users', MockCkpool.timeout());
+        for (let i = 0; i < 3; i++) {
+            await assert.rejects(client.sendCommand('users', client.stratifierSocket), /Socket timeout/);
+        }
+        const start = Date.now();
+        await assert.rejects(client.sendCommand('users', client.stratifierSocket), /circuit open/);
+        assert.ok(Date.now() - start < 100);
+        assert.equal(mock.received('users').length, 3);
+
+        // The listener has its own breaker
+        assert.ok(await client.getConnectorStats());
+    });
+
+    test('rejects when the socket does not exist', async () => {
+        const missing = new CKPoolClient(path.join(mock.dir, 'nope'), 300);
+        await assert.rejects(missing.sendCommand('ping'), /Socket not found/);
+    });
+});
@@ -0,0 +1,116 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The data dir is resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'effort-tracker-'));
+process.env.DATA_DIR = dataDir;
+
+const effort = require('../lib/effort-tracker');
+
+const ADDRESS = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const OTHER = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+const DIFF = 1000000;
+
+// ckpool running totals: pool-wide accepted diff, and per worker
+function snapshot(accepted, workers, diff = DIFF) {
+    return [
+        { poolstats: { accepted, diff } },
+        { workers: Object.entries(workers).map(([worker, shares]) => ({ worker, user: worker.split('.')[0], shares })) }
+    ];
+}
+
+describe('effort tracker', () => {
+    let t0;
+
+    before(() => {
+        t0 = effort.loadState().pool.start;
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('first sample only sets the baseline', () => {
+        effort.recordSnapshot(...snapshot(5000000, { [`${ADDRESS}.a`]: 4000000, [`${OTHER}.b`]: 1000000 }), t0 + 60);
+        assert.equal(effort.getPoolEffort().effort, 0);
+        assert.equal(effort.getUserEffort(ADDRESS).effort, 0);
+        assert.equal(effort.getUserEffort(ADDRESS).roundStart, t0 + 60);
+    });
+
+    test('adds difficulty-weighted shares over network difficulty', () => {
+        effort.recordSnapshot(...snapshot(5500000, { [`${ADDRESS}.a`]: 4300000, [`${OTHER}.b`]: 1200000 }), t0 + 120);
+
+        const pool = effort.getPoolEffort();
+        assert.equal(pool.effort, 50);
+        assert.equal(pool.shares, 500000);
+        assert.equal(effort.getUserEffort(ADDRESS).effort, 30);
+        assert.equal(effort.getUserEffort(OTHER).effort, 20);
+    });
+
+    test('weighs work by the difficulty at the time across a retarget', () => {
+        // Difficulty doubles: the next 500k shares are only worth 25%
+        effort.recordSnapshot(...snapshot(6000000, { [`${ADDRESS}.a`]: 4800000, [`${OTHER}.b`]: 1200000 }, DIFF * 2), t0 + 180);
+        assert.equal(effort.getPoolEffort().effort, 75);
+        assert.equal(effort.getPoolEffort().networkDiff, DIFF * 2);
+
+        const history = effort.getPoolEffortHistory('30d');
+        assert.deepEqual(history.retargets, [{ time: t0 + 180, difficulty: DIFF * 2 }]);
+        assert.ok(history.points.some(p => p.time === t0 + 180));
+    });
+
+    test('a ckpool restart counts the new totals from zero', () => {
+        effort.recordSnapshot(...snapshot(200000, { [`${ADDRESS}.a`]: 200000 }, DIFF * 2), t0 + 240);
+        assert.equal(effort.getPoolEffort().effort, 85);
+        assert.equal(effort.getUserEffort(ADDRESS).effort, 30 + 25 + 10);
+    });
+
+    test('a found block closes the pool round and the finder\'s', () => {
+        effort.recordBlock({ height: 840000, address: ADDRESS, timestamp: t0 + 300 });
+
+        const pool = effort.getPoolEffort();
+        assert.equal(pool.effort, 0);
+        assert.equal(pool.roundStart, t0 + 300);
+        assert.equal(pool.blocks, 1);
+        assert.equal(pool.averageEffort, 85);
+        assert.ok(Math.abs(pool.luck - 100 / 0.85) < 1e-9);
+        assert.deepEqual(pool.rounds, [{ height: 840000, time: t0 + 300, start: t0, effort: 85, shares: 1200000 }]);
+
+        const user = effort.getUserEffort(ADDRESS);
+        assert.equal(user.blocks, 1);
+        assert.equal(user.rounds[0].effort, 65);
+        // Someone else's block doesn't end this address's round
+        assert.equal(effort.getUserEffort(OTHER).effort, 20);
+        assert.equal(effort.getUserEffort(OTHER).blocks, 0);
+
+        // The history keeps the peak and the reset
+        const points = effort.getPoolEffortHistory('all').points.filter(p => p.time === t0 + 300);
+        assert.deepEqual(points.map(p => p.effort), [85, 0]);
+    });
+
+    test('log blocks name the finder by worker; blocks from before tracking are skipped', () => {
+        effort.recordBlock({ height: 839000, worker: `${OTHER}.b`, timestamp: t0 - 86400 });
+        assert.equal(effort.getPoolEffort().blocks, 1);
+
+        effort.recordBlock({ height: 840010, worker: `${OTHER}.b`, timestamp: t0 + 400 });
+        assert.equal(effort.getPoolEffort().blocks, 2);
+        assert.equal(effort.getUserEffort(OTHER).rounds[0].effort, 20);
+    });
+
+    test('unknown addresses get an empty summary', () => {
+        const summary = effort.getUserEffort('bc1qunknown');
+        assert.equal(summary.roundStart, null);
+        assert.equal(summary.effort, 0);
+        assert.equal(summary.luck, null);
+        assert.deepEqual(effort.getUserEffortHistory('bc1qunknown').points, []);
+    });
+
+    test('survives a save and reload', () => {
+        effort.saveState();
+        effort.reloadState();
+        assert.equal(effort.getPoolEffort().blocks, 2);
+        assert.equal(effort.getUserEffort(ADDRESS).rounds[0].effort, 65);
+    });
+});
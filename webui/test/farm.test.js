@@ -0,0 +1,70 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The data dir is resolved at require time (lib/miner-privacy)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'farm-'));
+process.env.DATA_DIR = dataDir;
+
+const farm = require('../lib/farm');
+const minerPrivacy = require('../lib/miner-privacy');
+
+const A = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const B = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+const NOW = 1700000000;
+
+const users = {
+    [A]: { user: A, workers: 2, dsps1: 100, dsps1440: 80, bestdiff: 5000, lastshare: NOW - 5 },
+    [B]: { user: B, workers: 1, dsps1: 50, dsps1440: 40, bestdiff: 9000, lastshare: NOW - 600 }
+};
+const workers = {
+    workers: [
+        { worker: `${A}.rig1`, dsps1: 60, lastshare: NOW - 5, bestdiff: 5000 },
+        { worker: `${A}.rig2`, dsps1: 40, lastshare: NOW - 900, bestdiff: 100 },
+        { worker: `${B}.s9`, dsps1: 50, lastshare: NOW - 600, bestdiff: 9000 },
+        { worker: 'bc1qother.x', dsps1: 1, lastshare: NOW }
+    ]
+};
+
+describe('farm', () => {
+    after(async () => {
+        await minerPrivacy.settle();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('parseAddressList splits, dedupes and separates invalid entries', () => {
+        const { addresses, invalid } = farm.parseAddressList(`${A}, ${B} ${A},nope`);
+        assert.deepEqual(addresses, [A, B]);
+        assert.deepEqual(invalid.map(entry => entry.input), ['nope']);
+        assert.match(invalid[0].error, /^Invalid Bitcoin address/);
+        assert.deepEqual(farm.parseAddressList([A, `${B},${B}`]), { addresses: [A, B], invalid: [] });
+        assert.deepEqual(farm.parseAddressList(undefined), { addresses: [], invalid: [] });
+    });
+
+    test('buildFarm sums addresses and counts idle workers', () => {
+        const result = farm.buildFarm([A, B, 'bc1qmissing'], users, workers, NOW);
+        assert.equal(result.totals.hashrate.current, 150 * 4294967296);
+        assert.equal(result.totals.hashrate.avg24h, 120 * 4294967296);
+        assert.equal(result.totals.workerCount, 3);
+        assert.equal(result.totals.idleWorkers, 2);
+        assert.equal(result.totals.bestDiff, 9000);
+        assert.equal(result.totals.bestDiffAddress, B);
+        assert.equal(result.totals.found, 2);
+        assert.deepEqual(result.addresses[0].workers.map(w => [w.name, w.isIdle]), [['rig1', false], ['rig2', true]]);
+        assert.equal(result.addresses[2].found, false);
+    });
+
+    test('buildFarm applies leaderboard privacy', () => {
+        minerPrivacy.setSettings(A, { visibility: 'miner' });
+        minerPrivacy.setSettings(B, { visibility: 'hidden' });
+
+        const result = farm.buildFarm([A, B], users, workers, NOW);
+        assert.deepEqual(result.addresses[0].workers.map(w => w.name), ['anon', 'anon']);
+        assert.deepEqual(result.addresses.map(entry => [entry.found, entry.hidden]), [[true, false], [false, true]]);
+        assert.deepEqual(result.addresses[1].workers, []);
+        assert.equal(result.totals.hashrate.current, 100 * 4294967296);
+        assert.equal(result.totals.bestDiff, 5000);
+    });
+});
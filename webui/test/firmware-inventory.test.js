@@ -0,0 +1,69 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The config path is resolved at require time
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firmware-'));
+process.env.FIRMWARE_CONFIG = path.join(dir, 'firmware.json');
+fs.writeFileSync(process.env.FIRMWARE_CONFIG, JSON.stringify({ minimumVersions: { 'ESP-Miner': '2.4.0' } }));
+
+const firmware = require('../lib/firmware-inventory');
+const { parseClientInfo } = require('../lib/stats-parser');
+
+function clients(list) {
+    return parseClientInfo({ clients: list.map(([workername, useragent], id) => ({ id, workername, useragent })) });
+}
+
+describe('firmware inventory', () => {
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('compareVersions orders dotted versions numerically', () => {
+        assert.equal(firmware.compareVersions('2.10.0', '2.9.1'), 1);
+        assert.equal(firmware.compareVersions('v2.4', '2.4.0'), 0);
+        assert.equal(firmware.compareVersions('2.5.0-beta1', '2.5.0'), -1);
+        assert.equal(firmware.compareVersions('1.0', 'unknown'), null);
+    });
+
+    test('flags devices below the configured minimum', () => {
+        assert.deepEqual(firmware.checkFirmware({ firmware: 'ESP-Miner', version: '2.2.2' }), { minimumVersion: '2.4.0', outdated: true });
+        assert.deepEqual(firmware.checkFirmware({ firmware: 'ESP-Miner', version: '2.4.0' }), { minimumVersion: '2.4.0', outdated: false });
+        assert.deepEqual(firmware.checkFirmware({ firmware: 'ESP-Miner', version: null }), { minimumVersion: '2.4.0', outdated: false });
+        assert.deepEqual(firmware.checkFirmware({ firmware: 'cgminer', version: '1.0' }), { minimumVersion: null, outdated: false });
+    });
+
+    test('counts devices per family and version', () => {
+        const inventory = firmware.buildInventory(clients([
+            ['bc1qaaa.gamma1', 'bitaxe/BM1370/v2.4.0'],
+            ['bc1qaaa.gamma2', 'bitaxe/BM1370/v2.4.0'],
+            ['bc1qaaa.supra', 'bitaxe/BM1368/v2.2.2'],
+            ['bc1qbbb.s19', 'Antminer S19/Fri Jan 1 00:00:00 CST 2023'],
+            ['bc1qbbb.qaxe', 'NerdQAxe++/BM1370/v1.0.30']
+        ]));
+
+        assert.equal(inventory.total, 5);
+        assert.equal(inventory.outdated, 1);
+        assert.deepEqual(inventory.families[0], {
+            firmware: 'ESP-Miner',
+            minimumVersion: '2.4.0',
+            count: 3,
+            versions: [
+                { version: '2.4.0', count: 2, outdated: false },
+                { version: '2.2.2', count: 1, outdated: true }
+            ]
+        });
+        // Pool-wide summaries don't list workers
+        assert.deepEqual(Object.keys(inventory).sort(), ['families', 'outdated', 'total']);
+    });
+
+    test('lists devices on request', () => {
+        const inventory = firmware.buildInventory(clients([
+            ['bc1qbbb.s19', 'Antminer S19/Fri Jan 1 00:00:00 CST 2023'],
+            ['bc1qbbb.qaxe', 'NerdQAxe++/BM1370/v1.0.30']
+        ]), { devices: true });
+        assert.equal(inventory.devices.find(d => d.worker === 'bc1qbbb.qaxe').version, '1.0.30');
+    });
+});
@@ -0,0 +1,169 @@
+// ckpool socket replies for a small pool: one user with two workers
+const ADDRESS = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const UNKNOWN_ADDRESS = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+const poolstats = () => ({
+    start: now() - 3600,
+    update: now(),
+    users: 1,
+    workers: 2,
+    shares: 1200,
+    accepted: 1180,
+    rejected: 20,
+    sps1: 0.5,
+    sps5: 0.45,
+    dsps1: 250,
+    dsps5: 240,
+    dsps15: 235,
+    dsps60: 230,
+    dsps360: 228,
+    dsps1440: 225,
+    dsps10080: 220,
+    bestdiff: 1500000,
+    height: 840001,
+    diff: 86388558925171
+});
+
+const stratifierstats = () => ({ users: { count: 1 }, shares: { generated: 1200 } });
+const connectorstats = () => ({ clients: { count: 2 } });
+
+const workers = () => ({
+    workers: [
+        {
+            user: ADDRESS,
+            worker: `${ADDRESS}.bitaxe1`,
+            id: 1,
+            shares: 800,
+            accepted: 790,
+            rejected: 7,
+            stale: 3,
+            dsps1: 150,
+            dsps5: 145,
+            dsps60: 140,
+            dsps1440: 138,
+            lastshare: now() - 10,
+            bestdiff: 1500000,
+            idle: false
+        },
+        {
+            user: ADDRESS,
+            worker: `${ADDRESS}.s19`,
+            id: 2,
+            shares: 400,
+            accepted: 400,
+            rejected: 0,
+            stale: 0,
+            dsps1: 100,
+            dsps5: 95,
+            dsps60: 90,
+            dsps1440: 87,
+            lastshare: now() - 20,
+            bestdiff: 900000,
+            idle: false
+        }
+    ]
+});
+
+const clients = () => ({
+    clients: [
+        {
+            id: 11,
+            workername: `${ADDRESS}.bitaxe1`,
+            useragent: 'bitaxe/BM1370/v2.4.0 gamma',
+            diff: 1024,
+            dsps1: 150,
+            dsps5: 145,
+            bestdiff: 1500000,
+            idle: false,
+            address: '192.168.1.20'
+        },
+        {
+            id: 12,
+            workername: `${ADDRESS}.s19`,
+            useragent: 'Antminer S19/Fri Jan 1 00:00:00 CST 2023',
+            diff: 65536,
+            dsps1: 100,
+            dsps5: 95,
+            bestdiff: 900000,
+            idle: false,
+            address: '192.168.1.21'
+        }
+    ]
+});
+
+// users lists the same userinfo as getuser for every user
+const users = () => ({ users: [getuser({ user: ADDRESS })] });
+
+// getuser.{"user": "..."}
+function getuser(args) {
+    if (!args || args.user !== ADDRESS) return { error: 'user not found' };
+    return {
+        user: ADDRESS,
+        id: 1,
+        workers: 2,
+        bestdiff: 1500000,
+        bestever: 1500000,
+        dsps1: 250,
+        dsps5: 240,
+        dsps60: 230,
+        dsps1440: 225,
+        dsps10080: 220,
+        lastshare: now() - 10,
+        shares: 1200
+    };
+}
+
+// getworker.{"worker": "address.name"}
+function getworker(args) {
+    const list = workers().workers;
+    const worker = list.find(w => args && w.worker === args.worker);
+    if (!worker) return { error: 'worker not found' };
+    return { ...worker, dsps10080: worker.dsps1440 };
+}
+
+// ucinfo.{"user": "..."}
+function ucinfo(args) {
+    if (!args || args.user !== ADDRESS) return { clients: [] };
+    return clients();
+}
+
+// wcinfo.{"worker": "address.name"}
+function wcinfo(args) {
+    return { clients: clients().clients.filter(c => args && c.workername === args.worker) };
+}
+
+// Reply map for MockCkpool
+function replies() {
+    return {
+        poolstats: poolstats(),
+        stratifierstats: stratifierstats(),
+        connectorstats: connectorstats(),
+        users: users(),
+        workers: workers(),
+        clients: clients(),
+        getuser,
+        getworker,
+        ucinfo,
+        wcinfo
+    };
+}
+
+module.exports = {
+    ADDRESS,
+    UNKNOWN_ADDRESS,
+    poolstats,
+    stratifierstats,
+    connectorstats,
+    workers,
+    clients,
+    users,
+    getuser,
+    getworker,
+    ucinfo,
+    wcinfo,
+    replies
+};
@@ -0,0 +1,53 @@
+// mempool.space API and bitcoind RPC replies
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+const blocks = () => [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].map(i => ({
+    id: `00000000000000000001${String(i).padStart(44, '0')}`,
+    height: 840000 - i,
+    timestamp: now() - i * 600,
+    tx_count: 3000 + i,
+    size: 1500000,
+    weight: 3990000,
+    extras: { pool: { name: i % 2 ? 'Foundry USA' : 'AntPool', slug: i % 2 ? 'foundryusa' : 'antpool' }, reward: 331250000 }
+}));
+
+// Routes served under /api (MEMPOOL_API_URL points at <stub>/api)
+function routes() {
+    return {
+        '/api/v1/difficulty-adjustment': {
+            progressPercent: 42.5,
+            difficultyChange: 1.75,
+            estimatedRetargetDate: (now() + 7 * 86400) * 1000,
+            remainingBlocks: 1158,
+            remainingTime: 694800000,
+            previousRetarget: -0.5
+        },
+        '/api/v1/fees/recommended': { fastestFee: 20, halfHourFee: 15, hourFee: 10, economyFee: 5, minimumFee: 1 },
+        '/api/mempool': { count: 45000, vsize: 120000000, total_fee: 150000000 },
+        '/api/v1/mining/hashrate/3d': { currentHashrate: 6.2e20, currentDifficulty: 86388558925171, currentHeight: 840000 },
+        '/api/v1/blocks': blocks(),
+        '/api/v1/prices': { USD: 65000, EUR: 60000, GBP: 51000 },
+        '/api/blocks/tip/height': 840000
+    };
+}
+
+function rpc() {
+    return {
+        getblockcount: 840000,
+        getblockchaininfo: { chain: 'main', blocks: 840000 },
+        getnetworkinfo: {
+            version: 290200,
+            subversion: '/Satoshi:29.2.0/',
+            connections: 10,
+            connections_in: 2,
+            connections_out: 8,
+            networkactive: true,
+            relayfee: 0.00001
+        },
+        getmininginfo: { currentblockweight: 3990000, currentblocktx: 3000, pooledtx: 45000 }
+    };
+}
+
+module.exports = { blocks, routes, rpc };
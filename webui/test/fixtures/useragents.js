@@ -0,0 +1,57 @@
+// Stratum user agents as sent by real devices and mining software, with what
+// the registry should make of them. Add a line here with every new rule.
+// [useragent, { type, name, vendor, model, firmware, version }] - fields left out aren't checked
+const corpus = [
+    // ESP-Miner: bitaxe/<ASIC>/<version>
+    ['bitaxe/BM1370/v2.4.0', { type: 'Bitaxe', name: 'Bitaxe Gamma', vendor: 'Bitaxe', model: 'Gamma', firmware: 'ESP-Miner', version: '2.4.0' }],
+    ['bitaxe/BM1368/v2.2.2', { name: 'Bitaxe Supra', model: 'Supra', version: '2.2.2' }],
+    ['bitaxe/BM1366/v2.1.8', { name: 'Bitaxe Ultra', model: 'Ultra', version: '2.1.8' }],
+    ['bitaxe/BM1397/v2.0.3', { name: 'Bitaxe Max', model: 'Max', version: '2.0.3' }],
+    ['bitaxe/BM1362/v2.5.0-beta1', { name: 'Bitaxe', model: 'BM1362', firmware: 'ESP-Miner', version: '2.5.0-beta1' }],
+    ['Bitaxe Hex', { name: 'Bitaxe Hex', version: null }],
+    ['esp-miner gamma', { name: 'Bitaxe Gamma' }],
+    ['AxeOS/2.3.1', { type: 'Bitaxe', name: 'AxeOS', firmware: 'AxeOS', version: '2.3.1' }],
+
+    // NerdQAxe / NerdAxe / NerdMiner forks
+    ['NerdQAxe++/BM1370/v1.0.30', { type: 'NerdQaxe', name: 'NerdQaxe++', version: '1.0.30' }],
+    ['NerdQAxe+/BM1368/v1.0.18', { type: 'NerdQaxe', name: 'NerdQaxe+', version: '1.0.18' }],
+    ['NerdQAxe/BM1366/v1.0.9', { type: 'NerdQaxe', name: 'NerdQaxe', version: '1.0.9' }],
+    ['NerdAxe/BM1366/v1.0.5', { type: 'NerdAxe', name: 'NerdAxe', version: '1.0.5' }],
+    ['NerdMinerV2', { type: 'NerdMiner', name: 'NerdMiner', version: null }],
+    ['NerdMinerV2/V1.6.3', { type: 'NerdMiner', version: '1.6.3' }],
+
+    // Bitmain stock firmware and aftermarket firmware
+    ['Antminer S19j Pro/Fri Nov 17 17:57:49 CST 2023', { type: 'Antminer', name: 'Antminer S19j Pro', vendor: 'Bitmain', model: 'S19j Pro' }],
+    ['Antminer S21/Tue Jan 16 11:20:35 CST 2024', { name: 'Antminer S21', model: 'S21' }],
+    ['Antminer S19 XP Hyd/Mon Mar 13 17:19:55 CST 2023', { name: 'Antminer S19 XP Hyd' }],
+    ['Antminer T21/Thu Apr 4 10:02:11 CST 2024', { name: 'Antminer T21' }],
+    ['Antminer S9/Tue Nov 12 16:14:13 CST 2019', { name: 'Antminer S9' }],
+    ['bmminer/2.0.0', { type: 'Antminer', firmware: 'bmminer', version: '2.0.0' }],
+    ['Antminer S19 Pro/vnish 1.2.6', { type: 'Vnish', firmware: 'Vnish', model: 'S19 Pro', version: '1.2.6' }],
+    ['LUXminer/2024.5.1.171539-dd2e8b8a', { type: 'LuxOS', firmware: 'LuxOS', version: '2024.5.1.171539-dd2e8b8a' }],
+    ['hiveon/1.02', { type: 'Hiveon', firmware: 'Hiveon', version: '1.02' }],
+    ['bosminer-plus-tuner/23.03.2', { type: 'Braiins', name: 'Braiins OS+', version: '23.03.2' }],
+    ['Braiins OS 24.02', { type: 'Braiins', firmware: 'Braiins OS', version: '24.02' }],
+
+    // MicroBT, Canaan, Innosilicon
+    ['whatsminer/v1.1', { type: 'Whatsminer', name: 'Whatsminer', firmware: 'btminer', version: '1.1' }],
+    ['WhatsMiner M50S', { name: 'Whatsminer M50S', vendor: 'MicroBT', model: 'M50S' }],
+    ['btminer/3.1.0', { type: 'Whatsminer', version: '3.1.0' }],
+    ['Avalon Nano3', { type: 'Avalon', name: 'Avalon Nano3', vendor: 'Canaan' }],
+    ['Avalon 1246', { name: 'Avalon 1246', model: '1246' }],
+    ['canaan', { type: 'Avalon', name: 'Avalon' }],
+    ['Innosilicon T3+', { type: 'Innosilicon', model: 'T3+' }],
+    ['T2T/2.1.3', { type: 'Innosilicon', model: 'T2T' }],
+
+    // Generic software
+    ['cgminer/4.12.0', { type: 'CGMiner', firmware: 'cgminer', version: '4.12.0' }],
+    ['bfgminer/5.5.0', { type: 'BFGMiner', version: '5.5.0' }],
+    ['NiceHash/1.0.0', { type: 'NiceHash', version: '1.0.0' }],
+
+    // Substrings that used to be false positives
+    ['Bosch-Thermostat/1.0', { type: 'Other' }],
+    ['ESP32-T3 mining sketch', { type: 'Other' }],
+    ['robosminer', { type: 'Other' }]
+];
+
+module.exports = { corpus };
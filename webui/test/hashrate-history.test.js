@@ -0,0 +1,61 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The data dir is resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hashrate-history-'));
+process.env.DATA_DIR = dataDir;
+
+const history = require('../lib/hashrate-history');
+
+const ADDRESS = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const DAY = 86400;
+const START = Date.UTC(2024, 4, 15) / 1000;
+
+function snapshot(workers) {
+    return [
+        { poolstats: { dsps1: 1 } },
+        { workers: Object.entries(workers).map(([name, dsps1]) => ({ worker: `${ADDRESS}.${name}`, dsps1 })) }
+    ];
+}
+
+describe('hashrate history', () => {
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('records the pool, each user and each worker', () => {
+        history.recordSnapshot(...snapshot({ rig: 1, spare: 0 }), START);
+        const h = history.loadHistory();
+        assert.ok(h.workers[`${ADDRESS}.rig`]);
+        // Idle workers don't start a series
+        assert.equal(h.workers[`${ADDRESS}.spare`], undefined);
+        assert.equal(history.getUserHistory(ADDRESS, '24h').points[0].hashrate, 4294967296);
+    });
+
+    test('forgets workers and users without hashrate for 30 days', () => {
+        history.recordSnapshot(...snapshot({ rig: 0, other: 2 }), START + 10 * DAY);
+        assert.ok(history.loadHistory().workers[`${ADDRESS}.rig`]);
+
+        history.recordSnapshot(...snapshot({ rig: 0, other: 0 }), START + 31 * DAY);
+        const h = history.loadHistory();
+        assert.equal(h.workers[`${ADDRESS}.rig`], undefined);
+        assert.ok(h.workers[`${ADDRESS}.other`]);
+        assert.ok(h.users[ADDRESS]);
+
+        history.recordSnapshot(...snapshot({}), START + 45 * DAY);
+        assert.deepEqual(Object.keys(history.loadHistory().workers), []);
+        assert.deepEqual(Object.keys(history.loadHistory().users), []);
+    });
+
+    test('keeps the pool\'s daily points forever and a year of them per worker', () => {
+        for (let day = 0; day <= 400; day += 20) {
+            history.recordSnapshot(...snapshot({ rig: 1 }), START + 50 * DAY + day * DAY);
+        }
+        const now = START + 450 * DAY;
+        assert.ok(history.getWorkerHistory(`${ADDRESS}.rig`, 'all').points.every(p => p.time >= now - 365 * DAY - DAY));
+        assert.equal(history.getPoolHistory('all').points[0].time, START);
+    });
+});
@@ -0,0 +1,56 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers/test-server');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.stop();
+});
+
+// Health results are cached for a few seconds, so this file only exercises the
+// failure path; the healthy path is covered in api-routes.test.js.
+describe('health with failing dependencies', () => {
+    before(() => {
+        fs.unlinkSync(path.join(ctx.ckpool.dir, 'stratifier'));
+        ctx.upstream.fail('/api/blocks/tip/height', 503);
+    });
+
+    test('/api/health reports each dependency', async () => {
+        const res = await fetch(`${ctx.url}/api/health`);
+        assert.equal(res.status, 200);
+        const { data } = await res.json();
+        assert.equal(data.status, 'down');
+        assert.equal(data.checks.ckpoolStratifier.status, 'down');
+        // Upstream errors go to the log, not to the public
+        assert.equal(data.checks.ckpoolStratifier.error, undefined);
+        assert.ok(!JSON.stringify(data).includes(ctx.ckpool.dir));
+        assert.equal(data.checks.ckpoolListener.status, 'up');
+        assert.equal(data.checks.bitcoind.status, 'up');
+        assert.equal(data.checks.mempool.status, 'down');
+        assert.equal(data.checks.dataDir.status, 'up');
+        assert.ok(data.checks.bitcoind.latency >= 0);
+    });
+
+    test('/api/health/ready returns 503 while ckpool is unreachable', async () => {
+        const res = await fetch(`${ctx.url}/api/health/ready`);
+        assert.equal(res.status, 503);
+        assert.equal((await res.json()).data.ready, false);
+    });
+
+    test('pages show a degraded banner once the circuit opens', async () => {
+        let html = '';
+        for (let i = 0; i < 3; i++) {
+            html = await (await ctx.page('/')).text();
+        }
+        assert.match(html, /class="degraded-banner"/);
+        assert.match(html, /ckpool stratifier is currently unreachable/);
+        assert.ok(!html.includes('mempool API'));
+    });
+});
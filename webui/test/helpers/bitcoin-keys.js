@@ -0,0 +1,100 @@
+// Throwaway secp256k1 keys that sign messages the way wallets do, with the
+// mainnet addresses they control
+const crypto = require('crypto');
+const { messageHash, recoverPublicKey, serializePublicKey, hash160 } = require('../../lib/message-signature');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function base58Check(version, payload) {
+    const bytes = Buffer.concat([Buffer.from([version]), payload]);
+    const full = Buffer.concat([bytes, sha256(sha256(bytes)).subarray(0, 4)]);
+    let value = BigInt('0x' + full.toString('hex'));
+    let out = '';
+    while (value > 0n) {
+        out = BASE58_ALPHABET[Number(value % 58n)] + out;
+        value /= 58n;
+    }
+    for (let i = 0; i < full.length && full[i] === 0; i++) out = '1' + out;
+    return out;
+}
+
+function bech32Polymod(values) {
+    const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let chk = 1;
+    for (const value of values) {
+        const top = chk >> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ value;
+        for (let i = 0; i < 5; i++) {
+            if ((top >> i) & 1) chk ^= GEN[i];
+        }
+    }
+    return chk >>> 0;
+}
+
+// Witness v0 address for a 20-byte program
+function bech32Address(hrp, program) {
+    const words = [0];
+    let acc = 0;
+    let bits = 0;
+    for (const byte of program) {
+        acc = (acc << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            words.push((acc >> bits) & 31);
+        }
+    }
+    if (bits > 0) words.push((acc << (5 - bits)) & 31);
+
+    const expanded = [...[...hrp].map(c => c.charCodeAt(0) >> 5), 0, ...[...hrp].map(c => c.charCodeAt(0) & 31)];
+    const polymod = bech32Polymod([...expanded, ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+    const checksum = [0, 1, 2, 3, 4, 5].map(i => (polymod >> (5 * (5 - i))) & 31);
+    return `${hrp}1${[...words, ...checksum].map(w => BECH32_ALPHABET[w]).join('')}`;
+}
+
+function createKey() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    const point = {
+        x: BigInt('0x' + Buffer.from(jwk.x, 'base64url').toString('hex')),
+        y: BigInt('0x' + Buffer.from(jwk.y, 'base64url').toString('hex'))
+    };
+    const keyHash = hash160(serializePublicKey(point, true));
+
+    return {
+        addresses: {
+            p2pkh: base58Check(0x00, keyHash),
+            p2shP2wpkh: base58Check(0x05, hash160(Buffer.concat([Buffer.from([0x00, 0x14]), keyHash]))),
+            p2wpkh: bech32Address('bc', keyHash)
+        },
+        // Compact signature (compressed key) in base64; headerBase 31 legacy, 39 for P2WPKH (BIP137)
+        sign(message, headerBase = 31) {
+            const hash = messageHash(message);
+            // crypto.sign hashes its input once more, which makes it the message hash
+            const raw = crypto.sign('sha256', sha256Once(message), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+            const r = BigInt('0x' + raw.subarray(0, 32).toString('hex'));
+            const s = BigInt('0x' + raw.subarray(32).toString('hex'));
+            for (let recoveryId = 0; recoveryId < 4; recoveryId++) {
+                const recovered = recoverPublicKey(hash, r, s, recoveryId);
+                if (recovered && recovered.x === point.x && recovered.y === point.y) {
+                    return Buffer.concat([Buffer.from([headerBase + recoveryId]), raw]).toString('base64');
+                }
+            }
+            throw new Error('no recovery id matches');
+        }
+    };
+}
+
+// First SHA-256 round of the prefixed message (messages under 253 bytes)
+function sha256Once(message) {
+    const prefix = Buffer.from('Bitcoin Signed Message:\n', 'utf8');
+    const body = Buffer.from(message, 'utf8');
+    return sha256(Buffer.concat([Buffer.from([prefix.length]), prefix, Buffer.from([body.length]), body]));
+}
+
+module.exports = { createKey };
@@ -0,0 +1,175 @@
+// Fake ckpool that serves the listener, stratifier and connector unix sockets
+// Speaks ckpool's protocol: 4-byte little-endian length prefix + message.
+//
+// Replies are scripted per command name (the part before "." or "="):
+//   mock.reply('poolstats', { users: 1 })             - JSON reply
+//   mock.reply('getuser', (args) => ({ ... }))          - computed from the parsed JSON args
+//   mock.reply('workers', MockCkpool.timeout())        - never answer
+//   mock.reply('users', MockCkpool.partial(obj, 10))   - announce the full length, send 10 bytes, close
+//   mock.reply('clients', MockCkpool.chunked(obj, 7))  - full frame split into 7-byte writes
+//   mock.reply('ucinfo', MockCkpool.garbage())         - well-framed, non-JSON reply
+//   mock.reply('dropclient', MockCkpool.close())       - close the socket without replying
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TIMEOUT = Symbol('timeout');
+
+function frame(payload) {
+    const body = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(body.length, 0);
+    return Buffer.concat([length, body]);
+}
+
+function encode(reply) {
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+}
+
+// "getuser.{"user":"x"}" -> { name: 'getuser', args: { user: 'x' } }
+// "dropclient=12"        -> { name: 'dropclient', args: '12' }
+function parseCommand(command) {
+    const match = command.match(/^([a-z]+)(?:([.=])([\s\S]*))?$/);
+    if (!match) return { name: command, args: null };
+    let args = match[3] === undefined ? null : match[3];
+    if (match[2] === '.' && args) {
+        try {
+            args = JSON.parse(args);
+        } catch (e) {
+            // leave as string
+        }
+    }
+    return { name: match[1], args };
+}
+
+class MockCkpool {
+    constructor(replies = {}) {
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-ckpool-'));
+        this.replies = new Map(Object.entries(replies));
+        this.requests = [];
+        this.servers = [];
+        this.sockets = new Set();
+    }
+
+    static timeout() {
+        return { [TIMEOUT]: true };
+    }
+
+    static partial(reply, bytes) {
+        return { behavior: 'partial', reply, bytes };
+    }
+
+    static chunked(reply, size = 5, delay = 5) {
+        return { behavior: 'chunked', reply, size, delay };
+    }
+
+    static garbage(text = '\u0000not json{') {
+        return { behavior: 'raw', reply: text };
+    }
+
+    static close() {
+        return { behavior: 'close' };
+    }
+
+    reply(name, reply) {
+        this.replies.set(name, reply);
+        return this;
+    }
+
+    reset(replies = {}) {
+        this.replies = new Map(Object.entries(replies));
+        this.requests = [];
+        return this;
+    }
+
+    // Commands received, optionally filtered by name
+    received(name) {
+        return this.requests.filter(r => !name || r.name === name);
+    }
+
+    handle(socket, socketName) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (buffer.length < 4) return;
+            const length = buffer.readUInt32LE(0);
+            if (buffer.length < 4 + length) return;
+
+            const command = buffer.slice(4, 4 + length).toString('utf8');
+            buffer = buffer.slice(4 + length);
+            this.respond(socket, socketName, command);
+        });
+    }
+
+    async respond(socket, socketName, command) {
+        const { name, args } = parseCommand(command);
+        this.requests.push({ socket: socketName, command, name, args });
+
+        let reply = this.replies.has(name) ? this.replies.get(name) : { error: 'unknown command' };
+        if (typeof reply === 'function') reply = await reply(args, socketName);
+
+        if (reply && reply[TIMEOUT]) return;
+
+        if (reply && reply.behavior === 'partial') {
+            const full = frame(encode(reply.reply));
+            socket.end(full.slice(0, 4 + reply.bytes));
+            return;
+        }
+
+        if (reply && reply.behavior === 'chunked') {
+            const full = frame(encode(reply.reply));
+            for (let i = 0; i < full.length; i += reply.size) {
+                if (socket.destroyed) return;
+                socket.write(full.slice(i, i + reply.size));
+                await new Promise(resolve => setTimeout(resolve, reply.delay));
+            }
+            socket.end();
+            return;
+        }
+
+        if (reply && reply.behavior === 'close') {
+            socket.end();
+            return;
+        }
+
+        if (reply && reply.behavior === 'raw') {
+            socket.end(frame(reply.reply));
+            return;
+        }
+
+        socket.end(frame(encode(reply)));
+    }
+
+    listen(socketName) {
+        const socketPath = path.join(this.dir, socketName);
+        return new Promise((resolve, reject) => {
+            const server = net.createServer(socket => this.handle(socket, socketName));
+            server.once('error', reject);
+            server.listen(socketPath, () => {
+                this.servers.push(server);
+                resolve(server);
+            });
+        });
+    }
+
+    async start() {
+        await this.listen('listener');
+        await this.listen('stratifier');
+        await this.listen('connector');
+        return this;
+    }
+
+    async stop() {
+        this.sockets.forEach(socket => socket.destroy());
+        await Promise.all(this.servers.map(server => new Promise(resolve => server.close(resolve))));
+        this.servers = [];
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { MockCkpool, frame, parseCommand };
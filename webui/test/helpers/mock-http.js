@@ -0,0 +1,91 @@
+// Local stand-in for HTTP upstreams: the mempool.space API and bitcoind JSON-RPC
+//   stub.get('/api/v1/prices', { USD: 1 })       - JSON reply
+//   stub.get('/api/v1/blocks', (req) => [...])    - computed reply
+//   stub.rpc('getblockcount', 840000)            - bitcoind RPC result (POST /)
+//   stub.fail('/api/mempool', 503)               - HTTP error status
+const http = require('http');
+
+class MockHttp {
+    constructor() {
+        this.routes = new Map();
+        this.rpcMethods = new Map();
+        this.requests = [];
+        this.server = null;
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.port}`;
+    }
+
+    get port() {
+        return this.server.address().port;
+    }
+
+    get(pathname, reply) {
+        this.routes.set(pathname, { status: 200, reply });
+        return this;
+    }
+
+    fail(pathname, status = 500) {
+        this.routes.set(pathname, { status, reply: { error: `HTTP ${status}` } });
+        return this;
+    }
+
+    rpc(method, result) {
+        this.rpcMethods.set(method, result);
+        return this;
+    }
+
+    received(pathname) {
+        return this.requests.filter(r => !pathname || r.path === pathname);
+    }
+
+    async handle(req, res) {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const pathname = req.url.split('?')[0];
+        this.requests.push({ method: req.method, path: pathname, headers: req.headers, body });
+
+        const send = (status, payload) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        };
+
+        // bitcoind JSON-RPC
+        if (req.method === 'POST' && pathname === '/') {
+            let call = {};
+            try {
+                call = JSON.parse(body);
+            } catch (e) {
+                return send(400, { error: 'bad json' });
+            }
+            if (!this.rpcMethods.has(call.method)) {
+                return send(200, { result: null, error: { code: -32601, message: 'Method not found' }, id: call.id });
+            }
+            let result = this.rpcMethods.get(call.method);
+            if (typeof result === 'function') result = await result(call.params || []);
+            return send(200, { result, error: null, id: call.id });
+        }
+
+        const route = this.routes.get(pathname);
+        if (!route) return send(404, { error: 'not found' });
+        const payload = typeof route.reply === 'function' ? await route.reply(req) : route.reply;
+        send(route.status, payload);
+    }
+
+    start() {
+        return new Promise(resolve => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.listen(0, '127.0.0.1', () => resolve(this));
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            this.server.closeAllConnections();
+            this.server.close(resolve);
+        });
+    }
+}
+
+module.exports = { MockHttp };
@@ -0,0 +1,137 @@
+// In-process MQTT 3.1.1 broker stand-in: accepts CONNECT, answers PINGREQ and
+// records PUBLISH packets (QoS 0). Enough to test the publisher without mosquitto.
+//   broker.connects          - [{ clientId, username, password, will }]
+//   broker.messages          - [{ topic, payload, retain }] in arrival order
+//   broker.retained(topic)   - last retained payload for a topic (like a real broker keeps)
+//   broker.refuse(5)         - answer the next CONNECT with this return code
+//   broker.waitFor(fn)       - resolves once fn(broker) is true
+const net = require('net');
+
+function readString(buffer, offset) {
+    const length = buffer.readUInt16BE(offset);
+    return { value: buffer.toString('utf8', offset + 2, offset + 2 + length), next: offset + 2 + length };
+}
+
+function parseConnect(body) {
+    let { next } = readString(body, 0); // "MQTT"
+    const flags = body[next + 1];
+    next += 4; // level, flags, keepalive
+    const fields = {};
+    const take = name => {
+        const field = readString(body, next);
+        fields[name] = field.value;
+        next = field.next;
+    };
+    take('clientId');
+    if (flags & 0x04) {
+        take('willTopic');
+        take('willPayload');
+    }
+    if (flags & 0x80) take('username');
+    if (flags & 0x40) take('password');
+    return {
+        clientId: fields.clientId,
+        username: fields.username || null,
+        password: fields.password || null,
+        will: flags & 0x04 ? { topic: fields.willTopic, payload: fields.willPayload, retain: Boolean(flags & 0x20) } : null
+    };
+}
+
+class MockMqtt {
+    constructor() {
+        this.connects = [];
+        this.messages = [];
+        this.disconnects = 0;
+        this.refuseCode = 0;
+        this.sockets = new Set();
+        this.server = null;
+    }
+
+    get port() {
+        return this.server.address().port;
+    }
+
+    get url() {
+        return `mqtt://127.0.0.1:${this.port}`;
+    }
+
+    refuse(code) {
+        this.refuseCode = code;
+        return this;
+    }
+
+    retained(topic) {
+        const last = this.messages.filter(m => m.topic === topic && m.retain).pop();
+        return last ? last.payload : undefined;
+    }
+
+    topics(prefix = '') {
+        return [...new Set(this.messages.map(m => m.topic))].filter(t => t.startsWith(prefix));
+    }
+
+    async waitFor(check, timeout = 2000) {
+        const start = Date.now();
+        while (!check(this)) {
+            if (Date.now() - start > timeout) throw new Error('MockMqtt: condition not met in time');
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    handle(socket, { type, flags, body }) {
+        if (type === 0x10) {
+            this.connects.push(parseConnect(body));
+            const code = this.refuseCode;
+            this.refuseCode = 0;
+            socket.write(Buffer.from([0x20, 0x02, 0x00, code]));
+            if (code !== 0) socket.end();
+        } else if (type === 0x30) {
+            const { value: topic, next } = readString(body, 0);
+            this.messages.push({ topic, payload: body.toString('utf8', next), retain: Boolean(flags & 0x01) });
+        } else if (type === 0xc0) {
+            socket.write(Buffer.from([0xd0, 0x00]));
+        } else if (type === 0xe0) {
+            this.disconnects++;
+        }
+    }
+
+    start() {
+        return new Promise(resolve => {
+            this.server = net.createServer(socket => {
+                this.sockets.add(socket);
+                socket.on('close', () => this.sockets.delete(socket));
+                let buffer = Buffer.alloc(0);
+                socket.on('data', chunk => {
+                    buffer = Buffer.concat([buffer, chunk]);
+                    for (;;) {
+                        // Remaining length: up to 4 bytes, 7 bits each
+                        let length = 0;
+                        let offset = 1;
+                        let byte = 0x80;
+                        for (let shift = 0; byte & 0x80; shift += 7) {
+                            if (offset >= buffer.length) return;
+                            byte = buffer[offset++];
+                            length += (byte & 0x7f) << shift;
+                        }
+                        if (buffer.length < offset + length) return;
+                        this.handle(socket, { type: buffer[0] & 0xf0, flags: buffer[0] & 0x0f, body: buffer.subarray(offset, offset + length) });
+                        buffer = buffer.subarray(offset + length);
+                    }
+                });
+                socket.on('error', () => {});
+            });
+            this.server.listen(0, '127.0.0.1', () => resolve(this));
+        });
+    }
+
+    // Drop every client connection (simulates a broker restart)
+    dropClients() {
+        this.sockets.forEach(socket => socket.destroy());
+    }
+
+    stop() {
+        this.dropClients();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+module.exports = { MockMqtt };
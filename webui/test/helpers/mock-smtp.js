@@ -0,0 +1,108 @@
+// In-process SMTP server stand-in: plain text, no STARTTLS. Answers EHLO, AUTH,
+// MAIL, RCPT, DATA and QUIT, and records each session.
+//   smtp.sessions            - [{ ehlo, auth, from, to: [], data }] in arrival order
+//   smtp.reject('RCPT', 550) - answer the next matching command with this code
+//   smtp.waitFor(fn)         - resolves once fn(smtp) is true
+const net = require('net');
+
+class MockSmtp {
+    constructor() {
+        this.sessions = [];
+        this.rejections = new Map();
+        this.sockets = new Set();
+        this.server = null;
+    }
+
+    get port() {
+        return this.server.address().port;
+    }
+
+    reject(verb, code) {
+        this.rejections.set(verb, code);
+        return this;
+    }
+
+    async waitFor(check, timeout = 2000) {
+        const start = Date.now();
+        while (!check(this)) {
+            if (Date.now() - start > timeout) throw new Error('MockSmtp: condition not met in time');
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    handle(socket, session, line) {
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (this.rejections.has(verb)) {
+            const code = this.rejections.get(verb);
+            this.rejections.delete(verb);
+            return socket.write(`${code} Rejected\r\n`);
+        }
+
+        switch (verb) {
+            case 'EHLO':
+                session.ehlo = line.slice(5);
+                return socket.write('250-mock.smtp\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+            case 'AUTH':
+                session.auth = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf8').split('\u0000').slice(1);
+                return socket.write('235 Authenticated\r\n');
+            case 'MAIL':
+                session.from = line.match(/<(.*)>/)[1];
+                return socket.write('250 OK\r\n');
+            case 'RCPT':
+                session.to.push(line.match(/<(.*)>/)[1]);
+                return socket.write('250 OK\r\n');
+            case 'DATA':
+                session.data = '';
+                return socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+            case 'QUIT':
+                socket.write('221 Bye\r\n');
+                return socket.end();
+            default:
+                return socket.write('502 Command not implemented\r\n');
+        }
+    }
+
+    start() {
+        return new Promise(resolve => {
+            this.server = net.createServer(socket => {
+                this.sockets.add(socket);
+                socket.on('close', () => this.sockets.delete(socket));
+                socket.on('error', () => {});
+
+                const session = { ehlo: null, auth: null, from: null, to: [], data: null };
+                this.sessions.push(session);
+                let reading = false;
+                let buffer = '';
+
+                socket.setEncoding('utf8');
+                socket.write('220 mock.smtp ESMTP\r\n');
+                socket.on('data', chunk => {
+                    buffer += chunk;
+                    let idx;
+                    while ((idx = buffer.indexOf('\r\n')) !== -1) {
+                        const line = buffer.slice(0, idx);
+                        buffer = buffer.slice(idx + 2);
+                        if (!reading) {
+                            this.handle(socket, session, line);
+                            reading = session.data === '';
+                        } else if (line === '.') {
+                            reading = false;
+                            socket.write('250 Queued\r\n');
+                        } else {
+                            // Undo dot-stuffing
+                            session.data += (line.startsWith('.') ? line.slice(1) : line) + '\r\n';
+                        }
+                    }
+                });
+            });
+            this.server.listen(0, '127.0.0.1', () => resolve(this));
+        });
+    }
+
+    stop() {
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+module.exports = { MockSmtp };
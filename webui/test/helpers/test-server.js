@@ -0,0 +1,66 @@
+// Boots the Express app against a fake ckpool and a local mempool/bitcoind stand-in.
+// Environment is set before the app is required, so call this once per test file.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockCkpool } = require('./mock-ckpool');
+const { MockHttp } = require('./mock-http');
+const ckpoolFixtures = require('../fixtures/ckpool');
+const mempoolFixtures = require('../fixtures/mempool');
+
+async function startTestServer() {
+    const ckpool = await new MockCkpool(ckpoolFixtures.replies()).start();
+    const upstream = new MockHttp();
+    Object.entries(mempoolFixtures.routes()).forEach(([route, reply]) => upstream.get(route, reply));
+    Object.entries(mempoolFixtures.rpc()).forEach(([method, result]) => upstream.rpc(method, result));
+    await upstream.start();
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webui-data-'));
+    const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webui-logs-'));
+
+    process.env.NODE_ENV = 'production';
+    process.env.DATA_DIR = dataDir;
+    process.env.CKPOOL_LOGS_DIR = logsDir;
+    process.env.CKPOOL_SOCKET_DIR = ckpool.dir;
+    process.env.MEMPOOL_API_URL = `${upstream.url}/api`;
+    process.env.BITCOIN_RPC_HOST = '127.0.0.1';
+    process.env.BITCOIN_RPC_PORT = String(upstream.port);
+
+    const app = require('../../app');
+    const { getToken } = require('../../lib/api-security');
+
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    // Fetch an API route with the headers the WebUI sends
+    function api(route, options = {}) {
+        return fetch(`${url}/api${route}`, {
+            ...options,
+            headers: {
+                'X-Pool-Request': 'internal',
+                'X-Pool-Token': getToken(),
+                ...(options.headers || {})
+            }
+        });
+    }
+
+    // Fetch a page (no redirects followed)
+    function page(route, options = {}) {
+        return fetch(`${url}${route}`, { redirect: 'manual', ...options });
+    }
+
+    async function stop() {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await ckpool.stop();
+        await upstream.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    }
+
+    return { url, ckpool, upstream, dataDir, logsDir, api, page, stop, token: getToken() };
+}
+
+module.exports = { startTestServer };
@@ -0,0 +1,220 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers/test-server');
+const { MockCkpool } = require('./helpers/mock-ckpool');
+const fixtures = require('./fixtures/ckpool');
+const { ADDRESS, UNKNOWN_ADDRESS } = fixtures;
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.stop();
+});
+
+async function getPage(route) {
+    const res = await ctx.page(route);
+    return { status: res.status, headers: res.headers, html: await res.text() };
+}
+
+describe('GET /', () => {
+    test('renders the home page with pool stats and the API token', async () => {
+        const { status, html } = await getPage('/');
+        assert.equal(status, 200);
+        assert.match(html, /id="pool-hashrate"/);
+        assert.ok(html.includes(`window.POOL_API_TOKEN = '${ctx.token}'`));
+        assert.ok(html.includes('data-period="week"'));
+        assert.ok(html.includes('data-rank="effort"'));
+    });
+
+    test('still renders when ckpool is down', async () => {
+        ctx.ckpool.reply('poolstats', MockCkpool.timeout());
+        ctx.ckpool.reply('stratifierstats', MockCkpool.timeout());
+        try {
+            const { status } = await getPage('/');
+            assert.equal(status, 200);
+        } finally {
+            ctx.ckpool.reset(fixtures.replies());
+        }
+    });
+});
+
+describe('GET /stats/:address', () => {
+    test('renders user stats and connected miners', async () => {
+        const { status, html } = await getPage(`/stats/${ADDRESS}`);
+        assert.equal(status, 200);
+        assert.ok(html.includes(ADDRESS));
+        assert.ok(html.includes('Bitaxe Gamma'));
+        assert.ok(html.includes(`/stats/${ADDRESS}/bitaxe1`));
+        assert.ok(html.includes('id="effort-chart"'));
+        assert.ok(html.includes('id="near-misses-section"'));
+        assert.ok(html.includes('id="privacy-section"'));
+        // Per-client worker stats come from the workers listing, not getworker
+        assert.equal(ctx.ckpool.received('getworker').length, 0);
+    });
+
+    test('renders the not-found state for unknown addresses', async () => {
+        const { status, html } = await getPage(`/stats/${UNKNOWN_ADDRESS}`);
+        assert.equal(status, 200);
+        assert.ok(!html.includes('id="user-hashrate-current"'));
+    });
+
+    test('renders an error for invalid addresses', async () => {
+        const { status, html } = await getPage('/stats/not-an-address');
+        assert.equal(status, 200);
+        assert.ok(html.includes('Invalid Bitcoin address'));
+    });
+});
+
+describe('GET /stats/:address/:worker', () => {
+    test('renders worker stats with the detected miner type', async () => {
+        const { status, html } = await getPage(`/stats/${ADDRESS}/s19`);
+        assert.equal(status, 200);
+        assert.ok(html.includes('Antminer S19'));
+    });
+
+    test('renders the not-found state for unknown workers', async () => {
+        const { status, html } = await getPage(`/stats/${ADDRESS}/ghost`);
+        assert.equal(status, 200);
+        assert.ok(!html.includes('Antminer S19'));
+    });
+
+    test('renders an error for invalid addresses', async () => {
+        const { html } = await getPage('/stats/nope/rig');
+        assert.ok(html.includes('Invalid Bitcoin address'));
+    });
+});
+
+describe('reject tracking', () => {
+    // An hour of clean shares, then a burst of rejects on bitaxe1
+    function recordRejectSpike() {
+        const shareHistory = require('../lib/share-history');
+        const now = Math.floor(Date.now() / 1000);
+        const sample = (ts, accepted, rejected) => shareHistory.recordSnapshot(
+            { workers: [{ worker: `${ADDRESS}.bitaxe1`, accepted, rejected, stale: 0 }] },
+            ts
+        );
+        sample(now - 7200, 1000, 0);
+        sample(now - 3600 - 600, 11000, 0);
+        sample(now - 60, 11100, 60);
+    }
+
+    test('highlights workers whose reject rate jumped', async () => {
+        recordRejectSpike();
+        const { html } = await getPage(`/stats/${ADDRESS}`);
+        assert.ok(html.includes('class="reject-spike"'));
+        assert.match(html, /Reject rate jumped in the last hour on bitaxe1\./);
+    });
+
+    test('worker page shows reject rates per window', async () => {
+        const { html } = await getPage(`/stats/${ADDRESS}/bitaxe1`);
+        assert.ok(html.includes('Reject Rate'));
+        assert.ok(html.includes('well above this worker'));
+        // Lifetime share counts from ckpool's workers listing
+        assert.match(html, /Accepted Shares<\/span>\s*<span[^>]*>790</);
+        assert.match(html, /Rejected<\/span>\s*<span[^>]*>7</);
+    });
+});
+
+describe('GET /pool', () => {
+    test('renders pool stats and miner types', async () => {
+        const { status, html } = await getPage('/pool');
+        assert.equal(status, 200);
+        assert.ok(html.includes('Bitaxe Gamma'));
+        assert.ok(html.includes('Antminer S19'));
+        assert.ok(html.includes('id="pool-effort-chart"'));
+        assert.ok(html.includes('id="pool-round-effort">0%'));
+        assert.ok(html.includes('id="near-misses-section"'));
+    });
+});
+
+describe('firmware', () => {
+    function setMinimums(minimumVersions) {
+        fs.writeFileSync(path.join(ctx.dataDir, 'firmware.json'), JSON.stringify({ minimumVersions }));
+        require('../lib/firmware-inventory').reloadConfig();
+    }
+
+    after(() => setMinimums({}));
+
+    test('stats page flags devices below the minimum version', async () => {
+        setMinimums({ 'ESP-Miner': '2.5.0' });
+        const { html } = await getPage(`/stats/${ADDRESS}`);
+        assert.ok(html.includes('ESP-Miner 2.4.0'));
+        assert.ok(html.includes('Minimum recommended: 2.5.0'));
+        assert.ok(html.includes('1 of 2 devices are below the recommended firmware version'));
+
+        setMinimums({ 'ESP-Miner': '2.4.0' });
+        assert.ok(!(await getPage(`/stats/${ADDRESS}`)).html.includes('Outdated'));
+    });
+
+    test('/firmware lists versions pool-wide without addresses or workers', async () => {
+        const { status, html } = await getPage('/firmware');
+        assert.equal(status, 200);
+        assert.ok(html.includes('Firmware Inventory'));
+        assert.ok(html.includes('2.4.0'));
+        assert.ok(!html.includes(ADDRESS));
+    });
+});
+
+describe('GET /farm', () => {
+    test('renders the address list from the query string', async () => {
+        const { status, html } = await getPage(`/farm?addresses=${ADDRESS},${UNKNOWN_ADDRESS}`);
+        assert.equal(status, 200);
+        assert.ok(html.includes('Farm Dashboard'));
+        assert.ok(html.includes(`["${ADDRESS}","${UNKNOWN_ADDRESS}"]`));
+    });
+
+    test('drops invalid addresses with a notice', async () => {
+        const { html } = await getPage(`/farm?addresses=nope,${ADDRESS}`);
+        assert.ok(html.includes('Skipped nope. Invalid Bitcoin address'));
+        assert.ok(html.includes(`["${ADDRESS}"]`));
+    });
+});
+
+describe('network mode', () => {
+    const network = require('../lib/network');
+
+    after(() => network.setNetwork('mainnet'));
+
+    test('shows a badge and accepts test network addresses on signet', async () => {
+        assert.ok(!(await getPage('/')).html.includes('class="network-badge"'));
+
+        network.setNetwork('signet');
+        const { html } = await getPage('/');
+        assert.match(html, /class="network-badge"[^>]*>Signet</);
+
+        const stats = await getPage('/stats/tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7');
+        assert.ok(!stats.html.includes('Invalid Bitcoin address'));
+        assert.ok((await getPage(`/stats/${ADDRESS}`)).html.includes('mainnet address, but the pool runs on Signet'));
+    });
+});
+
+describe('other pages', () => {
+    test('/dashboard redirects to /pool', async () => {
+        const { status, headers } = await getPage('/dashboard');
+        assert.equal(status, 301);
+        assert.equal(headers.get('location'), '/pool');
+    });
+
+    test('/calculator renders', async () => {
+        const { status, html } = await getPage('/calculator');
+        assert.equal(status, 200);
+        assert.match(html, /Calculator/);
+    });
+
+    test('/admin is disabled without admin credentials', async () => {
+        const { status } = await getPage('/admin');
+        assert.equal(status, 404);
+    });
+
+    test('unknown paths render the 404 page', async () => {
+        const { status, html } = await getPage('/does-not-exist');
+        assert.equal(status, 404);
+        assert.ok(html.includes('Page not found'));
+    });
+});
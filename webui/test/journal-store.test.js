@@ -0,0 +1,105 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJournalStore } = require('../lib/journal-store');
+const { readJSONSafe } = require('../lib/safe-file');
+
+let dir;
+
+function open(options = {}) {
+    return createJournalStore('test', { dataDir: dir, maps: ['a', 'b'], ...options });
+}
+
+function journalLines() {
+    return fs.readFileSync(path.join(dir, 'test.journal'), 'utf8').split('\n').filter(Boolean);
+}
+
+describe('journal store', () => {
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('load reports whether anything was stored', async () => {
+        assert.equal(open().load(), false);
+        const store = open();
+        store.getState().a.x = 1;
+        store.flushSync();
+        const reopened = open();
+        assert.equal(reopened.load(), true);
+        await reopened.settle();
+    });
+
+    test('batches writes into one journal line per flush', async () => {
+        const store = open();
+        const state = store.getState();
+        state.a.x = 1;
+        state.a.y = 2;
+        state.a.y = 2; // unchanged values are not journaled
+        delete state.a.x;
+        delete state.a.missing;
+        assert.equal(store.pendingCount(), 3);
+
+        await store.flush();
+        assert.deepEqual(journalLines().map(JSON.parse), [[['s', 'a', 'x', 1], ['s', 'a', 'y', 2], ['d', 'a', 'x']]]);
+        const reopened = open();
+        assert.deepEqual({ ...reopened.getState().a }, { y: 2 });
+        await reopened.settle();
+    });
+
+    test('drops a torn batch on replay', () => {
+        fs.writeFileSync(path.join(dir, 'test.journal'),
+            JSON.stringify([['s', 'a', 'x', 1]]) + '\n' + '[["s","a","y",2],["s","b"');
+        const state = open().getState();
+        assert.deepEqual({ ...state.a }, { x: 1 });
+        assert.deepEqual({ ...state.b }, {});
+    });
+
+    test('compacts the journal into a snapshot', async () => {
+        const store = open({ compactAfter: 3 });
+        const state = store.getState();
+        state.a.x = 1;
+        state.b.y = 2;
+        await store.flush();
+        assert.equal(journalLines().length, 1);
+
+        state.a.z = 3;
+        await store.flush();
+        assert.equal(journalLines().length, 0);
+        const snapshot = readJSONSafe(path.join(dir, 'test.snapshot.json'));
+        assert.deepEqual(snapshot.maps, { a: { x: 1, z: 3 }, b: { y: 2 } });
+    });
+
+    test('replayed journals are folded into the snapshot on load', async () => {
+        const store = open();
+        store.getState().a.x = 1;
+        store.flushSync();
+
+        const reopened = open();
+        assert.equal(reopened.getState().a.x, 1);
+        await reopened.flush();
+        assert.equal(journalLines().length, 0);
+        assert.equal(open().getState().a.x, 1);
+    });
+
+    test('replace swaps the whole state', async () => {
+        const store = open();
+        store.getState().a.x = 1;
+        await store.replace({ a: { n: 5 } });
+        assert.deepEqual({ ...store.getState().a }, { n: 5 });
+        assert.deepEqual({ ...open().getState().a }, { n: 5 });
+    });
+
+    test('replaceSync has the snapshot on disk before returning', () => {
+        const store = open();
+        store.getState().a.x = 1;
+        store.replaceSync({ a: { m: 7 } });
+        assert.equal(journalLines().length, 0);
+        assert.deepEqual({ ...open().getState().a }, { m: 7 });
+    });
+});
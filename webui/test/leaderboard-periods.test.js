@@ -0,0 +1,77 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The data dir is resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-periods-'));
+process.env.DATA_DIR = dataDir;
+
+const periods = require('../lib/leaderboard-periods');
+
+const WORKER = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh.rig';
+const DIFF = 1000000;
+// Wednesday 2024-05-15 23:58:00 UTC
+const WEDNESDAY = Date.UTC(2024, 4, 15, 23, 58) / 1000;
+
+function snapshot(shares, bestdiff) {
+    return [{ poolstats: { diff: DIFF } }, { workers: [{ worker: WORKER, shares, bestdiff }] }];
+}
+
+describe('leaderboard periods', () => {
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('periods start on UTC calendar boundaries', () => {
+        assert.equal(periods.periodStart('day', WEDNESDAY), Date.UTC(2024, 4, 15) / 1000);
+        assert.equal(periods.periodStart('week', WEDNESDAY), Date.UTC(2024, 4, 13) / 1000);
+        assert.equal(periods.periodStart('month', WEDNESDAY), Date.UTC(2024, 4, 1) / 1000);
+        assert.equal(periods.periodStart('week', Date.UTC(2024, 4, 19, 12) / 1000), Date.UTC(2024, 4, 13) / 1000);
+        assert.equal(periods.periodStart('all', WEDNESDAY), null);
+    });
+
+    test('first sight only sets the baseline', () => {
+        periods.recordSnapshot(...snapshot(1000, 5000), WEDNESDAY);
+        assert.deepEqual(periods.getPeriod('day', WEDNESDAY).workers, {});
+    });
+
+    test('credits shares, effort and new session bests to every period', () => {
+        periods.recordSnapshot(...snapshot(251000, 8000), WEDNESDAY + 60);
+
+        for (const period of periods.PERIODS) {
+            const stats = periods.getPeriod(period, WEDNESDAY + 60).workers[WORKER];
+            assert.equal(stats.shares, 250000);
+            assert.equal(stats.effort, 0.25);
+            assert.equal(stats.best, 8000);
+            assert.equal(stats.since, WEDNESDAY);
+        }
+    });
+
+    test('an unchanged session best is not credited again', () => {
+        periods.recordSnapshot(...snapshot(252000, 8000), WEDNESDAY + 90);
+        assert.equal(periods.getPeriod('day', WEDNESDAY + 90).workers[WORKER].best, 8000);
+        assert.equal(periods.getPeriod('day', WEDNESDAY + 90).workers[WORKER].shares, 251000);
+    });
+
+    test('the day resets at midnight; the week and month carry on', () => {
+        const thursday = WEDNESDAY + 180;
+        // New session (reconnect): its best so far was found since the last sample
+        periods.recordSnapshot(...snapshot(253000, 3000), thursday);
+
+        const day = periods.getPeriod('day', thursday);
+        assert.equal(day.start, Date.UTC(2024, 4, 16) / 1000);
+        assert.deepEqual(day.workers[WORKER], { best: 3000, shares: 1000, effort: 0.001, since: day.start, seen: thursday });
+
+        const week = periods.getPeriod('week', thursday).workers[WORKER];
+        assert.equal(week.shares, 252000);
+        assert.equal(week.best, 8000);
+    });
+
+    test('survives a save and reload', () => {
+        periods.saveState();
+        periods.reloadState();
+        assert.equal(periods.getPeriod('month', WEDNESDAY + 180).workers[WORKER].shares, 252000);
+    });
+});
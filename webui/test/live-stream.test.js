@@ -0,0 +1,88 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+// Limits are read at require time
+process.env.LIVE_STREAM_MAX_CLIENTS = '4';
+process.env.LIVE_STREAM_MAX_CLIENTS_PER_IP = '2';
+
+const liveStream = require('../lib/live-stream');
+
+const A = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const B = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+
+function fakeRequest(ip) {
+    const req = new EventEmitter();
+    req.ip = ip;
+    req.socket = { remoteAddress: ip };
+    return req;
+}
+
+function fakeResponse() {
+    return {
+        text: '',
+        writeHead() {},
+        write(chunk) { this.text += chunk; }
+    };
+}
+
+const open = [];
+
+function connect(ip, options) {
+    const req = fakeRequest(ip);
+    const res = fakeResponse();
+    liveStream.subscribe(req, res, options);
+    open.push(req);
+    return res;
+}
+
+function closeAll() {
+    while (open.length > 0) open.pop().emit('close');
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('live stream', () => {
+    after(closeAll);
+
+    test('polls every watched address in one call and routes each result', async () => {
+        const calls = [];
+        liveStream.registerAddressProducer(async addresses => {
+            calls.push(addresses);
+            return Object.fromEntries(addresses.map(address => [address, { address, calls: calls.length }]));
+        }, 20);
+
+        const resA = connect('10.0.0.1', { address: A });
+        const resB = connect('10.0.0.2', { address: B });
+        await delay(50);
+        closeAll();
+
+        assert.ok(calls.length >= 3);
+        for (const addresses of calls.slice(1)) {
+            assert.deepEqual(addresses.sort(), [A, B].sort());
+        }
+        assert.match(resA.text, /event: address/);
+        assert.ok(resA.text.includes(A) && !resA.text.includes(B));
+        assert.ok(resB.text.includes(B) && !resB.text.includes(A));
+
+        // The poller stops with the last subscriber
+        const stopped = calls.length;
+        await delay(50);
+        assert.equal(calls.length, stopped);
+    });
+
+    test('caps connections per IP and overall', () => {
+        connect('10.0.0.1', { address: A });
+        connect('10.0.0.1', { address: A });
+        assert.match(liveStream.checkCapacity(fakeRequest('10.0.0.1')), /from this address/);
+        assert.equal(liveStream.checkCapacity(fakeRequest('10.0.0.2')), null);
+
+        connect('10.0.0.2', { address: A });
+        connect('10.0.0.3', { address: A });
+        assert.match(liveStream.checkCapacity(fakeRequest('10.0.0.4')), /Too many live connections/);
+
+        closeAll();
+        assert.equal(liveStream.getClientCount(), 0);
+        assert.equal(liveStream.checkCapacity(fakeRequest('10.0.0.1')), null);
+    });
+});
@@ -0,0 +1,41 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyMessage } = require('../lib/message-signature');
+const { createKey } = require('./helpers/bitcoin-keys');
+
+const MESSAGE = 'This is an example of a signed message.';
+
+describe('message signatures', () => {
+    test('verifies a wallet signature for a legacy address', () => {
+        const signature = 'H9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk=';
+        assert.equal(verifyMessage('1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV', MESSAGE, signature), true);
+        assert.equal(verifyMessage('1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV', MESSAGE + '!', signature), false);
+    });
+
+    test('verifies legacy, nested segwit and native segwit addresses', () => {
+        const key = createKey();
+        for (const address of Object.values(key.addresses)) {
+            assert.equal(verifyMessage(address, MESSAGE, key.sign(MESSAGE)), true, address);
+            // BIP137 segwit header bytes
+            assert.equal(verifyMessage(address, MESSAGE, key.sign(MESSAGE, 39)), true, address);
+        }
+    });
+
+    test('rejects another address, a tampered message and malformed signatures', () => {
+        const key = createKey();
+        const other = createKey();
+        const signature = key.sign(MESSAGE);
+
+        assert.equal(verifyMessage(other.addresses.p2wpkh, MESSAGE, signature), false);
+        assert.equal(verifyMessage(key.addresses.p2wpkh, MESSAGE.toUpperCase(), signature), false);
+        assert.equal(verifyMessage(key.addresses.p2wpkh, MESSAGE, 'not base64!'), false);
+        assert.equal(verifyMessage(key.addresses.p2wpkh, MESSAGE, undefined), false);
+        assert.equal(verifyMessage('nope', MESSAGE, signature), false);
+    });
+
+    test('rejects Taproot addresses, which would need BIP322', () => {
+        const key = createKey();
+        const taproot = 'bc1p5d7rjq7g6rdk2yhzks9smlaqtedr4dekq08ge8ztwac72sfr9rusxg3297';
+        assert.equal(verifyMessage(taproot, MESSAGE, key.sign(MESSAGE)), false);
+    });
+});
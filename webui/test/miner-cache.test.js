@@ -0,0 +1,181 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// miner-cache resolves its paths at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-cache-data-'));
+const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-cache-logs-'));
+process.env.CKPOOL_LOGS_DIR = logsDir;
+
+const fixtures = require('./fixtures/ckpool');
+
+const BITAXE = `${fixtures.ADDRESS}.bitaxe1`;
+const S19 = `${fixtures.ADDRESS}.s19`;
+
+// miner-cache keeps its store in module state; load a fresh copy per data dir
+function freshMinerCache(dir) {
+    process.env.DATA_DIR = dir;
+    delete require.cache[require.resolve('../lib/miner-cache')];
+    return require('../lib/miner-cache');
+}
+
+const minerCache = freshMinerCache(dataDir);
+
+describe('miner-cache', () => {
+    before(() => {
+        fs.mkdirSync(path.join(logsDir, 'users'), { recursive: true });
+    });
+
+    after(async () => {
+        // Let the batched journal write finish before removing its directory
+        await minerCache.flush();
+        await minerCache.settle();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    });
+
+    test('loadCache returns an empty cache when nothing is stored', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-cache-empty-'));
+        try {
+            const cache = freshMinerCache(dir).loadCache();
+            assert.deepEqual(JSON.parse(JSON.stringify(cache)), { workers: {}, users: {}, bestDiffs: {}, lastSeenAt: {} });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('migrates miner-types.json once, filling in missing fields', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-cache-migrate-'));
+        try {
+            const legacy = path.join(dir, 'miner-types.json');
+            fs.writeFileSync(legacy, JSON.stringify({ workers: { a: 'Bitaxe' }, users: { u: 'Bitaxe' } }));
+
+            const migrated = freshMinerCache(dir);
+            const cache = migrated.loadCache();
+            assert.equal(cache.workers.a, 'Bitaxe');
+            assert.deepEqual({ ...cache.bestDiffs }, {});
+            assert.deepEqual({ ...cache.lastSeenAt }, {});
+
+            // Already on disk when the legacy file is renamed
+            assert.ok(!fs.existsSync(legacy));
+            assert.ok(fs.existsSync(`${legacy}.migrated`));
+            assert.ok(fs.existsSync(path.join(dir, 'miner-cache.snapshot.json')));
+            assert.equal(freshMinerCache(dir).loadCache().users.u, 'Bitaxe');
+            await migrated.flush();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('updateFromClients updates memory now and the journal on flush', async () => {
+        const journal = path.join(dataDir, 'miner-cache.journal');
+        const cache = minerCache.updateFromClients(fixtures.clients().clients);
+        assert.equal(cache.workers[BITAXE], 'Bitaxe Gamma');
+        assert.equal(minerCache.loadCache().workers[S19], 'Antminer S19');
+        assert.ok(!fs.existsSync(journal) || fs.readFileSync(journal, 'utf8') === '');
+
+        await minerCache.flush();
+        const batches = fs.readFileSync(journal, 'utf8').trim().split('\n');
+        assert.equal(batches.length, 1);
+
+        // A repeat within the lastSeen resolution writes nothing new
+        minerCache.updateFromClients(fixtures.clients().clients);
+        await minerCache.flush();
+        assert.equal(fs.readFileSync(journal, 'utf8').trim().split('\n').length, 1);
+
+        const reopened = freshMinerCache(dataDir);
+        const reloaded = reopened.loadCache();
+        assert.equal(reloaded.workers[BITAXE], 'Bitaxe Gamma');
+        assert.ok(reloaded.lastSeenAt[BITAXE] > 0);
+        assert.ok(reloaded.users[fixtures.ADDRESS]);
+        // Wait for the compaction that folds the replayed journal into the snapshot
+        await reopened.settle();
+    });
+
+    test('getMinerType falls back to the user, then Unknown', () => {
+        const cache = { workers: { [BITAXE]: 'Bitaxe Gamma' }, users: { [fixtures.ADDRESS]: 'Antminer S19' } };
+        assert.equal(minerCache.getMinerType(BITAXE, cache), 'Bitaxe Gamma');
+        assert.equal(minerCache.getMinerType(`${fixtures.ADDRESS}.other`, cache), 'Antminer S19');
+        assert.equal(minerCache.getMinerType('1xyz.rig', cache), 'Unknown');
+    });
+
+    test('updateBestDiffs only ever raises the stored best and emits bestDiff', () => {
+        const events = [];
+        const listener = e => events.push(e);
+        minerCache.events.on('bestDiff', listener);
+
+        try {
+            let cache = minerCache.updateBestDiffs(fixtures.workers().workers);
+            assert.equal(cache.bestDiffs[BITAXE], 1500000);
+
+            cache = minerCache.updateBestDiffs([{ worker: BITAXE, bestdiff: 1000 }], cache);
+            assert.equal(cache.bestDiffs[BITAXE], 1500000);
+
+            cache = minerCache.updateBestDiffs([{ worker: BITAXE, bestever: 2000000 }], cache);
+            assert.equal(cache.bestDiffs[BITAXE], 2000000);
+        } finally {
+            minerCache.events.removeListener('bestDiff', listener);
+        }
+
+        assert.deepEqual(events.map(e => [e.worker, e.best, e.previous]), [
+            [BITAXE, 1500000, 0],
+            [S19, 900000, 0],
+            [BITAXE, 2000000, 1500000]
+        ]);
+    });
+
+    test('getBestDiff returns the larger of stored and current', () => {
+        const cache = { bestDiffs: { [BITAXE]: 500 } };
+        assert.equal(minerCache.getBestDiff(BITAXE, 100, cache), 500);
+        assert.equal(minerCache.getBestDiff(BITAXE, 900, cache), 900);
+    });
+
+    test('syncs best diffs from ckpool worker files so requests only read memory', async () => {
+        const file = path.join(logsDir, 'users', S19);
+        fs.writeFileSync(file, JSON.stringify({ bestshare: 1200, bestever: 3400000 }));
+        fs.utimesSync(file, 1700000000, 1700000000);
+        // Not a worker the cache knows
+        fs.writeFileSync(path.join(logsDir, 'users', `${fixtures.ADDRESS}.gone`), JSON.stringify({ bestever: 9000000 }));
+        assert.deepEqual(minerCache.scanCkpoolBestDiffs(), { [S19]: 3400000, [`${fixtures.ADDRESS}.gone`]: 9000000 });
+
+        const events = [];
+        const listener = e => events.push(e);
+        minerCache.events.on('bestDiff', listener);
+        assert.equal(await minerCache.syncCkpoolBestDiffs(), 1);
+        minerCache.events.removeListener('bestDiff', listener);
+        assert.deepEqual(events, [{ worker: S19, best: 3400000, previous: 900000 }]);
+        const cache = minerCache.loadCache();
+        assert.equal(cache.bestDiffs[S19], 3400000);
+        assert.equal(cache.bestDiffs[`${fixtures.ADDRESS}.gone`], undefined);
+
+        // Files are only read again when their mtime changes
+        fs.writeFileSync(file, JSON.stringify({ bestever: 5000000 }));
+        fs.utimesSync(file, 1700000000, 1700000000);
+        assert.equal(await minerCache.syncCkpoolBestDiffs(), 0);
+        fs.utimesSync(file, 1700000060, 1700000060);
+        assert.equal(await minerCache.syncCkpoolBestDiffs(), 1);
+
+        // The request path never reads the file
+        fs.rmSync(file);
+        assert.equal(minerCache.getBestDiffFromAllSources(S19, 2000), 5000000);
+        assert.equal(minerCache.getBestDiffFromAllSources(S19, 6000000), 6000000);
+        assert.equal(cache.bestDiffs[S19], 6000000);
+    });
+
+    test('pruneInactiveWorkers drops stale entries and keeps unseen ones', () => {
+        const now = Math.floor(Date.now() / 1000);
+        minerCache.saveCache({
+            workers: { old: 'Bitaxe', fresh: 'Bitaxe' },
+            users: {},
+            bestDiffs: { old: 10, fresh: 20, legacy: 30 },
+            lastSeenAt: { old: now - 40 * 86400, fresh: now }
+        });
+
+        assert.equal(minerCache.pruneInactiveWorkers(28), 1);
+        const cache = minerCache.loadCache();
+        assert.deepEqual(Object.keys(cache.bestDiffs).sort(), ['fresh', 'legacy']);
+        assert.equal(cache.workers.old, undefined);
+    });
+});
@@ -0,0 +1,121 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The data dir is resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-privacy-'));
+process.env.DATA_DIR = dataDir;
+
+const privacy = require('../lib/miner-privacy');
+const { createKey } = require('./helpers/bitcoin-keys');
+
+const NOW = 1715817600;
+const key = createKey();
+const ADDRESS = key.addresses.p2wpkh;
+
+function signed(settings, timestamp = NOW) {
+    const message = privacy.settingsMessage(ADDRESS, { ...settings, timestamp });
+    return { ...settings, timestamp, signature: key.sign(message) };
+}
+
+describe('miner privacy', () => {
+    after(async () => {
+        await privacy.settle();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('addresses are public under their worker names by default', () => {
+        assert.deepEqual(privacy.getSettings(ADDRESS), { nickname: null, visibility: 'public', updatedAt: 0 });
+        assert.equal(privacy.publicName(`${ADDRESS}.rig1`), 'rig1');
+        assert.equal(privacy.publicName(ADDRESS), 'anon');
+        assert.equal(privacy.publicName(`${ADDRESS}.${ADDRESS}`), 'anon');
+    });
+
+    test('applies settings signed by the address', () => {
+        const result = privacy.updateSettings(ADDRESS, signed({ nickname: 'Basement Rigs', visibility: 'public' }), NOW);
+        assert.deepEqual(result.settings, { nickname: 'Basement Rigs', visibility: 'public', updatedAt: NOW });
+        assert.equal(privacy.publicName(`${ADDRESS}.rig1`), 'Basement Rigs');
+    });
+
+    test('rejects bad signatures, expired messages and replays', () => {
+        const other = createKey();
+        const forged = signed({ visibility: 'hidden' }, NOW + 10);
+        forged.signature = other.sign(privacy.settingsMessage(ADDRESS, { visibility: 'hidden', timestamp: NOW + 10 }));
+        assert.equal(privacy.updateSettings(ADDRESS, forged, NOW + 10).status, 403);
+
+        // Signed for other settings than the ones sent
+        const swapped = { ...signed({ visibility: 'public' }, NOW + 10), visibility: 'hidden' };
+        assert.equal(privacy.updateSettings(ADDRESS, swapped, NOW + 10).status, 403);
+
+        const old = signed({ visibility: 'hidden' }, NOW + 20);
+        assert.equal(privacy.updateSettings(ADDRESS, old, NOW + 20 + privacy.MESSAGE_MAX_AGE + 1).status, 400);
+
+        // The message that set the current settings can't be sent again
+        assert.equal(privacy.updateSettings(ADDRESS, signed({ nickname: 'Basement Rigs', visibility: 'public' }), NOW + 30).status, 409);
+        assert.equal(privacy.getSettings(ADDRESS).nickname, 'Basement Rigs');
+    });
+
+    test('validates nicknames and visibility', () => {
+        assert.equal(privacy.updateSettings(ADDRESS, signed({ visibility: 'secret' }, NOW + 40), NOW + 40).status, 400);
+        assert.equal(privacy.updateSettings(ADDRESS, signed({ nickname: '<b>hi</b>' }, NOW + 40), NOW + 40).status, 400);
+        assert.equal(privacy.updateSettings(ADDRESS, signed({ nickname: 'x'.repeat(33) }, NOW + 40), NOW + 40).status, 400);
+        assert.ok(privacy.setSettings(ADDRESS, { nickname: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2' }).error);
+    });
+
+    test('miner-only and hidden visibility', () => {
+        privacy.updateSettings(ADDRESS, signed({ nickname: 'Basement Rigs', visibility: 'miner' }, NOW + 50), NOW + 50);
+        assert.equal(privacy.publicName(`${ADDRESS}.rig1`), 'anon');
+
+        privacy.updateSettings(ADDRESS, signed({ visibility: 'hidden' }, NOW + 60), NOW + 60);
+        assert.equal(privacy.publicName(`${ADDRESS}.rig1`), null);
+        assert.equal(privacy.isHidden(ADDRESS), true);
+
+        const clients = { clients: [{ workername: `${ADDRESS}.rig1` }, { workername: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2.s9' }] };
+        assert.deepEqual(privacy.visibleClients(clients).clients.map(c => c.workername), ['1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2.s9']);
+    });
+
+    test('back to the defaults drops the entry', () => {
+        privacy.setSettings(ADDRESS, { visibility: 'public' }, NOW + 70);
+        assert.deepEqual(privacy.listSettings(), []);
+        assert.equal(privacy.publicName(`${ADDRESS}.rig1`), 'rig1');
+    });
+
+    test('blocked words hide worker names and nicknames', () => {
+        assert.deepEqual(privacy.saveBlocklist(['  Rude ', 'rude', '', 'crude']), ['rude', 'crude']);
+        assert.equal(privacy.publicName(`${ADDRESS}.RudeRig`), 'anon');
+        assert.equal(privacy.setSettings(ADDRESS, { nickname: 'very rude' }).error, 'That nickname is not allowed');
+
+        // Read back from the file
+        privacy.reload();
+        assert.deepEqual(privacy.loadBlocklist(), ['rude', 'crude']);
+        assert.equal(privacy.publicName(`${ADDRESS}.rig1`), 'rig1');
+
+        // A hand-written file without a checksum still loads
+        fs.writeFileSync(path.join(dataDir, 'worker-blocklist.json'), JSON.stringify({ words: ['Lewd'] }));
+        privacy.reload();
+        assert.deepEqual(privacy.loadBlocklist(), ['lewd']);
+    });
+
+    test('found blocks show the finder\'s public name, or no finder if hidden', () => {
+        const block = { height: 840000, address: ADDRESS, worker: `${ADDRESS}.rig1` };
+        privacy.setSettings(ADDRESS, { nickname: 'Basement' }, NOW + 75);
+        assert.deepEqual(privacy.publicBlock(block), { ...block, worker: 'Basement' });
+
+        privacy.setSettings(ADDRESS, { visibility: 'hidden' }, NOW + 76);
+        assert.deepEqual(privacy.publicBlock(block), { height: 840000, address: null, worker: null });
+        // Blocks matched from the chain only know the payout address
+        assert.equal(privacy.publicBlock({ address: ADDRESS, worker: null }).address, null);
+
+        privacy.setSettings(ADDRESS, {}, NOW + 77);
+        assert.equal(privacy.publicBlock({ address: 'bc1qother', worker: null }).worker, null);
+    });
+
+    test('settings survive a reload', async () => {
+        privacy.setSettings(ADDRESS, { nickname: 'Attic', visibility: 'public' }, NOW + 80);
+        await privacy.settle();
+        privacy.reload();
+        assert.equal(privacy.getSettings(ADDRESS).nickname, 'Attic');
+    });
+});
@@ -0,0 +1,59 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The user rules file is resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-registry-'));
+process.env.MINER_RULES = path.join(dataDir, 'miner-rules.json');
+
+const registry = require('../lib/miner-registry');
+const { corpus } = require('./fixtures/useragents');
+
+describe('miner registry', () => {
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        registry.reloadRules();
+    });
+
+    corpus.forEach(([useragent, expected]) => {
+        test(`identifies ${useragent}`, () => {
+            const miner = registry.identify(useragent);
+            Object.entries(expected).forEach(([field, value]) => {
+                assert.equal(miner[field], value, `${field} of ${useragent}`);
+            });
+        });
+    });
+
+    test('user rules take precedence over the built-in ones', () => {
+        fs.writeFileSync(process.env.MINER_RULES, JSON.stringify({
+            rules: [
+                { pattern: '^bitaxe/BM1370/v?(?<version>[\\w.-]+)-lab', type: 'Bitaxe', name: 'Lab Gamma', model: 'Gamma' },
+                { pattern: '^acme-(?<model>\\w+)/(?<version>[\\d.]+)', type: 'Acme', name: 'Acme {model}', vendor: 'Acme' }
+            ]
+        }));
+        registry.reloadRules();
+
+        assert.equal(registry.identify('bitaxe/BM1370/v2.4.0-lab').name, 'Lab Gamma');
+        assert.equal(registry.identify('bitaxe/BM1370/v2.4.0').name, 'Bitaxe Gamma');
+        assert.deepEqual(registry.identify('acme-x1/3.2'), {
+            type: 'Acme', name: 'Acme x1', vendor: 'Acme', model: 'x1', firmware: null, version: '3.2'
+        });
+    });
+
+    test('skips malformed rules and can replace the defaults', () => {
+        fs.writeFileSync(process.env.MINER_RULES, JSON.stringify({
+            replaceDefaults: true,
+            rules: [{ pattern: '(unclosed', type: 'Broken' }, { type: 'NoPattern' }, { pattern: 'cgminer', type: 'Custom' }]
+        }));
+        assert.equal(registry.reloadRules().length, 1);
+        assert.equal(registry.identify('cgminer/4.12.0').type, 'Custom');
+        assert.equal(registry.identify('bitaxe/BM1370/v2.4.0').type, 'Other');
+    });
+
+    test('returns copies so callers cannot change cached results', () => {
+        registry.identify('NiceHash/1.0.0').name = 'changed';
+        assert.notEqual(registry.identify('NiceHash/1.0.0').name, 'changed');
+    });
+});
@@ -0,0 +1,44 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockHttp } = require('./helpers/mock-http');
+
+const network = require('../lib/network');
+
+describe('network', () => {
+    after(() => network.setNetwork('mainnet'));
+
+    test('defaults to mainnet', () => {
+        assert.equal(network.getNetwork().name, 'mainnet');
+        assert.equal(network.blockSubsidy(840000), 3.125);
+        assert.equal(network.explorerUrl('block', 'abc'), 'https://mempool.space/block/abc');
+    });
+
+    test('regtest halves every 150 blocks and has no explorer', () => {
+        network.setNetwork('regtest');
+        assert.equal(network.blockSubsidy(149), 50);
+        assert.equal(network.blockSubsidy(300), 12.5);
+        assert.equal(network.blockSubsidy(150 * 64), 0);
+        assert.equal(network.explorerUrl('block', 'abc'), null);
+        assert.throws(() => network.setNetwork('dogecoin'), /Unknown Bitcoin network/);
+    });
+
+    test('detects the chain from bitcoind', async () => {
+        const upstream = new MockHttp();
+        upstream.rpc('getblockchaininfo', { chain: 'testnet4', blocks: 1000 });
+        await upstream.start();
+        const saved = { host: process.env.BITCOIN_RPC_HOST, port: process.env.BITCOIN_RPC_PORT };
+        process.env.BITCOIN_RPC_HOST = '127.0.0.1';
+        process.env.BITCOIN_RPC_PORT = String(upstream.port);
+        try {
+            const detected = await network.detectNetwork();
+            assert.equal(detected.name, 'testnet4');
+            assert.equal(network.getNetwork().mempoolApi, 'https://mempool.space/testnet4/api');
+        } finally {
+            for (const [key, value] of [['BITCOIN_RPC_HOST', saved.host], ['BITCOIN_RPC_PORT', saved.port]]) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+            await upstream.stop();
+        }
+    });
+});
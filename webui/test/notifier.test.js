@@ -0,0 +1,104 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockHttp } = require('./helpers/mock-http');
+
+// Paths are resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifier-'));
+process.env.DATA_DIR = dataDir;
+process.env.CKPOOL_LOGS_DIR = dataDir;
+process.env.NOTIFY_CONFIG = path.join(dataDir, 'notifications.json');
+
+const notifier = require('../lib/notifier');
+
+const ADDRESS = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+const OTHER = '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2';
+let hooks;
+
+function writeConfig(stubUrl) {
+    fs.writeFileSync(process.env.NOTIFY_CONFIG, JSON.stringify({
+        offlineAfter: 600,
+        cooldown: 3600,
+        channels: {
+            mine: { type: 'webhook', url: `${stubUrl}/mine` },
+            all: { type: 'webhook', url: `${stubUrl}/all` },
+            pool: { type: 'webhook', url: `${stubUrl}/pool` }
+        },
+        rules: [
+            { events: ['worker_offline', 'worker_online'], address: ADDRESS, channels: ['mine'] },
+            { events: ['*'], channels: ['all'], cooldown: 0 },
+            { events: ['block_found'], channels: ['pool', 'missing'] }
+        ]
+    }));
+    notifier.reloadConfig();
+}
+
+function delivered(channel) {
+    return hooks.received(`/${channel}`).map(r => JSON.parse(r.body));
+}
+
+describe('notifier rules', () => {
+    before(async () => {
+        hooks = await new MockHttp().start();
+        ['/mine', '/all', '/pool'].forEach(p => hooks.get(p, { ok: true }));
+        writeConfig(hooks.url);
+    });
+
+    after(async () => {
+        await hooks.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('routes events to the rules matching event and address', async () => {
+        assert.equal(await notifier.notify('worker_offline', { worker: `${ADDRESS}.rig1`, idleFor: 900 }), 2);
+        assert.equal(await notifier.notify('worker_offline', { worker: `${OTHER}.rig1`, idleFor: 900 }), 1);
+        assert.equal(await notifier.notify('personal_best', { worker: `${ADDRESS}.rig1`, best: 2e6, previous: 1e6 }), 1);
+
+        const mine = delivered('mine');
+        assert.equal(mine.length, 1);
+        assert.equal(mine[0].title, 'Worker offline: rig1');
+        assert.equal(mine[0].address, ADDRESS);
+        assert.equal(mine[0].message, `${ADDRESS}.rig1 has not submitted a share for 15 minutes.`);
+        assert.equal(delivered('all').length, 3);
+    });
+
+    test('holds repeats of the same event and subject for the cooldown', async () => {
+        // Rule 0 is cooling down for rig1; rule 1 has no cooldown
+        assert.equal(await notifier.notify('worker_offline', { worker: `${ADDRESS}.rig1` }), 1);
+        // Another worker or another event is a different subject
+        assert.equal(await notifier.notify('worker_offline', { worker: `${ADDRESS}.rig2` }), 2);
+        assert.equal(await notifier.notify('worker_online', { worker: `${ADDRESS}.rig1` }), 2);
+        assert.equal(delivered('mine').length, 3);
+    });
+
+    test('skips unknown channels without failing the others', async () => {
+        assert.equal(await notifier.notify('block_found', { height: 840001, reward: 312500000 }), 2);
+        assert.equal(delivered('pool')[0].title, 'Block 840001 found!');
+    });
+
+    test('raises worker transitions seen by the check', async () => {
+        const now = Math.floor(Date.now() / 1000);
+        let lastshare = now - 10;
+        const ckpool = {
+            getPoolStats: async () => ({ poolstats: { users: 1 } }),
+            getAllWorkers: async () => ({ workers: [{ worker: `${ADDRESS}.rig3`, lastshare, bestdiff: 1000 }] })
+        };
+
+        // The first sighting only sets the baseline
+        await notifier.check(ckpool);
+        lastshare = now - 1200;
+        await notifier.check(ckpool);
+
+        // Deliveries from the check are not awaited by it
+        const deadline = Date.now() + 2000;
+        while (!delivered('mine').some(n => n.worker === `${ADDRESS}.rig3`) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const offline = delivered('mine').filter(n => n.worker === `${ADDRESS}.rig3`);
+        assert.equal(offline.length, 1);
+        assert.equal(offline[0].event, 'worker_offline');
+        assert.equal(offline[0].data.idleFor, 1200);
+    });
+});
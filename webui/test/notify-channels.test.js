@@ -0,0 +1,145 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockHttp } = require('./helpers/mock-http');
+const { MockSmtp } = require('./helpers/mock-smtp');
+const channels = require('../lib/notify-channels');
+
+const WORKER = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh.bitaxe1';
+
+function notification(fields = {}) {
+    return {
+        event: 'worker_offline',
+        title: 'Worker offline: bitaxe1',
+        message: `${WORKER} has not submitted a share for 15 minutes.`,
+        address: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh',
+        worker: WORKER,
+        timestamp: 1715817600,
+        data: {},
+        ...fields
+    };
+}
+
+describe('http channels', () => {
+    let stub;
+
+    before(async () => {
+        stub = await new MockHttp().start();
+        stub.get('/hook', { ok: true });
+        stub.get('/', { id: 'abc' });
+        stub.get('/bot123:abc/sendMessage', { ok: true });
+        stub.get('/discord', {});
+        stub.fail('/down', 502);
+    });
+
+    after(() => stub.stop());
+
+    function lastRequest(path) {
+        const request = stub.received(path).pop();
+        return { ...request, json: JSON.parse(request.body) };
+    }
+
+    test('webhook posts the notification as JSON with custom headers', async () => {
+        await channels.send({ type: 'webhook', url: `${stub.url}/hook`, headers: { 'X-Key': 'secret' } }, notification());
+        const request = lastRequest('/hook');
+        assert.equal(request.method, 'POST');
+        assert.equal(request.headers['x-key'], 'secret');
+        assert.deepEqual(request.json, notification());
+    });
+
+    test('ntfy publishes JSON so titles can hold any characters', async () => {
+        const title = 'Worker offline: 矿机-01 ⚡';
+        await channels.send({ type: 'ntfy', url: stub.url, topic: 'alerts', token: 'tk' }, notification({ title }));
+        const request = lastRequest('/');
+        assert.equal(request.headers.authorization, 'Bearer tk');
+        assert.deepEqual(request.json, {
+            topic: 'alerts',
+            title,
+            message: notification().message,
+            tags: ['worker_offline'],
+            priority: 3
+        });
+
+        await channels.send({ type: 'ntfy', url: stub.url, topic: 'alerts' }, notification({ event: 'block_found' }));
+        assert.equal(lastRequest('/').json.priority, 5);
+    });
+
+    test('telegram sends title and message to the chat', async () => {
+        await channels.send({ type: 'telegram', apiUrl: stub.url, botToken: '123:abc', chatId: 42 }, notification());
+        const { json } = lastRequest('/bot123:abc/sendMessage');
+        assert.equal(json.chat_id, 42);
+        assert.equal(json.text, `Worker offline: bitaxe1\n${notification().message}`);
+    });
+
+    test('discord sends an embed coloured by event', async () => {
+        await channels.send({ type: 'discord', webhookUrl: `${stub.url}/discord` }, notification({ event: 'block_found' }));
+        const { json } = lastRequest('/discord');
+        assert.equal(json.username, 'Go Brrr Pool');
+        assert.equal(json.embeds[0].color, 0xf7931a);
+        assert.equal(json.embeds[0].timestamp, '2024-05-16T00:00:00.000Z');
+    });
+
+    test('rejects on HTTP errors and incomplete config', async () => {
+        await assert.rejects(channels.send({ type: 'webhook', url: `${stub.url}/down` }, notification()), /HTTP 502/);
+        await assert.rejects(channels.send({ type: 'telegram', botToken: 'x' }, notification()), /chatId/);
+        await assert.rejects(channels.send({ type: 'pager' }, notification()), /Unknown notification channel/);
+    });
+});
+
+describe('smtp channel', () => {
+    let smtp;
+
+    before(async () => {
+        smtp = await new MockSmtp().start();
+    });
+
+    after(() => smtp.stop());
+
+    function config(fields = {}) {
+        return {
+            type: 'smtp',
+            host: '127.0.0.1',
+            port: smtp.port,
+            user: 'me',
+            pass: 'secret',
+            from: 'pool@example.com',
+            to: ['me@example.com', 'ops@example.com'],
+            clientName: 'webui.test',
+            ...fields
+        };
+    }
+
+    test('delivers one message with auth to every recipient', async () => {
+        await channels.send(config(), notification({ message: 'first line\n.dot line' }));
+        const session = smtp.sessions.pop();
+        assert.equal(session.ehlo, 'webui.test');
+        assert.deepEqual(session.auth, ['me', 'secret']);
+        assert.equal(session.from, 'pool@example.com');
+        assert.deepEqual(session.to, ['me@example.com', 'ops@example.com']);
+        assert.match(session.data, /^Subject: Worker offline: bitaxe1\r$/m);
+        assert.match(session.data, /\r\n\r\nfirst line\r\n\.dot line\r\n$/);
+    });
+
+    test('keeps CR/LF in titles from injecting headers', async () => {
+        await channels.send(config(), notification({ title: 'Worker offline: x\r\nBcc: victim@example.com' }));
+        const { data } = smtp.sessions.pop();
+        assert.doesNotMatch(data, /^Bcc:/m);
+        assert.match(data, /^Subject: Worker offline: x Bcc: victim@example.com\r$/m);
+    });
+
+    test('encodes non-ASCII subjects as RFC 2047 words', async () => {
+        const title = `New best share: ${'矿机'.repeat(20)}`;
+        await channels.send(config(), notification({ title }));
+        const { data } = smtp.sessions.pop();
+        const subject = data.match(/^Subject: ([\s\S]*?)\r\n(?! )/m)[1];
+        const words = subject.split('\r\n ');
+        assert.ok(words.length > 1);
+        assert.ok(words.every(word => /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/.test(word) && word.length <= 75));
+        const decoded = words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString('utf8')).join('');
+        assert.equal(decoded, title);
+    });
+
+    test('rejects when the server refuses a recipient', async () => {
+        smtp.reject('RCPT', 550);
+        await assert.rejects(channels.send(config(), notification()), /SMTP RCPT failed: 550/);
+    });
+});
@@ -0,0 +1,97 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The pools file, data dir and signature are resolved at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pool-identifier-'));
+process.env.DATA_DIR = dataDir;
+process.env.POOL_TAGS = path.join(dataDir, 'pool-tags.json');
+process.env.POOL_SIGNATURE = 'GoBrrrPool_Test';
+
+const identifier = require('../lib/pool-identifier');
+const blockTracker = require('../lib/block-tracker');
+
+const PAYOUT = 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh';
+
+// A getblock (verbosity 2) block whose coinbase carries `tag` after the BIP34 height
+function block(tag, address = PAYOUT, hash = 'aa'.repeat(32)) {
+    const scriptSig = Buffer.concat([Buffer.from('03a0cd0c', 'hex'), Buffer.from(tag), Buffer.from('7b0000fe', 'hex')]);
+    return {
+        hash,
+        tx: [{
+            vin: [{ coinbase: scriptSig.toString('hex'), sequence: 4294967295 }],
+            vout: [
+                { value: 3.25, scriptPubKey: { address } },
+                { value: 0, scriptPubKey: { type: 'nulldata' } }
+            ]
+        }]
+    };
+}
+
+describe('pool identifier', () => {
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        identifier.reloadPools();
+    });
+
+    test('decodes the coinbase text', () => {
+        assert.equal(identifier.coinbaseText(block('/ViaBTC/Mined by x/').tx[0].vin[0].coinbase), '/ViaBTC/Mined by x/{');
+    });
+
+    test('matches built-in coinbase tags, ignoring case', () => {
+        assert.deepEqual(identifier.identifyBlock(block('Foundry USA Pool #dropgold/')), {
+            name: 'Foundry USA', slug: 'foundryusa', link: 'https://foundrydigital.com', ours: false
+        });
+        assert.equal(identifier.identifyBlock(block('/f2pool/')).name, 'F2Pool');
+        assert.equal(identifier.identifyBlock(block('七彩神仙鱼')).name, 'F2Pool');
+        assert.equal(identifier.identifyBlock(block('/nobody/')), null);
+        assert.equal(identifier.identifyBlock({ tx: ['txid-only'] }), null);
+    });
+
+    test('recognises our POOL_SIGNATURE', () => {
+        assert.deepEqual(identifier.identifyBlock(block('/ckpool/GoBrrrPool_Test/')), identifier.OUR_POOL);
+    });
+
+    test('user pools match by tag or payout address before the built-in ones', () => {
+        fs.writeFileSync(process.env.POOL_TAGS, JSON.stringify({
+            pools: [
+                { name: 'Garage Pool', tags: ['/garage/'], addresses: [PAYOUT] },
+                { name: 'Foundry Fork', slug: 'foundry-fork', tags: ['Foundry USA'] },
+                { name: 'Broken' }
+            ]
+        }));
+        identifier.reloadPools();
+
+        assert.equal(identifier.identifyBlock(block('/nobody/')).name, 'Garage Pool');
+        assert.equal(identifier.identifyBlock(block('/garage/', 'bc1qother')).slug, 'garagepool');
+        assert.equal(identifier.identifyBlock(block('Foundry USA Pool')).slug, 'foundry-fork');
+        assert.equal(identifier.identifyBlock(block('/ViaBTC/', 'bc1qother')).name, 'ViaBTC');
+    });
+
+    test('reads the known-pools list layout and can replace the defaults', () => {
+        fs.writeFileSync(process.env.POOL_TAGS, JSON.stringify({
+            replaceDefaults: true,
+            coinbase_tags: { '/LabPool/': { name: 'Lab Pool', link: 'https://lab.example' } },
+            payout_addresses: { [PAYOUT]: { name: 'Lab Pool', link: 'https://lab.example' } }
+        }));
+        assert.equal(identifier.reloadPools().length, 1);
+
+        assert.deepEqual(identifier.identifyBlock(block('/LabPool/', 'bc1qother')), {
+            name: 'Lab Pool', slug: 'labpool', link: 'https://lab.example', ours: false
+        });
+        assert.equal(identifier.identifyBlock(block('/nobody/')).name, 'Lab Pool');
+        assert.equal(identifier.identifyBlock(block('/ViaBTC/', 'bc1qother')), null);
+    });
+
+    test('marks blocks recorded by the block tracker as ours without asking bitcoind', async () => {
+        const hash = 'bb'.repeat(32);
+        blockTracker.recordBlock({ height: 840000, hash, address: PAYOUT, source: 'log', status: 'confirmed' });
+
+        const blocks = [{ id: hash, height: 840000, extras: { pool: { name: 'Unknown', slug: 'unknown' } } }];
+        await identifier.identifyBlocks(blocks);
+        assert.equal(blocks[0].extras.pool.name, identifier.OUR_POOL.name);
+        assert.equal(blocks[0].extras.pool.ours, true);
+    });
+});
@@ -0,0 +1,61 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GENERATIONS, writeJSONAtomic, readJSONSafe } = require('../lib/safe-file');
+
+let dir;
+let file;
+
+describe('safe-file', () => {
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-file-'));
+        file = path.join(dir, 'state.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('round-trips data and leaves no temp file behind', () => {
+        writeJSONAtomic(file, { best: 123, name: 'rig' });
+        assert.deepEqual(readJSONSafe(file), { best: 123, name: 'rig' });
+        assert.equal(fs.existsSync(`${file}.tmp`), false);
+        assert.equal(readJSONSafe(path.join(dir, 'missing.json')), null);
+    });
+
+    test('keeps the previous generations', () => {
+        for (let i = 1; i <= GENERATIONS + 2; i++) writeJSONAtomic(file, { n: i });
+        assert.deepEqual(readJSONSafe(`${file}.1`), { n: GENERATIONS + 1 });
+        assert.equal(fs.existsSync(`${file}.${GENERATIONS + 1}`), false);
+    });
+
+    test('falls back to the last good generation when the file is truncated', () => {
+        writeJSONAtomic(file, { best: 1 });
+        writeJSONAtomic(file, { best: 2 });
+        const text = fs.readFileSync(file, 'utf8');
+        fs.writeFileSync(file, text.slice(0, text.length / 2));
+
+        assert.deepEqual(readJSONSafe(file), { best: 1 });
+        assert.ok(fs.existsSync(`${file}.corrupt`));
+    });
+
+    test('detects checksum mismatches', () => {
+        writeJSONAtomic(file, { best: 1 });
+        writeJSONAtomic(file, { best: 2 });
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"best":2', '"best":3'));
+        assert.deepEqual(readJSONSafe(file), { best: 1 });
+    });
+
+    test('accepts plain JSON written before checksums', () => {
+        fs.writeFileSync(file, JSON.stringify({ workers: { a: 1 } }));
+        assert.deepEqual(readJSONSafe(file), { workers: { a: 1 } });
+    });
+
+    test('returns null when no generation is intact', () => {
+        fs.writeFileSync(file, '{"trunc');
+        fs.writeFileSync(`${file}.1`, '');
+        assert.equal(readJSONSafe(file), null);
+    });
+});
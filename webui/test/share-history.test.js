@@ -0,0 +1,73 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// share-history resolves its file at require time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-history-'));
+process.env.DATA_DIR = dataDir;
+
+const shareHistory = require('../lib/share-history');
+
+const WORKER = 'bc1qtest.rig';
+const T0 = 1700000000 - (1700000000 % 3600);
+
+function snapshot(ts, accepted, rejected, stale) {
+    shareHistory.recordSnapshot({ workers: [{ worker: WORKER, shares: accepted * 1024, accepted, rejected, stale }] }, ts);
+}
+
+describe('share history', () => {
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('the first sample is only a baseline', () => {
+        snapshot(T0, 50000, 900, 100);
+        const shares = shareHistory.getWorkerShares(WORKER, T0);
+        assert.equal(shares.windows['7d'].accepted, 0);
+        assert.equal(shares.spiking, false);
+        assert.equal(shareHistory.getWorkerShares('bc1qtest.none', T0), null);
+    });
+
+    test('records share count increases and survives counter resets', () => {
+        snapshot(T0 + 60, 50100, 901, 100);
+        // ckpool restarted without its user logs: the counters start again from zero
+        snapshot(T0 + 120, 100, 1, 0);
+
+        const shares = shareHistory.getWorkerShares(WORKER, T0 + 120);
+        assert.deepEqual(shares.windows['1h'], { accepted: 200, rejected: 2, stale: 0, rejectRate: 2 / 202 });
+    });
+
+    test('flags a reject rate jump against the 7d baseline', () => {
+        // A quiet day: 1% rejects
+        for (let h = 1; h <= 24; h++) {
+            snapshot(T0 + h * 3600, 100 + h * 990, 1 + h * 10, 0);
+        }
+        const quiet = T0 + 24 * 3600;
+        assert.equal(shareHistory.getWorkerShares(WORKER, quiet).spiking, false);
+
+        // Then a burst at over 40%
+        snapshot(quiet + 1800, 100 + 24 * 990 + 400, 1 + 240 + 300, 0);
+        const shares = shareHistory.getWorkerShares(WORKER, quiet + 1800);
+        assert.ok(shares.windows['1h'].rejectRate > 0.15);
+        assert.ok(shares.windows['7d'].rejectRate < 0.05);
+        assert.equal(shares.spiking, true);
+    });
+
+    test('skips workers without share counters', () => {
+        // A ckpool build without them only reports accepted difficulty
+        shareHistory.recordSnapshot({ workers: [{ worker: 'bc1qtest.w', shares: 10000 }] }, T0);
+        shareHistory.recordSnapshot({ workers: [{ worker: 'bc1qtest.w', shares: 20000 }] }, T0 + 60);
+        assert.equal(shareHistory.getWorkerShares('bc1qtest.w', T0 + 60), null);
+    });
+
+    test('persists and exposes the hourly trend', () => {
+        shareHistory.saveHistory();
+        shareHistory.reloadHistory();
+        const trend = shareHistory.getWorkerShareHistory(WORKER);
+        assert.equal(trend.resolution, 'hour');
+        assert.ok(trend.points.length >= 24);
+        assert.deepEqual(Object.keys(trend.points[0]), ['time', 'accepted', 'rejected', 'stale', 'rejectRate']);
+    });
+});
@@ -0,0 +1,165 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const parser = require('../lib/stats-parser');
+const fixtures = require('./fixtures/ckpool');
+
+const NONCES_PER_SHARE = 4294967296;
+
+describe('formatting', () => {
+    test('formatHashrate picks the largest unit', () => {
+        assert.equal(parser.formatHashrate(0), '0 H/s');
+        assert.equal(parser.formatHashrate(999), '999.00 H/s');
+        assert.equal(parser.formatHashrate(1.5e12), '1.50 TH/s');
+        assert.equal(parser.formatHashrate(6.2e20), '620.00 EH/s');
+    });
+
+    test('formatDifficulty abbreviates large values', () => {
+        assert.equal(parser.formatDifficulty(0), '0');
+        assert.equal(parser.formatDifficulty(512), '512.00');
+        assert.equal(parser.formatDifficulty(1500000), '1.50 M');
+        assert.equal(parser.formatDifficulty(86388558925171), '86.39 T');
+    });
+
+    test('timeAgo describes elapsed time', () => {
+        const now = Math.floor(Date.now() / 1000);
+        assert.equal(parser.timeAgo(0), 'Never');
+        assert.equal(parser.timeAgo(now - 30), '30s ago');
+        assert.equal(parser.timeAgo(now - 7200), '2h ago');
+        assert.equal(parser.timeAgo(now - 3 * 86400), '3d ago');
+    });
+
+    test('getNestedValue never returns objects', () => {
+        assert.equal(parser.getNestedValue({ a: { b: 3 } }, 'a.b'), 3);
+        assert.equal(parser.getNestedValue({ a: { b: 3 } }, 'a', 7), 7);
+        assert.equal(parser.getNestedValue({}, 'x.y', 1), 1);
+    });
+});
+
+describe('parsePoolStats', () => {
+    test('converts dsps windows to hashrates', () => {
+        const pool = parser.parsePoolStats(fixtures.poolstats(), fixtures.stratifierstats(), fixtures.connectorstats());
+        assert.equal(pool.hashrate, 250 * NONCES_PER_SHARE);
+        assert.equal(pool.hashrate7d, 220 * NONCES_PER_SHARE);
+        assert.equal(pool.users, 1);
+        assert.equal(pool.workers, 2);
+        assert.equal(pool.accepted, 1180);
+        assert.equal(pool.rejected, 20);
+        assert.equal(pool.blockHeight, 840001);
+        assert.equal(pool.connections, 2);
+        assert.ok(pool.uptime >= 3600);
+    });
+
+    test('falls back to stratifier and connector stats', () => {
+        const pool = parser.parsePoolStats(null, fixtures.stratifierstats(), fixtures.connectorstats());
+        assert.equal(pool.hashrate, 0);
+        assert.equal(pool.users, 1);
+        assert.equal(pool.shares, 1200);
+        assert.equal(pool.workers, 2);
+    });
+
+    test('ignores error replies', () => {
+        const pool = parser.parsePoolStats({ error: 'boom' }, null, null);
+        assert.equal(pool.users, 0);
+        assert.equal(pool.hashrate, 0);
+    });
+});
+
+describe('parseUserStats', () => {
+    test('maps getuser to user stats', () => {
+        const user = parser.parseUserStats(fixtures.getuser({ user: fixtures.ADDRESS }));
+        assert.equal(user.address, fixtures.ADDRESS);
+        assert.equal(user.hashrate.current, 250 * NONCES_PER_SHARE);
+        assert.equal(user.hashrate.avg24h, 225 * NONCES_PER_SHARE);
+        assert.equal(user.shares.accepted, 1200);
+        assert.equal(user.bestDiff, 1500000);
+        assert.equal(user.workerCount, 2);
+        assert.equal(user.isIdle, false);
+    });
+
+    test('flags users idle for more than five minutes', () => {
+        const raw = { ...fixtures.getuser({ user: fixtures.ADDRESS }), lastshare: Math.floor(Date.now() / 1000) - 600 };
+        assert.equal(parser.parseUserStats(raw).isIdle, true);
+    });
+
+    test('returns null for missing or error replies', () => {
+        assert.equal(parser.parseUserStats(null), null);
+        assert.equal(parser.parseUserStats({ error: 'user not found' }), null);
+        assert.equal(parser.parseUserStats('unknown'), null);
+        assert.equal(parser.parseUserStats('some error text'), null);
+    });
+});
+
+describe('parseWorkerStats', () => {
+    test('maps getworker to worker stats', () => {
+        const worker = parser.parseWorkerStats(fixtures.getworker({ worker: `${fixtures.ADDRESS}.s19` }));
+        assert.equal(worker.name, `${fixtures.ADDRESS}.s19`);
+        assert.equal(worker.hashrate, 100 * NONCES_PER_SHARE);
+    });
+
+    test('returns null for error replies', () => {
+        assert.equal(parser.parseWorkerStats({ error: 'worker not found' }), null);
+        assert.equal(parser.parseWorkerStats(null), null);
+    });
+});
+
+describe('miner detection', () => {
+    test('parseMinerType recognises common user agents', () => {
+        const typeAndName = ua => {
+            const miner = parser.parseMinerType(ua);
+            return { type: miner.type, name: miner.name };
+        };
+        assert.deepEqual(typeAndName('bitaxe/BM1370/v2.4.0 gamma'), { type: 'Bitaxe', name: 'Bitaxe Gamma' });
+        assert.deepEqual(typeAndName('Antminer S19/...'), { type: 'Antminer', name: 'Antminer S19' });
+        assert.deepEqual(typeAndName('NerdQaxe++/1.0'), { type: 'NerdQaxe', name: 'NerdQaxe++' });
+        assert.deepEqual(typeAndName('cgminer/4.12'), { type: 'CGMiner', name: 'CGMiner' });
+        assert.deepEqual(typeAndName(''), { type: 'Unknown', name: 'Unknown Miner' });
+        assert.deepEqual(typeAndName('SomethingNew/123456789012345'), { type: 'Other', name: 'SomethingNew/1234567' });
+    });
+
+    test('parseMinerType extracts firmware and version', () => {
+        assert.deepEqual(parser.parseMinerType('bitaxe/BM1370/v2.4.0'), {
+            type: 'Bitaxe', name: 'Bitaxe Gamma', vendor: 'Bitaxe', model: 'Gamma', firmware: 'ESP-Miner', version: '2.4.0'
+        });
+    });
+
+    test('parseClientInfo marks agentless proxies', () => {
+        const clients = parser.parseClientInfo({
+            clients: [
+                ...fixtures.clients().clients,
+                { id: 13, workername: fixtures.ADDRESS, useragent: '' }
+            ]
+        });
+        assert.equal(clients.length, 3);
+        assert.equal(clients[0].miner.name, 'Bitaxe Gamma');
+        assert.equal(clients[2].miner.name, 'Mining Proxy');
+        assert.deepEqual(parser.parseClientInfo(null), []);
+    });
+
+    test('aggregateMinerTypes counts only active clients', () => {
+        const data = fixtures.clients();
+        data.clients.push({ id: 14, workername: 'x.idle', useragent: 'bitaxe gamma', idle: true });
+        data.clients.push({ id: 15, workername: 'x.silent', useragent: '', dsps1: 0 });
+        const types = parser.aggregateMinerTypes(data);
+        assert.deepEqual(types.map(t => [t.name, t.count]), [['Bitaxe Gamma', 1], ['Antminer S19', 1]]);
+        assert.deepEqual(parser.aggregateMinerTypes(null), []);
+    });
+});
+
+describe('shared helpers', () => {
+    test('increase treats a drop as a restarted counter', () => {
+        assert.equal(parser.increase(150, 100), 50);
+        assert.equal(parser.increase(30, 100), 30);
+    });
+
+    test('parseAddressWorkers keeps one address with short names and the idle check', () => {
+        const now = Math.floor(Date.now() / 1000);
+        const data = fixtures.workers();
+        data.workers.push({ worker: fixtures.ADDRESS, lastshare: now - parser.IDLE_AFTER - 10 });
+        data.workers.push({ worker: `${fixtures.UNKNOWN_ADDRESS}.other`, lastshare: now });
+
+        const workers = parser.parseAddressWorkers(fixtures.ADDRESS, data, now);
+        assert.deepEqual(workers.map(w => [w.name, w.isIdle]), [['bitaxe1', false], ['s19', false], ['default', true]]);
+        assert.equal(parser.filterAddressWorkers(fixtures.UNKNOWN_ADDRESS, data).length, 1);
+        assert.deepEqual(parser.parseAddressWorkers(fixtures.ADDRESS, null), []);
+    });
+});